@@ -0,0 +1,872 @@
+/**
+ * Web Worker for STL and 3MF export
+ * Builds the STL file off the main thread, writing triangles straight into typed arrays.
+ * For 3MF the main thread builds the band meshes and the worker writes the package.
+ * Generation runs in small slices so the worker can report progress and react to a
+ * cancel message while a large export is in progress.
+ */
+
+// The mesh functions mirror generateStl in main.js (without the plain JS arrays).
+// They are generators: each `yield` reports progress (0-1) and gives the driver
+// a chance to pause, and the return value is the result.
+
+// Band index of transparent pixels, which are cut out of the model
+const EMPTY_BAND = -1;
+
+// Pixels with a lower alpha value count as transparent
+const ALPHA_THRESHOLD = 128;
+
+// How far, in cells, a vertex where two cells only touch diagonally is moved into the upper cell
+const PINCH_OFFSET = 0.001;
+
+/**
+ * Builds the height lookup table for the stepped model.
+ * The base band sits at its own thickness and every following band adds its layers on top.
+ *
+ * @param {Array<number>} bandLayers - Printed layers of every band, base first
+ * @param {number} layerHeight - Height of a single printed layer in millimetres
+ * @returns {Array<number>} Top height of each band in millimetres
+ */
+function getBandHeights(bandLayers, layerHeight) {
+    const bandHeights = new Array(bandLayers.length);
+    let layers = 0;
+    for (let i = 0; i < bandLayers.length; i++) {
+        // Each band adds its layers on top of the one below
+        layers += bandLayers[i];
+        bandHeights[i] = layers * layerHeight;
+    }
+    return bandHeights;
+}
+
+/**
+ * Maps a pixel luminance to a lithophane thickness.
+ * By default brighter pixels are thicker; the inverted (backlit) mapping makes darker pixels thicker.
+ *
+ * @param {number} luminance - Pixel luminance (0-255)
+ * @param {Object} settings - { minThickness, maxThickness, inverted }
+ * @returns {number} Thickness in millimetres
+ */
+function getLithophaneThickness(luminance, settings) {
+    const { minThickness, maxThickness, inverted } = settings;
+    const t = inverted ? 1 - luminance / 255 : luminance / 255;
+    return minThickness + t * (maxThickness - minThickness);
+}
+
+/**
+ * Builds the lithophane height of every grid vertex from the image pixels.
+ *
+ * @param {Uint8ClampedArray} imageData - RGBA pixel data of the image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} settings - { minThickness, maxThickness, inverted }
+ * @returns {Float32Array} Height of every vertex, row-major with image Y flipped to match the 3D coordinate system
+ */
+function getLithophaneHeights(imageData, width, height, settings) {
+    const heights = new Float32Array(width * height);
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const p = ((height - 1 - j) * width + i) * 4;
+            if (imageData[p + 3] < ALPHA_THRESHOLD) {
+                heights[j * width + i] = NaN; // Cut out
+                continue;
+            }
+            const luminance = 0.299 * imageData[p] + 0.587 * imageData[p + 1] + 0.114 * imageData[p + 2];
+            heights[j * width + i] = getLithophaneThickness(luminance, settings);
+        }
+    }
+    return heights;
+}
+
+/**
+ * Rescales the progress reported by a nested generator into a slice of the overall progress.
+ * @param {Generator} generator - Generator yielding progress from 0 to 1
+ * @param {number} start - Overall progress when the generator starts
+ * @param {number} span - Share of the overall progress covered by the generator
+ * @returns {*} The generator's return value
+ */
+function* scaleProgress(generator, start, span) {
+    let step = generator.next();
+    while (!step.done) {
+        yield start + span * step.value;
+        step = generator.next();
+    }
+    return step.value;
+}
+
+/**
+ * Creates a binary STL writer for a known number of triangles.
+ * @param {number} triangleCount - Number of triangles that will be written
+ * @returns {Object} Writer with `writeTriangle(ax, ay, az, bx, by, bz, cx, cy, cz)` and the target `buffer`
+ */
+function createStlWriter(triangleCount) {
+    // STL binary format: 80-byte header + 4-byte triangle count + 50 bytes per triangle
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const writer = new DataView(buffer);
+    writer.setUint32(80, triangleCount, true);
+    let offset = 84;
+
+    const writeTriangle = (ax, ay, az, bx, by, bz, cx, cy, cz) => {
+        // Face normal from the cross product of two edge vectors
+        const ux = bx - ax;
+        const uy = by - ay;
+        const uz = bz - az;
+        const vx = cx - ax;
+        const vy = cy - ay;
+        const vz = cz - az;
+        const nx = uy * vz - uz * vy;
+        const ny = uz * vx - ux * vz;
+        const nz = ux * vy - uy * vx;
+        const len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+
+        writer.setFloat32(offset, nx / len, true);
+        writer.setFloat32(offset + 4, ny / len, true);
+        writer.setFloat32(offset + 8, nz / len, true);
+        writer.setFloat32(offset + 12, ax, true);
+        writer.setFloat32(offset + 16, ay, true);
+        writer.setFloat32(offset + 20, az, true);
+        writer.setFloat32(offset + 24, bx, true);
+        writer.setFloat32(offset + 28, by, true);
+        writer.setFloat32(offset + 32, bz, true);
+        writer.setFloat32(offset + 36, cx, true);
+        writer.setFloat32(offset + 40, cy, true);
+        writer.setFloat32(offset + 44, cz, true);
+
+        // Attribute byte count (2 bytes, usually 0)
+        offset += 50;
+    };
+
+    return { buffer, writeTriangle };
+}
+
+/**
+ * Writes the full-resolution heightmap mesh (two triangles per pixel) as a binary STL.
+ * Vertices are computed on the fly from the height grid, so no vertex or face lists are kept.
+ * Cells with a transparent (NaN) corner are left out and walled off like the outer edges.
+ *
+ * @param {Float32Array} heights - Top height of every grid vertex, row-major (j * width + i), NaN where empty
+ * @param {number} width - Number of grid vertices along X
+ * @param {number} height - Number of grid vertices along Y
+ * @param {number} dx - Physical distance between vertices along X
+ * @param {number} dy - Physical distance between vertices along Y
+ * @returns {ArrayBuffer} Binary STL data
+ */
+function* writeHeightmapStl(heights, width, height, dx, dy) {
+    const cellsX = width - 1;
+    const cellsY = height - 1;
+    const z = v => heights[v];
+
+    const solid = new Uint8Array(cellsX * cellsY);
+    for (let j = 0; j < cellsY; j++) {
+        for (let i = 0; i < cellsX; i++) {
+            const v = j * width + i;
+            solid[j * cellsX + i] =
+                isNaN(z(v)) || isNaN(z(v + 1)) || isNaN(z(v + width)) || isNaN(z(v + width + 1)) ? 0 : 1;
+        }
+    }
+    const isSolidCell = (i, j) => i >= 0 && j >= 0 && i < cellsX && j < cellsY && solid[j * cellsX + i] === 1;
+
+    // Where only two diagonally opposite cells meet at a vertex, the cell above it uses a copy
+    // moved a hair into the cell, so four walls do not share one edge (see generateStl in main.js)
+    const isPinch = (i, j) => {
+        const lowerLeft = isSolidCell(i - 1, j - 1);
+        const lowerRight = isSolidCell(i, j - 1);
+        const upperLeft = isSolidCell(i - 1, j);
+        const upperRight = isSolidCell(i, j);
+        return (lowerLeft && upperRight && !lowerRight && !upperLeft) ||
+            (lowerRight && upperLeft && !lowerLeft && !upperRight);
+    };
+    // Position of corner (i, j) as used by cell (ci, cj)
+    const corner = (i, j, ci, cj) => {
+        if (j !== cj || !isPinch(i, j)) return [i * dx, j * dy];
+        return [(i + (i === ci ? PINCH_OFFSET : -PINCH_OFFSET)) * dx, (j + PINCH_OFFSET) * dy];
+    };
+
+    // Count the faces first: four per solid cell and two per outline edge
+    let triangleCount = 0;
+    for (let c = 0; c < solid.length; c++) triangleCount += 4 * solid[c];
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < cellsX; i++) {
+            if (isSolidCell(i, j) !== isSolidCell(i, j - 1)) triangleCount += 2;
+        }
+    }
+    for (let i = 0; i < width; i++) {
+        for (let j = 0; j < cellsY; j++) {
+            if (isSolidCell(i, j) !== isSolidCell(i - 1, j)) triangleCount += 2;
+        }
+    }
+    const { buffer, writeTriangle } = createStlWriter(triangleCount);
+
+    // 1. Top and bottom surfaces
+    for (let j = 0; j < cellsY; j++) {
+        for (let i = 0; i < cellsX; i++) {
+            if (!solid[j * cellsX + i]) continue;
+            const [x00, y00] = corner(i, j, i, j);
+            const [x10, y10] = corner(i + 1, j, i, j);
+            const [x01, y01] = corner(i, j + 1, i, j);
+            const [x11, y11] = corner(i + 1, j + 1, i, j);
+            const z00 = z(j * width + i);
+            const z10 = z(j * width + i + 1);
+            const z01 = z((j + 1) * width + i);
+            const z11 = z((j + 1) * width + i + 1);
+
+            writeTriangle(x00, y00, z00, x10, y10, z10, x11, y11, z11);
+            writeTriangle(x00, y00, z00, x11, y11, z11, x01, y01, z01);
+            writeTriangle(x00, y00, 0, x11, y11, 0, x10, y10, 0);
+            writeTriangle(x00, y00, 0, x01, y01, 0, x11, y11, 0);
+        }
+        yield (j + 1) / cellsY;
+    }
+
+    // 2. Side walls on every cell edge with a solid cell on one side only.
+    // The outward normal points to the right of a -> b; (ci, cj) is the solid cell.
+    const writeWall = (ai, aj, bi, bj, ci, cj) => {
+        const [ax, ay] = corner(ai, aj, ci, cj);
+        const [bx, by] = corner(bi, bj, ci, cj);
+        const az = z(aj * width + ai);
+        const bz = z(bj * width + bi);
+        writeTriangle(ax, ay, 0, bx, by, 0, bx, by, bz);
+        writeTriangle(ax, ay, 0, bx, by, bz, ax, ay, az);
+    };
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < cellsX; i++) {
+            const above = isSolidCell(i, j);
+            const below = isSolidCell(i, j - 1);
+            if (above && !below) writeWall(i, j, i + 1, j, i, j);
+            if (below && !above) writeWall(i + 1, j, i, j, i, j - 1);
+        }
+    }
+    for (let i = 0; i < width; i++) {
+        for (let j = 0; j < cellsY; j++) {
+            const right = isSolidCell(i, j);
+            const left = isSolidCell(i - 1, j);
+            if (right && !left) writeWall(i, j + 1, i, j, i, j);
+            if (left && !right) writeWall(i, j, i, j + 1, i - 1, j);
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Builds a simplified, watertight mesh of the stepped heightmap.
+ * Neighbouring grid cells whose four corners share one height are merged into large rectangles
+ * (greedy meshing), sloped cells between bands keep their two triangles, the bottom is merged
+ * the same way and the side walls only break where the height along the outline changes.
+ *
+ * @param {Float32Array} heights - Top height of every grid vertex, row-major (j * width + i), NaN where empty
+ * @param {number} width - Number of grid vertices along X
+ * @param {number} height - Number of grid vertices along Y
+ * @param {number} dx - Physical distance between vertices along X
+ * @param {number} dy - Physical distance between vertices along Y
+ * @returns {Object} Mesh with `vertices` (Float32Array) and `triangles` (Uint32Array)
+ */
+function* buildSimplifiedHeightmapMesh(heights, width, height, dx, dy) {
+    const cellsX = width - 1;
+    const cellsY = height - 1;
+
+    // --- 1. Classify cells: solid cells have four opaque corners, flat ones a single height ---
+    const solid = new Uint8Array(cellsX * cellsY);
+    const flat = new Uint8Array(cellsX * cellsY);
+    for (let cj = 0; cj < cellsY; cj++) {
+        for (let ci = 0; ci < cellsX; ci++) {
+            const h00 = heights[cj * width + ci];
+            const h10 = heights[cj * width + ci + 1];
+            const h01 = heights[(cj + 1) * width + ci];
+            const h11 = heights[(cj + 1) * width + ci + 1];
+            if (isNaN(h00) || isNaN(h10) || isNaN(h01) || isNaN(h11)) continue;
+            solid[cj * cellsX + ci] = 1;
+            flat[cj * cellsX + ci] = h10 === h00 && h01 === h00 && h11 === h00 ? 1 : 0;
+        }
+    }
+    const isSolid = (ci, cj) => ci >= 0 && cj >= 0 && ci < cellsX && cj < cellsY && solid[cj * cellsX + ci] === 1;
+    yield 0.1;
+
+    // --- 2. Greedy merge into rectangles: flat cells for the top, all solid cells for the bottom ---
+    // Flat cells that share an edge share its two vertices, so they are at the same height
+    function* mergeRectangles(mask) {
+        const rects = [];
+        const covered = new Uint8Array(cellsX * cellsY);
+        const canMerge = q => mask[q] && !covered[q];
+        for (let cj = 0; cj < cellsY; cj++) {
+            for (let ci = 0; ci < cellsX; ci++) {
+                const start = cj * cellsX + ci;
+                if (!canMerge(start)) continue;
+
+                // Grow along the row, then add rows while the whole span still matches
+                let rectWidth = 1;
+                while (ci + rectWidth < cellsX && canMerge(start + rectWidth)) rectWidth++;
+                let rectHeight = 1;
+                while (cj + rectHeight < cellsY) {
+                    const rowStart = (cj + rectHeight) * cellsX + ci;
+                    let matches = true;
+                    for (let k = 0; k < rectWidth && matches; k++) matches = canMerge(rowStart + k);
+                    if (!matches) break;
+                    rectHeight++;
+                }
+
+                for (let r = 0; r < rectHeight; r++) {
+                    covered.fill(1, start + r * cellsX, start + r * cellsX + rectWidth);
+                }
+                rects.push([ci, cj, ci + rectWidth, cj + rectHeight]);
+            }
+            yield (cj + 1) / cellsY;
+        }
+        return rects;
+    }
+    const topRects = yield* scaleProgress(mergeRectangles(flat), 0.1, 0.25);
+    const bottomRects = yield* scaleProgress(mergeRectangles(solid), 0.35, 0.25);
+
+    // --- 3. Mark the grid vertices that some face actually uses ---
+    // Every face has to include all marked vertices on its outline, otherwise
+    // neighbouring faces would meet at T-junctions and the mesh would not be closed.
+    const neededTop = new Uint8Array(width * height);
+    const neededBottom = new Uint8Array(width * height);
+    const markCorners = (needed, i0, j0, i1, j1) => {
+        needed[j0 * width + i0] = 1;
+        needed[j0 * width + i1] = 1;
+        needed[j1 * width + i0] = 1;
+        needed[j1 * width + i1] = 1;
+    };
+    for (const [i0, j0, i1, j1] of topRects) markCorners(neededTop, i0, j0, i1, j1);
+    for (const [i0, j0, i1, j1] of bottomRects) markCorners(neededBottom, i0, j0, i1, j1);
+    let slopedCount = 0;
+    for (let cj = 0; cj < cellsY; cj++) {
+        for (let ci = 0; ci < cellsX; ci++) {
+            if (solid[cj * cellsX + ci] && !flat[cj * cellsX + ci]) {
+                markCorners(neededTop, ci, cj, ci + 1, cj + 1);
+                slopedCount++;
+            }
+        }
+    }
+
+    // Straight runs of the outline: cell edges with a solid cell on one side only.
+    // Each run is [start vertex, vertex step, edge count], directed so the solid side is on its left.
+    const runs = [];
+    const collectRuns = (lineCount, edgeCount, side, vertexAt, step) => {
+        for (let line = 0; line <= lineCount; line++) {
+            let runStart = -1;
+            let runSide = 0;
+            for (let e = 0; e <= edgeCount; e++) {
+                // +1 when the solid cell is on the positive side of the edge, -1 when on the negative side
+                const s = e < edgeCount ? side(e, line) : 0;
+                if (s === runSide) continue;
+                if (runSide !== 0) {
+                    runs.push(
+                        runSide > 0
+                            ? [vertexAt(runStart, line), step, e - runStart]
+                            : [vertexAt(e, line), -step, e - runStart]
+                    );
+                }
+                runStart = e;
+                runSide = s;
+            }
+        }
+    };
+    const solidSide = (a, b) => (a === b ? 0 : a ? 1 : -1);
+    // Along X: the solid cell above (+Y) keeps the run heading +X
+    collectRuns(cellsY, cellsX, (ci, j) => solidSide(isSolid(ci, j), isSolid(ci, j - 1)), (ci, j) => j * width + ci, 1);
+    // Along Y: the solid cell on the left (-X) keeps the run heading +Y
+    collectRuns(cellsX, cellsY, (cj, i) => solidSide(isSolid(i - 1, cj), isSolid(i, cj)), (cj, i) => cj * width + i, width);
+
+    // Wall vertices: run ends, points used by the top or bottom, and points where the height changes
+    for (const [start, step, length] of runs) {
+        for (let k = 0; k <= length; k++) {
+            const v = start + k * step;
+            const isEnd = k === 0 || k === length;
+            if (
+                isEnd ||
+                neededTop[v] ||
+                neededBottom[v] ||
+                heights[v - step] !== heights[v] ||
+                heights[v + step] !== heights[v]
+            ) {
+                neededTop[v] = 1;
+                neededBottom[v] = 1;
+            }
+        }
+    }
+    yield 0.65;
+
+    // Outline of a rectangle, counter-clockwise seen from above, including every needed vertex on it
+    const ringOf = ([i0, j0, i1, j1], needed) => {
+        const ring = [];
+        for (let i = i0; i < i1; i++) if (needed[j0 * width + i]) ring.push(j0 * width + i);
+        for (let j = j0; j < j1; j++) if (needed[j * width + i1]) ring.push(j * width + i1);
+        for (let i = i1; i > i0; i--) if (needed[j1 * width + i]) ring.push(j1 * width + i);
+        for (let j = j1; j > j0; j--) if (needed[j * width + i0]) ring.push(j * width + i0);
+        return ring;
+    };
+
+    // --- 4. Allocate the typed arrays up front ---
+    let vertexTotal = 0;
+    for (let v = 0; v < neededTop.length; v++) vertexTotal += neededTop[v] + neededBottom[v];
+    let triangleCount = 2 * slopedCount;
+    for (const [rects, needed] of [[topRects, neededTop], [bottomRects, neededBottom]]) {
+        for (const rect of rects) {
+            const ringLength = ringOf(rect, needed).length;
+            triangleCount += ringLength === 4 ? 2 : ringLength;
+            if (ringLength !== 4) vertexTotal++; // Fan centre
+        }
+    }
+    for (const [start, step, length] of runs) {
+        for (let k = 1; k <= length; k++) {
+            if (neededTop[start + k * step]) triangleCount += 2;
+        }
+    }
+    const vertices = new Float32Array(vertexTotal * 3);
+    const triangles = new Uint32Array(triangleCount * 3);
+    let vertexCount = 0;
+    let t = 0;
+
+    const addVertex = (x, y, z) => {
+        vertices[vertexCount * 3] = x;
+        vertices[vertexCount * 3 + 1] = y;
+        vertices[vertexCount * 3 + 2] = z;
+        return vertexCount++;
+    };
+    const addTriangle = (a, b, c) => {
+        triangles[t++] = a;
+        triangles[t++] = b;
+        triangles[t++] = c;
+    };
+
+    // Vertices are created lazily
+    const topIndex = new Int32Array(width * height).fill(-1);
+    const bottomIndex = new Int32Array(width * height).fill(-1);
+    const top = v => {
+        if (topIndex[v] === -1) {
+            topIndex[v] = addVertex((v % width) * dx, Math.floor(v / width) * dy, heights[v]);
+        }
+        return topIndex[v];
+    };
+    const bottom = v => {
+        if (bottomIndex[v] === -1) {
+            bottomIndex[v] = addVertex((v % width) * dx, Math.floor(v / width) * dy, 0);
+        }
+        return bottomIndex[v];
+    };
+
+    // Triangulates a rectangle; the bottom is wound the other way so it faces down
+    const addRectangle = (rect, needed, vertexOf, z, facingUp) => {
+        const ring = ringOf(rect, needed).map(vertexOf);
+        const triangle = (a, b, c) => (facingUp ? addTriangle(a, b, c) : addTriangle(a, c, b));
+        if (ring.length === 4) {
+            const [v00, v10, v11, v01] = ring;
+            triangle(v00, v10, v11);
+            triangle(v00, v11, v01);
+        } else {
+            // Fan around the centre so the extra outline vertices stay connected
+            const [i0, j0, i1, j1] = rect;
+            const centre = addVertex(((i0 + i1) / 2) * dx, ((j0 + j1) / 2) * dy, z);
+            for (let k = 0; k < ring.length; k++) {
+                triangle(centre, ring[k], ring[(k + 1) % ring.length]);
+            }
+        }
+    };
+
+    // --- 5. Top surface ---
+    for (let r = 0; r < topRects.length; r++) {
+        const rect = topRects[r];
+        addRectangle(rect, neededTop, top, heights[rect[1] * width + rect[0]], true);
+        if (r % 1024 === 0) yield 0.65 + (0.15 * r) / topRects.length;
+    }
+    for (let cj = 0; cj < cellsY; cj++) {
+        for (let ci = 0; ci < cellsX; ci++) {
+            if (!solid[cj * cellsX + ci] || flat[cj * cellsX + ci]) continue;
+            // Sloped cell between bands: same split as the full-resolution mesh
+            const v00 = top(cj * width + ci);
+            const v10 = top(cj * width + ci + 1);
+            const v01 = top((cj + 1) * width + ci);
+            const v11 = top((cj + 1) * width + ci + 1);
+            addTriangle(v00, v10, v11);
+            addTriangle(v00, v11, v01);
+        }
+    }
+
+    // --- 6. Bottom surface ---
+    for (let r = 0; r < bottomRects.length; r++) {
+        addRectangle(bottomRects[r], neededBottom, bottom, 0, false);
+        if (r % 1024 === 0) yield 0.8 + (0.15 * r) / bottomRects.length;
+    }
+
+    // --- 7. Side walls (the solid side is on the left, so the outward normal points right) ---
+    for (const [start, step, length] of runs) {
+        let a = start;
+        for (let k = 1; k <= length; k++) {
+            const b = start + k * step;
+            if (!neededTop[b]) continue;
+            addTriangle(bottom(a), bottom(b), top(b));
+            addTriangle(bottom(a), top(b), top(a));
+            a = b;
+        }
+    }
+
+    return { vertices: vertices.subarray(0, vertexCount * 3), triangles };
+}
+
+/**
+ * Writes an indexed mesh as a binary STL file.
+ * @param {Object} mesh - Mesh with flat `vertices` and `triangles` arrays
+ * @returns {ArrayBuffer} Binary STL data
+ */
+function* writeMeshStl(mesh) {
+    const { vertices, triangles } = mesh;
+    const triangleCount = triangles.length / 3;
+    const { buffer, writeTriangle } = createStlWriter(triangleCount);
+
+    for (let t = 0; t < triangles.length; t += 3) {
+        const a = triangles[t] * 3;
+        const b = triangles[t + 1] * 3;
+        const c = triangles[t + 2] * 3;
+        writeTriangle(
+            vertices[a], vertices[a + 1], vertices[a + 2],
+            vertices[b], vertices[b + 1], vertices[b + 2],
+            vertices[c], vertices[c + 1], vertices[c + 2]
+        );
+        if (t % 30000 === 0) yield t / triangles.length;
+    }
+
+    return buffer;
+}
+
+/**
+ * Generates the binary STL for the stepped heightmap.
+ * Mirrors generateStl in main.js; appState and domElements are the serializable copies
+ * posted by the main thread.
+ *
+ * @param {Object} appState - { bandMap, bandLayers, width, height, imageData, lithophane }
+ * @param {Object} domElements - Input values, e.g. { layerHeightInput: { value } }
+ * @param {boolean} simplify - Merge flat regions into large faces
+ * @returns {ArrayBuffer} Binary STL data
+ */
+function* generateStlBuffer(appState, domElements, simplify) {
+    const { bandMap, bandLayers, width: imageWidth, height: imageHeight } = appState;
+    const { layerHeightInput, xSizeInput, ySizeInput } = domElements;
+
+    // --- Model Parameters ---
+    const singleLayerHeight = parseFloat(layerHeightInput.value);
+
+    // Calculate the physical distance between adjacent pixels, as in generateStl in main.js
+    const dx = parseFloat(xSizeInput.value) / imageWidth;
+    const dy = parseFloat(ySizeInput.value) / imageHeight;
+
+    // Layer counts are resolved on the main thread (see getBandLayers in main.js)
+    const bandHeights = getBandHeights(bandLayers, singleLayerHeight);
+
+    // Height of every vertex; image Y is flipped to match the 3D coordinate system.
+    // In lithophane mode the height follows the pixel brightness instead of the color band.
+    let heights;
+    if (appState.lithophane) {
+        heights = getLithophaneHeights(appState.imageData, imageWidth, imageHeight, appState.lithophane);
+    } else {
+        heights = new Float32Array(imageWidth * imageHeight);
+        for (let j = 0; j < imageHeight; j++) {
+            for (let i = 0; i < imageWidth; i++) {
+                const band = bandMap[(imageHeight - 1 - j) * imageWidth + i];
+                heights[j * imageWidth + i] = band === EMPTY_BAND ? NaN : bandHeights[band] || 0;
+            }
+        }
+    }
+
+    if (simplify) {
+        const mesh = yield* scaleProgress(
+            buildSimplifiedHeightmapMesh(heights, imageWidth, imageHeight, dx, dy),
+            0,
+            0.7
+        );
+        return yield* scaleProgress(writeMeshStl(mesh), 0.7, 0.3);
+    }
+    return yield* writeHeightmapStl(heights, imageWidth, imageHeight, dx, dy);
+}
+
+/**
+ * Escapes a string for use inside an XML attribute.
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Lookup table for the CRC-32 checksum used by the ZIP format.
+ */
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculates the CRC-32 checksum of a byte array.
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32 value
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed (stored) ZIP archive.
+ * Mirrors createZipArchive in main.js, returning the bytes instead of a Blob.
+ *
+ * @param {Array<Object>} entries - Files to pack, each { name: string, data: Uint8Array|string }
+ * @returns {ArrayBuffer} The ZIP archive
+ */
+function createZipArchive(entries) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    // DOS date/time stamp for the archive entries
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    entries.forEach(entry => {
+        const nameBytes = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const checksum = crc32(data);
+
+        // Local file header (30 bytes + file name)
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true); // Signature
+        localHeader.setUint16(4, 20, true); // Version needed to extract
+        localHeader.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+        localHeader.setUint16(8, 0, true); // Compression: stored
+        localHeader.setUint16(10, dosTime, true);
+        localHeader.setUint16(12, dosDate, true);
+        localHeader.setUint32(14, checksum, true);
+        localHeader.setUint32(18, data.length, true); // Compressed size
+        localHeader.setUint32(22, data.length, true); // Uncompressed size
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true); // Extra field length
+
+        chunks.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+
+        // Central directory record (46 bytes + file name)
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true); // Signature
+        centralHeader.setUint16(4, 20, true); // Version made by
+        centralHeader.setUint16(6, 20, true); // Version needed to extract
+        centralHeader.setUint16(8, 0x0800, true); // Flags: UTF-8 file names
+        centralHeader.setUint16(10, 0, true); // Compression: stored
+        centralHeader.setUint16(12, dosTime, true);
+        centralHeader.setUint16(14, dosDate, true);
+        centralHeader.setUint32(16, checksum, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+        centralDirectory.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    // End of central directory record (22 bytes)
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // Signature
+    end.setUint16(8, entries.length, true); // Entries on this disk
+    end.setUint16(10, entries.length, true); // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...chunks, ...centralDirectory, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        archive.set(part, position);
+        position += part.length;
+    }
+    return archive.buffer;
+}
+
+/**
+ * Writes the band meshes as the 3MF core model XML, in the same layout as build3mfModelXml in
+ * main.js. The text is encoded in chunks, so a large model never sits in one huge string.
+ *
+ * @param {Array<Object>} bands - Band meshes, each { name, color, vertices, triangles }
+ * @returns {Uint8Array} The UTF-8 encoded 3D/3dmodel.model document
+ */
+function* write3mfModel(bands) {
+    const materialsId = 1;
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let text = '';
+    const write = line => {
+        text += line + '\n';
+        if (text.length > 1 << 20) {
+            chunks.push(encoder.encode(text));
+            text = '';
+        }
+    };
+
+    // Every vertex and triangle counts the same towards the progress
+    const total = bands.reduce((sum, band) => sum + band.vertices.length / 3 + band.triangles.length / 3, 0) || 1;
+    let written = 0;
+
+    write('<?xml version="1.0" encoding="UTF-8"?>');
+    write('<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">');
+    write('<metadata name="Application">ColorStack</metadata>');
+    write('<resources>');
+
+    // Palette colors as base materials
+    write(`<basematerials id="${materialsId}">`);
+    bands.forEach(band => {
+        write(`<base name="${escapeXml(band.name)}" displaycolor="${band.color.toUpperCase()}FF"/>`);
+    });
+    write('</basematerials>');
+
+    // One mesh object per band
+    for (let index = 0; index < bands.length; index++) {
+        const { name, vertices, triangles } = bands[index];
+        const objectId = materialsId + 1 + index;
+        write(`<object id="${objectId}" name="${escapeXml(name)}" type="model" pid="${materialsId}" pindex="${index}">`);
+        write('<mesh><vertices>');
+        for (let v = 0; v < vertices.length; v += 3) {
+            write(`<vertex x="${+vertices[v].toFixed(4)}" y="${+vertices[v + 1].toFixed(4)}" z="${+vertices[v + 2].toFixed(4)}"/>`);
+            if (++written % 20000 === 0) yield written / total;
+        }
+        write('</vertices><triangles>');
+        for (let t = 0; t < triangles.length; t += 3) {
+            write(`<triangle v1="${triangles[t]}" v2="${triangles[t + 1]}" v3="${triangles[t + 2]}"/>`);
+            if (++written % 20000 === 0) yield written / total;
+        }
+        write('</triangles></mesh></object>');
+    }
+
+    // Parent object that groups every band as a part of one model
+    const assemblyId = materialsId + 1 + bands.length;
+    write(`<object id="${assemblyId}" name="ColorStack" type="model"><components>`);
+    bands.forEach((band, index) => {
+        write(`<component objectid="${materialsId + 1 + index}"/>`);
+    });
+    write('</components></object>');
+
+    write('</resources>');
+    write(`<build><item objectid="${assemblyId}"/></build>`);
+    write('</model>');
+    chunks.push(encoder.encode(text));
+
+    const model = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+        model.set(chunk, position);
+        position += chunk.length;
+    }
+    return model;
+}
+
+/**
+ * Generates the 3MF package for the band meshes built on the main thread.
+ * Mirrors generate3mf in main.js.
+ *
+ * @param {Array<Object>} bands - Band meshes, each { name, color, vertices, triangles }
+ * @returns {ArrayBuffer} The 3MF package
+ */
+function* generate3mfBuffer(bands) {
+    const model = yield* scaleProgress(write3mfModel(bands), 0, 0.95);
+    const contentTypes =
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>' +
+        '</Types>';
+    const relationships =
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>' +
+        '</Relationships>';
+
+    return createZipArchive([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: relationships },
+        { name: '3D/3dmodel.model', data: model },
+    ]);
+}
+
+// Export currently running, so a cancel message can stop it
+let activeExport = null;
+
+/**
+ * Runs an export generator in slices, yielding to the event loop between slices so
+ * progress can be posted and cancel messages received.
+ * @param {number} jobId - Id of the export request
+ * @param {Generator} generator - Export generator returning an ArrayBuffer (STL or 3MF)
+ */
+async function runExport(jobId, generator) {
+    const job = { jobId, cancelled: false };
+    activeExport = job;
+
+    try {
+        let sliceStart = Date.now();
+        let step = generator.next();
+        while (!step.done) {
+            // Hand control back roughly every 50ms
+            if (Date.now() - sliceStart > 50) {
+                self.postMessage({ type: 'export_progress', data: { jobId, progress: step.value } });
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (job.cancelled) {
+                    self.postMessage({ type: 'export_cancelled', data: { jobId } });
+                    return;
+                }
+                sliceStart = Date.now();
+            }
+            step = generator.next();
+        }
+
+        const buffer = step.value;
+        self.postMessage({ type: 'exported', data: { jobId, buffer } }, [buffer]);
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            data: {
+                jobId,
+                message: 'Export failed: ' + error.message,
+            },
+        });
+    } finally {
+        if (activeExport === job) activeExport = null;
+    }
+}
+
+// Set up message listener for the worker
+self.onmessage = function (e) {
+    const { type, data } = e.data;
+
+    if (type === 'export_stl') {
+        const { jobId, appState, domElements, simplify } = data;
+        runExport(jobId, generateStlBuffer(appState, domElements, simplify));
+    } else if (type === 'export_3mf') {
+        runExport(data.jobId, generate3mfBuffer(data.bands));
+    } else if (type === 'cancel_export') {
+        if (activeExport && activeExport.jobId === data.jobId) {
+            activeExport.cancelled = true;
+        }
+    } else {
+        // Unknown message type
+        self.postMessage({
+            type: 'error',
+            data: {
+                message: 'Unknown message type: ' + type,
+            },
+        });
+    }
+};
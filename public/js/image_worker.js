@@ -7,6 +7,12 @@
 // Import all functions from image_processor.js (without export statements)
 // These functions will be local to the worker's scope
 
+// Band index of transparent pixels in the bandMap; they are left out of the model
+const EMPTY_BAND = -1;
+
+// Pixels with an alpha value below this are treated as transparent
+const ALPHA_THRESHOLD = 128;
+
 /**
  * Converts a hex color string to RGB object.
  * @param {string} hex - Hex color string (e.g., "#FF0000")
@@ -38,19 +44,67 @@ function getLuminance(hex) {
     return 0.299 * r + 0.587 * g + 0.114 * b;
 }
 
+// Color difference used for band assignment, filament matching and duplicate checks:
+// 'rgb' (squared RGB distance), 'cie76' or 'ciede2000' (Delta E in CIELAB)
+const COLOR_METRICS = ['rgb', 'cie76', 'ciede2000'];
+let colorMetric = 'rgb';
+
+// Below this distance two colors count as the same, in the units of each metric
+const SIMILAR_COLOR_THRESHOLDS = { rgb: 10000, cie76: 30, ciede2000: 20 };
+
+// CIELAB values of the colors compared so far, keyed by packed 24-bit RGB
+const labCache = new Map();
+const LAB_CACHE_LIMIT = 1 << 18;
+
 /**
- * Calculates the squared Euclidean distance between two colors in RGB space.
- * Simple but effective for color matching.
+ * Selects the color metric used by colorDistance.
+ * @param {string} metric - 'rgb', 'cie76' or 'ciede2000'; anything else falls back to 'rgb'
+ */
+function setColorMetric(metric) {
+    colorMetric = COLOR_METRICS.includes(metric) ? metric : 'rgb';
+}
+
+/**
+ * Calculates the distance between two colors with the selected color metric.
+ * The values are only comparable with other results of the same metric.
  * @param {Array<number>} c1 - First color [r, g, b]
  * @param {Array<number>} c2 - Second color [r, g, b]
- * @returns {number} The squared distance.
+ * @returns {number} Squared RGB distance or Delta E, depending on the metric
  */
 function colorDistance(c1, c2) {
-    const rDiff = c1[0] - c2[0];
-    const gDiff = c1[1] - c2[1];
-    const bDiff = c1[2] - c2[2];
+    if (colorMetric === 'rgb') {
+        const rDiff = c1[0] - c2[0];
+        const gDiff = c1[1] - c2[1];
+        const bDiff = c1[2] - c2[2];
+
+        return rDiff * rDiff + gDiff * gDiff + bDiff * bDiff;
+    }
 
-    return rDiff * rDiff + gDiff * gDiff + bDiff * bDiff;
+    const lab1 = getCachedLab(c1);
+    const lab2 = getCachedLab(c2);
+    return colorMetric === 'ciede2000' ? calculateDeltaE2000(lab1, lab2) : calculateDeltaE(lab1, lab2);
+}
+
+/**
+ * Converts an RGB color to CIELAB, reusing the result for colors that were seen before.
+ * Components are rounded and clamped to 0-255 first (dithering can push them outside).
+ * @param {Array<number>} color - Color [r, g, b]
+ * @returns {Object} LAB color values {l, a, b}
+ */
+function getCachedLab(color) {
+    const r = Math.min(255, Math.max(0, Math.round(color[0])));
+    const g = Math.min(255, Math.max(0, Math.round(color[1])));
+    const b = Math.min(255, Math.max(0, Math.round(color[2])));
+    const key = (r << 16) | (g << 8) | b;
+
+    let lab = labCache.get(key);
+    if (!lab) {
+        // Keep memory bounded on photos with millions of distinct colors
+        if (labCache.size >= LAB_CACHE_LIMIT) labCache.clear();
+        lab = rgbToLab(r, g, b);
+        labCache.set(key, lab);
+    }
+    return lab;
 }
 
 /**
@@ -160,6 +214,75 @@ function calculateDeltaE(lab1, lab2) {
     return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
 }
 
+/**
+ * Calculates the CIEDE2000 color difference between two colors in CIELAB space.
+ * Corrects CIE76 for the eye's lower sensitivity to chroma differences in saturated colors
+ * and for the hue shifts around blue, which keeps skin tones and dark blues apart.
+ * @param {Object} lab1 - First color in LAB space {l, a, b}
+ * @param {Object} lab2 - Second color in LAB space {l, a, b}
+ * @returns {number} Delta E 2000 distance (higher = more perceptually different)
+ */
+function calculateDeltaE2000(lab1, lab2) {
+    const toRadians = Math.PI / 180;
+    const pow25To7 = 6103515625; // 25^7
+
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25To7)));
+
+    const a1 = lab1.a * (1 + g);
+    const a2 = lab2.a * (1 + g);
+    const cPrime1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+    const cPrime2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+    const hue = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / toRadians;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1 = hue(lab1.b, a1);
+    const h2 = hue(lab2.b, a2);
+
+    const deltaL = lab2.l - lab1.l;
+    const deltaC = cPrime2 - cPrime1;
+    let deltaHue = 0;
+    if (cPrime1 * cPrime2 !== 0) {
+        deltaHue = h2 - h1;
+        if (deltaHue > 180) deltaHue -= 360;
+        else if (deltaHue < -180) deltaHue += 360;
+    }
+    const deltaH = 2 * Math.sqrt(cPrime1 * cPrime2) * Math.sin((deltaHue / 2) * toRadians);
+
+    const lMean = (lab1.l + lab2.l) / 2;
+    const cPrimeMean = (cPrime1 + cPrime2) / 2;
+    let hMean = h1 + h2;
+    if (cPrime1 * cPrime2 !== 0) {
+        if (Math.abs(h1 - h2) <= 180) hMean /= 2;
+        else hMean = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+    }
+
+    const t =
+        1 -
+        0.17 * Math.cos((hMean - 30) * toRadians) +
+        0.24 * Math.cos(2 * hMean * toRadians) +
+        0.32 * Math.cos((3 * hMean + 6) * toRadians) -
+        0.2 * Math.cos((4 * hMean - 63) * toRadians);
+    const lMean50 = (lMean - 50) * (lMean - 50);
+    const sL = 1 + (0.015 * lMean50) / Math.sqrt(20 + lMean50);
+    const sC = 1 + 0.045 * cPrimeMean;
+    const sH = 1 + 0.015 * cPrimeMean * t;
+    const cPrimeMean7 = Math.pow(cPrimeMean, 7);
+    const rotation =
+        -2 *
+        Math.sqrt(cPrimeMean7 / (cPrimeMean7 + pow25To7)) *
+        Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * toRadians);
+
+    const l = deltaL / sL;
+    const c = deltaC / sC;
+    const h = deltaH / sH;
+    return Math.sqrt(l * l + c * c + h * h + rotation * c * h);
+}
+
 /**
  * Performs Sobel edge detection on image data to identify edges.
  * @param {Uint8ClampedArray} imageData - Raw RGBA image data
@@ -212,13 +335,41 @@ function sobelEdgeDetection(imageData, width, height) {
     return edges;
 }
 
+// Saliency of a pixel the user painted as important; the center of the image scores 1
+const PAINTED_SALIENCY = 4;
+// Share of the center bias kept when the painted map is blended with it, so the paint still leads
+const BLENDED_CENTER_SHARE = 0.25;
+
+/**
+ * Weighs where a pixel is. Without an importance map the subject is assumed to be near the
+ * center of the image; a painted map replaces that guess or, when blended, adds a weakened
+ * center bias to it.
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object|null} importance - { mask, blend } from the importance map, or null
+ * @returns {number} Saliency weight, 0 for pixels that don't matter
+ */
+function getSaliencyWeight(x, y, width, height, importance) {
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY); // Distance to corner
+    const distanceFromCenter = Math.sqrt((x - centerX) * (x - centerX) + (y - centerY) * (y - centerY));
+    const centerWeight = 1.0 - distanceFromCenter / maxDistance;
+    if (!importance) return centerWeight;
+
+    const paintedWeight = importance.mask[y * width + x] ? PAINTED_SALIENCY : 0;
+    return importance.blend ? paintedWeight + centerWeight * BLENDED_CENTER_SHARE : paintedWeight;
+}
+
 /**
  * Finds the most perceptually distinct colors using the Subject-Aware Maximal Color Distinction algorithm.
  * This hybrid algorithm combines visual impact scoring, center-biased saliency, and CIELAB perceptual 
  * distance optimization to prioritize important subject colors over background colors.
  *
  * The Subject-Aware Maximal Color Distinction algorithm works by:
- * 1. Calculate center-biased saliency weights to prioritize central subjects
+ * 1. Calculate saliency weights to prioritize the subject: central pixels, or the painted importance map
  * 2. Generate a large pool of impactful candidate colors with enhanced scoring (4x oversampling)
  * 3. Convert all candidates to CIELAB color space for perceptual accuracy
  * 4. Use Farthest Point Selection to choose the most distinct colors
@@ -228,9 +379,10 @@ function sobelEdgeDetection(imageData, width, height) {
  * @param {number} width - Image width in pixels
  * @param {number} height - Image height in pixels
  * @param {number} numColors - The number of colors to extract
+ * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
  * @returns {Array<Array<number>>} An array of the most distinct colors, each as an [r, g, b] array
  */
-function getImpactfulColors(data, width, height, numColors) {
+function getImpactfulColors(data, width, height, numColors, importance = null) {
     // Step 1: Oversample - generate a large pool of candidate colors
     const candidateCount = Math.min(numColors * 4, 64); // Generate 4x candidates, max 64
     
@@ -238,13 +390,11 @@ function getImpactfulColors(data, width, height, numColors) {
     const edgeData = sobelEdgeDetection(data, width, height);
     const colorHistogram = new Map();
     
-    // Calculate center coordinates and maximum distance for saliency weighting
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY); // Distance to corner
-    
     // Sample pixels - use every 4th pixel for performance while maintaining quality
     for (let i = 0; i < data.length; i += 16) {
+        // Transparent pixels are not part of the print
+        if (data[i + 3] < ALPHA_THRESHOLD) continue;
+
         const pixelIndex = i / 4;
         const r = data[i];
         const g = data[i + 1];
@@ -255,11 +405,8 @@ function getImpactfulColors(data, width, height, numColors) {
         const x = pixelIndex % width;
         const y = Math.floor(pixelIndex / width);
         
-        // Calculate center-biased saliency weight
-        const distanceFromCenter = Math.sqrt(
-            (x - centerX) * (x - centerX) + (y - centerY) * (y - centerY)
-        );
-        const saliencyWeight = 1.0 - (distanceFromCenter / maxDistance);
+        // Calculate the saliency weight: center bias or the painted importance map
+        const saliencyWeight = getSaliencyWeight(x, y, width, height, importance);
         
         // Calculate enhanced impact score with saliency weighting
         const saturation = getSaturation(r, g, b);
@@ -376,6 +523,10 @@ function getImpactfulColors(data, width, height, numColors) {
     
     // Create temporary bandMap by assigning each pixel to the closest color in finalPaletteRGB
     for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        if (data[i + 3] < ALPHA_THRESHOLD) {
+            tempBandMap[j] = EMPTY_BAND;
+            continue;
+        }
         const pixelColor = [data[i], data[i + 1], data[i + 2]];
         
         // Find the closest color in the final palette
@@ -582,6 +733,7 @@ function findDistinctColor(usedColors, imageData) {
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
         // Pick a random pixel
         const pixelIndex = Math.floor(Math.random() * (imageData.length / 4)) * 4;
+        if (imageData[pixelIndex + 3] < ALPHA_THRESHOLD) continue; // Skip transparent pixels
         const r = imageData[pixelIndex];
         const g = imageData[pixelIndex + 1];
         const b = imageData[pixelIndex + 2];
@@ -594,7 +746,7 @@ function findDistinctColor(usedColors, imageData) {
             const distance = colorDistance([r, g, b], [ur, ug, ub]);
 
             // If the distance is too small, this color is too similar
-            if (distance < 10000) {
+            if (distance < SIMILAR_COLOR_THRESHOLDS[colorMetric]) {
                 // Threshold for "similar" colors
                 isDistinct = false;
                 break;
@@ -620,14 +772,15 @@ function findDistinctColor(usedColors, imageData) {
  * @param {number} bands - Number of dominant colors to extract
  * @param {number} width - Image width in pixels
  * @param {number} height - Image height in pixels
+ * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
  * @returns {Array<string>} Array of hex color strings representing dominant colors
  */
-function getSuggestedColors(imageData, bands, width, height) {
+function getSuggestedColors(imageData, bands, width, height, importance = null) {
     // Preprocess the image data to group very similar colors together
     const preprocessedData = preprocessImageData(imageData);
 
     // Use Impactful Color algorithm to find visually important colors
-    const dominantColors = getImpactfulColors(preprocessedData, width, height, bands);
+    const dominantColors = getImpactfulColors(preprocessedData, width, height, bands, importance);
     // Convert the [r,g,b] arrays to hex strings and ensure uniqueness
     const hexColors = dominantColors.map(c => rgbToHex(c[0], c[1], c[2]));
     return ensureUniqueColors(hexColors, imageData);
@@ -681,7 +834,10 @@ function detectBackgroundColor(imageData, width, height) {
     
     // Step 2: Check if corner colors are similar (within threshold)
     const colorDistanceThreshold = 1000; // Threshold for RGB squared distance
-    let cornersAreSimilar = true;
+    // Transparent corners say nothing about the color of the printed part
+    let cornersAreSimilar = [topLeftIndex, topRightIndex, bottomLeftIndex, bottomRightIndex].every(
+        index => imageData[index + 3] >= ALPHA_THRESHOLD
+    );
     
     // Convert corner colors to CIELAB for more accurate comparison
     const cornerColorsLab = cornerColors.map(color => rgbToLab(color[0], color[1], color[2]));
@@ -716,7 +872,9 @@ function detectBackgroundColor(imageData, width, height) {
         const topIndex = (x + 0 * width) * 4;
         const topColor = [imageData[topIndex], imageData[topIndex + 1], imageData[topIndex + 2]];
         const topKey = topColor.join(',');
-        colorCounts.set(topKey, (colorCounts.get(topKey) || 0) + 1);
+        if (imageData[topIndex + 3] >= ALPHA_THRESHOLD) {
+            colorCounts.set(topKey, (colorCounts.get(topKey) || 0) + 1);
+        }
 
         // Bottom row
         const bottomIndex = (x + (height - 1) * width) * 4;
@@ -726,7 +884,9 @@ function detectBackgroundColor(imageData, width, height) {
             imageData[bottomIndex + 2],
         ];
         const bottomKey = bottomColor.join(',');
-        colorCounts.set(bottomKey, (colorCounts.get(bottomKey) || 0) + 1);
+        if (imageData[bottomIndex + 3] >= ALPHA_THRESHOLD) {
+            colorCounts.set(bottomKey, (colorCounts.get(bottomKey) || 0) + 1);
+        }
     }
 
     // Left and right columns (excluding corners to avoid double counting)
@@ -739,7 +899,9 @@ function detectBackgroundColor(imageData, width, height) {
             imageData[leftIndex + 2],
         ];
         const leftKey = leftColor.join(',');
-        colorCounts.set(leftKey, (colorCounts.get(leftKey) || 0) + 1);
+        if (imageData[leftIndex + 3] >= ALPHA_THRESHOLD) {
+            colorCounts.set(leftKey, (colorCounts.get(leftKey) || 0) + 1);
+        }
 
         // Right column
         const rightIndex = (width - 1 + y * width) * 4;
@@ -749,7 +911,18 @@ function detectBackgroundColor(imageData, width, height) {
             imageData[rightIndex + 2],
         ];
         const rightKey = rightColor.join(',');
-        colorCounts.set(rightKey, (colorCounts.get(rightKey) || 0) + 1);
+        if (imageData[rightIndex + 3] >= ALPHA_THRESHOLD) {
+            colorCounts.set(rightKey, (colorCounts.get(rightKey) || 0) + 1);
+        }
+    }
+
+    // Fully transparent border (e.g. a logo cutout): use the most frequent opaque color instead
+    if (colorCounts.size === 0) {
+        for (let i = 0; i < imageData.length; i += 16) {
+            if (imageData[i + 3] < ALPHA_THRESHOLD) continue;
+            const key = `${imageData[i]},${imageData[i + 1]},${imageData[i + 2]}`;
+            colorCounts.set(key, (colorCounts.get(key) || 0) + 1);
+        }
     }
 
     // Find the most frequent color
@@ -766,6 +939,896 @@ function detectBackgroundColor(imageData, width, height) {
     return mostFrequentColor;
 }
 
+const QUANTIZATION_ALGORITHMS = ['impactful', 'kmeans', 'median-cut', 'octree'];
+
+/**
+ * Collects every 4th opaque pixel of an image as [r, g, b], like kMeans in image_processor.js.
+ * With a painted importance map every pixel is collected as many times as its saliency factor in
+ * getImpactfulColors, so the painted subject weighs more in every quantizer.
+ * @param {Uint8ClampedArray} data - The RGBA image data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
+ * @returns {Array<Array<number>>} Sampled pixel colors
+ */
+function samplePixels(data, width, height, importance = null) {
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 16) {
+        // Transparent pixels are not part of the print
+        if (data[i + 3] < ALPHA_THRESHOLD) continue;
+        const pixel = [data[i], data[i + 1], data[i + 2]];
+        let copies = 1;
+        if (importance) {
+            const pixelIndex = i / 4;
+            const x = pixelIndex % width;
+            const y = Math.floor(pixelIndex / width);
+            copies = Math.round(1 + getSaliencyWeight(x, y, width, height, importance) * 1.5);
+        }
+        for (let copy = 0; copy < copies; copy++) pixels.push(pixel);
+    }
+    return pixels;
+}
+
+/**
+ * Finds the dominant colors with k-means clustering in CIELAB space, so clusters follow perceived
+ * color differences rather than RGB distances. Each cluster is returned as the mean RGB color of its
+ * pixels. Suits photos with smooth gradients.
+ *
+ * @param {Uint8ClampedArray} data - The RGBA image data
+ * @param {number} k - The number of colors to find
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object|null} [importance=null] - Painted importance map (see samplePixels)
+ * @returns {Array<Array<number>>} The k dominant colors as [r, g, b] arrays
+ */
+function kMeansLab(data, k, width, height, importance = null) {
+    const maxIterations = 20;
+    const pixels = samplePixels(data, width, height, importance);
+    if (pixels.length <= k) return pixels;
+
+    const labs = pixels.map(([r, g, b]) => {
+        const lab = rgbToLab(r, g, b);
+        return [lab.l, lab.a, lab.b];
+    });
+    const labDistance = (p, q) =>
+        (p[0] - q[0]) * (p[0] - q[0]) + (p[1] - q[1]) * (p[1] - q[1]) + (p[2] - q[2]) * (p[2] - q[2]);
+
+    // Deterministic k-means++ seeding: always take the pixel farthest from the chosen centroids
+    const centroids = [labs[0].slice()];
+    const nearestDistance = labs.map(lab => labDistance(lab, centroids[0]));
+    while (centroids.length < k) {
+        let farthest = 0;
+        for (let i = 1; i < labs.length; i++) {
+            if (nearestDistance[i] > nearestDistance[farthest]) farthest = i;
+        }
+        if (nearestDistance[farthest] === 0) break; // Fewer distinct colors than k
+        centroids.push(labs[farthest].slice());
+        for (let i = 0; i < labs.length; i++) {
+            nearestDistance[i] = Math.min(nearestDistance[i], labDistance(labs[i], labs[farthest]));
+        }
+    }
+
+    const assignments = new Int32Array(labs.length);
+    for (let iter = 0; iter < maxIterations; iter++) {
+        // --- Assignment Step ---
+        let changed = false;
+        for (let i = 0; i < labs.length; i++) {
+            let minDistance = Infinity;
+            let closest = 0;
+            for (let j = 0; j < centroids.length; j++) {
+                const distance = labDistance(labs[i], centroids[j]);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    closest = j;
+                }
+            }
+            if (assignments[i] !== closest) changed = true;
+            assignments[i] = closest;
+        }
+        if (!changed && iter > 0) break;
+
+        // --- Update Step ---
+        const sums = centroids.map(() => [0, 0, 0]);
+        const counts = new Array(centroids.length).fill(0);
+        for (let i = 0; i < labs.length; i++) {
+            const sum = sums[assignments[i]];
+            sum[0] += labs[i][0];
+            sum[1] += labs[i][1];
+            sum[2] += labs[i][2];
+            counts[assignments[i]]++;
+        }
+        for (let j = 0; j < centroids.length; j++) {
+            if (counts[j] > 0) centroids[j] = sums[j].map(v => v / counts[j]);
+        }
+    }
+
+    // Report each cluster as the mean RGB color of its pixels
+    const rgbSums = centroids.map(() => [0, 0, 0, 0]);
+    for (let i = 0; i < pixels.length; i++) {
+        const sum = rgbSums[assignments[i]];
+        sum[0] += pixels[i][0];
+        sum[1] += pixels[i][1];
+        sum[2] += pixels[i][2];
+        sum[3]++;
+    }
+    return rgbSums
+        .filter(sum => sum[3] > 0)
+        .map(sum => [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]].map(Math.round));
+}
+
+/**
+ * Finds the dominant colors with median cut: the box of pixels with the widest color range is
+ * split at the median of that channel until there are k boxes. Keeps large flat areas intact,
+ * which suits logos and flat artwork.
+ *
+ * @param {Uint8ClampedArray} data - The RGBA image data
+ * @param {number} k - The number of colors to find
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object|null} [importance=null] - Painted importance map (see samplePixels)
+ * @returns {Array<Array<number>>} The mean color of each box as [r, g, b] arrays
+ */
+function medianCut(data, k, width, height, importance = null) {
+    const pixels = samplePixels(data, width, height, importance);
+    if (pixels.length === 0) return [];
+
+    const describe = boxPixels => {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        for (const pixel of boxPixels) {
+            for (let c = 0; c < 3; c++) {
+                if (pixel[c] < min[c]) min[c] = pixel[c];
+                if (pixel[c] > max[c]) max[c] = pixel[c];
+            }
+        }
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { pixels: boxPixels, channel, range: ranges[channel] };
+    };
+
+    const boxes = [describe(pixels)];
+    while (boxes.length < k) {
+        // Split the box whose widest channel covers the most color, weighted by its size
+        let target = -1;
+        let bestScore = 0;
+        boxes.forEach((box, index) => {
+            const score = box.range * box.pixels.length;
+            if (box.pixels.length > 1 && score > bestScore) {
+                bestScore = score;
+                target = index;
+            }
+        });
+        if (target === -1) break; // Every box holds a single color
+
+        const { pixels: boxPixels, channel } = boxes[target];
+        boxPixels.sort((p, q) => p[channel] - q[channel]);
+        const median = boxPixels.length >> 1;
+        boxes.splice(target, 1, describe(boxPixels.slice(0, median)), describe(boxPixels.slice(median)));
+    }
+
+    return boxes.map(box => {
+        const sum = [0, 0, 0];
+        for (const pixel of box.pixels) {
+            sum[0] += pixel[0];
+            sum[1] += pixel[1];
+            sum[2] += pixel[2];
+        }
+        return sum.map(v => Math.round(v / box.pixels.length));
+    });
+}
+
+/**
+ * Finds the dominant colors with an octree: pixels are sorted into a tree by the bits of their
+ * RGB values, then the least used leaves are merged into their parents until k leaves remain.
+ * Keeps small but distinct accents, which suits illustrations with a few strong colors.
+ *
+ * @param {Uint8ClampedArray} data - The RGBA image data
+ * @param {number} k - The number of colors to find
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object|null} [importance=null] - Painted importance map (see samplePixels)
+ * @returns {Array<Array<number>>} The mean color of each leaf as [r, g, b] arrays
+ */
+function octreeQuantize(data, k, width, height, importance = null) {
+    const maxDepth = 6; // Deeper levels only separate colors no filament could tell apart
+    const createNode = () => ({ r: 0, g: 0, b: 0, count: 0, children: null });
+    const root = createNode();
+    const levels = Array.from({ length: maxDepth }, () => []); // Inner nodes per depth
+
+    for (const [r, g, b] of samplePixels(data, width, height, importance)) {
+        let node = root;
+        for (let depth = 0; depth < maxDepth; depth++) {
+            const shift = 7 - depth;
+            const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+            if (!node.children) {
+                node.children = new Array(8).fill(null);
+                levels[depth].push(node);
+            }
+            if (!node.children[index]) node.children[index] = createNode();
+            node = node.children[index];
+        }
+        node.r += r;
+        node.g += g;
+        node.b += b;
+        node.count++;
+    }
+
+    const collectLeaves = (node, leaves) => {
+        if (!node.children) {
+            if (node.count > 0) leaves.push(node);
+            return leaves;
+        }
+        node.children.forEach(child => child && collectLeaves(child, leaves));
+        return leaves;
+    };
+
+    let leafCount = collectLeaves(root, []).length;
+    // Merge the deepest, least used nodes first, skipping merges that would leave fewer than k colors
+    for (let depth = maxDepth - 1; depth >= 0 && leafCount > k; depth--) {
+        const nodes = levels[depth]
+            .filter(node => node.children)
+            .map(node => {
+                const leaves = collectLeaves(node, []);
+                return { node, leaves, pixels: leaves.reduce((sum, leaf) => sum + leaf.count, 0) };
+            });
+        nodes.sort((p, q) => p.pixels - q.pixels);
+        for (const { node, leaves } of nodes) {
+            if (leafCount <= k) break;
+            if (leafCount - (leaves.length - 1) < k) continue;
+            for (const leaf of leaves) {
+                node.r += leaf.r;
+                node.g += leaf.g;
+                node.b += leaf.b;
+                node.count += leaf.count;
+            }
+            node.children = null;
+            leafCount -= leaves.length - 1;
+        }
+    }
+
+    // Whatever the tree could not merge evenly is merged pairwise, closest colors first
+    const colors = collectLeaves(root, []).map(leaf => ({
+        color: [leaf.r / leaf.count, leaf.g / leaf.count, leaf.b / leaf.count],
+        count: leaf.count,
+    }));
+    while (colors.length > k) {
+        let pair = [0, 1];
+        let minDistance = Infinity;
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                const distance = colorDistance(colors[i].color, colors[j].color);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    pair = [i, j];
+                }
+            }
+        }
+        const [first, second] = [colors[pair[0]], colors[pair[1]]];
+        const count = first.count + second.count;
+        first.color = first.color.map((v, c) => (v * first.count + second.color[c] * second.count) / count);
+        first.count = count;
+        colors.splice(pair[1], 1);
+    }
+
+    return colors.map(({ color }) => color.map(Math.round));
+}
+
+/**
+ * Orders a palette for stacking: the color closest to the image background becomes the base
+ * and the remaining colors follow from darkest to lightest.
+ * @param {Array<string>} palette - Hex colors
+ * @param {Array<number>} backgroundColor - RGB background color from detectBackgroundColor
+ * @returns {Array<string>} Reordered copy of the palette
+ */
+function orderPaletteForStacking(palette, backgroundColor) {
+    if (palette.length === 0) return [];
+
+    let closestIndex = 0;
+    let minDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+        const rgb = hexToRgb(palette[i]);
+        const distance = colorDistance(backgroundColor, [rgb.r, rgb.g, rgb.b]);
+        if (distance < minDistance) {
+            minDistance = distance;
+            closestIndex = i;
+        }
+    }
+
+    const remainingColors = palette.filter((color, index) => index !== closestIndex);
+    remainingColors.sort((a, b) => getLuminance(a) - getLuminance(b));
+    return [palette[closestIndex]].concat(remainingColors);
+}
+
+/**
+ * Puts the pinned colors into a generated palette. The generated colors only fill the slots the
+ * pins leave: starting from the pins, the generated color that lowers the image error most is kept
+ * until those slots are full, so a generated color the pins already cover is left out rather than
+ * a distinct one. Each pin then takes the slot of the left-out color closest to it, so the band
+ * order stays as generated. When there are more pins than bands, the latest pins are kept.
+ * @param {Array<string>} palette - Generated hex colors
+ * @param {Array<string>} pinnedColors - Hex colors the user pinned
+ * @param {Uint8ClampedArray} imageData - RGBA pixels the palette was generated from
+ * @returns {Array<string>} Copy of the palette with the pins in it
+ */
+function mergePinnedColors(palette, pinnedColors, imageData) {
+    const result = palette.slice();
+    const pins = palette.length > 0 ? (pinnedColors || []).slice(-palette.length) : [];
+    if (pins.length === 0) return result;
+
+    const toRgb = color => {
+        const { r, g, b } = hexToRgb(color);
+        return [r, g, b];
+    };
+    const pinColors = pins.map(toRgb);
+    const paletteColors = palette.map(toRgb);
+
+    // Mean colors of 4-bit buckets per channel over every 4th opaque pixel stand in for the image
+    const buckets = new Map();
+    for (let i = 0; i < imageData.length; i += 16) {
+        if (imageData[i + 3] < ALPHA_THRESHOLD) continue;
+        const key = ((imageData[i] >> 4) << 8) | ((imageData[i + 1] >> 4) << 4) | (imageData[i + 2] >> 4);
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = [0, 0, 0, 0];
+            buckets.set(key, bucket);
+        }
+        bucket[0] += imageData[i];
+        bucket[1] += imageData[i + 1];
+        bucket[2] += imageData[i + 2];
+        bucket[3]++;
+    }
+    const counts = [];
+    const closest = [];
+    const distances = [];
+    buckets.forEach(([r, g, b, count]) => {
+        const color = [r / count, g / count, b / count];
+        counts.push(count);
+        closest.push(Math.min(...pinColors.map(pin => colorDistance(color, pin))));
+        distances.push(paletteColors.map(generated => colorDistance(color, generated)));
+    });
+
+    // Keep the generated colors that add most to the pins, one at a time
+    const keptSlots = new Set();
+    while (keptSlots.size < palette.length - pins.length) {
+        let bestSlot = -1;
+        let bestError = Infinity;
+        for (let slot = 0; slot < palette.length; slot++) {
+            if (keptSlots.has(slot)) continue;
+            let error = 0;
+            for (let c = 0; c < counts.length; c++) {
+                error += counts[c] * Math.min(closest[c], distances[c][slot]);
+            }
+            if (error < bestError) {
+                bestError = error;
+                bestSlot = slot;
+            }
+        }
+        keptSlots.add(bestSlot);
+        for (let c = 0; c < counts.length; c++) {
+            closest[c] = Math.min(closest[c], distances[c][bestSlot]);
+        }
+    }
+
+    // Closest pairs first, so a pin never steals the slot another pin matches better
+    const pairs = [];
+    pinColors.forEach((pin, pinIndex) => {
+        paletteColors.forEach((color, slot) => {
+            if (!keptSlots.has(slot)) pairs.push({ pinIndex, slot, distance: colorDistance(pin, color) });
+        });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const placedPins = new Set();
+    const usedSlots = new Set();
+    for (const { pinIndex, slot } of pairs) {
+        if (placedPins.has(pinIndex) || usedSlots.has(slot)) continue;
+        result[slot] = pins[pinIndex];
+        placedPins.add(pinIndex);
+        usedSlots.add(slot);
+    }
+    return result;
+}
+
+/**
+ * Extracts a palette with the chosen quantization algorithm. 'impactful' is the original
+ * getSuggestedColors method, which orders its own colors; the others are ordered for stacking.
+ *
+ * @param {Uint8ClampedArray} imageData - Raw RGBA image data
+ * @param {number} bands - Number of colors to extract
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} [algorithm='impactful'] - One of QUANTIZATION_ALGORITHMS
+ * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
+ * @returns {Array<string>} Array of hex color strings
+ */
+function getPaletteForAlgorithm(imageData, bands, width, height, algorithm = 'impactful', importance = null) {
+    const quantizers = { kmeans: kMeansLab, 'median-cut': medianCut, octree: octreeQuantize };
+    const quantize = quantizers[algorithm];
+    if (!quantize) return getSuggestedColors(imageData, bands, width, height, importance);
+
+    const colors = quantize(imageData, bands, width, height, importance).map(c => rgbToHex(c[0], c[1], c[2]));
+    const backgroundColor = detectBackgroundColor(imageData, width, height);
+    return orderPaletteForStacking(ensureUniqueColors(colors, imageData), backgroundColor);
+}
+
+// The recommended band count reaches this share of the error reduction the most bands manage
+const BAND_RECOMMENDATION_GAIN = 0.9;
+// Mean ΔE (CIE76) at which a palette already reproduces the image closely
+const CLOSE_ENOUGH_DELTA_E = 3;
+
+/**
+ * Measures how far an image is from its reproduction in a palette, as the mean CIE76 ΔE from
+ * each opaque pixel to its closest palette color. CIE76 keeps the numbers comparable whichever
+ * color metric is selected.
+ * @param {Object} thumbnail - { data, width, height } of the downscaled image
+ * @param {Array<string>} palette - Hex colors
+ * @returns {number} Mean ΔE, 0 for a fully transparent image
+ */
+function getPaletteError(thumbnail, palette) {
+    const paletteLab = palette.map(color => {
+        const { r, g, b } = hexToRgb(color);
+        return rgbToLab(r, g, b);
+    });
+    const data = thumbnail.data;
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < ALPHA_THRESHOLD) continue;
+        const lab = getCachedLab([data[i], data[i + 1], data[i + 2]]);
+        let closest = Infinity;
+        for (const paletteColor of paletteLab) {
+            closest = Math.min(closest, calculateDeltaE(lab, paletteColor));
+        }
+        total += closest;
+        count++;
+    }
+    return count > 0 ? total / count : 0;
+}
+
+/**
+ * Recommends a band count with the elbow method: the palette error is measured for every
+ * count from 2 to maxBands, and the smallest count past which extra bands add little wins.
+ * Errors never go up with more bands; a count that measures worse than a smaller one keeps
+ * the smaller count's error, since its palette could have been used instead.
+ * @param {Object} thumbnail - { data, width, height } of the downscaled image
+ * @param {number} maxBands - Most bands the tier allows
+ * @param {string} algorithm - One of QUANTIZATION_ALGORITHMS
+ * @returns {Object} { bands, errors } with errors[i] the mean ΔE of i + 2 bands
+ */
+function recommendBandCount(thumbnail, maxBands, algorithm) {
+    const { data, width, height } = thumbnail;
+    const errors = [];
+    for (let bands = 2; bands <= Math.max(2, maxBands); bands++) {
+        const palette = getPaletteForAlgorithm(data, bands, width, height, algorithm);
+        const error = getPaletteError(thumbnail, palette);
+        errors.push(errors.length > 0 ? Math.min(error, errors[errors.length - 1]) : error);
+    }
+
+    const target = errors[errors.length - 1] + (1 - BAND_RECOMMENDATION_GAIN) * (errors[0] - errors[errors.length - 1]);
+    const index = errors.findIndex(error => error <= target || error <= CLOSE_ENOUGH_DELTA_E);
+    return { bands: index + 2, errors };
+}
+
+/**
+ * Renders a small preview of an image in a palette, each pixel in its closest palette color.
+ * @param {Object} thumbnail - { data, width, height } of the downscaled image
+ * @param {Array<string>} palette - Hex colors
+ * @returns {Uint8ClampedArray} RGBA preview pixels; transparent pixels stay transparent
+ */
+function renderPaletteThumbnail(thumbnail, palette) {
+    const paletteColors = palette.map(color => {
+        const { r, g, b } = hexToRgb(color);
+        return [r, g, b];
+    });
+    const bandMap = assignBands(thumbnail.data, thumbnail.width, thumbnail.height, paletteColors);
+    const pixels = new Uint8ClampedArray(thumbnail.data.length);
+    for (let i = 0, j = 0; i < pixels.length; i += 4, j++) {
+        if (bandMap[j] === EMPTY_BAND) continue;
+        const color = paletteColors[bandMap[j]];
+        pixels[i] = color[0];
+        pixels[i + 1] = color[1];
+        pixels[i + 2] = color[2];
+        pixels[i + 3] = 255;
+    }
+    return pixels;
+}
+
+// Largest same-band region removeDitherSpecks treats as a speck; dithering rarely leaves larger ones
+const DITHER_SPECK_SIZE = 2;
+
+// Error diffusion kernels as [dx, dy, weight]; Atkinson only passes on 3/4 of the error
+const DITHER_KERNELS = {
+    'floyd-steinberg': [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16],
+        [0, 1, 5 / 16],
+        [1, 1, 1 / 16],
+    ],
+    atkinson: [
+        [1, 0, 1 / 8],
+        [2, 0, 1 / 8],
+        [-1, 1, 1 / 8],
+        [0, 1, 1 / 8],
+        [1, 1, 1 / 8],
+        [0, 2, 1 / 8],
+    ],
+};
+
+// Threshold map for ordered dithering (4x4 Bayer matrix)
+const BAYER_MATRIX = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+];
+
+/**
+ * Finds the palette color closest to an RGB color.
+ * @param {Array<number>} color - RGB color
+ * @param {Array<Array<number>>} paletteColors - RGB palette colors
+ * @returns {number} Index of the closest palette color
+ */
+function findClosestColorIndex(color, paletteColors) {
+    let minDistance = Infinity;
+    let bandIndex = 0;
+    for (let k = 0; k < paletteColors.length; k++) {
+        const distance = colorDistance(color, paletteColors[k]);
+        if (distance < minDistance) {
+            minDistance = distance;
+            bandIndex = k;
+        }
+    }
+    return bandIndex;
+}
+
+/**
+ * Works out how far ordered dithering may push a pixel: the average RGB distance from each
+ * palette color to its nearest neighbour in the palette.
+ * @param {Array<Array<number>>} paletteColors - RGB palette colors
+ * @returns {number} Spread of the threshold offsets in RGB units
+ */
+function getBayerSpread(paletteColors) {
+    if (paletteColors.length < 2) return 0;
+    let total = 0;
+    paletteColors.forEach((color, k) => {
+        let nearest = Infinity;
+        paletteColors.forEach((other, m) => {
+            if (m === k) return;
+            const dr = color[0] - other[0];
+            const dg = color[1] - other[1];
+            const db = color[2] - other[2];
+            nearest = Math.min(nearest, Math.sqrt(dr * dr + dg * dg + db * db));
+        });
+        total += nearest;
+    });
+    return total / paletteColors.length;
+}
+
+/**
+ * Minimum-feature guard for dithered band maps. A region of DITHER_SPECK_SIZE pixels or fewer that
+ * shares its band with none of the pixels around it would print as a lone speck, so it takes the
+ * most common band around it.
+ *
+ * @param {Float32Array} bandMap - Band index of every pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Float32Array} Band map without specks
+ */
+function removeDitherSpecks(bandMap, width, height) {
+    // Updates its copy while scanning, so a speck merged into a neighbour's band counts as that band
+    // for the pixels checked after it
+    const result = bandMap.slice();
+    const bandAt = (x, y) => (x >= 0 && y >= 0 && x < width && y < height ? result[y * width + x] : EMPTY_BAND);
+    const speck = [];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const band = result[y * width + x];
+            if (band === EMPTY_BAND) continue;
+
+            // Collect the pixel's same-band region, giving up as soon as it is larger than a speck
+            speck.length = 0;
+            speck.push(y * width + x);
+            for (let i = 0; i < speck.length && speck.length <= DITHER_SPECK_SIZE; i++) {
+                const px = speck[i] % width;
+                const py = (speck[i] - px) / width;
+                for (let n = 0; n < 4; n++) {
+                    const nx = px + (n === 0 ? -1 : n === 1 ? 1 : 0);
+                    const ny = py + (n === 2 ? -1 : n === 3 ? 1 : 0);
+                    if (bandAt(nx, ny) === band && !speck.includes(ny * width + nx)) {
+                        speck.push(ny * width + nx);
+                    }
+                }
+            }
+            if (speck.length > DITHER_SPECK_SIZE) continue;
+
+            const counts = new Map();
+            let replacement = band;
+            let bestCount = 0;
+            speck.forEach(index => {
+                const px = index % width;
+                const py = (index - px) / width;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const neighbour = bandAt(px + dx, py + dy);
+                        if (neighbour === EMPTY_BAND || neighbour === band) continue;
+                        const count = (counts.get(neighbour) || 0) + 1;
+                        counts.set(neighbour, count);
+                        if (count > bestCount) {
+                            bestCount = count;
+                            replacement = neighbour;
+                        }
+                    }
+                }
+            });
+            speck.forEach(index => {
+                result[index] = replacement;
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Assigns every pixel to the color band of its closest palette color, optionally dithered.
+ * Error diffusion (Floyd-Steinberg, Atkinson) passes each pixel's color error on to the pixels
+ * that follow; ordered dithering (Bayer) offsets each pixel by a fixed threshold pattern.
+ * Transparent pixels get EMPTY_BAND and neither receive nor pass on any error.
+ *
+ * @param {Uint8ClampedArray} imageData - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array<Array<number>>} paletteColors - RGB colors of the bands
+ * @param {string} [method='none'] - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+ * @returns {Float32Array} Band index of every pixel
+ */
+function assignBands(imageData, width, height, paletteColors, method = 'none') {
+    const bandMap = new Float32Array(width * height);
+    const kernel = DITHER_KERNELS[method];
+    const spread = method === 'bayer' ? getBayerSpread(paletteColors) : 0;
+    // Without dithering every pixel of one color lands in the same band, so look each color up once
+    const closestByColor = method === 'none' ? new Map() : null;
+
+    // Error diffusion needs a working copy that can leave the 0-255 range
+    let pixels = null;
+    if (kernel) {
+        pixels = new Float32Array(width * height * 3);
+        for (let j = 0; j < width * height; j++) {
+            pixels[j * 3] = imageData[j * 4];
+            pixels[j * 3 + 1] = imageData[j * 4 + 1];
+            pixels[j * 3 + 2] = imageData[j * 4 + 2];
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const j = y * width + x;
+            const i = j * 4;
+            if (imageData[i + 3] < ALPHA_THRESHOLD) {
+                bandMap[j] = EMPTY_BAND;
+                continue;
+            }
+
+            const pixelColor = kernel
+                ? [pixels[j * 3], pixels[j * 3 + 1], pixels[j * 3 + 2]]
+                : [imageData[i], imageData[i + 1], imageData[i + 2]];
+            if (spread) {
+                // The pattern works on 2x2 pixel cells so its dots are never a single pixel wide
+                const threshold = BAYER_MATRIX[(y >> 1) % 4][(x >> 1) % 4];
+                const offset = ((threshold + 0.5) / 16 - 0.5) * spread;
+                pixelColor[0] += offset;
+                pixelColor[1] += offset;
+                pixelColor[2] += offset;
+            }
+
+            let bandIndex;
+            if (closestByColor) {
+                const key = (pixelColor[0] << 16) | (pixelColor[1] << 8) | pixelColor[2];
+                bandIndex = closestByColor.get(key);
+                if (bandIndex === undefined) {
+                    bandIndex = findClosestColorIndex(pixelColor, paletteColors);
+                    closestByColor.set(key, bandIndex);
+                }
+            } else {
+                bandIndex = findClosestColorIndex(pixelColor, paletteColors);
+            }
+            bandMap[j] = bandIndex;
+
+            if (kernel) {
+                const target = paletteColors[bandIndex];
+                const errorR = pixelColor[0] - target[0];
+                const errorG = pixelColor[1] - target[1];
+                const errorB = pixelColor[2] - target[2];
+                for (const [dx, dy, weight] of kernel) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (imageData[n * 4 + 3] < ALPHA_THRESHOLD) continue;
+                    pixels[n * 3] += errorR * weight;
+                    pixels[n * 3 + 1] += errorG * weight;
+                    pixels[n * 3 + 2] += errorB * weight;
+                }
+            }
+        }
+    }
+
+    return method === 'none' ? bandMap : removeDitherSpecks(bandMap, width, height);
+}
+
+/**
+ * Narrowest feature, in pixels, that the nozzle can print.
+ * @param {number} nozzleDiameter - Nozzle diameter in millimetres (0 turns the cleanup off)
+ * @param {number} xSize - Printed width of the model in millimetres
+ * @param {number} width - Image width in pixels
+ * @returns {number} Minimum feature width in pixels
+ */
+function getMinFeatureWidth(nozzleDiameter, xSize, width) {
+    if (!(nozzleDiameter > 0) || !(xSize > 0) || !(width > 0)) return 0;
+    return nozzleDiameter / (xSize / width);
+}
+
+/**
+ * Merges connected regions (4-connected pixels of one band) that the nozzle cannot print into the
+ * band they share the longest border with. A region is printable when a square as wide as the
+ * minimum feature fits inside it, which catches both specks and one-pixel slivers. Merged regions
+ * can leave new unprintable regions behind, so the pass repeats until nothing changes, for at most
+ * eight passes in case neighbouring regions keep trading bands. Cut-out
+ * (EMPTY_BAND) areas are never filled and never grow.
+ *
+ * @param {Float32Array} bandMap - Band index of every pixel, changed in place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} minFeatureWidth - Minimum feature width in pixels from getMinFeatureWidth
+ * @returns {number} Number of regions that were merged
+ */
+function removeSmallRegions(bandMap, width, height, minFeatureWidth) {
+    const squareSize = Math.round(minFeatureWidth);
+    if (squareSize <= 1) return 0;
+
+    const pixelCount = width * height;
+    const squares = new Uint16Array(pixelCount); // Largest same-band square ending at each pixel
+    const visited = new Uint8Array(pixelCount);
+    const queue = new Int32Array(pixelCount);
+    const neighboursOf = index => {
+        const x = index % width;
+        return [
+            x > 0 ? index - 1 : -1,
+            x < width - 1 ? index + 1 : -1,
+            index - width,
+            index + width < pixelCount ? index + width : -1,
+        ];
+    };
+    let mergedRegions = 0;
+
+    for (let pass = 0; pass < 8; pass++) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                const band = bandMap[index];
+                if (
+                    x > 0 &&
+                    y > 0 &&
+                    band === bandMap[index - 1] &&
+                    band === bandMap[index - width] &&
+                    band === bandMap[index - width - 1]
+                ) {
+                    squares[index] =
+                        1 + Math.min(squares[index - 1], squares[index - width], squares[index - width - 1]);
+                } else {
+                    squares[index] = 1;
+                }
+            }
+        }
+
+        // Label the regions with a flood fill, keeping the pixels of the unprintable ones
+        visited.fill(0);
+        const smallRegions = [];
+        for (let start = 0; start < pixelCount; start++) {
+            if (visited[start] || bandMap[start] === EMPTY_BAND) continue;
+
+            const band = bandMap[start];
+            let printable = false;
+            let head = 0;
+            let tail = 0;
+            queue[tail++] = start;
+            visited[start] = 1;
+            while (head < tail) {
+                const index = queue[head++];
+                if (squares[index] >= squareSize) printable = true;
+                for (const neighbour of neighboursOf(index)) {
+                    if (neighbour < 0 || visited[neighbour] || bandMap[neighbour] !== band) continue;
+                    visited[neighbour] = 1;
+                    queue[tail++] = neighbour;
+                }
+            }
+            if (!printable) smallRegions.push({ band, pixels: queue.slice(0, tail) });
+        }
+
+        // Smallest first, so specks are absorbed before the regions around them are judged
+        smallRegions.sort((a, b) => a.pixels.length - b.pixels.length);
+        let changed = 0;
+        for (const { band, pixels } of smallRegions) {
+            const borders = new Map();
+            for (const index of pixels) {
+                for (const neighbour of neighboursOf(index)) {
+                    if (neighbour < 0) continue;
+                    const neighbourBand = bandMap[neighbour];
+                    if (neighbourBand === band || neighbourBand === EMPTY_BAND) continue;
+                    borders.set(neighbourBand, (borders.get(neighbourBand) || 0) + 1);
+                }
+            }
+
+            let replacement = band;
+            let longestBorder = 0;
+            for (const [neighbourBand, length] of borders) {
+                if (length > longestBorder) {
+                    longestBorder = length;
+                    replacement = neighbourBand;
+                }
+            }
+            if (replacement === band) continue; // Only surrounded by cut-out areas
+
+            for (const index of pixels) bandMap[index] = replacement;
+            changed++;
+        }
+
+        mergedRegions += changed;
+        if (changed === 0) break;
+    }
+    return mergedRegions;
+}
+
+/**
+ * Repeats the merges, splits and moves made in the band editor on a band map assigned from the
+ * palette before the first of them. A merged band keeps all of its pixels and a split only
+ * divides the pixels of its own band; assigning pixels to the edited colors instead would hand
+ * some of them to whichever band is now nearest.
+ * @param {Float32Array} bandMap - Band index per pixel, changed in place
+ * @param {Uint8ClampedArray} imageData - RGBA pixels the band map was assigned from
+ * @param {Array<Object>} edits - { newIndices, split } in the order they were made, where split
+ *   is { band, colors } for a band divided between colors[0] and the new band after it
+ */
+function applyBandEdits(bandMap, imageData, edits) {
+    edits.forEach(({ newIndices, split }) => {
+        const splitColors = split
+            ? split.colors.map(color => {
+                  const { r, g, b } = hexToRgb(color);
+                  return [r, g, b];
+              })
+            : null;
+        for (let i = 0; i < bandMap.length; i++) {
+            const band = bandMap[i];
+            if (band < 0 || band >= newIndices.length) continue;
+            bandMap[i] = newIndices[band];
+            if (split && band === split.band) {
+                const pixel = [imageData[i * 4], imageData[i * 4 + 1], imageData[i * 4 + 2]];
+                if (colorDistance(pixel, splitColors[1]) < colorDistance(pixel, splitColors[0])) bandMap[i]++;
+            }
+        }
+    });
+}
+
+/**
+ * Forces the painted pixels into their chosen band, over the computed band assignment. Cut-out
+ * (EMPTY_BAND) pixels stay cut out, so paint spilling over a transparent edge adds no geometry.
+ * @param {Float32Array|Int16Array} bandMap - Band index per pixel, changed in place
+ * @param {Uint8Array|null} bandMask - 0 for automatic pixels, otherwise the forced band + 1
+ * @param {number} numBands - Number of bands; overrides for bands beyond it are ignored
+ * @returns {number} Number of pixels that were changed
+ */
+function applyBandMask(bandMap, bandMask, numBands) {
+    if (!bandMask || bandMask.length !== bandMap.length) return 0;
+    let changed = 0;
+    for (let i = 0; i < bandMask.length; i++) {
+        const band = bandMask[i] - 1;
+        if (band < 0 || band >= numBands || bandMap[i] === band || bandMap[i] === EMPTY_BAND) continue;
+        bandMap[i] = band;
+        changed++;
+    }
+    return changed;
+}
+
 /**
  * Processes an image by quantizing it to the selected color palette and creating a band map.
  * This function converts the image to use only the colors in the palette and creates a height map
@@ -773,48 +1836,52 @@ function detectBackgroundColor(imageData, width, height) {
  *
  * @param {Object} appState - Application state containing the image
  * @param {Object} domElements - DOM elements for UI controls
- * @returns {Object} Object containing bandMap and previewImageData
+ * @returns {Object} Object containing bandMap, cleanedRegions and previewImageData
  */
 function processImage(appState, domElements) {
     const { suggestedPalette, currentPalette } = appState;
     const { layerSlider, singleLayerToggle } = domElements;
 
-    // Always use the suggested palette for creating the band map (image structure)
-    const palette = suggestedPalette || [];
+    // The suggested palette (image structure) decides the bands, unless the main thread sends the
+    // palette to build them from (Best Fit assigns pixels straight to its filaments)
+    const palette = appState.bandPalette || suggestedPalette || [];
 
     // Use the current palette for rendering colors
     const renderPalette = currentPalette || suggestedPalette;
 
+    // Filament blending is predicted on the main thread, which knows the filament TDs
+    const blendedPalette = appState.blendedPalette || renderPalette;
+
+    // After a merge or split the main thread sends the palette before the edits to assign the
+    // pixels from, and the edits to repeat (see applyBandEdits)
+    const { bandEdits } = appState;
+
     // Convert suggested palette colors from hex to RGB arrays for distance calculation
-    const paletteColors = palette.map(color => {
+    const paletteColors = (bandEdits ? bandEdits.basePalette : palette).map(color => {
         const { r, g, b } = hexToRgb(color);
         return [r, g, b];
     });
     if (paletteColors.length === 0) return null; // Exit if palette isn't ready
 
     // Create band map: each pixel gets assigned to a color band (0 to numBands-1)
-    const bandMap = new Float32Array(appState.imageData.length / 4);
-
-    // First pass: Create the band map using the suggested palette (image structure)
-    for (let i = 0, j = 0; i < appState.imageData.length; i += 4, j++) {
-        const pixelColor = [
-            appState.imageData[i],
-            appState.imageData[i + 1],
-            appState.imageData[i + 2],
-        ];
-
-        // Find the closest color in the suggested palette for the current pixel using color distance
-        let minDistance = Infinity;
-        let bandIndex = 0;
-        for (let k = 0; k < paletteColors.length; k++) {
-            const distance = colorDistance(pixelColor, paletteColors[k]);
-            if (distance < minDistance) {
-                minDistance = distance;
-                bandIndex = k;
-            }
-        }
-        bandMap[j] = bandIndex;
-    }
+    // using the suggested palette (image structure) and the selected dithering method
+    const ditherMethod = domElements.ditherMethodSelect ? domElements.ditherMethodSelect.value : 'none';
+    const bandMap = assignBands(appState.imageData, appState.width, appState.height, paletteColors, ditherMethod);
+    if (bandEdits) applyBandEdits(bandMap, appState.imageData, bandEdits.edits);
+
+    // Merge regions narrower than the nozzle can print into their neighbours, when the user opted in
+    const minFeatureWidth =
+        domElements.mergeSmallRegionsToggle && domElements.mergeSmallRegionsToggle.checked
+            ? getMinFeatureWidth(
+                  parseFloat(domElements.nozzleDiameterInput ? domElements.nozzleDiameterInput.value : '0'),
+                  parseFloat(domElements.xSizeInput ? domElements.xSizeInput.value : '0'),
+                  appState.width
+              )
+            : 0;
+    const cleanedRegions = removeSmallRegions(bandMap, appState.width, appState.height, minFeatureWidth);
+
+    // Pixels painted by hand keep their band whatever the palette says
+    applyBandMask(bandMap, appState.bandMask, palette.length);
 
     // Get the base color from the current palette (for rendering)
     const baseColor = hexToRgb(renderPalette[0]);
@@ -828,7 +1895,7 @@ function processImage(appState, domElements) {
         previewData[i] = baseColor.r; // Red
         previewData[i + 1] = baseColor.g; // Green
         previewData[i + 2] = baseColor.b; // Blue
-        previewData[i + 3] = 255; // Alpha (opaque)
+        previewData[i + 3] = bandMap[i / 4] === EMPTY_BAND ? 0 : 255; // Cut-out areas stay transparent
     }
 
     const currentLayer = parseInt(layerSlider.value, 10);
@@ -854,7 +1921,7 @@ function processImage(appState, domElements) {
         for (let layer = 1; layer <= currentLayer; layer++) {
             for (let i = 0, j = 0; i < previewData.length; i += 4, j++) {
                 if (bandMap[j] === layer) {
-                    const { r, g, b } = hexToRgb(renderPalette[layer]);
+                    const { r, g, b } = hexToRgb(blendedPalette[layer]);
                     previewData[i] = r; // Red
                     previewData[i + 1] = g; // Green
                     previewData[i + 2] = b; // Blue
@@ -866,6 +1933,7 @@ function processImage(appState, domElements) {
 
     return {
         bandMap: bandMap,
+        cleanedRegions: cleanedRegions,
         previewImageData: {
             data: previewData,
             width: appState.width,
@@ -874,6 +1942,119 @@ function processImage(appState, domElements) {
     };
 }
 
+// Color difference (RGB distance) at which a neighbour stops counting toward a smoothed pixel,
+// so edges between different colors stay sharp
+const SMOOTHING_COLOR_SIGMA = 30;
+
+/**
+ * Builds the lookup table for brightness, contrast and gamma, which act on every channel alike.
+ * @param {number} brightness - -100 to 100, 0 leaves the image unchanged
+ * @param {number} contrast - -100 to 100, 0 leaves the image unchanged
+ * @param {number} gamma - Gamma above 1 brightens the midtones, 1 leaves them unchanged
+ * @returns {Uint8ClampedArray} New value for every channel value
+ */
+function getLevelsTable(brightness, contrast, gamma) {
+    const table = new Uint8ClampedArray(256);
+    const shift = brightness * 2.55;
+    const stretch = contrast * 2.55;
+    const factor = (259 * (stretch + 255)) / (255 * (259 - stretch));
+    for (let value = 0; value < 256; value++) {
+        const leveled = Math.min(255, Math.max(0, factor * (value + shift - 128) + 128));
+        table[value] = 255 * Math.pow(leveled / 255, 1 / gamma);
+    }
+    return table;
+}
+
+/**
+ * Smooths the image with a bilateral filter: neighbours are averaged by distance and by how
+ * close their color is, so flat areas lose their noise while edges between colors stay put.
+ * Transparent pixels are left out.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} radius - Neighbourhood radius in pixels
+ * @returns {Uint8ClampedArray} The smoothed RGBA pixel data
+ */
+function smoothImagePixels(data, width, height, radius) {
+    const result = new Uint8ClampedArray(data);
+    const spatialSigma = Math.max(1, radius / 2);
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            offsets.push({ dx, dy, weight: Math.exp(-(dx * dx + dy * dy) / (2 * spatialSigma * spatialSigma)) });
+        }
+    }
+    // Weights by squared color difference, looked up instead of calling exp for every neighbour
+    const colorWeights = new Float32Array(3 * 255 * 255 + 1);
+    for (let d = 0; d < colorWeights.length; d++) {
+        colorWeights[d] = Math.exp(-d / (2 * SMOOTHING_COLOR_SIGMA * SMOOTHING_COLOR_SIGMA));
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < ALPHA_THRESHOLD) continue;
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            let sumR = 0;
+            let sumG = 0;
+            let sumB = 0;
+            let sumWeight = 0;
+            for (const { dx, dy, weight } of offsets) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = (ny * width + nx) * 4;
+                if (data[n + 3] < ALPHA_THRESHOLD) continue;
+                const dr = data[n] - r;
+                const dg = data[n + 1] - g;
+                const db = data[n + 2] - b;
+                const w = weight * colorWeights[dr * dr + dg * dg + db * db];
+                sumR += w * data[n];
+                sumG += w * data[n + 1];
+                sumB += w * data[n + 2];
+                sumWeight += w;
+            }
+            result[i] = sumR / sumWeight;
+            result[i + 1] = sumG / sumWeight;
+            result[i + 2] = sumB / sumWeight;
+        }
+    }
+    return result;
+}
+
+/**
+ * Applies the color adjustments of the pre-processing editor: smoothing first, then
+ * brightness, contrast and gamma, then saturation. Alpha is kept.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixel data, changed in place unless smoothed
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} adjustments - { brightness, contrast, gamma, saturation, smoothing }
+ * @returns {Uint8ClampedArray} The adjusted RGBA pixel data
+ */
+function adjustImagePixels(data, width, height, adjustments) {
+    const { brightness = 0, contrast = 0, gamma = 1, saturation = 0, smoothing = 0 } = adjustments;
+    const pixels = smoothing > 0 ? smoothImagePixels(data, width, height, Math.round(smoothing)) : data;
+    if (!brightness && !contrast && gamma === 1 && !saturation) return pixels;
+
+    const table = getLevelsTable(brightness, contrast, gamma);
+    const amount = 1 + saturation / 100;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const r = table[pixels[i]];
+        const g = table[pixels[i + 1]];
+        const b = table[pixels[i + 2]];
+        // Saturation moves each channel away from or toward the gray of the same brightness
+        const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+        pixels[i] = gray + (r - gray) * amount;
+        pixels[i + 1] = gray + (g - gray) * amount;
+        pixels[i + 2] = gray + (b - gray) * amount;
+    }
+    return pixels;
+}
+
 // Set up message listener for the worker
 self.onmessage = function (e) {
     const { type, data } = e.data;
@@ -888,10 +2069,15 @@ self.onmessage = function (e) {
         }
 
         if (type === 'generate_palette') {
-            const { imageData, numBands, width, height } = data;
+            const { imageData, numBands, width, height, algorithm, pinnedColors, importance } = data;
+            setColorMetric(data.colorMetric);
 
-            // Generate suggested palette
-            const suggestedPalette = getSuggestedColors(imageData, numBands, width, height);
+            // Generate suggested palette; the generated colors fill the slots the pinned colors leave
+            const suggestedPalette = mergePinnedColors(
+                getPaletteForAlgorithm(imageData, numBands, width, height, algorithm, importance),
+                pinnedColors,
+                imageData
+            );
 
             // Detect background color
             const backgroundColor = detectBackgroundColor(imageData, width, height);
@@ -904,8 +2090,52 @@ self.onmessage = function (e) {
                     backgroundColor: backgroundColor,
                 },
             });
+        } else if (type === 'compare_palettes') {
+            const { imageData, numBands, width, height, thumbnail, pinnedColors, importance } = data;
+            setColorMetric(data.colorMetric);
+
+            // Run every algorithm on the full image and preview each palette on the thumbnail
+            const comparisons = QUANTIZATION_ALGORITHMS.map(algorithm => {
+                const palette = mergePinnedColors(
+                    getPaletteForAlgorithm(imageData, numBands, width, height, algorithm, importance),
+                    pinnedColors,
+                    imageData
+                );
+                return {
+                    algorithm,
+                    palette,
+                    pixels: renderPaletteThumbnail(thumbnail, palette),
+                };
+            });
+
+            self.postMessage({
+                type: 'palettes_compared',
+                data: {
+                    comparisons,
+                    width: thumbnail.width,
+                    height: thumbnail.height,
+                },
+            });
+        } else if (type === 'recommend_bands') {
+            const { jobId, thumbnail, maxBands, algorithm } = data;
+
+            self.postMessage({
+                type: 'bands_recommended',
+                data: { jobId, ...recommendBandCount(thumbnail, maxBands, algorithm) },
+            });
+        } else if (type === 'adjust_image') {
+            const { jobId, imageData, width, height, adjustments } = data;
+
+            self.postMessage({
+                type: 'image_adjusted',
+                data: {
+                    jobId,
+                    imageData: adjustImagePixels(imageData, width, height, adjustments),
+                },
+            });
         } else if (type === 'process_image') {
             const { appState, domElements } = data;
+            setColorMetric(data.colorMetric);
 
             // Process the image
             const result = processImage(appState, domElements);
@@ -916,6 +2146,7 @@ self.onmessage = function (e) {
                     type: 'image_processed',
                     data: {
                         bandMap: result.bandMap,
+                        cleanedRegions: result.cleanedRegions,
                         previewImageData: result.previewImageData,
                     },
                 });
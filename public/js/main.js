@@ -5,11 +5,25 @@
     let domElements;
     let appState;
     let imageWorker; // Web Worker for image processing
+    // Whether each job posted to the image worker shows the spinner, oldest first (see postImageWorkerJob)
+    const imageWorkerJobs = [];
+    let exportWorker; // Web Worker for STL export, created on first export
 
     // ============================================================================
     // UTILITY FUNCTIONS
     // ============================================================================
 
+    /**
+     * Posts a job to the image worker. The worker answers its jobs one at a time and in order, so
+     * each reply settles the oldest job and the spinner stays up while a job that showed it runs.
+     * @param {Object} message - { type, data } for the worker
+     * @param {boolean} showsSpinner - Whether the caller showed the spinner for this job
+     */
+    function postImageWorkerJob(message, showsSpinner) {
+        imageWorkerJobs.push(showsSpinner);
+        imageWorker.postMessage(message);
+    }
+
     /**
      * Loads an external script dynamically and returns a Promise.
      * @param {string} url - The URL of the script to load
@@ -44,6 +58,12 @@
     // IMAGE PROCESSOR FUNCTIONS (from image_processor.js)
     // ============================================================================
 
+    // Band index of transparent pixels in the bandMap; they are left out of the model
+    const EMPTY_BAND = -1;
+
+    // Pixels with an alpha value below this are treated as transparent
+    const ALPHA_THRESHOLD = 128;
+
     /**
      * Converts a hex color string to RGB object.
      * @param {string} hex - Hex color string (e.g., "#FF0000")
@@ -75,19 +95,67 @@
         return 0.299 * r + 0.587 * g + 0.114 * b;
     }
 
+    // Color difference used for band assignment, filament matching and duplicate checks:
+    // 'rgb' (squared RGB distance), 'cie76' or 'ciede2000' (Delta E in CIELAB)
+    const COLOR_METRICS = ['rgb', 'cie76', 'ciede2000'];
+    let colorMetric = 'rgb';
+
+    // Below this distance two colors count as the same, in the units of each metric
+    const SIMILAR_COLOR_THRESHOLDS = { rgb: 10000, cie76: 30, ciede2000: 20 };
+
+    // CIELAB values of the colors compared so far, keyed by packed 24-bit RGB
+    const labCache = new Map();
+    const LAB_CACHE_LIMIT = 1 << 18;
+
+    /**
+     * Selects the color metric used by colorDistance.
+     * @param {string} metric - 'rgb', 'cie76' or 'ciede2000'; anything else falls back to 'rgb'
+     */
+    function setColorMetric(metric) {
+        colorMetric = COLOR_METRICS.includes(metric) ? metric : 'rgb';
+    }
+
     /**
-     * Calculates the squared Euclidean distance between two colors in RGB space.
-     * Simple but effective for color matching.
+     * Calculates the distance between two colors with the selected color metric.
+     * The values are only comparable with other results of the same metric.
      * @param {Array<number>} c1 - First color [r, g, b]
      * @param {Array<number>} c2 - Second color [r, g, b]
-     * @returns {number} The squared distance.
+     * @returns {number} Squared RGB distance or Delta E, depending on the metric
      */
     function colorDistance(c1, c2) {
-        const rDiff = c1[0] - c2[0];
-        const gDiff = c1[1] - c2[1];
-        const bDiff = c1[2] - c2[2];
+        if (colorMetric === 'rgb') {
+            const rDiff = c1[0] - c2[0];
+            const gDiff = c1[1] - c2[1];
+            const bDiff = c1[2] - c2[2];
+
+            return rDiff * rDiff + gDiff * gDiff + bDiff * bDiff;
+        }
+
+        const lab1 = getCachedLab(c1);
+        const lab2 = getCachedLab(c2);
+        return colorMetric === 'ciede2000' ? calculateDeltaE2000(lab1, lab2) : calculateDeltaE(lab1, lab2);
+    }
 
-        return rDiff * rDiff + gDiff * gDiff + bDiff * bDiff;
+    /**
+     * Converts an RGB color to CIELAB, reusing the result for colors that were seen before.
+     * Components are rounded and clamped to 0-255 first (dithering can push them outside).
+     * @param {Array<number>} color - Color [r, g, b]
+     * @returns {Object} LAB color values {l, a, b}
+     */
+    function getCachedLab(color) {
+        const r = Math.min(255, Math.max(0, Math.round(color[0])));
+        const g = Math.min(255, Math.max(0, Math.round(color[1])));
+        const b = Math.min(255, Math.max(0, Math.round(color[2])));
+        const key = (r << 16) | (g << 8) | b;
+
+        let lab = labCache.get(key);
+        if (!lab) {
+            // Keep memory bounded on photos with millions of distinct colors
+            if (labCache.size >= LAB_CACHE_LIMIT) labCache.clear();
+            lab = rgbToLab(r, g, b);
+            labCache.set(key, lab);
+        }
+        return lab;
     }
 
     /**
@@ -197,6 +265,75 @@
         return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
     }
 
+    /**
+     * Calculates the CIEDE2000 color difference between two colors in CIELAB space.
+     * Corrects CIE76 for the eye's lower sensitivity to chroma differences in saturated colors
+     * and for the hue shifts around blue, which keeps skin tones and dark blues apart.
+     * @param {Object} lab1 - First color in LAB space {l, a, b}
+     * @param {Object} lab2 - Second color in LAB space {l, a, b}
+     * @returns {number} Delta E 2000 distance (higher = more perceptually different)
+     */
+    function calculateDeltaE2000(lab1, lab2) {
+        const toRadians = Math.PI / 180;
+        const pow25To7 = 6103515625; // 25^7
+
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const cMean7 = Math.pow((c1 + c2) / 2, 7);
+        const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25To7)));
+
+        const a1 = lab1.a * (1 + g);
+        const a2 = lab2.a * (1 + g);
+        const cPrime1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+        const cPrime2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+        const hue = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) / toRadians;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1 = hue(lab1.b, a1);
+        const h2 = hue(lab2.b, a2);
+
+        const deltaL = lab2.l - lab1.l;
+        const deltaC = cPrime2 - cPrime1;
+        let deltaHue = 0;
+        if (cPrime1 * cPrime2 !== 0) {
+            deltaHue = h2 - h1;
+            if (deltaHue > 180) deltaHue -= 360;
+            else if (deltaHue < -180) deltaHue += 360;
+        }
+        const deltaH = 2 * Math.sqrt(cPrime1 * cPrime2) * Math.sin((deltaHue / 2) * toRadians);
+
+        const lMean = (lab1.l + lab2.l) / 2;
+        const cPrimeMean = (cPrime1 + cPrime2) / 2;
+        let hMean = h1 + h2;
+        if (cPrime1 * cPrime2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) hMean /= 2;
+            else hMean = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+        }
+
+        const t =
+            1 -
+            0.17 * Math.cos((hMean - 30) * toRadians) +
+            0.24 * Math.cos(2 * hMean * toRadians) +
+            0.32 * Math.cos((3 * hMean + 6) * toRadians) -
+            0.2 * Math.cos((4 * hMean - 63) * toRadians);
+        const lMean50 = (lMean - 50) * (lMean - 50);
+        const sL = 1 + (0.015 * lMean50) / Math.sqrt(20 + lMean50);
+        const sC = 1 + 0.045 * cPrimeMean;
+        const sH = 1 + 0.015 * cPrimeMean * t;
+        const cPrimeMean7 = Math.pow(cPrimeMean, 7);
+        const rotation =
+            -2 *
+            Math.sqrt(cPrimeMean7 / (cPrimeMean7 + pow25To7)) *
+            Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * toRadians);
+
+        const l = deltaL / sL;
+        const c = deltaC / sC;
+        const h = deltaH / sH;
+        return Math.sqrt(l * l + c * c + h * h + rotation * c * h);
+    }
+
     /**
      * Performs Sobel edge detection on image data to identify edges.
      * @param {Uint8ClampedArray} imageData - Raw RGBA image data
@@ -249,13 +386,56 @@
         return edges;
     }
 
+    // Saliency of a pixel the user painted as important; the center of the image scores 1
+    const PAINTED_SALIENCY = 4;
+    // Share of the center bias kept when the painted map is blended with it, so the paint still leads
+    const BLENDED_CENTER_SHARE = 0.25;
+
+    /**
+     * Weighs where a pixel is. Without an importance map the subject is assumed to be near the
+     * center of the image; a painted map replaces that guess or, when blended, adds a weakened
+     * center bias to it.
+     * @param {number} x - Pixel column
+     * @param {number} y - Pixel row
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object|null} importance - { mask, blend } from the importance map, or null
+     * @returns {number} Saliency weight, 0 for pixels that don't matter
+     */
+    function getSaliencyWeight(x, y, width, height, importance) {
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY); // Distance to corner
+        const distanceFromCenter = Math.sqrt((x - centerX) * (x - centerX) + (y - centerY) * (y - centerY));
+        const centerWeight = 1.0 - distanceFromCenter / maxDistance;
+        if (!importance) return centerWeight;
+
+        const paintedWeight = importance.mask[y * width + x] ? PAINTED_SALIENCY : 0;
+        return importance.blend ? paintedWeight + centerWeight * BLENDED_CENTER_SHARE : paintedWeight;
+    }
+
+    /**
+     * Scores how much a pixel matters to the viewer: saturated colors, edges and salient pixels
+     * (see getSaliencyWeight) score higher.
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {number} edginess - Edge strength of the pixel from sobelEdgeDetection
+     * @param {number} saliencyWeight - Weight of the pixel's position from getSaliencyWeight
+     * @returns {number} Impact score, at least 1
+     */
+    function getImpactScore(r, g, b, edginess, saliencyWeight) {
+        const saturation = getSaturation(r, g, b);
+        return (1 + saturation * 2) * (1 + edginess) * (1 + saliencyWeight * 1.5);
+    }
+
     /**
      * Finds the most perceptually distinct colors using the Subject-Aware Maximal Color Distinction algorithm.
      * This hybrid algorithm combines visual impact scoring, center-biased saliency, and CIELAB perceptual 
      * distance optimization to prioritize important subject colors over background colors.
      *
      * The Subject-Aware Maximal Color Distinction algorithm works by:
-     * 1. Calculate center-biased saliency weights to prioritize central subjects
+     * 1. Calculate saliency weights to prioritize the subject: central pixels, or the painted importance map
      * 2. Generate a large pool of impactful candidate colors with enhanced scoring (4x oversampling)
      * 3. Convert all candidates to CIELAB color space for perceptual accuracy
      * 4. Use Farthest Point Selection to choose the most distinct colors
@@ -265,9 +445,10 @@
      * @param {number} width - Image width in pixels
      * @param {number} height - Image height in pixels
      * @param {number} numColors - The number of colors to extract
+     * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
      * @returns {Array<Array<number>>} An array of the most distinct colors, each as an [r, g, b] array
      */
-    function getImpactfulColors(data, width, height, numColors) {
+    function getImpactfulColors(data, width, height, numColors, importance = null) {
         // Step 1: Oversample - generate a large pool of candidate colors
         const candidateCount = Math.min(numColors * 4, 64); // Generate 4x candidates, max 64
         
@@ -275,13 +456,11 @@
         const edgeData = sobelEdgeDetection(data, width, height);
         const colorHistogram = new Map();
         
-        // Calculate center coordinates and maximum distance for saliency weighting
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY); // Distance to corner
-        
         // Sample pixels - use every 4th pixel for performance while maintaining quality
         for (let i = 0; i < data.length; i += 16) {
+            // Transparent pixels are not part of the print
+            if (data[i + 3] < ALPHA_THRESHOLD) continue;
+
             const pixelIndex = i / 4;
             const r = data[i];
             const g = data[i + 1];
@@ -292,16 +471,10 @@
             const x = pixelIndex % width;
             const y = Math.floor(pixelIndex / width);
             
-            // Calculate center-biased saliency weight
-            const distanceFromCenter = Math.sqrt(
-                (x - centerX) * (x - centerX) + (y - centerY) * (y - centerY)
-            );
-            const saliencyWeight = 1.0 - (distanceFromCenter / maxDistance);
-            
             // Calculate enhanced impact score with saliency weighting
-            const saturation = getSaturation(r, g, b);
             const edginess = edgeData[pixelIndex] || 0;
-            const finalImpactScore = (1 + saturation * 2) * (1 + edginess) * (1 + saliencyWeight * 1.5);
+            const saliencyWeight = getSaliencyWeight(x, y, width, height, importance);
+            const finalImpactScore = getImpactScore(r, g, b, edginess, saliencyWeight);
             
             // Add to histogram
             if (colorHistogram.has(colorKey)) {
@@ -413,6 +586,10 @@
     
     // Create temporary bandMap by assigning each pixel to the closest color in finalPaletteRGB
     for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        if (data[i + 3] < ALPHA_THRESHOLD) {
+            tempBandMap[j] = EMPTY_BAND;
+            continue;
+        }
         const pixelColor = [data[i], data[i + 1], data[i + 2]];
         
         // Find the closest color in the final palette
@@ -472,87 +649,461 @@
         return colorUsage;
     }
 
+    /**
+     * Finds the minimum-cost assignment of rows to distinct columns (Hungarian algorithm, O(n²m)).
+     * @param {Array<Array<number>>} cost - Cost matrix with no more rows than columns
+     * @returns {Array<number>} Column assigned to each row
+     */
+    function solveAssignment(cost) {
+        const rows = cost.length;
+        const cols = rows > 0 ? cost[0].length : 0;
+
+        // Potentials and matching use 1-based indices; column 0 is a virtual start column
+        const u = new Array(rows + 1).fill(0);
+        const v = new Array(cols + 1).fill(0);
+        const rowOfCol = new Array(cols + 1).fill(0);
+        const way = new Array(cols + 1).fill(0);
+
+        for (let row = 1; row <= rows; row++) {
+            rowOfCol[0] = row;
+            let col0 = 0;
+            const minSlack = new Array(cols + 1).fill(Infinity);
+            const visited = new Array(cols + 1).fill(false);
+
+            // Grow an alternating path until it reaches a free column
+            do {
+                visited[col0] = true;
+                const row0 = rowOfCol[col0];
+                let delta = Infinity;
+                let col1 = 0;
+                for (let col = 1; col <= cols; col++) {
+                    if (visited[col]) continue;
+                    const slack = cost[row0 - 1][col - 1] - u[row0] - v[col];
+                    if (slack < minSlack[col]) {
+                        minSlack[col] = slack;
+                        way[col] = col0;
+                    }
+                    if (minSlack[col] < delta) {
+                        delta = minSlack[col];
+                        col1 = col;
+                    }
+                }
+                for (let col = 0; col <= cols; col++) {
+                    if (visited[col]) {
+                        u[rowOfCol[col]] += delta;
+                        v[col] -= delta;
+                    } else {
+                        minSlack[col] -= delta;
+                    }
+                }
+                col0 = col1;
+            } while (rowOfCol[col0] !== 0);
+
+            // Flip the path so every row on it moves to the next column
+            do {
+                const col1 = way[col0];
+                rowOfCol[col0] = rowOfCol[col1];
+                col0 = col1;
+            } while (col0 !== 0);
+        }
+
+        const assignment = new Array(rows);
+        for (let col = 1; col <= cols; col++) {
+            if (rowOfCol[col] !== 0) assignment[rowOfCol[col] - 1] = col - 1;
+        }
+        return assignment;
+    }
+
     /**
      * Matches suggested palette colors to available filament colors based on color similarity.
      * This ensures the final palette uses colors that are actually available for 3D printing.
-     * Uses a greedy algorithm to avoid duplicate filament usage while prioritizing best matches.
+     * The assignment is globally optimal: it minimizes the total color distance over all bands
+     * (Hungarian algorithm). A filament is only used for several bands when there are more bands
+     * than filaments.
+     *
+     * When a band thickness is given, each band is compared by the color it is predicted to show
+     * over the band below it (see blendFilamentLayer), assuming that band matches its own target.
      *
      * @param {Array<string>} suggestedPalette - Array of hex color strings from k-means
-     * @param {Array<string>} myFilaments - Array of available filament hex colors
+     * @param {Array<Object>} myFilaments - The user's filaments ({ color, td, ... })
+     * @param {number|Array<number>} [bandThickness=0] - Thickness of each band above the base in
+     *   millimetres, or of every band base first
      * @returns {Array<string>} Matched palette using available filament colors
      */
-    function matchToPalette(suggestedPalette, myFilaments) {
+    function matchToPalette(suggestedPalette, myFilaments, bandThickness = 0) {
         if (!myFilaments || myFilaments.length === 0) return suggestedPalette;
 
-        // Extract colors from filament objects for backward compatibility
-        const filamentColors = myFilaments.map(filament => filament.color);
-
-        // Convert filament colors to RGB arrays for distance calculation
-        const filamentRgb = filamentColors.map(color => {
+        const targets = suggestedPalette.map(color => {
             const { r, g, b } = hexToRgb(color);
             return [r, g, b];
         });
-
-        // Create all possible matches with their distances
-        const allMatches = [];
-        suggestedPalette.forEach((suggestedColor, suggestedIndex) => {
-            const { r, g, b } = hexToRgb(suggestedColor);
-            const suggestedRgb = [r, g, b];
-
-            filamentRgb.forEach((filamentRgb, filamentIndex) => {
-                const distance = colorDistance(suggestedRgb, filamentRgb);
-                allMatches.push({
-                    suggestedIndex,
-                    filamentIndex,
-                    suggestedColor,
-                    filamentColor: filamentColors[filamentIndex],
-                    distance,
+        const filamentRgb = myFilaments.map(filament => {
+            const { r, g, b } = hexToRgb(filament.color);
+            return [r, g, b];
+        });
+        const filamentTds = myFilaments.map(filament => getTransmissionDistance(filament.color, myFilaments));
+
+        // Each filament gets as many columns as it may be used, so there is always a valid assignment
+        const copies = Math.ceil(suggestedPalette.length / myFilaments.length);
+        const cost = targets.map((target, band) => {
+            const thickness = getThicknessOfBand(bandThickness, band);
+            const row = [];
+            for (let copy = 0; copy < copies; copy++) {
+                filamentRgb.forEach((rgb, index) => {
+                    const predicted =
+                        thickness > 0 && band > 0
+                            ? blendFilamentLayer(targets[band - 1], rgb, thickness, filamentTds[index])
+                            : rgb;
+                    row.push(colorDistance(target, predicted));
                 });
-            });
+            }
+            return row;
         });
 
-        // Sort matches by distance (best matches first)
-        allMatches.sort((a, b) => a.distance - b.distance);
+        return solveAssignment(cost).map(col => myFilaments[col % myFilaments.length].color);
+    }
 
-        // Use greedy algorithm to assign matches, avoiding duplicates
-        const matchedPalette = new Array(suggestedPalette.length);
-        const usedFilaments = new Set();
-        const usedSuggestions = new Set();
+    // Bands whose match is below this score are flagged as poor (Delta E 2000 of 15 or more)
+    const POOR_MATCH_SCORE = 70;
 
-        allMatches.forEach(match => {
-            // Skip if we've already matched this suggested color or filament
-            if (
-                usedSuggestions.has(match.suggestedIndex) ||
-                usedFilaments.has(match.filamentIndex)
-            ) {
-                return;
+    /**
+     * Rates how well every band of a filament palette reproduces the suggested color.
+     * The score is based on CIEDE2000 regardless of the selected metric, so it reads the same
+     * everywhere: 100 is a perfect match and every Delta E unit costs two points.
+     *
+     * @param {Array<string>} suggestedPalette - Target hex colors, base first
+     * @param {Array<string>} matchedPalette - Filament hex colors chosen for the bands
+     * @param {Array<Object>} myFilaments - The user's filaments ({ color, td, ... })
+     * @param {number|Array<number>} bandThickness - Thickness of each band above the base in
+     *   millimetres, or of every band base first
+     * @returns {Array<Object>} Per band: { band, score, deltaE, reused, poor }
+     */
+    function getPaletteMatchQuality(suggestedPalette, matchedPalette, myFilaments, bandThickness) {
+        const blended = getBlendedPalette(matchedPalette, myFilaments, bandThickness);
+        const uses = new Map();
+        matchedPalette.forEach(color => uses.set(color.toLowerCase(), (uses.get(color.toLowerCase()) || 0) + 1));
+
+        return suggestedPalette.map((color, band) => {
+            const target = hexToRgb(color);
+            const shown = hexToRgb(blended[band]);
+            const deltaE = calculateDeltaE2000(
+                rgbToLab(target.r, target.g, target.b),
+                rgbToLab(shown.r, shown.g, shown.b)
+            );
+            const score = Math.max(0, Math.round(100 - 2 * deltaE));
+            return {
+                band,
+                score,
+                deltaE,
+                reused: uses.get(matchedPalette[band].toLowerCase()) > 1,
+                poor: score < POOR_MATCH_SCORE,
+            };
+        });
+    }
+
+    /**
+     * Summarizes an image as a small color histogram for whole-image error estimates. Colors are
+     * grouped into 4-bit buckets per channel, each holding the mean color of its pixels, the pixel
+     * count and the summed impact score (see getImpactScore). Every 4th pixel is sampled, as in
+     * getImpactfulColors.
+     *
+     * @param {Uint8ClampedArray} data - The RGBA image data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
+     * @returns {Array<Object>} Buckets as { color: [r, g, b], count, impact }
+     */
+    function buildColorHistogram(data, width, height, importance = null) {
+        const edgeData = sobelEdgeDetection(data, width, height);
+
+        const buckets = new Map();
+        for (let i = 0; i < data.length; i += 16) {
+            // Transparent pixels are not part of the print
+            if (data[i + 3] < ALPHA_THRESHOLD) continue;
+
+            const pixelIndex = i / 4;
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            const x = pixelIndex % width;
+            const y = Math.floor(pixelIndex / width);
+            const impact = getImpactScore(
+                r,
+                g,
+                b,
+                edgeData[pixelIndex] || 0,
+                getSaliencyWeight(x, y, width, height, importance)
+            );
+
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { r: 0, g: 0, b: 0, count: 0, impact: 0 };
+                buckets.set(key, bucket);
             }
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            bucket.count++;
+            bucket.impact += impact;
+        }
+
+        return Array.from(buckets.values(), bucket => ({
+            color: [
+                Math.round(bucket.r / bucket.count),
+                Math.round(bucket.g / bucket.count),
+                Math.round(bucket.b / bucket.count),
+            ],
+            count: bucket.count,
+            impact: bucket.impact,
+        }));
+    }
 
-            // Assign this match
-            matchedPalette[match.suggestedIndex] = match.filamentColor;
-            usedSuggestions.add(match.suggestedIndex);
-            usedFilaments.add(match.filamentIndex);
+    /**
+     * Works out the color every Best Fit band stands in for: the mean color of the histogram buckets
+     * whose nearest filament it is. These targets take the place of the suggested colors when the
+     * Best Fit palette is rated; a band no bucket is nearest to keeps its own color.
+     * @param {Array<Object>} histogram - Color histogram from buildColorHistogram
+     * @param {Array<string>} palette - Best Fit hex colors, one per band
+     * @returns {Array<string>} Target hex color of every band
+     */
+    function getBestFitTargets(histogram, palette) {
+        const paletteColors = palette.map(color => {
+            const { r, g, b } = hexToRgb(color);
+            return [r, g, b];
         });
+        const sums = paletteColors.map(() => [0, 0, 0, 0]);
+        histogram.forEach(bucket => {
+            const sum = sums[findClosestColorIndex(bucket.color, paletteColors)];
+            for (let c = 0; c < 3; c++) sum[c] += bucket.color[c] * bucket.count;
+            sum[3] += bucket.count;
+        });
+        return sums.map((sum, band) =>
+            sum[3] > 0
+                ? rgbToHex(Math.round(sum[0] / sum[3]), Math.round(sum[1] / sum[3]), Math.round(sum[2] / sum[3]))
+                : palette[band]
+        );
+    }
 
-        // Fill any remaining unmatched suggestions with the best available filament
-        for (let i = 0; i < matchedPalette.length; i++) {
-            if (!matchedPalette[i]) {
-                // Find the best unused filament
-                for (let j = 0; j < filamentColors.length; j++) {
-                    if (!usedFilaments.has(j)) {
-                        matchedPalette[i] = filamentColors[j];
-                        usedFilaments.add(j);
-                        break;
+    /**
+     * Picks the filaments that reproduce the whole image best when every pixel is printed in its
+     * nearest filament. Unlike matchToPalette it does not start from the suggested colors, so it can
+     * choose a filament no suggestion was close to.
+     *
+     * The subset is built greedily (always adding the filament that lowers the total error most)
+     * and then improved by swapping filaments in and out until no swap helps.
+     *
+     * @param {Array<Object>} histogram - Color histogram from buildColorHistogram
+     * @param {Array<Object>} myFilaments - The user's filaments ({ color, ... })
+     * @param {number} bandCount - Number of filaments to pick
+     * @param {boolean} [weighted=false] - Weight pixels by impact score instead of counting them equally
+     * @returns {Array<string>} Hex colors of the chosen filaments, in filament list order; all of them,
+     *     and so fewer than bandCount, when there are not more filaments than bands
+     */
+    function selectFilamentSubset(histogram, myFilaments, bandCount, weighted = false) {
+        const filamentCount = myFilaments.length;
+        if (filamentCount <= bandCount) return myFilaments.map(filament => filament.color);
+
+        const weights = histogram.map(bucket => (weighted ? bucket.impact : bucket.count));
+        const distances = histogram.map(bucket =>
+            myFilaments.map(filament => {
+                const { r, g, b } = hexToRgb(filament.color);
+                return colorDistance(bucket.color, [r, g, b]);
+            })
+        );
+
+        // Nearest and second nearest chosen filament per bucket make each swap cheap to evaluate
+        const nearest = new Array(histogram.length);
+        const secondNearest = new Array(histogram.length);
+        const updateNearest = selected => {
+            for (let c = 0; c < histogram.length; c++) {
+                let best = -1;
+                let second = -1;
+                for (const f of selected) {
+                    const distance = distances[c][f];
+                    if (best === -1 || distance < distances[c][best]) {
+                        second = best;
+                        best = f;
+                    } else if (second === -1 || distance < distances[c][second]) {
+                        second = f;
+                    }
+                }
+                nearest[c] = best;
+                secondNearest[c] = second;
+            }
+        };
+
+        // Greedy start
+        const selected = [];
+        const bestDistance = new Array(histogram.length).fill(Infinity);
+        while (selected.length < bandCount) {
+            let bestFilament = -1;
+            let bestError = Infinity;
+            for (let f = 0; f < filamentCount; f++) {
+                if (selected.includes(f)) continue;
+                let error = 0;
+                for (let c = 0; c < histogram.length; c++) {
+                    error += weights[c] * Math.min(bestDistance[c], distances[c][f]);
+                }
+                if (error < bestError) {
+                    bestError = error;
+                    bestFilament = f;
+                }
+            }
+            selected.push(bestFilament);
+            for (let c = 0; c < histogram.length; c++) {
+                bestDistance[c] = Math.min(bestDistance[c], distances[c][bestFilament]);
+            }
+        }
+
+        // Swap filaments while that lowers the error; the pass limit only guards against slow convergence
+        updateNearest(selected);
+        let currentError = 0;
+        for (let c = 0; c < histogram.length; c++) {
+            currentError += weights[c] * distances[c][nearest[c]];
+        }
+        for (let pass = 0; pass < 50; pass++) {
+            let bestSwap = null;
+            let bestError = currentError;
+            for (let slot = 0; slot < selected.length; slot++) {
+                const removed = selected[slot];
+                for (let f = 0; f < filamentCount; f++) {
+                    if (selected.includes(f)) continue;
+                    let error = 0;
+                    for (let c = 0; c < histogram.length; c++) {
+                        const kept = nearest[c] === removed ? secondNearest[c] : nearest[c];
+                        const keptDistance = kept === -1 ? Infinity : distances[c][kept];
+                        error += weights[c] * Math.min(keptDistance, distances[c][f]);
                     }
+                    if (error < bestError) {
+                        bestError = error;
+                        bestSwap = { slot, filament: f };
+                    }
+                }
+            }
+            if (!bestSwap) break;
+            selected[bestSwap.slot] = bestSwap.filament;
+            currentError = bestError;
+            updateNearest(selected);
+        }
+
+        return selected.sort((a, b) => a - b).map(f => myFilaments[f].color);
+    }
+
+    /**
+     * Orders a palette for stacking: the color closest to the image background becomes the base
+     * and the remaining colors follow from darkest to lightest.
+     * @param {Array<string>} palette - Hex colors
+     * @param {Array<number>} backgroundColor - RGB background color from detectBackgroundColor
+     * @returns {Array<string>} Reordered copy of the palette
+     */
+    function orderPaletteForStacking(palette, backgroundColor) {
+        if (palette.length === 0) return [];
+
+        let closestIndex = 0;
+        let minDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const rgb = hexToRgb(palette[i]);
+            const distance = colorDistance(backgroundColor, [rgb.r, rgb.g, rgb.b]);
+            if (distance < minDistance) {
+                minDistance = distance;
+                closestIndex = i;
+            }
+        }
+
+        const remainingColors = palette.filter((color, index) => index !== closestIndex);
+        remainingColors.sort((a, b) => getLuminance(a) - getLuminance(b));
+        return [palette[closestIndex]].concat(remainingColors);
+    }
+
+    /**
+     * Puts the pinned colors into a generated palette. The generated colors only fill the slots the
+     * pins leave: starting from the pins, the generated color that lowers the image error most is kept
+     * until those slots are full, so a generated color the pins already cover is left out rather than
+     * a distinct one. Each pin then takes the slot of the left-out color closest to it, so the band
+     * order stays as generated. When there are more pins than bands, the latest pins are kept.
+     * @param {Array<string>} palette - Generated hex colors
+     * @param {Array<string>} pinnedColors - Hex colors the user pinned
+     * @param {Uint8ClampedArray} imageData - RGBA pixels the palette was generated from
+     * @returns {Array<string>} Copy of the palette with the pins in it
+     */
+    function mergePinnedColors(palette, pinnedColors, imageData) {
+        const result = palette.slice();
+        const pins = palette.length > 0 ? (pinnedColors || []).slice(-palette.length) : [];
+        if (pins.length === 0) return result;
+
+        const toRgb = color => {
+            const { r, g, b } = hexToRgb(color);
+            return [r, g, b];
+        };
+        const pinColors = pins.map(toRgb);
+        const paletteColors = palette.map(toRgb);
+
+        // Mean colors of 4-bit buckets per channel over every 4th opaque pixel stand in for the image
+        const buckets = new Map();
+        for (let i = 0; i < imageData.length; i += 16) {
+            if (imageData[i + 3] < ALPHA_THRESHOLD) continue;
+            const key = ((imageData[i] >> 4) << 8) | ((imageData[i + 1] >> 4) << 4) | (imageData[i + 2] >> 4);
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = [0, 0, 0, 0];
+                buckets.set(key, bucket);
+            }
+            bucket[0] += imageData[i];
+            bucket[1] += imageData[i + 1];
+            bucket[2] += imageData[i + 2];
+            bucket[3]++;
+        }
+        const counts = [];
+        const closest = [];
+        const distances = [];
+        buckets.forEach(([r, g, b, count]) => {
+            const color = [r / count, g / count, b / count];
+            counts.push(count);
+            closest.push(Math.min(...pinColors.map(pin => colorDistance(color, pin))));
+            distances.push(paletteColors.map(generated => colorDistance(color, generated)));
+        });
+
+        // Keep the generated colors that add most to the pins, one at a time
+        const keptSlots = new Set();
+        while (keptSlots.size < palette.length - pins.length) {
+            let bestSlot = -1;
+            let bestError = Infinity;
+            for (let slot = 0; slot < palette.length; slot++) {
+                if (keptSlots.has(slot)) continue;
+                let error = 0;
+                for (let c = 0; c < counts.length; c++) {
+                    error += counts[c] * Math.min(closest[c], distances[c][slot]);
                 }
-                // If all filaments are used, use the first one
-                if (!matchedPalette[i]) {
-                    matchedPalette[i] = filamentColors[0];
+                if (error < bestError) {
+                    bestError = error;
+                    bestSlot = slot;
                 }
             }
+            keptSlots.add(bestSlot);
+            for (let c = 0; c < counts.length; c++) {
+                closest[c] = Math.min(closest[c], distances[c][bestSlot]);
+            }
         }
 
-        return matchedPalette;
+        // Closest pairs first, so a pin never steals the slot another pin matches better
+        const pairs = [];
+        pinColors.forEach((pin, pinIndex) => {
+            paletteColors.forEach((color, slot) => {
+                if (!keptSlots.has(slot)) pairs.push({ pinIndex, slot, distance: colorDistance(pin, color) });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const placedPins = new Set();
+        const usedSlots = new Set();
+        for (const { pinIndex, slot } of pairs) {
+            if (placedPins.has(pinIndex) || usedSlots.has(slot)) continue;
+            result[slot] = pins[pinIndex];
+            placedPins.add(pinIndex);
+            usedSlots.add(slot);
+        }
+        return result;
     }
 
     /**
@@ -622,6 +1173,7 @@
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
             // Pick a random pixel
             const pixelIndex = Math.floor(Math.random() * (imageData.length / 4)) * 4;
+            if (imageData[pixelIndex + 3] < ALPHA_THRESHOLD) continue; // Skip transparent pixels
             const r = imageData[pixelIndex];
             const g = imageData[pixelIndex + 1];
             const b = imageData[pixelIndex + 2];
@@ -634,7 +1186,7 @@
                 const distance = colorDistance([r, g, b], [ur, ug, ub]);
 
                 // If the distance is too small, this color is too similar
-                if (distance < 10000) {
+                if (distance < SIMILAR_COLOR_THRESHOLDS[colorMetric]) {
                     // Threshold for "similar" colors
                     isDistinct = false;
                     break;
@@ -701,7 +1253,10 @@
         
         // Step 2: Check if corner colors are similar (within threshold)
         const colorDistanceThreshold = 1000; // Threshold for RGB squared distance
-        let cornersAreSimilar = true;
+        // Transparent corners say nothing about the color of the printed part
+        let cornersAreSimilar = [topLeftIndex, topRightIndex, bottomLeftIndex, bottomRightIndex].every(
+            index => imageData[index + 3] >= ALPHA_THRESHOLD
+        );
         
         // Convert corner colors to CIELAB for more accurate comparison
         const cornerColorsLab = cornerColors.map(color => rgbToLab(color[0], color[1], color[2]));
@@ -740,7 +1295,9 @@
                 imageData[topIndex + 2],
             ];
             const topKey = topColor.join(',');
-            colorCounts.set(topKey, (colorCounts.get(topKey) || 0) + 1);
+            if (imageData[topIndex + 3] >= ALPHA_THRESHOLD) {
+                colorCounts.set(topKey, (colorCounts.get(topKey) || 0) + 1);
+            }
 
             // Bottom row
             const bottomIndex = (x + (height - 1) * width) * 4;
@@ -750,7 +1307,9 @@
                 imageData[bottomIndex + 2],
             ];
             const bottomKey = bottomColor.join(',');
-            colorCounts.set(bottomKey, (colorCounts.get(bottomKey) || 0) + 1);
+            if (imageData[bottomIndex + 3] >= ALPHA_THRESHOLD) {
+                colorCounts.set(bottomKey, (colorCounts.get(bottomKey) || 0) + 1);
+            }
         }
 
         // Left and right columns (excluding corners to avoid double counting)
@@ -763,7 +1322,9 @@
                 imageData[leftIndex + 2],
             ];
             const leftKey = leftColor.join(',');
-            colorCounts.set(leftKey, (colorCounts.get(leftKey) || 0) + 1);
+            if (imageData[leftIndex + 3] >= ALPHA_THRESHOLD) {
+                colorCounts.set(leftKey, (colorCounts.get(leftKey) || 0) + 1);
+            }
 
             // Right column
             const rightIndex = (width - 1 + y * width) * 4;
@@ -773,7 +1334,18 @@
                 imageData[rightIndex + 2],
             ];
             const rightKey = rightColor.join(',');
-            colorCounts.set(rightKey, (colorCounts.get(rightKey) || 0) + 1);
+            if (imageData[rightIndex + 3] >= ALPHA_THRESHOLD) {
+                colorCounts.set(rightKey, (colorCounts.get(rightKey) || 0) + 1);
+            }
+        }
+
+        // Fully transparent border (e.g. a logo cutout): use the most frequent opaque color instead
+        if (colorCounts.size === 0) {
+            for (let i = 0; i < imageData.length; i += 16) {
+                if (imageData[i + 3] < ALPHA_THRESHOLD) continue;
+                const key = `${imageData[i]},${imageData[i + 1]},${imageData[i + 2]}`;
+                colorCounts.set(key, (colorCounts.get(key) || 0) + 1);
+            }
         }
 
         // Find the most frequent color
@@ -797,85 +1369,493 @@
      * @param {number} bands - Number of dominant colors to extract
      * @param {number} width - Image width in pixels
      * @param {number} height - Image height in pixels
+     * @param {Object|null} [importance=null] - Painted importance map (see getSaliencyWeight)
      * @returns {Array<string>} Array of hex color strings representing dominant colors
      */
-    function getSuggestedColors(imageData, bands, width, height) {
+    function getSuggestedColors(imageData, bands, width, height, importance = null) {
         // Preprocess the image data to group very similar colors together
         const preprocessedData = preprocessImageData(imageData);
 
         // Use Impactful Color algorithm to find visually important colors
-        const dominantColors = getImpactfulColors(preprocessedData, width, height, bands);
+        const dominantColors = getImpactfulColors(preprocessedData, width, height, bands, importance);
         // Convert the [r,g,b] arrays to hex strings and ensure uniqueness
         const hexColors = dominantColors.map(c => rgbToHex(c[0], c[1], c[2]));
         return ensureUniqueColors(hexColors, imageData);
     }
 
-    /**
-     * Processes an image by quantizing it to the selected color palette and creating a band map.
-     * This function converts the image to use only the colors in the palette and creates a height map
-     * for 3D printing where each color band represents a different height layer.
-     *
-     * @param {Object} appState - Application state containing the image
-     * @param {Object} domElements - DOM elements for UI controls
-     * @returns {Float32Array|null} Band map array where each pixel value indicates which color band it belongs to, or null if processing fails
-     */
-    function processImage(appState, domElements) {
-        const { img } = appState;
-        const {
-            origCanvas,
-            procCanvas,
-            numBandsInput,
-            paletteDiv,
-            layerSlider,
-            singleLayerToggle,
-        } = domElements;
-        if (!img) return null;
+    // Largest same-band region removeDitherSpecks treats as a speck; dithering rarely leaves larger ones
+    const DITHER_SPECK_SIZE = 2;
+
+    // Error diffusion kernels as [dx, dy, weight]; Atkinson only passes on 3/4 of the error
+    const DITHER_KERNELS = {
+        'floyd-steinberg': [
+            [1, 0, 7 / 16],
+            [-1, 1, 3 / 16],
+            [0, 1, 5 / 16],
+            [1, 1, 1 / 16],
+        ],
+        atkinson: [
+            [1, 0, 1 / 8],
+            [2, 0, 1 / 8],
+            [-1, 1, 1 / 8],
+            [0, 1, 1 / 8],
+            [1, 1, 1 / 8],
+            [0, 2, 1 / 8],
+        ],
+    };
 
-        // Draw the original image to the canvas and get its pixel data
-        const context = origCanvas.getContext('2d');
-        context.drawImage(img, 0, 0, origCanvas.width, origCanvas.height);
-        const imageData = context.getImageData(0, 0, origCanvas.width, origCanvas.height);
-        const data = imageData.data;
+    // Threshold map for ordered dithering (4x4 Bayer matrix)
+    const BAYER_MATRIX = [
+        [0, 8, 2, 10],
+        [12, 4, 14, 6],
+        [3, 11, 1, 9],
+        [15, 7, 13, 5],
+    ];
 
-        const currentLayer = parseInt(layerSlider.value, 10);
-        const isSingleLayerMode = singleLayerToggle ? singleLayerToggle.checked : false;
+    /**
+     * Finds the palette color closest to an RGB color.
+     * @param {Array<number>} color - RGB color
+     * @param {Array<Array<number>>} paletteColors - RGB palette colors
+     * @returns {number} Index of the closest palette color
+     */
+    function findClosestColorIndex(color, paletteColors) {
+        let minDistance = Infinity;
+        let bandIndex = 0;
+        for (let k = 0; k < paletteColors.length; k++) {
+            const distance = colorDistance(color, paletteColors[k]);
+            if (distance < minDistance) {
+                minDistance = distance;
+                bandIndex = k;
+            }
+        }
+        return bandIndex;
+    }
 
-        // Always use the suggested palette for creating the band map (image structure)
-        const suggestedPalette =
-            appState.suggestedPalette || Array.from(paletteDiv.children).map(input => input.value);
+    /**
+     * Works out how far ordered dithering may push a pixel: the average RGB distance from each
+     * palette color to its nearest neighbour in the palette.
+     * @param {Array<Array<number>>} paletteColors - RGB palette colors
+     * @returns {number} Spread of the threshold offsets in RGB units
+     */
+    function getBayerSpread(paletteColors) {
+        if (paletteColors.length < 2) return 0;
+        let total = 0;
+        paletteColors.forEach((color, k) => {
+            let nearest = Infinity;
+            paletteColors.forEach((other, m) => {
+                if (m === k) return;
+                const dr = color[0] - other[0];
+                const dg = color[1] - other[1];
+                const db = color[2] - other[2];
+                nearest = Math.min(nearest, Math.sqrt(dr * dr + dg * dg + db * db));
+            });
+            total += nearest;
+        });
+        return total / paletteColors.length;
+    }
 
-        // Use the current palette for rendering colors
-        const currentPalette = appState.currentPalette || suggestedPalette;
+    /**
+     * Minimum-feature guard for dithered band maps. A region of DITHER_SPECK_SIZE pixels or fewer that
+     * shares its band with none of the pixels around it would print as a lone speck, so it takes the
+     * most common band around it.
+     *
+     * @param {Float32Array} bandMap - Band index of every pixel
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Float32Array} Band map without specks
+     */
+    function removeDitherSpecks(bandMap, width, height) {
+        // Updates its copy while scanning, so a speck merged into a neighbour's band counts as that band
+        // for the pixels checked after it
+        const result = bandMap.slice();
+        const bandAt = (x, y) => (x >= 0 && y >= 0 && x < width && y < height ? result[y * width + x] : EMPTY_BAND);
+        const speck = [];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const band = result[y * width + x];
+                if (band === EMPTY_BAND) continue;
+
+                // Collect the pixel's same-band region, giving up as soon as it is larger than a speck
+                speck.length = 0;
+                speck.push(y * width + x);
+                for (let i = 0; i < speck.length && speck.length <= DITHER_SPECK_SIZE; i++) {
+                    const px = speck[i] % width;
+                    const py = (speck[i] - px) / width;
+                    for (let n = 0; n < 4; n++) {
+                        const nx = px + (n === 0 ? -1 : n === 1 ? 1 : 0);
+                        const ny = py + (n === 2 ? -1 : n === 3 ? 1 : 0);
+                        if (bandAt(nx, ny) === band && !speck.includes(ny * width + nx)) {
+                            speck.push(ny * width + nx);
+                        }
+                    }
+                }
+                if (speck.length > DITHER_SPECK_SIZE) continue;
+
+                const counts = new Map();
+                let replacement = band;
+                let bestCount = 0;
+                speck.forEach(index => {
+                    const px = index % width;
+                    const py = (index - px) / width;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const neighbour = bandAt(px + dx, py + dy);
+                            if (neighbour === EMPTY_BAND || neighbour === band) continue;
+                            const count = (counts.get(neighbour) || 0) + 1;
+                            counts.set(neighbour, count);
+                            if (count > bestCount) {
+                                bestCount = count;
+                                replacement = neighbour;
+                            }
+                        }
+                    }
+                });
+                speck.forEach(index => {
+                    result[index] = replacement;
+                });
+            }
+        }
+        return result;
+    }
 
-        // Convert suggested palette colors from hex to RGB arrays for distance calculation
-        const paletteColors = suggestedPalette.map(color => {
-            const { r, g, b } = hexToRgb(color);
-            return [r, g, b];
-        });
-        if (paletteColors.length === 0) return null; // Exit if palette isn't ready
+    /**
+     * Assigns every pixel to the color band of its closest palette color, optionally dithered.
+     * Error diffusion (Floyd-Steinberg, Atkinson) passes each pixel's color error on to the pixels
+     * that follow; ordered dithering (Bayer) offsets each pixel by a fixed threshold pattern.
+     * Transparent pixels get EMPTY_BAND and neither receive nor pass on any error.
+     *
+     * @param {Uint8ClampedArray} imageData - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Array<Array<number>>} paletteColors - RGB colors of the bands
+     * @param {string} [method='none'] - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+     * @returns {Float32Array} Band index of every pixel
+     */
+    function assignBands(imageData, width, height, paletteColors, method = 'none') {
+        const bandMap = new Float32Array(width * height);
+        const kernel = DITHER_KERNELS[method];
+        const spread = method === 'bayer' ? getBayerSpread(paletteColors) : 0;
+        // Without dithering every pixel of one color lands in the same band, so look each color up once
+        const closestByColor = method === 'none' ? new Map() : null;
+
+        // Error diffusion needs a working copy that can leave the 0-255 range
+        let pixels = null;
+        if (kernel) {
+            pixels = new Float32Array(width * height * 3);
+            for (let j = 0; j < width * height; j++) {
+                pixels[j * 3] = imageData[j * 4];
+                pixels[j * 3 + 1] = imageData[j * 4 + 1];
+                pixels[j * 3 + 2] = imageData[j * 4 + 2];
+            }
+        }
 
-        // Create band map: each pixel gets assigned to a color band (0 to numBands-1)
-        const bandMap = new Float32Array(data.length / 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const j = y * width + x;
+                const i = j * 4;
+                if (imageData[i + 3] < ALPHA_THRESHOLD) {
+                    bandMap[j] = EMPTY_BAND;
+                    continue;
+                }
 
-        // First pass: Create the band map using the suggested palette (image structure)
-        for (let i = 0, j = 0; i < data.length; i += 4, j++) {
-            const pixelColor = [data[i], data[i + 1], data[i + 2]];
+                const pixelColor = kernel
+                    ? [pixels[j * 3], pixels[j * 3 + 1], pixels[j * 3 + 2]]
+                    : [imageData[i], imageData[i + 1], imageData[i + 2]];
+                if (spread) {
+                    // The pattern works on 2x2 pixel cells so its dots are never a single pixel wide
+                    const threshold = BAYER_MATRIX[(y >> 1) % 4][(x >> 1) % 4];
+                    const offset = ((threshold + 0.5) / 16 - 0.5) * spread;
+                    pixelColor[0] += offset;
+                    pixelColor[1] += offset;
+                    pixelColor[2] += offset;
+                }
 
-            // Find the closest color in the suggested palette for the current pixel using color distance
-            let minDistance = Infinity;
-            let bandIndex = 0;
-            for (let k = 0; k < paletteColors.length; k++) {
-                const distance = colorDistance(pixelColor, paletteColors[k]);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    bandIndex = k;
+                let bandIndex;
+                if (closestByColor) {
+                    const key = (pixelColor[0] << 16) | (pixelColor[1] << 8) | pixelColor[2];
+                    bandIndex = closestByColor.get(key);
+                    if (bandIndex === undefined) {
+                        bandIndex = findClosestColorIndex(pixelColor, paletteColors);
+                        closestByColor.set(key, bandIndex);
+                    }
+                } else {
+                    bandIndex = findClosestColorIndex(pixelColor, paletteColors);
+                }
+                bandMap[j] = bandIndex;
+
+                if (kernel) {
+                    const target = paletteColors[bandIndex];
+                    const errorR = pixelColor[0] - target[0];
+                    const errorG = pixelColor[1] - target[1];
+                    const errorB = pixelColor[2] - target[2];
+                    for (const [dx, dy, weight] of kernel) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || nx >= width || ny >= height) continue;
+                        const n = ny * width + nx;
+                        if (imageData[n * 4 + 3] < ALPHA_THRESHOLD) continue;
+                        pixels[n * 3] += errorR * weight;
+                        pixels[n * 3 + 1] += errorG * weight;
+                        pixels[n * 3 + 2] += errorB * weight;
+                    }
                 }
             }
-            bandMap[j] = bandIndex;
         }
 
-        // Get the base color from the current palette (for rendering)
-        const baseColor = hexToRgb(currentPalette[0]);
+        return method === 'none' ? bandMap : removeDitherSpecks(bandMap, width, height);
+    }
+
+    /**
+     * Narrowest feature, in pixels, that the nozzle can print.
+     * @param {number} nozzleDiameter - Nozzle diameter in millimetres (0 turns the cleanup off)
+     * @param {number} xSize - Printed width of the model in millimetres
+     * @param {number} width - Image width in pixels
+     * @returns {number} Minimum feature width in pixels
+     */
+    function getMinFeatureWidth(nozzleDiameter, xSize, width) {
+        if (!(nozzleDiameter > 0) || !(xSize > 0) || !(width > 0)) return 0;
+        return nozzleDiameter / (xSize / width);
+    }
+
+    /**
+     * Merges connected regions (4-connected pixels of one band) that the nozzle cannot print into the
+     * band they share the longest border with. A region is printable when a square as wide as the
+     * minimum feature fits inside it, which catches both specks and one-pixel slivers. Merged regions
+     * can leave new unprintable regions behind, so the pass repeats until nothing changes, for at most
+     * eight passes in case neighbouring regions keep trading bands. Cut-out
+     * (EMPTY_BAND) areas are never filled and never grow.
+     *
+     * @param {Float32Array} bandMap - Band index of every pixel, changed in place
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} minFeatureWidth - Minimum feature width in pixels from getMinFeatureWidth
+     * @returns {number} Number of regions that were merged
+     */
+    function removeSmallRegions(bandMap, width, height, minFeatureWidth) {
+        const squareSize = Math.round(minFeatureWidth);
+        if (squareSize <= 1) return 0;
+
+        const pixelCount = width * height;
+        const squares = new Uint16Array(pixelCount); // Largest same-band square ending at each pixel
+        const visited = new Uint8Array(pixelCount);
+        const queue = new Int32Array(pixelCount);
+        const neighboursOf = index => {
+            const x = index % width;
+            return [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index - width,
+                index + width < pixelCount ? index + width : -1,
+            ];
+        };
+        let mergedRegions = 0;
+
+        for (let pass = 0; pass < 8; pass++) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const index = y * width + x;
+                    const band = bandMap[index];
+                    if (
+                        x > 0 &&
+                        y > 0 &&
+                        band === bandMap[index - 1] &&
+                        band === bandMap[index - width] &&
+                        band === bandMap[index - width - 1]
+                    ) {
+                        squares[index] =
+                            1 + Math.min(squares[index - 1], squares[index - width], squares[index - width - 1]);
+                    } else {
+                        squares[index] = 1;
+                    }
+                }
+            }
+
+            // Label the regions with a flood fill, keeping the pixels of the unprintable ones
+            visited.fill(0);
+            const smallRegions = [];
+            for (let start = 0; start < pixelCount; start++) {
+                if (visited[start] || bandMap[start] === EMPTY_BAND) continue;
+
+                const band = bandMap[start];
+                let printable = false;
+                let head = 0;
+                let tail = 0;
+                queue[tail++] = start;
+                visited[start] = 1;
+                while (head < tail) {
+                    const index = queue[head++];
+                    if (squares[index] >= squareSize) printable = true;
+                    for (const neighbour of neighboursOf(index)) {
+                        if (neighbour < 0 || visited[neighbour] || bandMap[neighbour] !== band) continue;
+                        visited[neighbour] = 1;
+                        queue[tail++] = neighbour;
+                    }
+                }
+                if (!printable) smallRegions.push({ band, pixels: queue.slice(0, tail) });
+            }
+
+            // Smallest first, so specks are absorbed before the regions around them are judged
+            smallRegions.sort((a, b) => a.pixels.length - b.pixels.length);
+            let changed = 0;
+            for (const { band, pixels } of smallRegions) {
+                const borders = new Map();
+                for (const index of pixels) {
+                    for (const neighbour of neighboursOf(index)) {
+                        if (neighbour < 0) continue;
+                        const neighbourBand = bandMap[neighbour];
+                        if (neighbourBand === band || neighbourBand === EMPTY_BAND) continue;
+                        borders.set(neighbourBand, (borders.get(neighbourBand) || 0) + 1);
+                    }
+                }
+
+                let replacement = band;
+                let longestBorder = 0;
+                for (const [neighbourBand, length] of borders) {
+                    if (length > longestBorder) {
+                        longestBorder = length;
+                        replacement = neighbourBand;
+                    }
+                }
+                if (replacement === band) continue; // Only surrounded by cut-out areas
+
+                for (const index of pixels) bandMap[index] = replacement;
+                changed++;
+            }
+
+            mergedRegions += changed;
+            if (changed === 0) break;
+        }
+        return mergedRegions;
+    }
+
+    /**
+     * Repeats the merges, splits and moves made in the band editor on a band map assigned from the
+     * palette before the first of them. A merged band keeps all of its pixels and a split only
+     * divides the pixels of its own band; assigning pixels to the edited colors instead would hand
+     * some of them to whichever band is now nearest.
+     * @param {Float32Array} bandMap - Band index per pixel, changed in place
+     * @param {Uint8ClampedArray} imageData - RGBA pixels the band map was assigned from
+     * @param {Array<Object>} edits - { newIndices, split } in the order they were made, where split
+     *   is { band, colors } for a band divided between colors[0] and the new band after it
+     */
+    function applyBandEdits(bandMap, imageData, edits) {
+        edits.forEach(({ newIndices, split }) => {
+            const splitColors = split
+                ? split.colors.map(color => {
+                      const { r, g, b } = hexToRgb(color);
+                      return [r, g, b];
+                  })
+                : null;
+            for (let i = 0; i < bandMap.length; i++) {
+                const band = bandMap[i];
+                if (band < 0 || band >= newIndices.length) continue;
+                bandMap[i] = newIndices[band];
+                if (split && band === split.band) {
+                    const pixel = [imageData[i * 4], imageData[i * 4 + 1], imageData[i * 4 + 2]];
+                    if (colorDistance(pixel, splitColors[1]) < colorDistance(pixel, splitColors[0])) bandMap[i]++;
+                }
+            }
+        });
+    }
+
+    /**
+     * Forces the painted pixels into their chosen band, over the computed band assignment. Cut-out
+     * (EMPTY_BAND) pixels stay cut out, so paint spilling over a transparent edge adds no geometry.
+     * @param {Float32Array|Int16Array} bandMap - Band index per pixel, changed in place
+     * @param {Uint8Array|null} bandMask - 0 for automatic pixels, otherwise the forced band + 1
+     * @param {number} numBands - Number of bands; overrides for bands beyond it are ignored
+     * @returns {number} Number of pixels that were changed
+     */
+    function applyBandMask(bandMap, bandMask, numBands) {
+        if (!bandMask || bandMask.length !== bandMap.length) return 0;
+        let changed = 0;
+        for (let i = 0; i < bandMask.length; i++) {
+            const band = bandMask[i] - 1;
+            if (band < 0 || band >= numBands || bandMap[i] === band || bandMap[i] === EMPTY_BAND) continue;
+            bandMap[i] = band;
+            changed++;
+        }
+        return changed;
+    }
+
+    /**
+     * Processes an image by quantizing it to the selected color palette and creating a band map.
+     * This function converts the image to use only the colors in the palette and creates a height map
+     * for 3D printing where each color band represents a different height layer.
+     *
+     * @param {Object} appState - Application state containing the image
+     * @param {Object} domElements - DOM elements for UI controls
+     * @returns {Float32Array|null} Band map array where each pixel value indicates which color band it belongs to, or null if processing fails
+     */
+    function processImage(appState, domElements) {
+        const { img } = appState;
+        const {
+            origCanvas,
+            procCanvas,
+            numBandsInput,
+            paletteDiv,
+            layerSlider,
+            singleLayerToggle,
+        } = domElements;
+        if (!img) return null;
+
+        // Draw the original image to the canvas and get its pixel data
+        const context = origCanvas.getContext('2d');
+        context.drawImage(img, 0, 0, origCanvas.width, origCanvas.height);
+        const imageData = context.getImageData(0, 0, origCanvas.width, origCanvas.height);
+        const data = imageData.data;
+
+        const currentLayer = parseInt(layerSlider.value, 10);
+        const isSingleLayerMode = singleLayerToggle ? singleLayerToggle.checked : false;
+
+        // The suggested palette (image structure) decides the bands, except for Best Fit (see getBandMapPalette)
+        const bandPalette = getBandMapPalette() || Array.from(paletteDiv.children).map(input => input.value);
+
+        // Use the current palette for rendering colors
+        const currentPalette = appState.currentPalette || bandPalette;
+
+        // Colors the stacked bands actually show once the semi-transparent filaments are printed
+        const blendedPalette = getBlendedPalette(
+            currentPalette,
+            appState.myFilaments,
+            getBandThickness(domElements, appState.bandLayers, currentPalette.length)
+        );
+
+        // After a merge or split the pixels are assigned from the palette before the edits, which
+        // are then repeated (see applyBandEdits)
+        const bandEdits = getBandEdits(bandPalette);
+
+        // Convert suggested palette colors from hex to RGB arrays for distance calculation
+        const paletteColors = (bandEdits ? bandEdits.basePalette : bandPalette).map(color => {
+            const { r, g, b } = hexToRgb(color);
+            return [r, g, b];
+        });
+        if (paletteColors.length === 0) return null; // Exit if palette isn't ready
+
+        // Create band map: each pixel gets assigned to a color band (0 to numBands-1)
+        // using the suggested palette (image structure) and the selected dithering method
+        const ditherMethod = domElements.ditherMethodSelect ? domElements.ditherMethodSelect.value : 'none';
+        const bandMap = assignBands(data, origCanvas.width, origCanvas.height, paletteColors, ditherMethod);
+        if (bandEdits) applyBandEdits(bandMap, data, bandEdits.edits);
+
+        // Merge regions narrower than the nozzle can print into their neighbours, when the user opted in
+        const minFeatureWidth =
+            domElements.mergeSmallRegionsToggle && domElements.mergeSmallRegionsToggle.checked
+                ? getMinFeatureWidth(
+                      parseFloat(domElements.nozzleDiameterInput ? domElements.nozzleDiameterInput.value : '0'),
+                      parseFloat(domElements.xSizeInput ? domElements.xSizeInput.value : '0'),
+                      origCanvas.width
+                  )
+                : 0;
+        const cleanedRegions = removeSmallRegions(bandMap, origCanvas.width, origCanvas.height, minFeatureWidth);
+        showCleanupSummary(cleanedRegions);
+
+        // Pixels painted by hand keep their band whatever the palette says
+        applyBandMask(bandMap, appState.bandMask, bandPalette.length);
+
+        // Get the base color from the current palette (for rendering)
+        const baseColor = hexToRgb(currentPalette[0]);
 
         // Create a new image data for the preview
         const previewImageData = context.createImageData(origCanvas.width, origCanvas.height);
@@ -886,7 +1866,7 @@
             previewData[i] = baseColor.r; // Red
             previewData[i + 1] = baseColor.g; // Green
             previewData[i + 2] = baseColor.b; // Blue
-            previewData[i + 3] = 255; // Alpha (opaque)
+            previewData[i + 3] = bandMap[i / 4] === EMPTY_BAND ? 0 : 255; // Cut-out areas stay transparent
         }
 
         // Now simulate the 3D printing process by drawing layers on top
@@ -909,7 +1889,7 @@
             for (let layer = 1; layer <= currentLayer; layer++) {
                 for (let i = 0, j = 0; i < previewData.length; i += 4, j++) {
                     if (bandMap[j] === layer) {
-                        const { r, g, b } = hexToRgb(currentPalette[layer]);
+                        const { r, g, b } = hexToRgb(blendedPalette[layer]);
                         previewData[i] = r; // Red
                         previewData[i + 1] = g; // Green
                         previewData[i + 2] = b; // Blue
@@ -924,10 +1904,558 @@
         return bandMap;
     }
 
+    // ============================================================================
+    // FILAMENT BLENDING FUNCTIONS
+    // ============================================================================
+
+    // Transmission distance (mm) given to filaments that were saved without one
+    const DEFAULT_TRANSMISSION_DISTANCE = 4;
+
+    /**
+     * Looks up the transmission distance (TD) of a palette color in the user's filaments.
+     * @param {string} color - Hex color of the band
+     * @param {Array<Object>} myFilaments - The user's filament collection
+     * @returns {number|null} TD in millimetres, or null when the color is not one of the filaments
+     */
+    function getTransmissionDistance(color, myFilaments) {
+        const filament = (myFilaments || []).find(f => f.color.toLowerCase() === color.toLowerCase());
+        if (!filament) return null;
+        const td = parseFloat(filament.td);
+        return td > 0 ? td : DEFAULT_TRANSMISSION_DISTANCE;
+    }
+
+    /**
+     * Predicts the color seen from above when a layer of filament is printed over another color.
+     * The color below shows through until the layer is as thick as the filament's TD, where it
+     * becomes opaque; in between the two colors mix linearly.
+     *
+     * @param {Array<number>} below - RGB color of the layers underneath
+     * @param {Array<number>} filament - RGB color of the filament printed on top
+     * @param {number} thickness - Thickness of the new layer in millimetres
+     * @param {number|null} td - Transmission distance of the filament, null for opaque
+     * @returns {Array<number>} Predicted RGB color
+     */
+    function blendFilamentLayer(below, filament, thickness, td) {
+        const opacity = td ? Math.min(1, thickness / td) : 1;
+        return [0, 1, 2].map(c => below[c] + (filament[c] - below[c]) * opacity);
+    }
+
+    /**
+     * Predicts the color every band shows once it is printed on top of all bands below it.
+     * Bands whose color is not one of the user's filaments are treated as opaque.
+     *
+     * @param {Array<string>} palette - Hex colors of the bands, base first
+     * @param {Array<Object>} myFilaments - The user's filament collection (with `td`)
+     * @param {number|Array<number>} bandThickness - Thickness of each band in millimetres, or of
+     *   every band base first; bands without a thickness show their own color
+     * @returns {Array<string>} Predicted hex color of every band
+     */
+    function getBlendedPalette(palette, myFilaments, bandThickness) {
+        let seen = null;
+        return palette.map((color, band) => {
+            const { r, g, b } = hexToRgb(color);
+            const thickness = getThicknessOfBand(bandThickness, band);
+            // The base band sits on the bed, so it always shows its own color
+            const td = getTransmissionDistance(color, myFilaments);
+            seen = seen && thickness > 0 ? blendFilamentLayer(seen, [r, g, b], thickness, td) : [r, g, b];
+            return rgbToHex(seen[0], seen[1], seen[2]);
+        });
+    }
+
+    /**
+     * Looks up the thickness of one band from a uniform or per band thickness.
+     * @param {number|Array<number>} bandThickness - Thickness in millimetres, or one per band
+     * @param {number} band - Band index, base first
+     * @returns {number} Thickness of the band in millimetres
+     */
+    function getThicknessOfBand(bandThickness, band) {
+        return Array.isArray(bandThickness) ? bandThickness[band] : bandThickness;
+    }
+
+    /**
+     * Reads how many layers every band is printed with. Bands follow the base and band thickness
+     * inputs unless the palette gives them their own layer count.
+     * @param {Object} domElements - DOM elements containing baseThicknessInput and bandThicknessInput
+     * @param {Array<number|null>} customLayers - Per band layer counts, empty entries use the inputs
+     * @param {number} numBands - Number of color bands
+     * @returns {Array<number>} Layer count of every band, base first
+     */
+    function getBandLayers(domElements, customLayers, numBands) {
+        const { baseThicknessInput, bandThicknessInput } = domElements;
+        const baseLayers = baseThicknessInput ? parseInt(baseThicknessInput.value, 10) || 0 : 0;
+        const bandLayers = bandThicknessInput ? parseInt(bandThicknessInput.value, 10) || 0 : 0;
+        const layers = new Array(numBands);
+        for (let i = 0; i < numBands; i++) {
+            const custom = customLayers ? customLayers[i] : null;
+            layers[i] = custom > 0 ? custom : i === 0 ? baseLayers : bandLayers;
+        }
+        return layers;
+    }
+
+    /**
+     * Reads the printed thickness of every color band from the layer inputs and the palette's
+     * own layer counts.
+     * @param {Object} domElements - DOM elements containing the layer inputs
+     * @param {Array<number|null>} customLayers - Per band layer counts, empty entries use the inputs
+     * @param {number} numBands - Number of color bands
+     * @returns {Array<number>} Thickness of every band in millimetres, empty without a layer height
+     */
+    function getBandThickness(domElements, customLayers, numBands) {
+        const layerHeight = domElements.layerHeightInput ? parseFloat(domElements.layerHeightInput.value) : 0;
+        if (!(layerHeight > 0)) return [];
+        return getBandLayers(domElements, customLayers, numBands).map(layers => layers * layerHeight);
+    }
+
+    // ============================================================================
+    // LITHOPHANE FUNCTIONS
+    // ============================================================================
+
+    // Approximate light attenuation of white PLA per millimetre, used for the backlit preview
+    const LITHOPHANE_ATTENUATION = 1.2;
+
+    // Warm white of a typical LED backlight
+    const BACKLIGHT_COLOR = [255, 244, 229];
+
+    /**
+     * Maps a pixel luminance to a lithophane thickness.
+     * By default brighter pixels are thicker (a relief). The inverted mapping makes darker
+     * pixels thicker, so the print reproduces the photo when lit from behind.
+     *
+     * @param {number} luminance - Pixel luminance (0-255), see getLuminance
+     * @param {Object} settings - { minThickness, maxThickness, inverted }
+     * @returns {number} Thickness in millimetres
+     */
+    function getLithophaneThickness(luminance, settings) {
+        const { minThickness, maxThickness, inverted } = settings;
+        const t = inverted ? 1 - luminance / 255 : luminance / 255;
+        return minThickness + t * (maxThickness - minThickness);
+    }
+
+    /**
+     * Builds the lithophane height of every grid vertex from the image pixels.
+     *
+     * @param {Uint8ClampedArray} imageData - RGBA pixel data of the image
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} settings - { minThickness, maxThickness, inverted }
+     * @returns {Float32Array} Height of every vertex, row-major with image Y flipped to match the 3D coordinate system
+     */
+    function getLithophaneHeights(imageData, width, height, settings) {
+        const heights = new Float32Array(width * height);
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const p = ((height - 1 - j) * width + i) * 4;
+                if (imageData[p + 3] < ALPHA_THRESHOLD) {
+                    heights[j * width + i] = NaN; // Cut out
+                    continue;
+                }
+                // Same weights as getLuminance
+                const luminance =
+                    0.299 * imageData[p] + 0.587 * imageData[p + 1] + 0.114 * imageData[p + 2];
+                heights[j * width + i] = getLithophaneThickness(luminance, settings);
+            }
+        }
+        return heights;
+    }
+
+    /**
+     * Draws a simulation of the lithophane lit from behind.
+     * Transmitted light falls off exponentially with thickness (Beer-Lambert law), so the
+     * thinnest areas show the full backlight and thick areas turn dark.
+     *
+     * @param {Object} appState - Application state containing image data and lithophane settings
+     * @param {Object} domElements - DOM elements containing the backlit preview canvas
+     */
+    function renderBacklitPreview(appState, domElements) {
+        const { lithoCanvas } = domElements;
+        if (!lithoCanvas || !appState.img || !appState.imageData || !appState.lithophane.enabled) {
+            return;
+        }
+
+        const { width, height } = appState.img;
+        lithoCanvas.width = width;
+        lithoCanvas.height = height;
+
+        const context = lithoCanvas.getContext('2d');
+        const preview = context.createImageData(width, height);
+        const source = appState.imageData;
+        const settings = appState.lithophane;
+
+        for (let p = 0; p < width * height * 4; p += 4) {
+            const luminance = 0.299 * source[p] + 0.587 * source[p + 1] + 0.114 * source[p + 2];
+            const thickness = getLithophaneThickness(luminance, settings);
+            const light = Math.exp(-LITHOPHANE_ATTENUATION * (thickness - settings.minThickness));
+            preview.data[p] = BACKLIGHT_COLOR[0] * light;
+            preview.data[p + 1] = BACKLIGHT_COLOR[1] * light;
+            preview.data[p + 2] = BACKLIGHT_COLOR[2] * light;
+            preview.data[p + 3] = source[p + 3] < ALPHA_THRESHOLD ? 0 : 255;
+        }
+
+        context.putImageData(preview, 0, 0);
+    }
+
+    /**
+     * Applies new lithophane settings from the React controls.
+     * @param {Object} settings - { enabled, minThickness, maxThickness, inverted }
+     */
+    function handleLithophaneChange(settings) {
+        const minThickness = Math.max(0.2, parseFloat(settings.minThickness) || 0.2);
+        const maxThickness = Math.max(minThickness, parseFloat(settings.maxThickness) || minThickness);
+
+        appState.lithophane = {
+            enabled: !!settings.enabled,
+            minThickness,
+            maxThickness,
+            inverted: !!settings.inverted,
+        };
+
+        renderBacklitPreview(appState, domElements);
+    }
+
+    // ============================================================================
+    // IMAGE ADJUSTMENT FUNCTIONS
+    // ============================================================================
+
+    let adjustmentJobId = 0;
+    let pendingAdjustment = null; // { jobId, canvas } while the worker adjusts the pixels
+
+    // Settings that move pixels around rather than recolor them
+    const GEOMETRY_ADJUSTMENTS = [
+        'cropLeft', 'cropTop', 'cropRight', 'cropBottom', 'lockCropToModel', 'rotation', 'flipHorizontal', 'flipVertical',
+    ];
+
+    // Color difference (RGB distance) at which a neighbour stops counting toward a smoothed pixel,
+    // so edges between different colors stay sharp
+    const SMOOTHING_COLOR_SIGMA = 30;
+
+    /**
+     * Builds the lookup table for brightness, contrast and gamma, which act on every channel alike.
+     * @param {number} brightness - -100 to 100, 0 leaves the image unchanged
+     * @param {number} contrast - -100 to 100, 0 leaves the image unchanged
+     * @param {number} gamma - Gamma above 1 brightens the midtones, 1 leaves them unchanged
+     * @returns {Uint8ClampedArray} New value for every channel value
+     */
+    function getLevelsTable(brightness, contrast, gamma) {
+        const table = new Uint8ClampedArray(256);
+        const shift = brightness * 2.55;
+        const stretch = contrast * 2.55;
+        const factor = (259 * (stretch + 255)) / (255 * (259 - stretch));
+        for (let value = 0; value < 256; value++) {
+            const leveled = Math.min(255, Math.max(0, factor * (value + shift - 128) + 128));
+            table[value] = 255 * Math.pow(leveled / 255, 1 / gamma);
+        }
+        return table;
+    }
+
+    /**
+     * Smooths the image with a bilateral filter: neighbours are averaged by distance and by how
+     * close their color is, so flat areas lose their noise while edges between colors stay put.
+     * Transparent pixels are left out.
+     *
+     * @param {Uint8ClampedArray} data - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} radius - Neighbourhood radius in pixels
+     * @returns {Uint8ClampedArray} The smoothed RGBA pixel data
+     */
+    function smoothImagePixels(data, width, height, radius) {
+        const result = new Uint8ClampedArray(data);
+        const spatialSigma = Math.max(1, radius / 2);
+        const offsets = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                offsets.push({ dx, dy, weight: Math.exp(-(dx * dx + dy * dy) / (2 * spatialSigma * spatialSigma)) });
+            }
+        }
+        // Weights by squared color difference, looked up instead of calling exp for every neighbour
+        const colorWeights = new Float32Array(3 * 255 * 255 + 1);
+        for (let d = 0; d < colorWeights.length; d++) {
+            colorWeights[d] = Math.exp(-d / (2 * SMOOTHING_COLOR_SIGMA * SMOOTHING_COLOR_SIGMA));
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] < ALPHA_THRESHOLD) continue;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                let sumR = 0;
+                let sumG = 0;
+                let sumB = 0;
+                let sumWeight = 0;
+                for (const { dx, dy, weight } of offsets) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = (ny * width + nx) * 4;
+                    if (data[n + 3] < ALPHA_THRESHOLD) continue;
+                    const dr = data[n] - r;
+                    const dg = data[n + 1] - g;
+                    const db = data[n + 2] - b;
+                    const w = weight * colorWeights[dr * dr + dg * dg + db * db];
+                    sumR += w * data[n];
+                    sumG += w * data[n + 1];
+                    sumB += w * data[n + 2];
+                    sumWeight += w;
+                }
+                result[i] = sumR / sumWeight;
+                result[i + 1] = sumG / sumWeight;
+                result[i + 2] = sumB / sumWeight;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Applies the color adjustments of the pre-processing editor: smoothing first, then
+     * brightness, contrast and gamma, then saturation. Alpha is kept.
+     *
+     * @param {Uint8ClampedArray} data - RGBA pixel data, changed in place unless smoothed
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} adjustments - { brightness, contrast, gamma, saturation, smoothing }
+     * @returns {Uint8ClampedArray} The adjusted RGBA pixel data
+     */
+    function adjustImagePixels(data, width, height, adjustments) {
+        const { brightness = 0, contrast = 0, gamma = 1, saturation = 0, smoothing = 0 } = adjustments;
+        const pixels = smoothing > 0 ? smoothImagePixels(data, width, height, Math.round(smoothing)) : data;
+        if (!brightness && !contrast && gamma === 1 && !saturation) return pixels;
+
+        const table = getLevelsTable(brightness, contrast, gamma);
+        const amount = 1 + saturation / 100;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const r = table[pixels[i]];
+            const g = table[pixels[i + 1]];
+            const b = table[pixels[i + 2]];
+            // Saturation moves each channel away from or toward the gray of the same brightness
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            pixels[i] = gray + (r - gray) * amount;
+            pixels[i + 1] = gray + (g - gray) * amount;
+            pixels[i + 2] = gray + (b - gray) * amount;
+        }
+        return pixels;
+    }
+
+    /**
+     * Checks whether the pre-processing editor changes the pixel colors.
+     * @param {Object|null} adjustments - Settings from the React editor
+     * @returns {boolean} True if brightness, contrast, gamma, saturation or smoothing is set
+     */
+    function hasPixelAdjustments(adjustments) {
+        if (!adjustments) return false;
+        return !!(
+            adjustments.brightness ||
+            adjustments.contrast ||
+            (adjustments.gamma && adjustments.gamma !== 1) ||
+            adjustments.saturation ||
+            adjustments.smoothing
+        );
+    }
+
+    /**
+     * Checks whether the pre-processing editor changes the uploaded image at all.
+     * @param {Object|null} adjustments - Settings from the React editor
+     * @returns {boolean} True if the image is cropped, turned, mirrored or recolored
+     */
+    function hasImageAdjustments(adjustments) {
+        if (!adjustments) return false;
+        return !!(
+            adjustments.cropLeft ||
+            adjustments.cropTop ||
+            adjustments.cropRight ||
+            adjustments.cropBottom ||
+            adjustments.lockCropToModel ||
+            adjustments.rotation % 360 ||
+            adjustments.flipHorizontal ||
+            adjustments.flipVertical ||
+            hasPixelAdjustments(adjustments)
+        );
+    }
+
+    /**
+     * Works out the crop rectangle. Margins are percentages of the turned image; with the lock
+     * on the rectangle shrinks around its center until it has the proportions of the model.
+     *
+     * @param {number} width - Width of the turned image in pixels
+     * @param {number} height - Height of the turned image in pixels
+     * @param {Object} adjustments - { cropLeft, cropTop, cropRight, cropBottom, lockCropToModel }
+     * @param {number} modelAspect - Model width divided by model depth
+     * @returns {Object} { x, y, width, height } in pixels
+     */
+    function getAdjustedCrop(width, height, adjustments, modelAspect) {
+        const margin = value => Math.min(45, Math.max(0, parseFloat(value) || 0)) / 100;
+        let x = width * margin(adjustments.cropLeft);
+        let y = height * margin(adjustments.cropTop);
+        let cropWidth = width - x - width * margin(adjustments.cropRight);
+        let cropHeight = height - y - height * margin(adjustments.cropBottom);
+
+        if (adjustments.lockCropToModel && modelAspect > 0) {
+            if (cropWidth / cropHeight > modelAspect) {
+                x += (cropWidth - cropHeight * modelAspect) / 2;
+                cropWidth = cropHeight * modelAspect;
+            } else {
+                y += (cropHeight - cropWidth / modelAspect) / 2;
+                cropHeight = cropWidth / modelAspect;
+            }
+        }
+        return {
+            x: Math.round(x),
+            y: Math.round(y),
+            width: Math.max(1, Math.round(cropWidth)),
+            height: Math.max(1, Math.round(cropHeight)),
+        };
+    }
+
+    /**
+     * Draws the uploaded image turned, mirrored and cropped. Mirroring acts on the turned image,
+     * the way it is shown.
+     *
+     * @param {HTMLImageElement} source - The uploaded image
+     * @param {Object} adjustments - Settings from the React editor
+     * @param {number} modelAspect - Model width divided by model depth, for the crop lock
+     * @returns {HTMLCanvasElement} The cropped image
+     */
+    function drawAdjustedImage(source, adjustments, modelAspect) {
+        const rotation = ((parseInt(adjustments.rotation, 10) || 0) % 360 + 360) % 360;
+        const quarterTurn = rotation % 180 !== 0;
+        const turned = document.createElement('canvas');
+        turned.width = quarterTurn ? source.height : source.width;
+        turned.height = quarterTurn ? source.width : source.height;
+        const turnedContext = turned.getContext('2d');
+        turnedContext.translate(turned.width / 2, turned.height / 2);
+        turnedContext.scale(adjustments.flipHorizontal ? -1 : 1, adjustments.flipVertical ? -1 : 1);
+        turnedContext.rotate((rotation * Math.PI) / 180);
+        turnedContext.drawImage(source, -source.width / 2, -source.height / 2);
+
+        const crop = getAdjustedCrop(turned.width, turned.height, adjustments, modelAspect);
+        const canvas = document.createElement('canvas');
+        canvas.width = crop.width;
+        canvas.height = crop.height;
+        canvas
+            .getContext('2d')
+            .drawImage(turned, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        return canvas;
+    }
+
+    /**
+     * Applies new pre-processing settings from the React editor. The uploaded image is kept,
+     * so every change starts again from the original and can be undone.
+     * @param {Object} settings - Settings from the React editor
+     */
+    function handleImageAdjustmentsChange(settings) {
+        const previous = appState.adjustments;
+        appState.adjustments = Object.assign({}, settings);
+        if (!appState.sourceImg) return;
+        if (JSON.stringify(previous) === JSON.stringify(appState.adjustments)) return;
+        // An untouched image has nothing to redo
+        if (!hasImageAdjustments(previous) && !hasImageAdjustments(appState.adjustments)) return;
+
+        // Painted pixels no longer line up once the image is cropped, turned or mirrored
+        const geometry = adjustments => GEOMETRY_ADJUSTMENTS.map(key => (adjustments && adjustments[key]) || 0).join();
+        if (geometry(previous) !== geometry(appState.adjustments)) {
+            appState.bandMask = null;
+            updateBandMaskSummary();
+            resetImportanceMap();
+        }
+
+        try {
+            const adjustments = appState.adjustments;
+            const modelAspect = parseFloat(domElements.xSizeInput.value) / parseFloat(domElements.ySizeInput.value);
+            const canvas = drawAdjustedImage(appState.sourceImg, adjustments, modelAspect);
+            const jobId = ++adjustmentJobId;
+            pendingAdjustment = null;
+            if (!hasPixelAdjustments(adjustments)) {
+                showAdjustedImage(canvas);
+                return;
+            }
+
+            const context = canvas.getContext('2d');
+            const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            if (imageWorker) {
+                pendingAdjustment = { jobId, canvas };
+                if (domElements.spinner) {
+                    domElements.spinner.style.display = 'flex';
+                }
+                postImageWorkerJob(
+                    {
+                        type: 'adjust_image',
+                        data: {
+                            jobId,
+                            imageData: imageData.data,
+                            width: canvas.width,
+                            height: canvas.height,
+                            adjustments,
+                        },
+                    },
+                    true
+                );
+            } else {
+                // Fallback to synchronous processing
+                imageData.data.set(adjustImagePixels(imageData.data, canvas.width, canvas.height, adjustments));
+                context.putImageData(imageData, 0, 0);
+                showAdjustedImage(canvas);
+            }
+        } catch (error) {
+            console.error('Error adjusting image:', error);
+            showError('Failed to adjust the image. Please try again.');
+        }
+    }
+
+    /**
+     * Takes the pixels adjusted by the worker, unless a newer change has replaced them.
+     * @param {Object} data - { jobId, imageData } from the worker
+     */
+    function handleImageAdjusted(data) {
+        if (!pendingAdjustment || pendingAdjustment.jobId !== data.jobId) return;
+        const { canvas } = pendingAdjustment;
+        pendingAdjustment = null;
+        const context = canvas.getContext('2d');
+        context.putImageData(new ImageData(new Uint8ClampedArray(data.imageData), canvas.width, canvas.height), 0, 0);
+        showAdjustedImage(canvas);
+    }
+
+    /**
+     * Makes the adjusted image the source for palette generation. The model keeps its longest
+     * side and takes on the proportions of the crop.
+     * @param {HTMLCanvasElement} canvas - The adjusted image
+     */
+    function showAdjustedImage(canvas) {
+        appState.img = canvas;
+        const longestSide = Math.max(
+            parseFloat(domElements.xSizeInput.value) || 0,
+            parseFloat(domElements.ySizeInput.value) || 0
+        );
+        fitModelToImage(canvas.width, canvas.height, longestSide || MAX_MODEL_DIMENSION);
+        handleNumBandsChange();
+    }
+
     // ============================================================================
     // STL EXPORTER FUNCTIONS (from stl_exporter.js)
     // ============================================================================
 
+    // How far, in cells, a vertex where two cells only touch diagonally is moved into the upper cell
+    const PINCH_OFFSET = 0.001;
+
+    /**
+     * Builds the height lookup table for the stepped model.
+     * The base band sits at its own thickness and every following band adds its layers on top.
+     *
+     * @param {Array<number>} bandLayers - Printed layers of every band, base first (see getBandLayers)
+     * @param {number} layerHeight - Height of a single printed layer in millimetres
+     * @returns {Array<number>} Top height of each band in millimetres
+     */
+    function getBandHeights(bandLayers, layerHeight) {
+        const bandHeights = new Array(bandLayers.length);
+        let layers = 0;
+        for (let i = 0; i < bandLayers.length; i++) {
+            // Each band adds its layers on top of the one below
+            layers += bandLayers[i];
+            bandHeights[i] = layers * layerHeight;
+        }
+        return bandHeights;
+    }
+
     /**
      * Generates a 3D STL file from a 2D image using the band map for height information.
      * This function creates a heightmap where each color band represents a different height layer,
@@ -935,24 +2463,19 @@
      *
      * @param {Object} appState - Application state containing bandMap and original canvas
      * @param {Object} domElements - DOM elements containing user input parameters
+     * @param {boolean} [simplify=false] - Merge flat regions into large faces instead of two triangles per pixel
      * @returns {Blob} Binary STL file as a Blob object
      */
-    function generateStl(appState, domElements) {
+    function generateStl(appState, domElements, simplify = false) {
+        // An imported SVG is extruded from its shapes rather than from the pixels
+        if (canExtrudeVector(appState)) return generateVectorStl(appState, domElements);
+
         const { bandMap, origCanvas } = appState;
-        const {
-            layerHeightInput,
-            xSizeInput,
-            ySizeInput,
-            bandThicknessInput,
-            baseThicknessInput,
-            numBandsInput,
-        } = domElements;
+        const { layerHeightInput, xSizeInput, ySizeInput, numBandsInput } = domElements;
 
         // --- Model Parameters ---
         // Physical dimensions and layer settings for the 3D model
         const singleLayerHeight = parseFloat(layerHeightInput.value);
-        const additionalBandLayers = parseInt(bandThicknessInput.value, 10);
-        const baseThicknessInLayers = parseInt(baseThicknessInput.value, 10);
         const numBands = parseInt(numBandsInput.value, 10);
 
         // Physical size of the model in real-world units
@@ -961,201 +2484,4357 @@
         const imageWidth = origCanvas.width;
         const imageHeight = origCanvas.height;
 
-        // Calculate the physical distance between adjacent pixels
-        const dx = modelWidth / (imageWidth - 1);
-        const dy = modelDepth / (imageHeight - 1);
+        // Calculate the physical distance between adjacent pixels, one pixel per size / count as in
+        // the 3MF, SVG and vector exports
+        const dx = modelWidth / imageWidth;
+        const dy = modelDepth / imageHeight;
+
+        // --- Create a Height Lookup Table ---
+        // Each band gets progressively higher, creating a stepped heightmap
+        const bandHeights = getBandHeights(
+            getBandLayers(domElements, appState.bandLayers, numBands),
+            singleLayerHeight
+        );
+
+        // --- Height of Every Vertex ---
+        // In lithophane mode the height follows the pixel brightness instead of the color band.
+        // Transparent pixels get NaN and are left out of the model.
+        // Note: Image Y is flipped (j -> imageHeight-1-j) to match 3D coordinate system
+        const lithophane = appState.lithophane && appState.lithophane.enabled ? appState.lithophane : null;
+        let heights;
+        if (lithophane) {
+            heights = getLithophaneHeights(appState.imageData, imageWidth, imageHeight, lithophane);
+        } else {
+            heights = new Float32Array(imageWidth * imageHeight);
+            for (let j = 0; j < imageHeight; j++) {
+                for (let i = 0; i < imageWidth; i++) {
+                    const band = bandMap[(imageHeight - 1 - j) * imageWidth + i];
+                    heights[j * imageWidth + i] = band === EMPTY_BAND ? NaN : bandHeights[band] || 0;
+                }
+            }
+        }
+
+        if (simplify) {
+            const mesh = buildSimplifiedHeightmapMesh(heights, imageWidth, imageHeight, dx, dy);
+            return new Blob([writeBinaryStl(mesh)], { type: 'application/octet-stream' });
+        }
+
+        // --- Vertex Generation ---
+        // Create arrays to store all vertices and faces of the 3D mesh
+        const vertices = [];
+        const faces = [];
+
+        // Arrays to track vertex indices for top and bottom surfaces
+        // Each pixel gets two vertices: one at the bottom (z=0) and one at the calculated height
+        const topVertices = new Array(imageWidth * imageHeight);
+        const bottomVertices = new Array(imageWidth * imageHeight);
+
+        // Generate vertices for each pixel in the image
+        for (let j = 0; j < imageHeight; j++) {
+            for (let i = 0; i < imageWidth; i++) {
+                const x = i * dx; // Physical X coordinate
+                const y = j * dy; // Physical Y coordinate
+                const pixelIndex = j * imageWidth + i;
+
+                // Bottom vertex (always at z=0)
+                bottomVertices[pixelIndex] = vertices.length;
+                vertices.push([x, y, 0]);
+
+                // Top vertex (height based on color band or lithophane brightness)
+                topVertices[pixelIndex] = vertices.length;
+                vertices.push([x, y, heights[pixelIndex]]);
+            }
+        }
+
+        // --- Face Generation ---
+        // Generate triangular faces to create a complete 3D mesh
+
+        // Each 2x2 pixel quad is a cell; it is solid when all four pixels are opaque
+        const cellsX = imageWidth - 1;
+        const cellsY = imageHeight - 1;
+        const isSolidCell = (i, j) =>
+            i >= 0 &&
+            j >= 0 &&
+            i < cellsX &&
+            j < cellsY &&
+            !isNaN(heights[j * imageWidth + i]) &&
+            !isNaN(heights[j * imageWidth + i + 1]) &&
+            !isNaN(heights[(j + 1) * imageWidth + i]) &&
+            !isNaN(heights[(j + 1) * imageWidth + i + 1]);
+
+        // Where only two diagonally opposite cells meet at a vertex, four walls would share its
+        // vertical edge. As in buildExtrudedCellMesh, the cell above the vertex gets a copy of it;
+        // STL only stores coordinates, so the copy is moved a hair into that cell.
+        const isPinch = (i, j) => {
+            const lowerLeft = isSolidCell(i - 1, j - 1);
+            const lowerRight = isSolidCell(i, j - 1);
+            const upperLeft = isSolidCell(i - 1, j);
+            const upperRight = isSolidCell(i, j);
+            return (lowerLeft && upperRight && !lowerRight && !upperLeft) ||
+                (lowerRight && upperLeft && !lowerLeft && !upperRight);
+        };
+        const pinchVertices = new Map(); // Pixel index -> [bottom, top] vertex of the cell above
+        // Bottom and top vertex of corner (i, j) as used by cell (ci, cj)
+        const cellVertices = (i, j, ci, cj) => {
+            const pixelIndex = j * imageWidth + i;
+            if (j !== cj || !isPinch(i, j)) return [bottomVertices[pixelIndex], topVertices[pixelIndex]];
+            if (!pinchVertices.has(pixelIndex)) {
+                const x = (i + (i === ci ? PINCH_OFFSET : -PINCH_OFFSET)) * dx;
+                const y = (j + PINCH_OFFSET) * dy;
+                pinchVertices.set(pixelIndex, [vertices.length, vertices.length + 1]);
+                vertices.push([x, y, 0], [x, y, heights[pixelIndex]]);
+            }
+            return pinchVertices.get(pixelIndex);
+        };
+
+        // 1. Top and Bottom Surface Faces (quads split into triangles)
+        // For each solid cell, create 4 triangles (2 for top, 2 for bottom)
+        for (let j = 0; j < cellsY; j++) {
+            for (let i = 0; i < cellsX; i++) {
+                if (!isSolidCell(i, j)) continue;
+
+                // Get vertex indices for the 4 corners of the current quad
+                const [v00_b, v00_t] = cellVertices(i, j, i, j); // Top-left
+                const [v10_b, v10_t] = cellVertices(i + 1, j, i, j); // Top-right
+                const [v01_b, v01_t] = cellVertices(i, j + 1, i, j); // Bottom-left
+                const [v11_b, v11_t] = cellVertices(i + 1, j + 1, i, j); // Bottom-right
+
+                // Top surface: split quad into 2 triangles
+                faces.push([v00_t, v10_t, v11_t]); // First triangle
+                faces.push([v00_t, v11_t, v01_t]); // Second triangle
+
+                // Bottom surface: split quad into 2 triangles (note: winding order is reversed)
+                faces.push([v00_b, v11_b, v10_b]); // First triangle (reversed winding)
+                faces.push([v00_b, v01_b, v11_b]); // Second triangle (reversed winding)
+            }
+        }
+
+        // 2. Side Wall Faces (connecting top to bottom)
+        // A wall stands on every cell edge with a solid cell on one side only. This covers the
+        // outer edges of the model as well as the outline around transparent areas.
+        const addWall = (ai, aj, bi, bj, ci, cj) => {
+            // The outward normal points to the right of a -> b; (ci, cj) is the solid cell
+            const [a0, a1] = cellVertices(ai, aj, ci, cj);
+            const [b0, b1] = cellVertices(bi, bj, ci, cj);
+            faces.push([a0, b0, b1]);
+            faces.push([a0, b1, a1]);
+        };
+
+        // Edges along X, between the cell below (j - 1) and the cell above (j)
+        for (let j = 0; j < imageHeight; j++) {
+            for (let i = 0; i < cellsX; i++) {
+                const above = isSolidCell(i, j);
+                const below = isSolidCell(i, j - 1);
+                if (above && !below) addWall(i, j, i + 1, j, i, j);
+                if (below && !above) addWall(i + 1, j, i, j, i, j - 1);
+            }
+        }
+
+        // Edges along Y, between the cell on the left (i - 1) and the cell on the right (i)
+        for (let i = 0; i < imageWidth; i++) {
+            for (let j = 0; j < cellsY; j++) {
+                const right = isSolidCell(i, j);
+                const left = isSolidCell(i - 1, j);
+                if (right && !left) addWall(i, j + 1, i, j, i, j);
+                if (left && !right) addWall(i, j, i, j + 1, i - 1, j);
+            }
+        }
+
+        // --- Binary STL File Generation ---
+        // STL binary format: 80-byte header + 4-byte triangle count + 50 bytes per triangle
+
+        // Allocate buffer for the entire STL file
+        const buffer = new ArrayBuffer(84 + faces.length * 50);
+        const writer = new DataView(buffer);
+
+        // Write triangle count (4 bytes at offset 80)
+        writer.setUint32(80, faces.length, true); // true = little-endian
+
+        let offset = 84; // Start after header and triangle count
+
+        // Write each triangle face
+        for (const face of faces) {
+            const [i1, i2, i3] = face; // Vertex indices for this triangle
+            const [v1, v2, v3] = [vertices[i1], vertices[i2], vertices[i3]]; // Actual vertex coordinates
+
+            // Calculate face normal using cross product of two edge vectors
+            const ux = v2[0] - v1[0],
+                uy = v2[1] - v1[1],
+                uz = v2[2] - v1[2]; // Edge vector 1
+            const vx = v3[0] - v1[0],
+                vy = v3[1] - v1[1],
+                vz = v3[2] - v1[2]; // Edge vector 2
+
+            // Cross product: n = u × v
+            const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+
+            // Normalize the normal vector
+            const len = Math.sqrt(n[0] ** 2 + n[1] ** 2 + n[2] ** 2) || 1;
+            const normalizedNormal = n.map(val => val / len);
+
+            // Write face normal (12 bytes: 3 floats)
+            writer.setFloat32(offset, normalizedNormal[0], true);
+            offset += 4;
+            writer.setFloat32(offset, normalizedNormal[1], true);
+            offset += 4;
+            writer.setFloat32(offset, normalizedNormal[2], true);
+            offset += 4;
+
+            // Write the three vertices (36 bytes: 9 floats)
+            for (const v of [v1, v2, v3]) {
+                writer.setFloat32(offset, v[0], true);
+                offset += 4; // X
+                writer.setFloat32(offset, v[1], true);
+                offset += 4; // Y
+                writer.setFloat32(offset, v[2], true);
+                offset += 4; // Z
+            }
+
+            // Write attribute byte count (2 bytes, usually 0)
+            offset += 2;
+        }
+
+        // Return the STL file as a downloadable blob
+        return new Blob([buffer], { type: 'application/octet-stream' });
+    }
+
+    /**
+     * Builds a simplified, watertight mesh of the stepped heightmap.
+     * Neighbouring grid cells whose four corners share one height are merged into large rectangles
+     * (greedy meshing), sloped cells between bands keep their two triangles, the bottom is merged
+     * the same way and the side walls only break where the height along the outline changes.
+     * The surface is the same as the full-resolution mesh, with far fewer faces.
+     *
+     * @param {Float32Array} heights - Top height of every grid vertex, row-major (j * width + i), NaN where empty
+     * @param {number} width - Number of grid vertices along X
+     * @param {number} height - Number of grid vertices along Y
+     * @param {number} dx - Physical distance between vertices along X
+     * @param {number} dy - Physical distance between vertices along Y
+     * @returns {Object} Mesh with flat `vertices` [x, y, z, ...] and `triangles` [a, b, c, ...] arrays
+     */
+    function buildSimplifiedHeightmapMesh(heights, width, height, dx, dy) {
+        const vertices = [];
+        const triangles = [];
+        const cellsX = width - 1;
+        const cellsY = height - 1;
+
+        // --- 1. Classify cells: solid cells have four opaque corners, flat ones a single height ---
+        const solid = new Uint8Array(cellsX * cellsY);
+        const flat = new Uint8Array(cellsX * cellsY);
+        for (let cj = 0; cj < cellsY; cj++) {
+            for (let ci = 0; ci < cellsX; ci++) {
+                const h00 = heights[cj * width + ci];
+                const h10 = heights[cj * width + ci + 1];
+                const h01 = heights[(cj + 1) * width + ci];
+                const h11 = heights[(cj + 1) * width + ci + 1];
+                if (isNaN(h00) || isNaN(h10) || isNaN(h01) || isNaN(h11)) continue;
+                solid[cj * cellsX + ci] = 1;
+                flat[cj * cellsX + ci] = h10 === h00 && h01 === h00 && h11 === h00 ? 1 : 0;
+            }
+        }
+        const isSolid = (ci, cj) =>
+            ci >= 0 && cj >= 0 && ci < cellsX && cj < cellsY && solid[cj * cellsX + ci] === 1;
+
+        // --- 2. Greedy merge into rectangles: flat cells for the top, all solid cells for the bottom ---
+        // Flat cells that share an edge share its two vertices, so they are at the same height
+        const mergeRectangles = mask => {
+            const rects = [];
+            const covered = new Uint8Array(cellsX * cellsY);
+            const canMerge = q => mask[q] && !covered[q];
+            for (let cj = 0; cj < cellsY; cj++) {
+                for (let ci = 0; ci < cellsX; ci++) {
+                    const start = cj * cellsX + ci;
+                    if (!canMerge(start)) continue;
+
+                    // Grow along the row, then add rows while the whole span still matches
+                    let rectWidth = 1;
+                    while (ci + rectWidth < cellsX && canMerge(start + rectWidth)) rectWidth++;
+                    let rectHeight = 1;
+                    while (cj + rectHeight < cellsY) {
+                        const rowStart = (cj + rectHeight) * cellsX + ci;
+                        let matches = true;
+                        for (let k = 0; k < rectWidth && matches; k++) matches = canMerge(rowStart + k);
+                        if (!matches) break;
+                        rectHeight++;
+                    }
+
+                    for (let r = 0; r < rectHeight; r++) {
+                        covered.fill(1, start + r * cellsX, start + r * cellsX + rectWidth);
+                    }
+                    rects.push([ci, cj, ci + rectWidth, cj + rectHeight]);
+                }
+            }
+            return rects;
+        };
+        const topRects = mergeRectangles(flat);
+        const bottomRects = mergeRectangles(solid);
+
+        // --- 3. Mark the grid vertices that some face actually uses ---
+        // Every face has to include all marked vertices on its outline, otherwise
+        // neighbouring faces would meet at T-junctions and the mesh would not be closed.
+        const neededTop = new Uint8Array(width * height);
+        const neededBottom = new Uint8Array(width * height);
+        const markCorners = (needed, i0, j0, i1, j1) => {
+            needed[j0 * width + i0] = 1;
+            needed[j0 * width + i1] = 1;
+            needed[j1 * width + i0] = 1;
+            needed[j1 * width + i1] = 1;
+        };
+        for (const [i0, j0, i1, j1] of topRects) markCorners(neededTop, i0, j0, i1, j1);
+        for (const [i0, j0, i1, j1] of bottomRects) markCorners(neededBottom, i0, j0, i1, j1);
+        for (let cj = 0; cj < cellsY; cj++) {
+            for (let ci = 0; ci < cellsX; ci++) {
+                if (solid[cj * cellsX + ci] && !flat[cj * cellsX + ci]) {
+                    markCorners(neededTop, ci, cj, ci + 1, cj + 1);
+                }
+            }
+        }
+
+        // Straight runs of the outline: cell edges with a solid cell on one side only.
+        // Each run is [start vertex, vertex step, edge count], directed so the solid side is on its left.
+        const runs = [];
+        const collectRuns = (lineCount, edgeCount, side, vertexAt, step) => {
+            for (let line = 0; line <= lineCount; line++) {
+                let runStart = -1;
+                let runSide = 0;
+                for (let e = 0; e <= edgeCount; e++) {
+                    // +1 when the solid cell is on the positive side of the edge, -1 when on the negative side
+                    const s = e < edgeCount ? side(e, line) : 0;
+                    if (s === runSide) continue;
+                    if (runSide !== 0) {
+                        runs.push(
+                            runSide > 0
+                                ? [vertexAt(runStart, line), step, e - runStart]
+                                : [vertexAt(e, line), -step, e - runStart]
+                        );
+                    }
+                    runStart = e;
+                    runSide = s;
+                }
+            }
+        };
+        const solidSide = (a, b) => (a === b ? 0 : a ? 1 : -1);
+        // Along X: the solid cell above (+Y) keeps the run heading +X
+        collectRuns(cellsY, cellsX, (ci, j) => solidSide(isSolid(ci, j), isSolid(ci, j - 1)), (ci, j) => j * width + ci, 1);
+        // Along Y: the solid cell on the left (-X) keeps the run heading +Y
+        collectRuns(cellsX, cellsY, (cj, i) => solidSide(isSolid(i - 1, cj), isSolid(i, cj)), (cj, i) => cj * width + i, width);
+
+        // Wall vertices: run ends, points used by the top or bottom, and points where the height changes
+        for (const [start, step, length] of runs) {
+            for (let k = 0; k <= length; k++) {
+                const v = start + k * step;
+                const isEnd = k === 0 || k === length;
+                if (
+                    isEnd ||
+                    neededTop[v] ||
+                    neededBottom[v] ||
+                    heights[v - step] !== heights[v] ||
+                    heights[v + step] !== heights[v]
+                ) {
+                    neededTop[v] = 1;
+                    neededBottom[v] = 1;
+                }
+            }
+        }
+
+        // --- 4. Vertices, created lazily ---
+        const topIndex = new Int32Array(width * height).fill(-1);
+        const bottomIndex = new Int32Array(width * height).fill(-1);
+        const addVertex = (x, y, z) => {
+            vertices.push(x, y, z);
+            return vertices.length / 3 - 1;
+        };
+        const top = v => {
+            if (topIndex[v] === -1) {
+                topIndex[v] = addVertex((v % width) * dx, Math.floor(v / width) * dy, heights[v]);
+            }
+            return topIndex[v];
+        };
+        const bottom = v => {
+            if (bottomIndex[v] === -1) {
+                bottomIndex[v] = addVertex((v % width) * dx, Math.floor(v / width) * dy, 0);
+            }
+            return bottomIndex[v];
+        };
+
+        // Outline of a rectangle, counter-clockwise seen from above, including every needed vertex on it
+        const ringOf = ([i0, j0, i1, j1], needed) => {
+            const ring = [];
+            for (let i = i0; i < i1; i++) if (needed[j0 * width + i]) ring.push(j0 * width + i);
+            for (let j = j0; j < j1; j++) if (needed[j * width + i1]) ring.push(j * width + i1);
+            for (let i = i1; i > i0; i--) if (needed[j1 * width + i]) ring.push(j1 * width + i);
+            for (let j = j1; j > j0; j--) if (needed[j * width + i0]) ring.push(j * width + i0);
+            return ring;
+        };
+
+        // Triangulates a rectangle; the bottom is wound the other way so it faces down
+        const addRectangle = (rect, needed, vertexOf, z, facingUp) => {
+            const ring = ringOf(rect, needed).map(vertexOf);
+            const triangle = (a, b, c) => (facingUp ? triangles.push(a, b, c) : triangles.push(a, c, b));
+            if (ring.length === 4) {
+                const [v00, v10, v11, v01] = ring;
+                triangle(v00, v10, v11);
+                triangle(v00, v11, v01);
+            } else {
+                // Fan around the centre so the extra outline vertices stay connected
+                const [i0, j0, i1, j1] = rect;
+                const centre = addVertex(((i0 + i1) / 2) * dx, ((j0 + j1) / 2) * dy, z);
+                for (let k = 0; k < ring.length; k++) {
+                    triangle(centre, ring[k], ring[(k + 1) % ring.length]);
+                }
+            }
+        };
+
+        // --- 5. Top surface ---
+        for (const rect of topRects) {
+            addRectangle(rect, neededTop, top, heights[rect[1] * width + rect[0]], true);
+        }
+        for (let cj = 0; cj < cellsY; cj++) {
+            for (let ci = 0; ci < cellsX; ci++) {
+                if (!solid[cj * cellsX + ci] || flat[cj * cellsX + ci]) continue;
+                // Sloped cell between bands: same split as the full-resolution mesh
+                const v00 = top(cj * width + ci);
+                const v10 = top(cj * width + ci + 1);
+                const v01 = top((cj + 1) * width + ci);
+                const v11 = top((cj + 1) * width + ci + 1);
+                triangles.push(v00, v10, v11, v00, v11, v01);
+            }
+        }
+
+        // --- 6. Bottom surface ---
+        for (const rect of bottomRects) {
+            addRectangle(rect, neededBottom, bottom, 0, false);
+        }
+
+        // --- 7. Side walls (the solid side is on the left, so the outward normal points right) ---
+        for (const [start, step, length] of runs) {
+            let a = start;
+            for (let k = 1; k <= length; k++) {
+                const b = start + k * step;
+                if (!neededTop[b]) continue;
+                triangles.push(bottom(a), bottom(b), top(b), bottom(a), top(b), top(a));
+                a = b;
+            }
+        }
+
+        return { vertices, triangles };
+    }
+
+    // ============================================================================
+    // CONTOUR MESH FUNCTIONS
+    // ============================================================================
+
+    // Laplacian smoothing passes applied to every traced outline
+    const CONTOUR_SMOOTHING_PASSES = 20;
+
+    // How far smoothing may move an outline point, in pixels. Keeps neighbouring outlines apart.
+    const MAX_CONTOUR_SHIFT = 0.4;
+
+    // Largest deviation allowed when dropping outline points, in pixels
+    const CONTOUR_TOLERANCE = 0.5;
+
+    /**
+     * Traces the outlines of a pixel mask with marching squares.
+     * The outline runs through the midpoints between pixel centers, so straight runs follow the
+     * pixel edges and staircase corners are cut at 45 degrees. Pixels that only touch at a corner
+     * are kept apart. Each loop has the filled side on its left, so outer outlines run
+     * counter-clockwise as seen on screen and holes clockwise.
+     *
+     * @param {Function} isFilled - Returns true when the pixel at the given index is inside
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Array<Array<number>>} Closed loops as flat [x, y, ...] arrays in pixel units
+     */
+    function traceContours(isFilled, width, height) {
+        // Grid points are pixel centers, padded by one empty ring so every outline closes
+        const gridWidth = width + 2;
+        const inside = (gi, gj) =>
+            gi >= 1 && gj >= 1 && gi <= width && gj <= height && isFilled((gj - 1) * width + gi - 1);
+
+        // Crossed grid edges are keyed by their first grid point; horizontal edges are even keys.
+        // next maps the edge where a segment starts to the edge where it ends.
+        const next = new Map();
+        const edgeKey = (gi, gj, vertical) => 2 * (gj * gridWidth + gi) + (vertical ? 1 : 0);
+
+        for (let gj = 0; gj <= height; gj++) {
+            for (let gi = 0; gi <= width; gi++) {
+                // Corners clockwise on screen: top left, top right, bottom right, bottom left
+                const corners = [inside(gi, gj), inside(gi + 1, gj), inside(gi + 1, gj + 1), inside(gi, gj + 1)];
+                if (corners[0] === corners[1] && corners[1] === corners[2] && corners[2] === corners[3]) continue;
+
+                // Cell edges in the same order: top, right, bottom, left
+                const edges = [
+                    edgeKey(gi, gj, false),
+                    edgeKey(gi + 1, gj, true),
+                    edgeKey(gi, gj + 1, false),
+                    edgeKey(gi, gj, true),
+                ];
+                for (let e = 0; e < 4; e++) {
+                    // A segment ends on the edge where the filled corner is left behind...
+                    if (!corners[e] || corners[(e + 1) % 4]) continue;
+                    // ...and starts on the nearest edge before it where a filled corner begins.
+                    // Saddles pair each filled corner with its own edges, so they stay apart.
+                    for (let k = 1; k < 4; k++) {
+                        const f = (e + 4 - k) % 4;
+                        if (!corners[f] && corners[(f + 1) % 4]) {
+                            next.set(edges[f], edges[e]);
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Midpoint of a grid edge in pixel units (pixel centers sit at i + 0.5)
+        const edgePoint = key => {
+            const cell = key >> 1;
+            const gi = cell % gridWidth;
+            const gj = (cell - gi) / gridWidth;
+            return key & 1 ? [gi - 0.5, gj] : [gi, gj - 0.5];
+        };
+
+        // Every crossed edge is the start of one segment and the end of another, so the
+        // segments link up into closed loops
+        const loops = [];
+        for (const start of next.keys()) {
+            if (!next.has(start)) continue;
+            const loop = [];
+            let key = start;
+            do {
+                const [x, y] = edgePoint(key);
+                loop.push(x, y);
+                const following = next.get(key);
+                next.delete(key);
+                key = following;
+            } while (key !== start && key !== undefined);
+            loops.push(loop);
+        }
+        return loops;
+    }
+
+    /**
+     * Traces the outlines of a pixel mask along the pixel edges, with a point only where the
+     * outline turns. Two masks that split the image between them get exactly the same boundary.
+     * Pixels that only touch at a corner are kept apart, and loops run like those of
+     * traceContours: filled side on the left, outer outlines counter-clockwise on screen.
+     *
+     * @param {Function} isFilled - Returns true when the pixel at the given index is inside
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Array<Array<number>>} Closed loops as flat [x, y, ...] arrays in pixel units
+     */
+    function tracePixelOutlines(isFilled, width, height) {
+        // Directions on screen: east, south, west, north. Each corner keeps a bit per pixel edge
+        // leaving it, so a corner shared by two diagonal pixels holds two.
+        const steps = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const cornerWidth = width + 1;
+        const outgoing = new Uint8Array(cornerWidth * (height + 1));
+        const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && isFilled(y * width + x);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!filled(x, y)) continue;
+                if (!filled(x - 1, y)) outgoing[y * cornerWidth + x] |= 1 << 1;
+                if (!filled(x, y + 1)) outgoing[(y + 1) * cornerWidth + x] |= 1 << 0;
+                if (!filled(x + 1, y)) outgoing[(y + 1) * cornerWidth + x + 1] |= 1 << 3;
+                if (!filled(x, y - 1)) outgoing[y * cornerWidth + x + 1] |= 1 << 2;
+            }
+        }
+
+        // Turning left first keeps hugging the same pixel, which separates diagonal pixels
+        const turn = (corner, direction) =>
+            [3, 0, 1].map(offset => (direction + offset) % 4).find(d => outgoing[corner] & (1 << d));
+
+        const unused = outgoing.slice();
+        const loops = [];
+        for (let start = 0; start < unused.length; start++) {
+            while (unused[start] !== 0) {
+                const first = Math.log2(unused[start] & -unused[start]);
+                const loop = [];
+                let corner = start;
+                let direction = first;
+                do {
+                    unused[corner] &= ~(1 << direction);
+                    const x = corner % cornerWidth + steps[direction][0];
+                    const y = Math.floor(corner / cornerWidth) + steps[direction][1];
+                    corner = y * cornerWidth + x;
+
+                    const previous = direction;
+                    direction = turn(corner, previous);
+                    if (direction !== previous) loop.push(x, y);
+                } while (corner !== start || direction !== first);
+                loops.push(loop);
+            }
+        }
+        return loops;
+    }
+
+    /**
+     * Smooths a closed outline with Laplacian smoothing, alternating shrinking and inflating
+     * passes (Taubin) so curves keep their size. No point moves further than maxShift from where
+     * it was traced.
+     *
+     * @param {Array<number>} loop - Closed outline as a flat [x, y, ...] array
+     * @param {number} passes - Number of smoothing passes
+     * @param {number} maxShift - Largest distance a point may move
+     * @returns {Array<number>} Smoothed outline
+     */
+    function smoothContour(loop, passes, maxShift) {
+        const count = loop.length / 2;
+        if (count < 4) return loop.slice();
+
+        let points = loop.slice();
+        for (let pass = 0; pass < passes; pass++) {
+            const factor = pass % 2 === 0 ? 0.5 : -0.53;
+            const moved = new Array(points.length);
+            for (let i = 0; i < count; i++) {
+                const prev = ((i + count - 1) % count) * 2;
+                const next = ((i + 1) % count) * 2;
+                for (let c = 0; c < 2; c++) {
+                    const value = points[i * 2 + c];
+                    const target = (points[prev + c] + points[next + c]) / 2;
+                    moved[i * 2 + c] = value + factor * (target - value);
+                }
+            }
+            points = moved;
+        }
+
+        for (let i = 0; i < points.length; i += 2) {
+            const shiftX = points[i] - loop[i];
+            const shiftY = points[i + 1] - loop[i + 1];
+            const shift = Math.sqrt(shiftX * shiftX + shiftY * shiftY);
+            if (shift > maxShift) {
+                points[i] = loop[i] + (shiftX * maxShift) / shift;
+                points[i + 1] = loop[i + 1] + (shiftY * maxShift) / shift;
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Drops outline points that lie within the tolerance of the line through their neighbours
+     * (Douglas-Peucker, run on both halves of the closed loop).
+     *
+     * @param {Array<number>} loop - Closed outline as a flat [x, y, ...] array
+     * @param {number} tolerance - Largest allowed deviation from the original outline
+     * @returns {Array<number>} Simplified outline, empty if fewer than three points remain
+     */
+    function simplifyContour(loop, tolerance) {
+        const count = loop.length / 2;
+        if (count < 3) return [];
+
+        // Split the loop at its first point and the point furthest from it
+        let far = 0;
+        let farDistance = -1;
+        for (let i = 1; i < count; i++) {
+            const distance = (loop[i * 2] - loop[0]) ** 2 + (loop[i * 2 + 1] - loop[1]) ** 2;
+            if (distance > farDistance) {
+                farDistance = distance;
+                far = i;
+            }
+        }
+
+        const keep = new Uint8Array(count + 1);
+        keep[0] = keep[far] = keep[count] = 1;
+        const point = i => [loop[(i % count) * 2], loop[(i % count) * 2 + 1]];
+        const stack = [[0, far], [far, count]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const [ax, ay] = point(first);
+            const [bx, by] = point(last);
+            const length = Math.sqrt((bx - ax) ** 2 + (by - ay) ** 2) || 1;
+
+            let index = -1;
+            let maxDistance = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                const [px, py] = point(i);
+                const distance = Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+            if (index !== -1) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        const simplified = [];
+        for (let i = 0; i < count; i++) {
+            if (keep[i]) simplified.push(loop[i * 2], loop[i * 2 + 1]);
+        }
+        return simplified.length >= 6 ? simplified : [];
+    }
+
+    /**
+     * Finds the outlines that cross or touch themselves or another outline. Smoothing and
+     * simplifying move points by up to about a pixel, which can fold a narrow neck or push two
+     * close outlines into each other, and no closed cap can be triangulated from those.
+     * Segments are bucketed in a coarse grid so only nearby segments are compared.
+     *
+     * @param {Array<Array<number>>} loops - Closed outlines as flat [x, y, ...] arrays in pixel units
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Set<number>} Indices of the outlines that cross
+     */
+    function findCrossingLoops(loops, width, height) {
+        const cellSize = 2;
+        // Outlines run up to a pixel outside the image, hence the margin
+        const columns = Math.ceil((width + 4) / cellSize);
+        const rows = Math.ceil((height + 4) / cellSize);
+        const cellOf = (value, count) => Math.min(count - 1, Math.max(0, Math.floor((value + 2) / cellSize)));
+
+        const cells = new Map();
+        loops.forEach((loop, l) => {
+            const count = loop.length / 2;
+            for (let k = 0; k < count; k++) {
+                const next = ((k + 1) % count) * 2;
+                const column0 = cellOf(Math.min(loop[k * 2], loop[next]), columns);
+                const column1 = cellOf(Math.max(loop[k * 2], loop[next]), columns);
+                const row0 = cellOf(Math.min(loop[k * 2 + 1], loop[next + 1]), rows);
+                const row1 = cellOf(Math.max(loop[k * 2 + 1], loop[next + 1]), rows);
+                for (let row = row0; row <= row1; row++) {
+                    for (let column = column0; column <= column1; column++) {
+                        const key = row * columns + column;
+                        if (!cells.has(key)) cells.set(key, []);
+                        cells.get(key).push(l, k);
+                    }
+                }
+            }
+        });
+
+        const orientation = (ax, ay, bx, by, cx, cy) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+        const within = (a, b, c) => Math.min(a, b) <= c && c <= Math.max(a, b);
+        const segmentsMeet = (ax, ay, bx, by, cx, cy, dx, dy) => {
+            const d1 = orientation(cx, cy, dx, dy, ax, ay);
+            const d2 = orientation(cx, cy, dx, dy, bx, by);
+            const d3 = orientation(ax, ay, bx, by, cx, cy);
+            const d4 = orientation(ax, ay, bx, by, dx, dy);
+            if (d1 * d2 < 0 && d3 * d4 < 0) return true;
+            // Touching counts too: an endpoint lying on the other segment
+            return (
+                (d1 === 0 && within(cx, dx, ax) && within(cy, dy, ay)) ||
+                (d2 === 0 && within(cx, dx, bx) && within(cy, dy, by)) ||
+                (d3 === 0 && within(ax, bx, cx) && within(ay, by, cy)) ||
+                (d4 === 0 && within(ax, bx, dx) && within(ay, by, dy))
+            );
+        };
+
+        const crossing = new Set();
+        cells.forEach(segments => {
+            for (let i = 0; i < segments.length; i += 2) {
+                const l1 = segments[i];
+                const loop1 = loops[l1];
+                const count1 = loop1.length / 2;
+                const a = segments[i + 1] * 2;
+                const b = ((segments[i + 1] + 1) % count1) * 2;
+                for (let j = i + 2; j < segments.length; j += 2) {
+                    const l2 = segments[j];
+                    if (crossing.has(l1) && crossing.has(l2)) continue;
+                    const loop2 = loops[l2];
+                    const count2 = loop2.length / 2;
+                    const c = segments[j + 1] * 2;
+                    const d = ((segments[j + 1] + 1) % count2) * 2;
+                    // Neighbouring segments of one outline share a point by design
+                    if (l1 === l2 && (a === c || a === d || b === c || b === d)) continue;
+                    if (
+                        segmentsMeet(
+                            loop1[a], loop1[a + 1], loop1[b], loop1[b + 1],
+                            loop2[c], loop2[c + 1], loop2[d], loop2[d + 1]
+                        )
+                    ) {
+                        crossing.add(l1);
+                        crossing.add(l2);
+                    }
+                }
+            }
+        });
+        return crossing;
+    }
+
+    /**
+     * Twice the signed area of a closed outline, positive when it runs counter-clockwise with Y up.
+     * @param {Array<number>} loop - Closed outline as a flat [x, y, ...] array
+     * @returns {number} Twice the signed area
+     */
+    function getLoopArea(loop) {
+        let sum = 0;
+        for (let i = 0, j = loop.length - 2; i < loop.length; j = i, i += 2) {
+            sum += (loop[j] - loop[i]) * (loop[i + 1] + loop[j + 1]);
+        }
+        return sum;
+    }
+
+    /**
+     * Tests whether a point lies inside a closed outline (even-odd rule).
+     * @param {Array<number>} loop - Closed outline as a flat [x, y, ...] array
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @returns {boolean} True when the point is inside
+     */
+    function isPointInLoop(loop, x, y) {
+        let inside = false;
+        for (let i = 0, j = loop.length - 2; i < loop.length; j = i, i += 2) {
+            const yi = loop[i + 1];
+            const yj = loop[j + 1];
+            if (yi > y !== yj > y && x < ((loop[j] - loop[i]) * (y - yi)) / (yj - yi) + loop[i]) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Triangulates a polygon with holes by ear clipping. Holes are first joined to the outline
+     * through bridge edges, and large polygons index their points along a Z-order curve so ear
+     * tests only look at nearby points. This follows the earcut algorithm by Mapbox (ISC license).
+     *
+     * @param {Array<number>} data - Flat [x, y, ...] coordinates of the outline followed by the holes
+     * @param {Array<number>} holeIndices - Index of the first point of every hole
+     * @returns {Array<number>} Triangles as point indices, counter-clockwise with Y up
+     */
+    function triangulatePolygon(data, holeIndices) {
+        const createNode = (i, x, y) => ({ i, x, y, prev: null, next: null, z: null, prevZ: null, nextZ: null, steiner: false });
+
+        const insertNode = (i, x, y, last) => {
+            const node = createNode(i, x, y);
+            if (!last) {
+                node.prev = node;
+                node.next = node;
+            } else {
+                node.next = last.next;
+                node.prev = last;
+                last.next.prev = node;
+                last.next = node;
+            }
+            return node;
+        };
+
+        const removeNode = node => {
+            node.next.prev = node.prev;
+            node.prev.next = node.next;
+            if (node.prevZ) node.prevZ.nextZ = node.nextZ;
+            if (node.nextZ) node.nextZ.prevZ = node.prevZ;
+        };
+
+        // Negative for a convex corner of a counter-clockwise ring
+        const area = (p, q, r) => (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
+        const equals = (p, q) => p.x === q.x && p.y === q.y;
+        const pointInTriangle = (ax, ay, bx, by, cx, cy, px, py) =>
+            (cx - px) * (ay - py) >= (ax - px) * (cy - py) &&
+            (ax - px) * (by - py) >= (bx - px) * (ay - py) &&
+            (bx - px) * (cy - py) >= (cx - px) * (by - py);
+
+        // Links one ring, running counter-clockwise for the outline and clockwise for holes
+        const linkRing = (start, end, counterClockwise) => {
+            let last = null;
+            const ring = data.slice(start * 2, end * 2);
+            if (counterClockwise === getLoopArea(ring) > 0) {
+                for (let i = start; i < end; i++) last = insertNode(i, data[i * 2], data[i * 2 + 1], last);
+            } else {
+                for (let i = end - 1; i >= start; i--) last = insertNode(i, data[i * 2], data[i * 2 + 1], last);
+            }
+            if (last && equals(last, last.next)) {
+                removeNode(last);
+                last = last.next;
+            }
+            return last;
+        };
+
+        // Removes duplicate and collinear points
+        const filterPoints = (start, end) => {
+            if (!start) return start;
+            if (!end) end = start;
+            let p = start;
+            let again;
+            do {
+                again = false;
+                if (!p.steiner && (equals(p, p.next) || area(p.prev, p, p.next) === 0)) {
+                    removeNode(p);
+                    p = end = p.prev;
+                    if (p === p.next) break;
+                    again = true;
+                } else {
+                    p = p.next;
+                }
+            } while (again || p !== end);
+            return end;
+        };
+
+        const onSegment = (p, q, r) =>
+            q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) && q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+
+        const intersects = (p1, q1, p2, q2) => {
+            const o1 = Math.sign(area(p1, q1, p2));
+            const o2 = Math.sign(area(p1, q1, q2));
+            const o3 = Math.sign(area(p2, q2, p1));
+            const o4 = Math.sign(area(p2, q2, q1));
+            if (o1 !== o2 && o3 !== o4) return true;
+            if (o1 === 0 && onSegment(p1, p2, q1)) return true;
+            if (o2 === 0 && onSegment(p1, q2, q1)) return true;
+            if (o3 === 0 && onSegment(p2, p1, q2)) return true;
+            if (o4 === 0 && onSegment(p2, q1, q2)) return true;
+            return false;
+        };
+
+        const intersectsPolygon = (a, b) => {
+            let p = a;
+            do {
+                if (p.i !== a.i && p.next.i !== a.i && p.i !== b.i && p.next.i !== b.i && intersects(p, p.next, a, b)) {
+                    return true;
+                }
+                p = p.next;
+            } while (p !== a);
+            return false;
+        };
+
+        const locallyInside = (a, b) =>
+            area(a.prev, a, a.next) < 0
+                ? area(a, b, a.next) >= 0 && area(a, a.prev, b) >= 0
+                : area(a, b, a.prev) < 0 || area(a, a.next, b) < 0;
+
+        const middleInside = (a, b) => {
+            let p = a;
+            let inside = false;
+            const px = (a.x + b.x) / 2;
+            const py = (a.y + b.y) / 2;
+            do {
+                if (
+                    p.y > py !== p.next.y > py &&
+                    p.next.y !== p.y &&
+                    px < ((p.next.x - p.x) * (py - p.y)) / (p.next.y - p.y) + p.x
+                ) {
+                    inside = !inside;
+                }
+                p = p.next;
+            } while (p !== a);
+            return inside;
+        };
+
+        const isValidDiagonal = (a, b) =>
+            a.next.i !== b.i &&
+            a.prev.i !== b.i &&
+            !intersectsPolygon(a, b) &&
+            ((locallyInside(a, b) &&
+                locallyInside(b, a) &&
+                middleInside(a, b) &&
+                (area(a.prev, a, b.prev) || area(a, b.prev, b))) ||
+                (equals(a, b) && area(a.prev, a, a.next) > 0 && area(b.prev, b, b.next) > 0));
+
+        // Joins a and b with a diagonal, splitting the ring in two; returns the new copy of b
+        const splitPolygon = (a, b) => {
+            const a2 = createNode(a.i, a.x, a.y);
+            const b2 = createNode(b.i, b.x, b.y);
+            const an = a.next;
+            const bp = b.prev;
+            a.next = b;
+            b.prev = a;
+            a2.next = an;
+            an.prev = a2;
+            b2.next = a2;
+            a2.prev = b2;
+            bp.next = b2;
+            b2.prev = bp;
+            return b2;
+        };
+
+        // --- Holes: bridge each one to the outline, leftmost holes first ---
+        const findHoleBridge = (hole, outerNode) => {
+            let p = outerNode;
+            const hx = hole.x;
+            const hy = hole.y;
+            let qx = -Infinity;
+            let m = null;
+
+            // Nearest outline edge to the left of the hole's leftmost point
+            do {
+                if (hy <= p.y && hy >= p.next.y && p.next.y !== p.y) {
+                    const x = p.x + ((hy - p.y) * (p.next.x - p.x)) / (p.next.y - p.y);
+                    if (x <= hx && x > qx) {
+                        qx = x;
+                        m = p.x < p.next.x ? p : p.next;
+                        if (x === hx) return m;
+                    }
+                }
+                p = p.next;
+            } while (p !== outerNode);
+            if (!m) return null;
+
+            // Prefer a reflex point inside the triangle from the hole to the edge, closest in angle
+            const stop = m;
+            const mx = m.x;
+            const my = m.y;
+            let tanMin = Infinity;
+            p = m;
+            do {
+                if (
+                    hx >= p.x &&
+                    p.x >= mx &&
+                    hx !== p.x &&
+                    pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, p.x, p.y)
+                ) {
+                    const tan = Math.abs(hy - p.y) / (hx - p.x);
+                    const sectorContainsSector = area(m.prev, m, p.prev) < 0 && area(p.next, m, m.next) < 0;
+                    if (
+                        locallyInside(p, hole) &&
+                        (tan < tanMin || (tan === tanMin && (p.x > m.x || (p.x === m.x && sectorContainsSector))))
+                    ) {
+                        m = p;
+                        tanMin = tan;
+                    }
+                }
+                p = p.next;
+            } while (p !== stop);
+            return m;
+        };
+
+        const getLeftmost = start => {
+            let p = start;
+            let leftmost = start;
+            do {
+                if (p.x < leftmost.x || (p.x === leftmost.x && p.y < leftmost.y)) leftmost = p;
+                p = p.next;
+            } while (p !== start);
+            return leftmost;
+        };
+
+        // --- Z-order index for fast ear tests on large polygons ---
+        let minX = 0;
+        let minY = 0;
+        let invSize = 0;
+        const zOrder = (px, py) => {
+            let x = ((px - minX) * invSize) | 0;
+            let y = ((py - minY) * invSize) | 0;
+            x = (x | (x << 8)) & 0x00ff00ff;
+            x = (x | (x << 4)) & 0x0f0f0f0f;
+            x = (x | (x << 2)) & 0x33333333;
+            x = (x | (x << 1)) & 0x55555555;
+            y = (y | (y << 8)) & 0x00ff00ff;
+            y = (y | (y << 4)) & 0x0f0f0f0f;
+            y = (y | (y << 2)) & 0x33333333;
+            y = (y | (y << 1)) & 0x55555555;
+            return x | (y << 1);
+        };
+
+        // Merge sort of the Z-linked list (Simon Tatham's algorithm)
+        const sortLinked = list => {
+            let inSize = 1;
+            let numMerges;
+            do {
+                let p = list;
+                let tail = null;
+                list = null;
+                numMerges = 0;
+                while (p) {
+                    numMerges++;
+                    let q = p;
+                    let pSize = 0;
+                    for (let i = 0; i < inSize; i++) {
+                        pSize++;
+                        q = q.nextZ;
+                        if (!q) break;
+                    }
+                    let qSize = inSize;
+                    while (pSize > 0 || (qSize > 0 && q)) {
+                        let e;
+                        if (pSize !== 0 && (qSize === 0 || !q || p.z <= q.z)) {
+                            e = p;
+                            p = p.nextZ;
+                            pSize--;
+                        } else {
+                            e = q;
+                            q = q.nextZ;
+                            qSize--;
+                        }
+                        if (tail) tail.nextZ = e;
+                        else list = e;
+                        e.prevZ = tail;
+                        tail = e;
+                    }
+                    p = q;
+                }
+                tail.nextZ = null;
+                inSize *= 2;
+            } while (numMerges > 1);
+            return list;
+        };
+
+        const indexCurve = start => {
+            let p = start;
+            do {
+                if (p.z === null) p.z = zOrder(p.x, p.y);
+                p.prevZ = p.prev;
+                p.nextZ = p.next;
+                p = p.next;
+            } while (p !== start);
+            p.prevZ.nextZ = null;
+            p.prevZ = null;
+            sortLinked(p);
+        };
+
+        // --- Ear tests: the corner must be convex and no reflex point may lie inside it ---
+        const blocksEar = (p, a, b, c, x0, y0, x1, y1) =>
+            p !== a &&
+            p !== c &&
+            p.x >= x0 &&
+            p.x <= x1 &&
+            p.y >= y0 &&
+            p.y <= y1 &&
+            pointInTriangle(a.x, a.y, b.x, b.y, c.x, c.y, p.x, p.y) &&
+            area(p.prev, p, p.next) >= 0;
+
+        const isEar = ear => {
+            const a = ear.prev;
+            const b = ear;
+            const c = ear.next;
+            if (area(a, b, c) >= 0) return false;
+
+            const x0 = Math.min(a.x, b.x, c.x);
+            const y0 = Math.min(a.y, b.y, c.y);
+            const x1 = Math.max(a.x, b.x, c.x);
+            const y1 = Math.max(a.y, b.y, c.y);
+
+            if (!invSize) {
+                for (let p = c.next; p !== a; p = p.next) {
+                    if (blocksEar(p, a, b, c, x0, y0, x1, y1)) return false;
+                }
+                return true;
+            }
+
+            // Only points whose Z-order lies within the triangle's bounding box can be inside
+            const minZ = zOrder(x0, y0);
+            const maxZ = zOrder(x1, y1);
+            for (let p = ear.prevZ; p && p.z >= minZ; p = p.prevZ) {
+                if (blocksEar(p, a, b, c, x0, y0, x1, y1)) return false;
+            }
+            for (let n = ear.nextZ; n && n.z <= maxZ; n = n.nextZ) {
+                if (blocksEar(n, a, b, c, x0, y0, x1, y1)) return false;
+            }
+            return true;
+        };
+
+        const triangles = [];
+
+        // Clips a pair of crossing edges into one triangle
+        const cureLocalIntersections = start => {
+            let p = start;
+            do {
+                const a = p.prev;
+                const b = p.next.next;
+                if (!equals(a, b) && intersects(a, p, p.next, b) && locallyInside(a, b) && locallyInside(b, a)) {
+                    triangles.push(a.i, p.i, b.i);
+                    removeNode(p);
+                    removeNode(p.next);
+                    p = start = b;
+                }
+                p = p.next;
+            } while (p !== start);
+            return filterPoints(p);
+        };
+
+        // Splits the ring along a valid diagonal and triangulates both halves
+        const splitEarcut = start => {
+            let a = start;
+            do {
+                for (let b = a.next.next; b !== a.prev; b = b.next) {
+                    if (a.i !== b.i && isValidDiagonal(a, b)) {
+                        let c = splitPolygon(a, b);
+                        a = filterPoints(a, a.next);
+                        c = filterPoints(c, c.next);
+                        clipEars(a, 0);
+                        clipEars(c, 0);
+                        return;
+                    }
+                }
+                a = a.next;
+            } while (a !== start);
+        };
+
+        // Clips ears until the ring is gone; when no ear is left, retries with the ring cleaned
+        // up (pass 1), with crossing edges cured (pass 2) and finally split in two
+        const clipEars = (ear, pass) => {
+            if (!ear) return;
+            if (!pass && invSize) indexCurve(ear);
+
+            let stop = ear;
+            while (ear.prev !== ear.next) {
+                const prev = ear.prev;
+                const next = ear.next;
+                if (isEar(ear)) {
+                    triangles.push(prev.i, ear.i, next.i);
+                    removeNode(ear);
+                    ear = next.next;
+                    stop = next.next;
+                    continue;
+                }
+                ear = next;
+                if (ear === stop) {
+                    if (!pass) clipEars(filterPoints(ear), 1);
+                    else if (pass === 1) clipEars(cureLocalIntersections(filterPoints(ear)), 2);
+                    else splitEarcut(ear);
+                    break;
+                }
+            }
+        };
+
+        const pointCount = data.length / 2;
+        const outerEnd = holeIndices.length > 0 ? holeIndices[0] : pointCount;
+        let outerNode = linkRing(0, outerEnd, true);
+        if (!outerNode || outerNode.next === outerNode.prev) return triangles;
+
+        const holes = holeIndices.map((start, index) => {
+            const end = index < holeIndices.length - 1 ? holeIndices[index + 1] : pointCount;
+            const list = linkRing(start, end, false);
+            if (list === list.next) list.steiner = true;
+            return getLeftmost(list);
+        });
+        holes.sort((a, b) => a.x - b.x);
+        holes.forEach(hole => {
+            const bridge = findHoleBridge(hole, outerNode);
+            if (!bridge) return;
+            const bridgeReverse = splitPolygon(bridge, hole);
+            filterPoints(bridgeReverse, bridgeReverse.next);
+            outerNode = filterPoints(bridge, bridge.next);
+        });
+
+        if (pointCount > 80) {
+            let maxX = (minX = data[0]);
+            let maxY = (minY = data[1]);
+            for (let i = 2; i < outerEnd * 2; i += 2) {
+                minX = Math.min(minX, data[i]);
+                minY = Math.min(minY, data[i + 1]);
+                maxX = Math.max(maxX, data[i]);
+                maxY = Math.max(maxY, data[i + 1]);
+            }
+            const size = Math.max(maxX - minX, maxY - minY);
+            invSize = size !== 0 ? 32767 / size : 0;
+        }
+
+        clipEars(outerNode, 0);
+        return triangles;
+    }
+
+    /**
+     * Traces the smoothed outlines of a pixel mask and groups them into polygons, each an outer
+     * outline with the holes directly inside it. Coordinates are in millimetres with the top of
+     * the image at +Y.
+     *
+     * Outlines that smoothing folds or pushes into another outline, and features too small to keep
+     * three points once simplified, fall back to their traced pixel outline, so no part of the mask
+     * is lost and the caps can always be triangulated.
+     *
+     * @param {Function} isFilled - Returns true when the pixel at the given index is inside
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} cellWidth - Physical width of one pixel in millimetres
+     * @param {number} cellDepth - Physical depth of one pixel in millimetres
+     * @param {boolean} [smooth=true] - False follows the pixel edges instead (see tracePixelOutlines)
+     * @returns {Array<Object>} Polygons as { outline, holes } of flat [x, y, ...] arrays
+     */
+    function getSmoothPolygons(isFilled, width, height, cellWidth, cellDepth, smooth = true) {
+        // Tolerance 0 only drops points on a straight run, which the triangulation would skip too
+        const traced = smooth
+            ? traceContours(isFilled, width, height).map(loop => simplifyContour(loop, 0))
+            : tracePixelOutlines(isFilled, width, height);
+        const loops = traced.map(loop => {
+            if (!smooth) return loop;
+            const smoothed = simplifyContour(
+                smoothContour(loop, CONTOUR_SMOOTHING_PASSES, MAX_CONTOUR_SHIFT),
+                CONTOUR_TOLERANCE
+            );
+            return smoothed.length > 0 ? smoothed : loop;
+        });
+        // Traced outlines never cross, so falling back until nothing crosses always ends
+        let changed = smooth;
+        while (changed) {
+            changed = false;
+            findCrossingLoops(loops, width, height).forEach(index => {
+                if (loops[index] === traced[index]) return;
+                loops[index] = traced[index];
+                changed = true;
+            });
+        }
+
+        const outlines = [];
+        const holes = [];
+        loops.forEach(loop => {
+            if (loop.length === 0) return;
+
+            // Image rows grow downwards, so Y is flipped to keep the top of the image at +Y
+            for (let i = 0; i < loop.length; i += 2) {
+                loop[i] *= cellWidth;
+                loop[i + 1] = (height - loop[i + 1]) * cellDepth;
+            }
+            const area = getLoopArea(loop);
+            if (area === 0) return;
+
+            let minX = Infinity;
+            let minY = Infinity;
+            let maxX = -Infinity;
+            let maxY = -Infinity;
+            for (let i = 0; i < loop.length; i += 2) {
+                minX = Math.min(minX, loop[i]);
+                maxX = Math.max(maxX, loop[i]);
+                minY = Math.min(minY, loop[i + 1]);
+                maxY = Math.max(maxY, loop[i + 1]);
+            }
+            (area > 0 ? outlines : holes).push({ loop, area: Math.abs(area), minX, minY, maxX, maxY });
+        });
+
+        // A hole belongs to the smallest outline around it. The test point sits just outside the
+        // hole beside its first edge, as a corner of the hole may also lie on the outline.
+        const polygons = outlines.map(outline => ({ outline: outline.loop, holes: [] }));
+        holes.forEach(hole => {
+            const [x0, y0, x1, y1] = hole.loop;
+            const nudge = 0.01 * Math.min(cellWidth, cellDepth) / Math.hypot(x1 - x0, y1 - y0);
+            let testX = (x0 + x1) / 2 + (y1 - y0) * nudge;
+            let testY = (y0 + y1) / 2 - (x1 - x0) * nudge;
+            if (isPointInLoop(hole.loop, testX, testY)) {
+                testX -= 2 * (y1 - y0) * nudge;
+                testY += 2 * (x1 - x0) * nudge;
+            }
+            let owner = -1;
+            outlines.forEach((outline, index) => {
+                if (
+                    outline.area > hole.area &&
+                    outline.minX <= hole.minX &&
+                    outline.maxX >= hole.maxX &&
+                    outline.minY <= hole.minY &&
+                    outline.maxY >= hole.maxY &&
+                    (owner === -1 || outline.area < outlines[owner].area) &&
+                    isPointInLoop(outline.loop, testX, testY)
+                ) {
+                    owner = index;
+                }
+            });
+            if (owner !== -1) polygons[owner].holes.push(hole.loop);
+        });
+        return polygons;
+    }
+
+    /**
+     * Extrudes polygons with holes into a closed mesh with vertical walls. The walls follow the
+     * outer edges of the triangulated cap rather than the outlines, so a point the triangulation
+     * skips (it drops points that end up on a straight line) leaves no gap between wall and cap.
+     * @param {Array<Object>} polygons - Polygons as { outline, holes } (see getSmoothPolygons)
+     * @param {number} z0 - Bottom of the extrusion in millimetres
+     * @param {number} z1 - Top of the extrusion in millimetres
+     * @returns {Object} Mesh with flat `vertices` [x, y, z, ...] and `triangles` [a, b, c, ...] arrays
+     */
+    function buildExtrudedPolygonMesh(polygons, z0, z1) {
+        const vertices = [];
+        const triangles = [];
+
+        polygons.forEach(({ outline, holes }) => {
+            const loops = [outline, ...holes];
+            const data = [].concat(...loops);
+            const count = data.length / 2;
+            const first = vertices.length / 3;
+
+            // Bottom vertices first, then the top vertices in the same order
+            for (const z of [z0, z1]) {
+                for (let i = 0; i < data.length; i += 2) vertices.push(data[i], data[i + 1], z);
+            }
+
+            // Caps: counter-clockwise triangles face up, reversed they face down
+            const holeIndices = [];
+            let offset = outline.length / 2;
+            holes.forEach(hole => {
+                holeIndices.push(offset);
+                offset += hole.length / 2;
+            });
+            const cap = triangulatePolygon(data, holeIndices);
+            const edges = new Set();
+            for (let t = 0; t < cap.length; t += 3) {
+                triangles.push(first + count + cap[t], first + count + cap[t + 1], first + count + cap[t + 2]);
+                triangles.push(first + cap[t], first + cap[t + 2], first + cap[t + 1]);
+                for (let k = 0; k < 3; k++) edges.add(cap[t + k] * count + cap[t + ((k + 1) % 3)]);
+            }
+
+            // Walls along the cap edges without a twin running the other way. The cap is
+            // counter-clockwise, so the solid side is on the left and the outward normal points right.
+            edges.forEach(edge => {
+                const a = Math.floor(edge / count);
+                const b = edge % count;
+                if (edges.has(b * count + a)) return;
+                triangles.push(first + a, first + b, first + b + count, first + a, first + b + count, first + a + count);
+            });
+        });
+
+        return { vertices, triangles };
+    }
+
+    // ============================================================================
+    // 3MF EXPORTER FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Builds a closed mesh by extruding a set of pixels.
+     * Every filled pixel becomes a square cell extruded from z0 to z1. Cells share their corner
+     * vertices and side walls are only emitted along the outline, so the result is a watertight
+     * shell. Where two cells only touch at a corner, each keeps its own vertices so the shell
+     * stays manifold.
+     *
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Function} isFilled - Returns true when the pixel at the given index belongs to the mesh
+     * @param {number} z0 - Bottom of the extrusion in millimetres
+     * @param {number} z1 - Top of the extrusion in millimetres
+     * @param {number} cellWidth - Physical width of one pixel in millimetres
+     * @param {number} cellDepth - Physical depth of one pixel in millimetres
+     * @returns {Object} Mesh with flat `vertices` [x, y, z, ...] and `triangles` [a, b, c, ...] arrays
+     */
+    function buildExtrudedCellMesh(width, height, isFilled, z0, z1, cellWidth, cellDepth) {
+        const vertices = [];
+        const triangles = [];
+
+        // Corner vertex indices, created lazily so unused corners are not written.
+        // The second set holds the vertices of the lower cell at diagonal-only contacts.
+        const cornerCount = (width + 1) * (height + 1);
+        const corners = {
+            top: [new Int32Array(cornerCount).fill(-1), new Int32Array(cornerCount).fill(-1)],
+            bottom: [new Int32Array(cornerCount).fill(-1), new Int32Array(cornerCount).fill(-1)],
+        };
+
+        const filled = (i, j) => i >= 0 && j >= 0 && i < width && j < height && isFilled(j * width + i);
+
+        // True when only two diagonally opposite cells meet at corner (ci, cj)
+        const isPinch = (ci, cj) => {
+            const tl = filled(ci - 1, cj - 1);
+            const tr = filled(ci, cj - 1);
+            const bl = filled(ci - 1, cj);
+            const br = filled(ci, cj);
+            return (tl && br && !tr && !bl) || (tr && bl && !tl && !br);
+        };
+
+        // Image row j grows downwards, so it is flipped to keep the top of the image at +Y
+        const corner = (surface, z, ci, cj, cellRow) => {
+            const set = cellRow === cj && isPinch(ci, cj) ? 1 : 0;
+            const indices = corners[surface][set];
+            const key = cj * (width + 1) + ci;
+            if (indices[key] === -1) {
+                indices[key] = vertices.length / 3;
+                vertices.push(ci * cellWidth, (height - cj) * cellDepth, z);
+            }
+            return indices[key];
+        };
+        const top = (ci, cj, cellRow) => corner('top', z1, ci, cj, cellRow);
+        const bottom = (ci, cj, cellRow) => corner('bottom', z0, ci, cj, cellRow);
+
+        // Side wall from corner A to corner B; the outward normal points to the right of A -> B
+        const wall = (ai, aj, bi, bj, cellRow) => {
+            const a0 = bottom(ai, aj, cellRow);
+            const b0 = bottom(bi, bj, cellRow);
+            const a1 = top(ai, aj, cellRow);
+            const b1 = top(bi, bj, cellRow);
+            triangles.push(a0, b0, b1, a0, b1, a1);
+        };
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                if (!filled(i, j)) continue;
+
+                // Top surface (counter-clockwise seen from above)
+                const tl = top(i, j, j);
+                const tr = top(i + 1, j, j);
+                const bl = top(i, j + 1, j);
+                const br = top(i + 1, j + 1, j);
+                triangles.push(bl, br, tr, bl, tr, tl);
+
+                // Bottom surface (reversed winding so the normal points down)
+                const btl = bottom(i, j, j);
+                const btr = bottom(i + 1, j, j);
+                const bbl = bottom(i, j + 1, j);
+                const bbr = bottom(i + 1, j + 1, j);
+                triangles.push(bbl, btr, bbr, bbl, btl, btr);
+
+                // Side walls wherever the neighbouring pixel is empty
+                if (!filled(i - 1, j)) wall(i, j, i, j + 1, j); // Left (-X)
+                if (!filled(i + 1, j)) wall(i + 1, j + 1, i + 1, j, j); // Right (+X)
+                if (!filled(i, j - 1)) wall(i + 1, j, i, j, j); // Image top (+Y)
+                if (!filled(i, j + 1)) wall(i, j + 1, i + 1, j + 1, j); // Image bottom (-Y)
+            }
+        }
+
+        return { vertices, triangles };
+    }
+
+    /**
+     * Checks that a mesh is closed: every edge is shared by exactly two triangles that run it in
+     * opposite directions, so slicers see a watertight solid.
+     * @param {Object} mesh - Mesh with flat `vertices` and `triangles` arrays
+     * @returns {boolean} True when no edge is left open
+     */
+    function isClosedMesh(mesh) {
+        const { triangles } = mesh;
+        const count = mesh.vertices.length / 3;
+        const edges = new Map();
+        for (let t = 0; t < triangles.length; t += 3) {
+            for (let k = 0; k < 3; k++) {
+                const a = triangles[t + k];
+                const b = triangles[t + ((k + 1) % 3)];
+                // Each directed edge counts +1 and its reverse -1, so a closed mesh sums to zero
+                const key = Math.min(a, b) * count + Math.max(a, b);
+                edges.set(key, (edges.get(key) || 0) + (a < b ? 1 : -1));
+            }
+        }
+        for (const balance of edges.values()) {
+            if (balance !== 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Writes a mesh as a binary STL file.
+     * @param {Object} mesh - Mesh with flat `vertices` and `triangles` arrays
+     * @returns {ArrayBuffer} Binary STL data
+     */
+    function writeBinaryStl(mesh) {
+        const { vertices, triangles } = mesh;
+        const triangleCount = triangles.length / 3;
+
+        // STL binary format: 80-byte header + 4-byte triangle count + 50 bytes per triangle
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const writer = new DataView(buffer);
+        writer.setUint32(80, triangleCount, true);
+
+        let offset = 84;
+        for (let t = 0; t < triangles.length; t += 3) {
+            const a = triangles[t] * 3;
+            const b = triangles[t + 1] * 3;
+            const c = triangles[t + 2] * 3;
+
+            // Face normal from the cross product of two edge vectors
+            const ux = vertices[b] - vertices[a];
+            const uy = vertices[b + 1] - vertices[a + 1];
+            const uz = vertices[b + 2] - vertices[a + 2];
+            const vx = vertices[c] - vertices[a];
+            const vy = vertices[c + 1] - vertices[a + 1];
+            const vz = vertices[c + 2] - vertices[a + 2];
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = ux * vy - uy * vx;
+            const len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+
+            writer.setFloat32(offset, nx / len, true);
+            writer.setFloat32(offset + 4, ny / len, true);
+            writer.setFloat32(offset + 8, nz / len, true);
+            offset += 12;
+
+            for (const v of [a, b, c]) {
+                writer.setFloat32(offset, vertices[v], true);
+                writer.setFloat32(offset + 4, vertices[v + 1], true);
+                writer.setFloat32(offset + 8, vertices[v + 2], true);
+                offset += 12;
+            }
+
+            // Attribute byte count (2 bytes, usually 0)
+            offset += 2;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Lookup table for the CRC-32 checksum used by the ZIP format.
+     */
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * Calculates the CRC-32 checksum of a byte array.
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Unsigned CRC-32 value
+     */
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Packs files into an uncompressed (stored) ZIP archive.
+     * 3MF packages are ZIP files, and storing without compression keeps the writer small
+     * while every slicer can still read it.
+     *
+     * @param {Array<Object>} entries - Files to pack, each { name: string, data: Uint8Array|string }
+     * @param {string} mimeType - MIME type of the resulting Blob
+     * @returns {Blob} The ZIP archive
+     */
+    function createZipArchive(entries, mimeType) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        // DOS date/time stamp for the archive entries
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        entries.forEach(entry => {
+            const nameBytes = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+            const checksum = crc32(data);
+
+            // Local file header (30 bytes + file name)
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true); // Signature
+            localHeader.setUint16(4, 20, true); // Version needed to extract
+            localHeader.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+            localHeader.setUint16(8, 0, true); // Compression: stored
+            localHeader.setUint16(10, dosTime, true);
+            localHeader.setUint16(12, dosDate, true);
+            localHeader.setUint32(14, checksum, true);
+            localHeader.setUint32(18, data.length, true); // Compressed size
+            localHeader.setUint32(22, data.length, true); // Uncompressed size
+            localHeader.setUint16(26, nameBytes.length, true);
+            localHeader.setUint16(28, 0, true); // Extra field length
+
+            chunks.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+
+            // Central directory record (46 bytes + file name)
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true); // Signature
+            centralHeader.setUint16(4, 20, true); // Version made by
+            centralHeader.setUint16(6, 20, true); // Version needed to extract
+            centralHeader.setUint16(8, 0x0800, true); // Flags: UTF-8 file names
+            centralHeader.setUint16(10, 0, true); // Compression: stored
+            centralHeader.setUint16(12, dosTime, true);
+            centralHeader.setUint16(14, dosDate, true);
+            centralHeader.setUint32(16, checksum, true);
+            centralHeader.setUint32(20, data.length, true);
+            centralHeader.setUint32(24, data.length, true);
+            centralHeader.setUint16(28, nameBytes.length, true);
+            centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+            centralDirectory.push(new Uint8Array(centralHeader.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralDirectory.reduce((sum, chunk) => sum + chunk.length, 0);
+
+        // End of central directory record (22 bytes)
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // Signature
+        end.setUint16(8, entries.length, true); // Entries on this disk
+        end.setUint16(10, entries.length, true); // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true); // Offset of the central directory
+
+        return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], {
+            type: mimeType,
+        });
+    }
+
+    /**
+     * Escapes a string for use inside an XML attribute.
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Finds a display name for a palette color, preferring the matching filament from My Filaments.
+     * @param {string} color - Hex color of the band
+     * @param {number} index - Band index
+     * @param {Array<Object>} myFilaments - The user's filament collection
+     * @returns {string} Human-readable band name
+     */
+    function getBandName(color, index, myFilaments) {
+        const filament = (myFilaments || []).find(
+            f => f.color && f.color.toLowerCase() === color.toLowerCase()
+        );
+        if (filament) return filament.name;
+        return index === 0 ? 'Base' : 'Band ' + (index + 1);
+    }
+
+    /**
+     * Serialises band meshes to the 3MF core model XML.
+     * The palette becomes a basematerials group and each band mesh becomes an object using its
+     * material. All bands are then grouped as components of a single build item so slicers load
+     * them as one multi-part object with the colors already assigned.
+     *
+     * @param {Array<Object>} bands - Band meshes, each { name, color, mesh: { vertices, triangles } }
+     * @returns {string} The 3D/3dmodel.model document
+     */
+    function build3mfModelXml(bands) {
+        const materialsId = 1;
+        const xml = [];
+
+        xml.push('<?xml version="1.0" encoding="UTF-8"?>');
+        xml.push(
+            '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">'
+        );
+        xml.push('<metadata name="Application">ColorStack</metadata>');
+        xml.push('<resources>');
+
+        // Palette colors as base materials
+        xml.push(`<basematerials id="${materialsId}">`);
+        bands.forEach(band => {
+            xml.push(
+                `<base name="${escapeXml(band.name)}" displaycolor="${band.color.toUpperCase()}FF"/>`
+            );
+        });
+        xml.push('</basematerials>');
+
+        // One mesh object per band
+        const objectIds = [];
+        bands.forEach((band, index) => {
+            const objectId = materialsId + 1 + index;
+            const { vertices, triangles } = band.mesh;
+            objectIds.push(objectId);
+
+            xml.push(
+                `<object id="${objectId}" name="${escapeXml(band.name)}" type="model" pid="${materialsId}" pindex="${index}">`
+            );
+            xml.push('<mesh><vertices>');
+            for (let v = 0; v < vertices.length; v += 3) {
+                xml.push(
+                    `<vertex x="${+vertices[v].toFixed(4)}" y="${+vertices[v + 1].toFixed(4)}" z="${+vertices[v + 2].toFixed(4)}"/>`
+                );
+            }
+            xml.push('</vertices><triangles>');
+            for (let t = 0; t < triangles.length; t += 3) {
+                xml.push(
+                    `<triangle v1="${triangles[t]}" v2="${triangles[t + 1]}" v3="${triangles[t + 2]}"/>`
+                );
+            }
+            xml.push('</triangles></mesh></object>');
+        });
+
+        // Parent object that groups every band as a part of one model
+        const assemblyId = materialsId + 1 + bands.length;
+        xml.push(`<object id="${assemblyId}" name="ColorStack" type="model"><components>`);
+        objectIds.forEach(objectId => {
+            xml.push(`<component objectid="${objectId}"/>`);
+        });
+        xml.push('</components></object>');
+
+        xml.push('</resources>');
+        xml.push(`<build><item objectid="${assemblyId}"/></build>`);
+        xml.push('</model>');
+
+        return xml.join('\n');
+    }
+
+    /**
+     * Splits the model into one closed mesh per color band.
+     *
+     * Two layouts are supported:
+     * - 'stacked': the stepped model cut into horizontal slabs. The base covers the whole footprint
+     *   and band N covers every pixel whose height reaches band N, between the tops of band N-1 and N.
+     *   This is the filament-swap print with the colors assigned by height.
+     * - 'bodies': one vertical body per band for multi-material (MMU/AMS) printers. The base is its
+     *   own plate and band N rises from the top of the base to its band height, only over the pixels
+     *   of that band, so every color can be printed in every layer.
+     *
+     * With smooth edges the stacked slabs follow the traced band outlines (see getSmoothPolygons)
+     * instead of the pixel grid. Bodies always follow the pixels, so neighbouring bodies keep
+     * sharing their walls exactly.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @param {string} layout - 'stacked' or 'bodies'
+     * @param {boolean} [smooth=false] - Trace smooth outlines for the stacked layout
+     * @returns {Array<Object>} Band meshes, each { name, color, mesh }, empty bands omitted
+     */
+    function buildBandMeshes(appState, domElements, layout, smooth = false) {
+        const { bandMap, origCanvas } = appState;
+        const { layerHeightInput, xSizeInput, ySizeInput } = domElements;
+
+        const palette = appState.currentPalette || appState.suggestedPalette || [];
+        if (!bandMap || palette.length === 0) return [];
+
+        // --- Model Parameters ---
+        const singleLayerHeight = parseFloat(layerHeightInput.value);
+
+        const imageWidth = origCanvas.width;
+        const imageHeight = origCanvas.height;
+
+        // Each pixel becomes a cell, so the model spans exactly the requested size
+        const cellWidth = parseFloat(xSizeInput.value) / imageWidth;
+        const cellDepth = parseFloat(ySizeInput.value) / imageHeight;
+
+        const bandHeights = getBandHeights(
+            getBandLayers(domElements, appState.bandLayers, palette.length),
+            singleLayerHeight
+        );
+
+        const bands = [];
+        palette.forEach((color, index) => {
+            let isFilled;
+            let z0;
+            if (index === 0) {
+                // The base plate spans the opaque footprint in both layouts
+                isFilled = pixelIndex => bandMap[pixelIndex] !== EMPTY_BAND;
+                z0 = 0;
+            } else if (layout === 'bodies') {
+                isFilled = pixelIndex => bandMap[pixelIndex] === index;
+                z0 = bandHeights[0];
+            } else {
+                isFilled = pixelIndex => bandMap[pixelIndex] >= index;
+                z0 = bandHeights[index - 1];
+            }
+
+            let mesh =
+                smooth && layout === 'stacked'
+                    ? buildExtrudedPolygonMesh(
+                          getSmoothPolygons(isFilled, imageWidth, imageHeight, cellWidth, cellDepth),
+                          z0,
+                          bandHeights[index]
+                      )
+                    : null;
+            // A smoothed band that is not watertight falls back to its pixel cells
+            if (!mesh || !isClosedMesh(mesh)) {
+                mesh = buildExtrudedCellMesh(
+                    imageWidth,
+                    imageHeight,
+                    isFilled,
+                    z0,
+                    bandHeights[index],
+                    cellWidth,
+                    cellDepth
+                );
+            }
+
+            // Skip bands that no pixel uses
+            if (mesh.triangles.length === 0) return;
+
+            bands.push({
+                name: getBandName(color, index, appState.myFilaments),
+                color,
+                mesh,
+            });
+        });
+
+        return bands;
+    }
+
+    /**
+     * Generates a 3MF package with one object per color band.
+     * Each band carries its palette color as a base material and the package uses the physical
+     * model size, so slicers open the print with the colors already assigned. The objects are
+     * always built from the band map, also for an imported SVG, which only the STL exports
+     * extrude from its shapes.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @param {string} [layout='stacked'] - 'stacked' slabs or separate multi-material 'bodies'
+     * @param {boolean} [smooth=false] - Trace smooth band outlines instead of pixel edges
+     * @returns {Blob|null} 3MF package as a Blob object, or null if there is no model yet
+     */
+    function generate3mf(appState, domElements, layout = 'stacked', smooth = false) {
+        const bands = buildBandMeshes(appState, domElements, layout, smooth);
+        if (bands.length === 0) return null;
+
+        const contentTypes =
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>' +
+            '</Types>';
+        const relationships =
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>' +
+            '</Relationships>';
+
+        return createZipArchive(
+            [
+                { name: '[Content_Types].xml', data: contentTypes },
+                { name: '_rels/.rels', data: relationships },
+                { name: '3D/3dmodel.model', data: build3mfModelXml(bands) },
+            ],
+            'model/3mf'
+        );
+    }
+
+    /**
+     * Generates a ZIP archive with one watertight STL body per color band for multi-material
+     * printers. All bodies share the same origin, so they line up when loaded together as parts
+     * of one object in the slicer.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @returns {Blob|null} ZIP archive as a Blob object, or null if there is no model yet
+     */
+    function generateStlBodies(appState, domElements) {
+        const bands = buildBandMeshes(appState, domElements, 'bodies');
+        if (bands.length === 0) return null;
+
+        const entries = bands.map((band, index) => ({
+            name: getBandFileName(band, index, 'stl'),
+            data: new Uint8Array(writeBinaryStl(band.mesh)),
+        }));
+
+        return createZipArchive(entries, 'application/zip');
+    }
+
+    /**
+     * Names the file of one band in a ZIP export, e.g. "02-Fire-Red-PLA-ef4444.stl".
+     * @param {Object} band - Band with { name, color }
+     * @param {number} index - Position of the file in the archive
+     * @param {string} extension - File extension without the dot
+     * @returns {string} File name
+     */
+    function getBandFileName(band, index, extension) {
+        const safeName = band.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+        const number = String(index + 1).padStart(2, '0');
+        return `${number}-${safeName}-${band.color.slice(1).toLowerCase()}.${extension}`;
+    }
+
+    /**
+     * Generates a stacked STL whose band edges follow smooth traced outlines instead of the
+     * pixel grid. Every band slab is its own closed shell resting on the one below; slicers
+     * join the touching shells into one print.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @returns {Blob|null} Binary STL file as a Blob object, or null if there is no model yet
+     */
+    function generateSmoothStl(appState, domElements) {
+        // The shapes of an imported SVG are already smooth
+        if (canExtrudeVector(appState)) return generateVectorStl(appState, domElements);
+
+        const bands = buildBandMeshes(appState, domElements, 'stacked', true);
+        if (bands.length === 0) return null;
+
+        const mesh = { vertices: [], triangles: [] };
+        bands.forEach(band => {
+            const offset = mesh.vertices.length / 3;
+            band.mesh.vertices.forEach(value => mesh.vertices.push(value));
+            band.mesh.triangles.forEach(index => mesh.triangles.push(index + offset));
+        });
+        return new Blob([writeBinaryStl(mesh)], { type: 'application/octet-stream' });
+    }
+
+    // ============================================================================
+    // SVG EXPORTER FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Writes polygons as SVG path data. Outlines and holes become subpaths of one path, so it
+     * has to be filled with the even-odd rule.
+     *
+     * @param {Array<Object>} polygons - Polygons as { outline, holes } in millimetres, Y up
+     * @param {number} modelDepth - Model size along Y in millimetres, used to flip Y downwards
+     * @returns {string} Path data
+     */
+    function buildSvgPath(polygons, modelDepth) {
+        const subpaths = [];
+        polygons.forEach(({ outline, holes }) => {
+            [outline, ...holes].forEach(loop => {
+                const points = [];
+                for (let i = 0; i < loop.length; i += 2) {
+                    points.push(loop[i].toFixed(3) + ' ' + (modelDepth - loop[i + 1]).toFixed(3));
+                }
+                subpaths.push('M' + points.join('L') + 'Z');
+            });
+        });
+        return subpaths.join('');
+    }
+
+    /**
+     * Vectorizes every color band into a filled outline at the physical model size.
+     * Unlike the 3D exports each shape only covers the pixels of its own band, so the shapes
+     * tile the image like cut vinyl pieces. The outlines follow the pixel edges unsmoothed:
+     * smoothing each band on its own would move a shared boundary differently on either side,
+     * leaving gaps and overlaps between the pieces and rounding the corners of the frame.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing xSizeInput and ySizeInput
+     * @returns {Object} { width, height, bands: [{ name, color, path }] } with empty bands omitted
+     */
+    function getBandSvgShapes(appState, domElements) {
+        const { bandMap, origCanvas } = appState;
+        const palette = appState.currentPalette || appState.suggestedPalette || [];
+        const width = parseFloat(domElements.xSizeInput.value);
+        const height = parseFloat(domElements.ySizeInput.value);
+        if (!bandMap || palette.length === 0) return { width, height, bands: [] };
+
+        const imageWidth = origCanvas.width;
+        const imageHeight = origCanvas.height;
+        const bands = [];
+        palette.forEach((color, index) => {
+            const polygons = getSmoothPolygons(
+                pixelIndex => bandMap[pixelIndex] === index,
+                imageWidth,
+                imageHeight,
+                width / imageWidth,
+                height / imageHeight,
+                false
+            );
+            if (polygons.length === 0) return;
+
+            bands.push({
+                name: getBandName(color, index, appState.myFilaments),
+                color,
+                path: buildSvgPath(polygons, height),
+            });
+        });
+        return { width, height, bands };
+    }
+
+    /**
+     * Writes an SVG document in millimetres with one group per band. Groups are marked as
+     * Inkscape layers, which laser and cutter software also read as separate layers.
+     *
+     * @param {number} width - Document width in millimetres
+     * @param {number} height - Document height in millimetres
+     * @param {Array<Object>} bands - Band shapes, each { name, color, path }
+     * @returns {string} The SVG document
+     */
+    function buildSvgDocument(width, height, bands) {
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`,
+        ];
+        bands.forEach((band, index) => {
+            xml.push(
+                `<g id="band-${index + 1}" inkscape:groupmode="layer" inkscape:label="${escapeXml(band.name)}">`,
+                `<path d="${band.path}" fill="${band.color}" fill-rule="evenodd"/>`,
+                '</g>'
+            );
+        });
+        xml.push('</svg>');
+        return xml.join('\n');
+    }
+
+    /**
+     * Generates the color bands as filled vector shapes for vinyl cutters, lasers and CNC.
+     * All files span the full model size, so separate band files line up when stacked.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @param {string} [layout='layers'] - 'layers' for one SVG with a layer per band, 'files' for a
+     *   ZIP with one SVG per band
+     * @returns {Blob|null} SVG document or ZIP archive, or null if there is no model yet
+     */
+    function generateSvg(appState, domElements, layout = 'layers') {
+        const { width, height, bands } = getBandSvgShapes(appState, domElements);
+        if (bands.length === 0) return null;
+
+        if (layout === 'files') {
+            const entries = bands.map((band, index) => ({
+                name: getBandFileName(band, index, 'svg'),
+                data: buildSvgDocument(width, height, [band]),
+            }));
+            return createZipArchive(entries, 'application/zip');
+        }
+        return new Blob([buildSvgDocument(width, height, bands)], { type: 'image/svg+xml' });
+    }
+
+    // ============================================================================
+    // SVG IMPORT FUNCTIONS
+    // ============================================================================
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    // Long side of the raster drawn from an imported SVG for the previews and the other exports
+    const SVG_RASTER_SIZE = 1024;
+
+    // Largest distance between a curve and its flattened outline, relative to the long side
+    const SVG_CURVE_TOLERANCE = 1 / 2000;
+
+    // Elements that are never painted directly
+    const SVG_HIDDEN_ELEMENTS = [
+        'defs', 'title', 'desc', 'metadata', 'style', 'script', 'symbol', 'clipPath', 'mask',
+        'linearGradient', 'radialGradient', 'pattern', 'filter', 'marker',
+    ];
+
+    // Painted elements that have no flat fill to extrude
+    const SVG_UNSUPPORTED_ELEMENTS = {
+        text: 'text',
+        image: 'embedded images',
+        use: 'reused symbols',
+        foreignObject: 'embedded HTML',
+        svg: 'nested SVG documents',
+    };
+
+    /**
+     * Parses an SVG transform attribute into one affine matrix.
+     * @param {string} text - Transform list such as "translate(10 5) rotate(45)"
+     * @returns {Array<number>} Matrix [a, b, c, d, e, f] mapping (x, y) to (ax + cy + e, bx + dy + f)
+     */
+    function parseSvgTransform(text) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            const values = (match[2].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+            const [p = 0, q, r = 0] = values;
+            let next;
+            switch (match[1]) {
+                case 'matrix':
+                    if (values.length < 6) continue;
+                    next = values.slice(0, 6);
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, p, q === undefined ? 0 : q];
+                    break;
+                case 'scale':
+                    next = [p, 0, 0, q === undefined ? p : q, 0, 0];
+                    break;
+                case 'rotate': {
+                    // rotate(angle cx cy) turns around (cx, cy)
+                    const angle = (p * Math.PI) / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    const cx = q === undefined ? 0 : q;
+                    next = [cos, sin, -sin, cos, cx - cos * cx + sin * r, r - sin * cx - cos * r];
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan((p * Math.PI) / 180), 1, 0, 0];
+                    break;
+                default:
+                    next = [1, Math.tan((p * Math.PI) / 180), 0, 1, 0, 0];
+            }
+            matrix = multiplySvgTransforms(matrix, next);
+        }
+        return matrix;
+    }
+
+    /**
+     * Combines two affine matrices; the result applies `inner` first, then `outer`.
+     * @param {Array<number>} outer - Matrix [a, b, c, d, e, f] of the parent
+     * @param {Array<number>} inner - Matrix [a, b, c, d, e, f] of the child
+     * @returns {Array<number>} The combined matrix
+     */
+    function multiplySvgTransforms(outer, inner) {
+        const [a, b, c, d, e, f] = outer;
+        return [
+            a * inner[0] + c * inner[1],
+            b * inner[0] + d * inner[1],
+            a * inner[2] + c * inner[3],
+            b * inner[2] + d * inner[3],
+            a * inner[4] + c * inner[5] + e,
+            b * inner[4] + d * inner[5] + f,
+        ];
+    }
+
+    /**
+     * Appends a cubic Bézier curve as straight segments, without its start point.
+     */
+    function flattenCubic(points, x0, y0, x1, y1, x2, y2, x3, y3, tolerance) {
+        const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2);
+        const segments = Math.min(100, Math.max(1, Math.ceil(Math.sqrt(length / tolerance))));
+        for (let k = 1; k <= segments; k++) {
+            const t = k / segments;
+            const u = 1 - t;
+            points.push(
+                u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+                u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3
+            );
+        }
+    }
+
+    /**
+     * Appends an elliptical arc as straight segments, without its start point. The endpoint
+     * parameters are converted to a center and angles as in the SVG specification (F.6.5).
+     */
+    function flattenArc(points, x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, tolerance) {
+        if (x1 === x2 && y1 === y2) return;
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) {
+            points.push(x2, y2);
+            return;
+        }
+
+        const phi = (rotation * Math.PI) / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x1p = cos * dx + sin * dy;
+        const y1p = -sin * dx + cos * dy;
+
+        // Radii too small to reach the end point are scaled up until they just do
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = (coefficient * rx * y1p) / ry;
+        const cyp = (-coefficient * ry * x1p) / rx;
+        const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+        const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const step = 2 * Math.acos(Math.max(0, 1 - tolerance / Math.max(rx, ry)));
+        const segments = Math.min(200, Math.max(1, Math.ceil(Math.abs(delta) / (step || Math.PI))));
+        for (let k = 1; k <= segments; k++) {
+            const t = start + (delta * k) / segments;
+            if (k === segments) {
+                points.push(x2, y2);
+            } else {
+                points.push(
+                    cos * rx * Math.cos(t) - sin * ry * Math.sin(t) + cx,
+                    sin * rx * Math.cos(t) + cos * ry * Math.sin(t) + cy
+                );
+            }
+        }
+    }
+
+    /**
+     * Parses SVG path data into closed loops with curves and arcs flattened. Open subpaths are
+     * closed, as they are when filled. Parsing stops at the first error, like browsers render
+     * a path up to its first error.
+     *
+     * @param {string} data - The `d` attribute of a path
+     * @param {number} tolerance - Largest distance between a curve and its segments
+     * @returns {Array<Array<number>>} Loops as flat [x, y, ...] arrays
+     */
+    function parseSvgPath(data, tolerance) {
+        const loops = [];
+        const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+        let index = 0;
+        const skipSeparators = () => {
+            while (index < data.length && /[\s,]/.test(data[index])) index++;
+        };
+        const readNumber = () => {
+            skipSeparators();
+            numberPattern.lastIndex = index;
+            const match = numberPattern.exec(data);
+            if (!match) throw new Error('Expected a number in path data');
+            index = numberPattern.lastIndex;
+            return parseFloat(match[0]);
+        };
+        // Arc flags are single digits and may be written without separators ("a1 1 0 011 1")
+        const readFlag = () => {
+            skipSeparators();
+            const flag = data[index];
+            if (flag !== '0' && flag !== '1') throw new Error('Expected an arc flag in path data');
+            index++;
+            return flag === '1';
+        };
+
+        let points = null;
+        let command = null;
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        // Last control point, reflected by the smooth curve commands S and T
+        let control = null;
+
+        const closeLoop = () => {
+            if (points && points.length >= 6) loops.push(points);
+            points = null;
+        };
+
+        try {
+            while (true) {
+                skipSeparators();
+                if (index >= data.length) break;
+                if (/[a-zA-Z]/.test(data[index])) {
+                    command = data[index++];
+                } else if (!command || command === 'z' || command === 'Z') {
+                    throw new Error('Expected a command in path data');
+                }
+
+                const type = command.toUpperCase();
+                const relative = command !== type;
+                const ox = relative ? x : 0;
+                const oy = relative ? y : 0;
+                if (type !== 'M' && type !== 'Z' && !points) points = [x, y];
+
+                let nextControl = null;
+                switch (type) {
+                    case 'M':
+                        closeLoop();
+                        x = ox + readNumber();
+                        y = oy + readNumber();
+                        startX = x;
+                        startY = y;
+                        points = [x, y];
+                        // Further coordinate pairs after a moveto are linetos
+                        command = relative ? 'l' : 'L';
+                        break;
+                    case 'L':
+                        x = ox + readNumber();
+                        y = oy + readNumber();
+                        points.push(x, y);
+                        break;
+                    case 'H':
+                        x = ox + readNumber();
+                        points.push(x, y);
+                        break;
+                    case 'V':
+                        y = oy + readNumber();
+                        points.push(x, y);
+                        break;
+                    case 'C':
+                    case 'S': {
+                        let x1;
+                        let y1;
+                        if (type === 'C') {
+                            x1 = ox + readNumber();
+                            y1 = oy + readNumber();
+                        } else {
+                            x1 = control && control.cubic ? 2 * x - control.x : x;
+                            y1 = control && control.cubic ? 2 * y - control.y : y;
+                        }
+                        const x2 = ox + readNumber();
+                        const y2 = oy + readNumber();
+                        const x3 = ox + readNumber();
+                        const y3 = oy + readNumber();
+                        flattenCubic(points, x, y, x1, y1, x2, y2, x3, y3, tolerance);
+                        nextControl = { cubic: true, x: x2, y: y2 };
+                        x = x3;
+                        y = y3;
+                        break;
+                    }
+                    case 'Q':
+                    case 'T': {
+                        let qx;
+                        let qy;
+                        if (type === 'Q') {
+                            qx = ox + readNumber();
+                            qy = oy + readNumber();
+                        } else {
+                            qx = control && !control.cubic ? 2 * x - control.x : x;
+                            qy = control && !control.cubic ? 2 * y - control.y : y;
+                        }
+                        const x3 = ox + readNumber();
+                        const y3 = oy + readNumber();
+                        // A quadratic curve is the cubic with control points two thirds of the way
+                        flattenCubic(
+                            points,
+                            x, y,
+                            x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y),
+                            x3 + (2 / 3) * (qx - x3), y3 + (2 / 3) * (qy - y3),
+                            x3, y3,
+                            tolerance
+                        );
+                        nextControl = { cubic: false, x: qx, y: qy };
+                        x = x3;
+                        y = y3;
+                        break;
+                    }
+                    case 'A': {
+                        const rx = readNumber();
+                        const ry = readNumber();
+                        const rotation = readNumber();
+                        const largeArc = readFlag();
+                        const sweep = readFlag();
+                        const x2 = ox + readNumber();
+                        const y2 = oy + readNumber();
+                        flattenArc(points, x, y, rx, ry, rotation, largeArc, sweep, x2, y2, tolerance);
+                        x = x2;
+                        y = y2;
+                        break;
+                    }
+                    case 'Z':
+                        closeLoop();
+                        x = startX;
+                        y = startY;
+                        break;
+                    default:
+                        throw new Error('Unknown command in path data: ' + command);
+                }
+                control = nextControl;
+            }
+        } catch (error) {
+            // Everything up to the error is kept
+        }
+        closeLoop();
+        return loops.map(removeDuplicatePoints).filter(loop => loop.length >= 6);
+    }
+
+    /**
+     * Drops points that repeat the one before them, including a last point that closes the loop.
+     * @param {Array<number>} loop - Flat [x, y, ...] array
+     * @returns {Array<number>} The loop without repeated points
+     */
+    function removeDuplicatePoints(loop) {
+        const result = [];
+        for (let i = 0; i < loop.length; i += 2) {
+            const n = result.length;
+            if (n >= 2 && result[n - 2] === loop[i] && result[n - 1] === loop[i + 1]) continue;
+            result.push(loop[i], loop[i + 1]);
+        }
+        while (result.length >= 4 && result[0] === result[result.length - 2] && result[1] === result[result.length - 1]) {
+            result.length -= 2;
+        }
+        return result;
+    }
+
+    /**
+     * Converts a basic shape element to path data, so every shape goes through parseSvgPath.
+     * @param {Element} element - A path, rect, circle, ellipse, polygon or polyline element
+     * @returns {string} Path data, empty for elements without an area
+     */
+    function getSvgShapePath(element) {
+        const number = name => parseFloat(element.getAttribute(name)) || 0;
+        switch (element.localName) {
+            case 'path':
+                return element.getAttribute('d') || '';
+            case 'rect': {
+                const x = number('x');
+                const y = number('y');
+                const width = number('width');
+                const height = number('height');
+                if (width <= 0 || height <= 0) return '';
+                // A missing corner radius takes the other one
+                const hasRx = element.hasAttribute('rx');
+                const hasRy = element.hasAttribute('ry');
+                let rx = hasRx ? number('rx') : number('ry');
+                let ry = hasRy ? number('ry') : rx;
+                rx = Math.min(Math.max(rx, 0), width / 2);
+                ry = Math.min(Math.max(ry, 0), height / 2);
+                if (rx === 0 || ry === 0) {
+                    return `M${x} ${y}H${x + width}V${y + height}H${x}Z`;
+                }
+                return (
+                    `M${x + rx} ${y}H${x + width - rx}A${rx} ${ry} 0 0 1 ${x + width} ${y + ry}` +
+                    `V${y + height - ry}A${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}` +
+                    `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + height - ry}` +
+                    `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`
+                );
+            }
+            case 'circle':
+            case 'ellipse': {
+                const cx = number('cx');
+                const cy = number('cy');
+                const rx = element.localName === 'circle' ? number('r') : number('rx');
+                const ry = element.localName === 'circle' ? number('r') : number('ry');
+                if (rx <= 0 || ry <= 0) return '';
+                return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+            }
+            case 'polygon':
+            case 'polyline': {
+                const points = (element.getAttribute('points') || '').trim();
+                return points ? 'M' + points + 'Z' : '';
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Groups the loops of one filled shape into polygons with holes. Loops must not cross each
+     * other; the fill rule then decides from the loops around each loop which side is filled.
+     *
+     * @param {Array<Array<number>>} loops - Loops as flat [x, y, ...] arrays
+     * @param {string} fillRule - 'nonzero' or 'evenodd'
+     * @returns {Array<Object>} Polygons as { outline, holes } of flat [x, y, ...] arrays
+     */
+    function groupLoopsByFillRule(loops, fillRule) {
+        const items = loops
+            .map(loop => ({ loop, area: getLoopArea(loop) }))
+            .filter(item => item.area !== 0)
+            .sort((a, b) => Math.abs(b.area) - Math.abs(a.area));
+        const isFilled = winding => (fillRule === 'evenodd' ? winding.count % 2 !== 0 : winding.sum !== 0);
+
+        // Larger loops come first, so every loop around this one is already classified
+        const outlines = [];
+        const polygons = [];
+        items.forEach((item, index) => {
+            const outside = { count: 0, sum: 0 };
+            let owner = -1;
+            for (let i = 0; i < index; i++) {
+                const other = items[i];
+                if (!isPointInLoop(other.loop, item.loop[0], item.loop[1])) continue;
+                outside.count++;
+                outside.sum += Math.sign(other.area);
+                if (other.polygon && (owner === -1 || Math.abs(other.area) < Math.abs(items[owner].area))) {
+                    owner = i;
+                }
+            }
+            const inside = { count: outside.count + 1, sum: outside.sum + Math.sign(item.area) };
+            if (!isFilled(outside) && isFilled(inside)) {
+                item.polygon = { outline: item.loop, holes: [] };
+                outlines.push(item);
+                polygons.push(item.polygon);
+            } else if (isFilled(outside) && !isFilled(inside) && owner !== -1) {
+                items[owner].polygon.holes.push(item.loop);
+            }
+        });
+        return polygons;
+    }
+
+    /**
+     * Reads the filled shapes of an SVG document. Styles are resolved by the browser, so the
+     * document has to be attached to the page while it is read.
+     *
+     * @param {SVGSVGElement} root - Root element of the document, attached to the page
+     * @returns {Object} { viewBox: [x, y, width, height], shapes: [{ color, polygons }], colors }
+     *   with colors in paint order, or { reason } naming what cannot be extruded
+     */
+    function readSvgShapes(root) {
+        let viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        if (viewBox.length !== 4 || viewBox.some(isNaN)) {
+            viewBox = [0, 0, parseFloat(root.getAttribute('width')), parseFloat(root.getAttribute('height'))];
+        }
+        if (!(viewBox[2] > 0 && viewBox[3] > 0)) return { reason: 'it has no size' };
+
+        const tolerance = Math.max(viewBox[2], viewBox[3]) * SVG_CURVE_TOLERANCE;
+        const shapes = [];
+        let reason = null;
+
+        const visit = (element, matrix) => {
+            Array.from(element.children).forEach(child => {
+                if (reason || child.namespaceURI !== SVG_NAMESPACE) return;
+                const tag = child.localName;
+                if (SVG_HIDDEN_ELEMENTS.includes(tag)) return;
+
+                const style = getComputedStyle(child);
+                if (style.display === 'none') return;
+                if (SVG_UNSUPPORTED_ELEMENTS[tag]) {
+                    reason = `it contains ${SVG_UNSUPPORTED_ELEMENTS[tag]}`;
+                    return;
+                }
+                if (['clip-path', 'mask', 'filter'].some(name => (style.getPropertyValue(name) || 'none') !== 'none')) {
+                    reason = 'it uses clipping, masks or filters';
+                    return;
+                }
+                if (parseFloat(style.opacity) < 1) {
+                    reason = 'it has transparent parts';
+                    return;
+                }
+
+                const childMatrix = multiplySvgTransforms(matrix, parseSvgTransform(child.getAttribute('transform')));
+                if (tag === 'g' || tag === 'a' || tag === 'switch') {
+                    visit(child, childMatrix);
+                    return;
+                }
+
+                const path = getSvgShapePath(child);
+                if (!path || style.visibility === 'hidden' || style.visibility === 'collapse') return;
+                if (style.stroke && style.stroke !== 'none' && parseFloat(style.strokeWidth) > 0) {
+                    reason = 'it has outlined strokes';
+                    return;
+                }
+                const fill = style.fill || 'none';
+                if (fill === 'none') return;
+                if (fill.startsWith('url')) {
+                    reason = 'it has gradient or pattern fills';
+                    return;
+                }
+                const alpha = fill.startsWith('rgba') ? parseFloat(fill.split(',')[3]) : 1;
+                if (alpha === 0) return;
+                if (alpha < 1 || parseFloat(style.fillOpacity) < 1) {
+                    reason = 'it has transparent parts';
+                    return;
+                }
+
+                // Curves are flattened in the shape's own units, so the tolerance is scaled with it
+                const [a, b, c, d, e, f] = childMatrix;
+                const scale = Math.sqrt(Math.abs(a * d - b * c)) || 1;
+                const loops = parseSvgPath(path, tolerance / scale).map(loop => {
+                    const transformed = new Array(loop.length);
+                    for (let i = 0; i < loop.length; i += 2) {
+                        transformed[i] = a * loop[i] + c * loop[i + 1] + e;
+                        transformed[i + 1] = b * loop[i] + d * loop[i + 1] + f;
+                    }
+                    return transformed;
+                });
+                const polygons = groupLoopsByFillRule(loops, style.fillRule === 'evenodd' ? 'evenodd' : 'nonzero');
+                if (polygons.length > 0) {
+                    shapes.push({ color: rgbToHexFromStyle(fill).toLowerCase(), polygons });
+                }
+            });
+        };
+        visit(root, [1, 0, 0, 1, 0, 0]);
+
+        if (reason) return { reason };
+        if (shapes.length === 0) return { reason: 'it has no filled shapes' };
+
+        const colors = [];
+        shapes.forEach(shape => {
+            if (!colors.includes(shape.color)) colors.push(shape.color);
+        });
+        return { viewBox, shapes, colors };
+    }
+
+    /**
+     * Reads an uploaded SVG file. The vector shapes are kept for extrusion while a raster copy
+     * drives the previews, the palette tools and the exports that work on pixels.
+     *
+     * @param {string} text - Contents of the SVG file
+     * @param {number} maxColors - Most bands the user may print
+     * @returns {Object|null} { image, vector, reason }: a data URL of the raster copy, the vector
+     *   model or null, and why the file is quantized like a photo instead; null if the file is not SVG
+     */
+    function importSvg(text, maxColors) {
+        const parsed = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = parsed.documentElement;
+        if (!root || root.localName !== 'svg' || parsed.getElementsByTagName('parsererror').length > 0) {
+            return null;
+        }
+
+        // Styles from <style> elements and inherited fills only resolve inside the page
+        const container = document.createElement('div');
+        container.style.cssText = 'position:absolute;left:-10000px;top:0;width:0;height:0;overflow:hidden;';
+        container.appendChild(document.importNode(root, true));
+        document.body.appendChild(container);
+        let result;
+        try {
+            result = readSvgShapes(container.firstChild);
+        } finally {
+            container.remove();
+        }
+
+        let reason = result.reason || null;
+        if (!reason && result.colors.length > maxColors) {
+            reason = `it has ${result.colors.length} colors and at most ${maxColors} can be printed`;
+        }
+
+        // The raster copy keeps the proportions of the view box at a fixed resolution
+        const [, , viewWidth, viewHeight] = result.viewBox || [0, 0, 300, 150];
+        const scale = SVG_RASTER_SIZE / Math.max(viewWidth, viewHeight);
+        root.setAttribute('width', Math.max(1, Math.round(viewWidth * scale)));
+        root.setAttribute('height', Math.max(1, Math.round(viewHeight * scale)));
+        if (result.viewBox && !root.hasAttribute('viewBox')) root.setAttribute('viewBox', result.viewBox.join(' '));
+        const image = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(root));
+
+        return {
+            image,
+            vector: reason ? null : { viewBox: result.viewBox, shapes: result.shapes, colors: result.colors, bandColors: result.colors.slice() },
+            reason,
+        };
+    }
+
+    /**
+     * Tells where a point lies relative to a set of polygons with holes.
+     * @param {Array<Object>} polygons - Polygons as { outline, holes } of flat [x, y, ...] arrays
+     * @param {number} x - Point X coordinate
+     * @param {number} y - Point Y coordinate
+     * @param {number} tolerance - Points closer than this to an outline count as on it
+     * @returns {number} 1 inside, -1 outside, 0 on an outline
+     */
+    function getPointPlacement(polygons, x, y, tolerance) {
+        let inside = false;
+        for (const { outline, holes } of polygons) {
+            for (const loop of [outline, ...holes]) {
+                for (let i = 0, j = loop.length - 2; i < loop.length; j = i, i += 2) {
+                    const dx = loop[i] - loop[j];
+                    const dy = loop[i + 1] - loop[j + 1];
+                    const lengthSquared = dx * dx + dy * dy;
+                    const t = lengthSquared > 0
+                        ? Math.max(0, Math.min(1, ((x - loop[j]) * dx + (y - loop[j + 1]) * dy) / lengthSquared))
+                        : 0;
+                    if (Math.hypot(x - loop[j] - t * dx, y - loop[j + 1] - t * dy) <= tolerance) return 0;
+                }
+            }
+            if (isPointInLoop(outline, x, y) && !holes.some(hole => isPointInLoop(hole, x, y))) inside = true;
+        }
+        return inside ? 1 : -1;
+    }
+
+    /**
+     * Finds the band each imported shape rests on: the band of the topmost earlier shape that
+     * holds it, or -1 for shapes on the bed. Shapes are compared by their outline points, so
+     * this is exact for the flattened shapes as long as outlines do not cross between points.
+     *
+     * @param {Object} vector - Imported vector model with shapes and bandColors
+     * @returns {Array<number>|null} Band below every shape, or null if a shape partly overlaps an
+     *   earlier one or is painted over a taller band, which no stack of shells can reproduce
+     */
+    function getVectorShapeBases(vector) {
+        const [, , viewWidth, viewHeight] = vector.viewBox;
+        const tolerance = Math.max(viewWidth, viewHeight) * SVG_CURVE_TOLERANCE;
+
+        const shapes = vector.shapes.map(shape => {
+            const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            const points = [];
+            shape.polygons.forEach(({ outline, holes }) => {
+                for (let i = 0; i < outline.length; i += 2) {
+                    box.minX = Math.min(box.minX, outline[i]);
+                    box.maxX = Math.max(box.maxX, outline[i]);
+                    box.minY = Math.min(box.minY, outline[i + 1]);
+                    box.maxY = Math.max(box.maxY, outline[i + 1]);
+                }
+                [outline, ...holes].forEach(loop => {
+                    for (let i = 0; i < loop.length; i += 2) points.push(loop[i], loop[i + 1]);
+                });
+            });
+            return { band: vector.bandColors.indexOf(shape.color), polygons: shape.polygons, box, points };
+        });
+        if (shapes.some(shape => shape.band === -1)) return null;
+
+        // Whether any point of the first shape lies on the given side of the second
+        const hasPoint = (first, second, side) => {
+            for (let i = 0; i < first.points.length; i += 2) {
+                if (getPointPlacement(second.polygons, first.points[i], first.points[i + 1], tolerance) === side) return true;
+            }
+            return false;
+        };
+
+        const bases = [];
+        for (let index = 0; index < shapes.length; index++) {
+            const shape = shapes[index];
+            let base = -1;
+            for (let below = index - 1; below >= 0; below--) {
+                const other = shapes[below];
+                if (
+                    other.box.minX >= shape.box.maxX ||
+                    other.box.maxX <= shape.box.minX ||
+                    other.box.minY >= shape.box.maxY ||
+                    other.box.maxY <= shape.box.minY
+                ) {
+                    continue;
+                }
+                // Nothing of the other shape may reach inside this one...
+                if (hasPoint(other, shape, 1)) return null;
+                // ...so this one is either beside it or held by it (or covers it exactly)
+                const inside = hasPoint(shape, other, 1);
+                const outside = hasPoint(shape, other, -1);
+                if (!inside && outside) continue;
+                if (outside || other.band > shape.band) return null;
+                base = other.band;
+                break;
+            }
+            bases.push(base);
+        }
+        return bases;
+    }
+
+    /**
+     * Checks whether the imported vector shapes can be extruded as they are. Every shape rises
+     * from the top of the band it is painted over, so a shape that only partly covers another, or
+     * covers a taller band, has no shell that matches the drawing; the model then falls back to
+     * the pixel heightmap. Only the STL exports take this path: the 3MF exports always build
+     * their per-band objects from the pixel heightmap.
+     *
+     * @param {Object} appState - Application state containing the imported vector model
+     * @returns {boolean} True if generateVectorStl reproduces the drawing
+     */
+    function canExtrudeVector(appState) {
+        const { vector } = appState;
+        if (!vector || (appState.lithophane && appState.lithophane.enabled)) return false;
+        // Best Fit picks its own filaments per pixel, so the bands no longer follow the fill colors
+        if (appState.activePalette === 'best') return false;
+        // Neither do pixels painted into other bands
+        if (appState.bandMask && appState.bandMask.some(value => value)) return false;
+        // The shapes do not follow crops, turns or color changes made in the pre-processing editor
+        if (hasImageAdjustments(appState.adjustments)) return false;
+
+        return getVectorShapeBases(vector) !== null;
+    }
+
+    /**
+     * Generates the stacked STL straight from the imported SVG shapes, so edges stay as crisp as
+     * the drawing at any model size. Every shape is a closed shell from the top of the band it is
+     * painted over (see getVectorShapeBases) up to the top of its own band, so the shells only
+     * touch and slicers join them into one print.
+     *
+     * @param {Object} appState - Application state containing the imported vector model
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @returns {Blob} Binary STL file as a Blob object
+     */
+    function generateVectorStl(appState, domElements) {
+        const { viewBox, shapes, bandColors } = appState.vector;
+        const [viewX, viewY, viewWidth, viewHeight] = viewBox;
+        const modelWidth = parseFloat(domElements.xSizeInput.value);
+        const modelDepth = parseFloat(domElements.ySizeInput.value);
+        const bandHeights = getBandHeights(
+            getBandLayers(domElements, appState.bandLayers, bandColors.length),
+            parseFloat(domElements.layerHeightInput.value)
+        );
+
+        // SVG rows grow downwards, so Y is flipped to keep the top of the drawing at +Y
+        const toModel = (loop, clockwise) => {
+            const result = new Array(loop.length);
+            for (let i = 0; i < loop.length; i += 2) {
+                result[i] = ((loop[i] - viewX) * modelWidth) / viewWidth;
+                result[i + 1] = ((viewY + viewHeight - loop[i + 1]) * modelDepth) / viewHeight;
+            }
+            if ((getLoopArea(result) > 0) === clockwise) {
+                // Reverse the point order, keeping each x, y pair together
+                const reversed = [];
+                for (let i = result.length - 2; i >= 0; i -= 2) reversed.push(result[i], result[i + 1]);
+                return reversed;
+            }
+            return result;
+        };
+
+        const bases = getVectorShapeBases(appState.vector);
+        const mesh = { vertices: [], triangles: [] };
+        shapes.forEach((shape, index) => {
+            const height = bandHeights[bandColors.indexOf(shape.color)];
+            const base = bases[index] === -1 ? 0 : bandHeights[bases[index]];
+            // A shape over its own band adds nothing
+            if (!(height > base)) return;
+
+            const polygons = shape.polygons.map(({ outline, holes }) => ({
+                outline: toModel(outline, false),
+                holes: holes.map(hole => toModel(hole, true)),
+            }));
+            const shell = buildExtrudedPolygonMesh(polygons, base, height);
+            const offset = mesh.vertices.length / 3;
+            shell.vertices.forEach(value => mesh.vertices.push(value));
+            shell.triangles.forEach(index => mesh.triangles.push(index + offset));
+        });
+        return new Blob([writeBinaryStl(mesh)], { type: 'application/octet-stream' });
+    }
+
+    // ============================================================================
+    // EXPORT WORKER
+    // ============================================================================
+
+    let exportJobId = 0;
+    const pendingExports = new Map(); // jobId -> { resolve, reject, onProgress, mimeType }
+
+    /**
+     * Settles every pending export, e.g. after the export worker crashed.
+     * @param {Error} error - Error passed to the pending promises
+     */
+    function rejectPendingExports(error) {
+        pendingExports.forEach(job => job.reject(error));
+        pendingExports.clear();
+    }
+
+    /**
+     * Returns the export worker, creating it on first use.
+     * @returns {Worker|null} The export worker, or null if workers are not available
+     */
+    function getExportWorker() {
+        if (exportWorker !== undefined) return exportWorker;
+
+        if (!window.Worker) {
+            exportWorker = null;
+            return exportWorker;
+        }
+
+        try {
+            exportWorker = new Worker('js/export_worker.js');
+        } catch (workerError) {
+            console.warn('Failed to initialize export worker, exporting on the main thread:', workerError);
+            exportWorker = null;
+            return exportWorker;
+        }
+
+        exportWorker.onmessage = function (e) {
+            const { type, data } = e.data;
+            const job = pendingExports.get(data.jobId);
+
+            switch (type) {
+                case 'export_progress':
+                    if (job && job.onProgress) job.onProgress(data.progress);
+                    break;
+
+                case 'exported':
+                    if (job) {
+                        pendingExports.delete(data.jobId);
+                        job.resolve(new Blob([data.buffer], { type: job.mimeType }));
+                    }
+                    break;
+
+                case 'export_cancelled':
+                    if (job) {
+                        pendingExports.delete(data.jobId);
+                        job.resolve(null);
+                    }
+                    break;
+
+                case 'error':
+                    if (job) {
+                        pendingExports.delete(data.jobId);
+                        job.reject(new Error(data.message));
+                    } else {
+                        console.error('Export worker error:', data.message);
+                    }
+                    break;
+
+                default:
+                    console.warn('Unknown message type from export worker:', type);
+                    break;
+            }
+        };
+
+        exportWorker.onerror = function (error) {
+            console.error('Export worker error:', error);
+            rejectPendingExports(new Error('Export failed. Please try again.'));
+            // Start a fresh worker on the next export
+            exportWorker.terminate();
+            exportWorker = undefined;
+        };
+
+        return exportWorker;
+    }
+
+    /**
+     * Posts an export job to the export worker, cancelling the one in progress.
+     * @param {Worker} worker - The export worker
+     * @param {string} type - Message type, e.g. 'export_stl'
+     * @param {Object} data - Message data; the job id is added
+     * @param {string} mimeType - MIME type of the resulting Blob
+     * @param {Function} [onProgress] - Called with the progress from 0 to 1
+     * @param {Array<ArrayBuffer>} [transfer=[]] - Buffers handed over to the worker
+     * @returns {Promise<Blob|null>} The exported file, or null if the export was cancelled
+     */
+    function startWorkerExport(worker, type, data, mimeType, onProgress, transfer = []) {
+        cancelStlExport();
+
+        const jobId = ++exportJobId;
+        return new Promise((resolve, reject) => {
+            pendingExports.set(jobId, { resolve, reject, onProgress, mimeType });
+            worker.postMessage({ type, data: { jobId, ...data } }, transfer);
+        });
+    }
+
+    /**
+     * Generates the STL file in the export worker so large models don't freeze the page.
+     * Falls back to generateStl on the main thread when workers are not available.
+     * Starting a new export cancels the one in progress.
+     *
+     * @param {Object} appState - Application state containing bandMap and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @param {Object} [options] - Export options
+     * @param {boolean} [options.simplify=false] - Merge flat regions into large faces
+     * @param {Function} [options.onProgress] - Called with the progress from 0 to 1
+     * @returns {Promise<Blob|null>} Binary STL file, or null if the export was cancelled
+     */
+    function exportStl(appState, domElements, options = {}) {
+        const { simplify = false, onProgress } = options;
+        const worker = getExportWorker();
+
+        // Extruding SVG shapes is quick, so it stays on the main thread
+        if (!worker || canExtrudeVector(appState)) {
+            return new Promise((resolve, reject) => {
+                try {
+                    resolve(generateStl(appState, domElements, simplify));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }
+
+        // Serializable copies of the inputs generateStl reads
+        const { bandMap, origCanvas } = appState;
+        const lithophaneEnabled = !!(appState.lithophane && appState.lithophane.enabled);
+        return startWorkerExport(
+            worker,
+            'export_stl',
+            {
+                appState: {
+                    bandMap,
+                    bandLayers: getBandLayers(
+                        domElements,
+                        appState.bandLayers,
+                        parseInt(domElements.numBandsInput.value, 10)
+                    ),
+                    width: origCanvas.width,
+                    height: origCanvas.height,
+                    imageData: lithophaneEnabled ? appState.imageData : null,
+                    lithophane: lithophaneEnabled ? appState.lithophane : null,
+                },
+                domElements: {
+                    layerHeightInput: { value: domElements.layerHeightInput.value },
+                    xSizeInput: { value: domElements.xSizeInput.value },
+                    ySizeInput: { value: domElements.ySizeInput.value },
+                },
+                simplify,
+            },
+            'application/octet-stream',
+            onProgress
+        );
+    }
+
+    /**
+     * Generates the 3MF package with the export worker. The band meshes are built here, but
+     * writing them out as XML is the slow part for a large model, so the worker does that.
+     * Falls back to generate3mf on the main thread when workers are not available.
+     * Starting a new export cancels the one in progress.
+     *
+     * @param {Object} appState - Application state containing bandMap, palette and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @param {Object} [options] - Export options
+     * @param {string} [options.layout='stacked'] - 'stacked' slabs or separate multi-material 'bodies'
+     * @param {boolean} [options.smooth=false] - Trace smooth band outlines instead of pixel edges
+     * @param {Function} [options.onProgress] - Called with the progress from 0 to 1
+     * @returns {Promise<Blob|null>} 3MF package, or null if the export was cancelled or there is no model yet
+     */
+    function export3mf(appState, domElements, options = {}) {
+        const { layout = 'stacked', smooth = false, onProgress } = options;
+        const worker = getExportWorker();
+        if (!worker) {
+            return new Promise((resolve, reject) => {
+                try {
+                    resolve(generate3mf(appState, domElements, layout, smooth));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }
+
+        const bands = buildBandMeshes(appState, domElements, layout, smooth).map(band => ({
+            name: band.name,
+            color: band.color,
+            vertices: Float64Array.from(band.mesh.vertices),
+            triangles: Uint32Array.from(band.mesh.triangles),
+        }));
+        if (bands.length === 0) return Promise.resolve(null);
+
+        const transfer = [];
+        bands.forEach(band => transfer.push(band.vertices.buffer, band.triangles.buffer));
+        return startWorkerExport(worker, 'export_3mf', { bands }, 'model/3mf', onProgress, transfer);
+    }
+
+    /**
+     * Cancels the export in progress in the export worker, if any. Its promise resolves with null.
+     */
+    function cancelStlExport() {
+        if (!exportWorker) return;
+        pendingExports.forEach((job, jobId) => {
+            exportWorker.postMessage({ type: 'cancel_export', data: { jobId } });
+        });
+    }
+
+    // ============================================================================
+    // PRINTABILITY REPORT FUNCTIONS
+    // ============================================================================
+
+    // A region of one color smaller than this many nozzle-wide squares is reported as an island
+    const ISLAND_AREA_NOZZLES = 4;
+
+    /**
+     * Finds the side of the largest square of mask pixels that ends (bottom right) at each pixel.
+     * @param {Uint8Array} mask - Non-zero for pixels inside
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Uint16Array} Square side per pixel, 0 outside the mask
+     */
+    function getLargestSquares(mask, width, height) {
+        const squares = new Uint16Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (!mask[index]) continue;
+                squares[index] =
+                    x > 0 && y > 0
+                        ? 1 + Math.min(squares[index - 1], squares[index - width], squares[index - width - 1])
+                        : 1;
+            }
+        }
+        return squares;
+    }
+
+    /**
+     * Finds the pixels of a mask that no square of the given size inside the mask covers: necks,
+     * spikes and strips a nozzle that wide cannot trace, also where they hang off a large area
+     * (a morphological opening with the square).
+     * @param {Function} inMask - Called with a pixel index, true for pixels inside
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} squareSize - Side of the square in pixels
+     * @returns {Uint8Array} 1 for every uncovered pixel of the mask
+     */
+    function findUncoveredPixels(inMask, width, height, squareSize) {
+        const pixelCount = width * height;
+        const mask = new Uint8Array(pixelCount);
+        for (let index = 0; index < pixelCount; index++) mask[index] = inMask(index) ? 1 : 0;
+        const uncovered = mask.slice();
+        if (squareSize <= 1) return uncovered.fill(0);
+
+        // A full square ends at every pixel whose largest square is big enough. It covers the
+        // pixels up to squareSize - 1 to its left and above, which two running counts find.
+        const squares = getLargestSquares(mask, width, height);
+        const rows = new Uint8Array(pixelCount);
+        for (let y = 0; y < height; y++) {
+            let count = 0;
+            for (let x = width - 1; x >= 0; x--) {
+                const index = y * width + x;
+                count += squares[index] >= squareSize ? 1 : 0;
+                if (x + squareSize < width && squares[index + squareSize] >= squareSize) count--;
+                rows[index] = count > 0 ? 1 : 0;
+            }
+        }
+        for (let x = 0; x < width; x++) {
+            let count = 0;
+            for (let y = height - 1; y >= 0; y--) {
+                const index = y * width + x;
+                count += rows[index];
+                if (y + squareSize < height) count -= rows[index + squareSize * width];
+                if (count > 0) uncovered[index] = 0;
+            }
+        }
+        return uncovered;
+    }
+
+    /**
+     * Finds the 4-connected regions of the pixels that pass a test.
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Function} inRegion - Called with a pixel index, true for pixels that belong to a region
+     * @returns {Array<Object>} Regions as { area, largestSquare, minX, minY, maxX, maxY }
+     */
+    function findRegions(width, height, inRegion) {
+        const pixelCount = width * height;
+        const mask = new Uint8Array(pixelCount);
+        for (let index = 0; index < pixelCount; index++) mask[index] = inRegion(index) ? 1 : 0;
+        const squares = getLargestSquares(mask, width, height);
+
+        const regions = [];
+        const queue = new Int32Array(pixelCount);
+        let tail = 0;
+        const visit = index => {
+            if (mask[index] !== 1) return;
+            mask[index] = 2; // Visited
+            queue[tail++] = index;
+        };
+        for (let start = 0; start < pixelCount; start++) {
+            if (mask[start] !== 1) continue;
+
+            const region = { area: 0, largestSquare: 0, minX: width, minY: height, maxX: 0, maxY: 0 };
+            let head = 0;
+            tail = 0;
+            visit(start);
+            while (head < tail) {
+                const index = queue[head++];
+                const x = index % width;
+                const y = (index - x) / width;
+                region.area++;
+                region.largestSquare = Math.max(region.largestSquare, squares[index]);
+                region.minX = Math.min(region.minX, x);
+                region.minY = Math.min(region.minY, y);
+                region.maxX = Math.max(region.maxX, x);
+                region.maxY = Math.max(region.maxY, y);
+
+                if (x > 0) visit(index - 1);
+                if (x < width - 1) visit(index + 1);
+                if (y > 0) visit(index - width);
+                if (y < height - 1) visit(index + width);
+            }
+            regions.push(region);
+        }
+        return regions;
+    }
+
+    /**
+     * Checks a band map for details that will not print well:
+     * - thin features: parts of a layer's cross-section (every pixel at or above a band) that no
+     *   nozzle-wide square inside it covers, such as a narrow neck between two large areas,
+     * - islands: tiny regions of one color, each costing a filament change for a few dots,
+     * - sparse layers: layers whose cross-section is nothing but a few isolated dots.
+     * Every band in a stepped heightmap rests on the bands below it, so nothing can float.
+     *
+     * @param {Float32Array} bandMap - Band index of every pixel
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - { numBands, bandHeights, dx, dy, nozzleDiameter } from getPrintabilityOptions
+     * @returns {Array<Object>} Findings as { type, band, message, minX, minY, maxX, maxY }
+     */
+    function analyzePrintability(bandMap, width, height, options) {
+        const { numBands, bandHeights, dx, dy, nozzleDiameter } = options;
+        const pixelArea = dx * dy;
+        const pitch = Math.min(dx, dy);
+        const squareSize = nozzleDiameter > 0 ? Math.round(nozzleDiameter / pitch) : 0;
+        const islandArea = ISLAND_AREA_NOZZLES * nozzleDiameter * nozzleDiameter;
+        const bounds = region => ({
+            minX: region.minX,
+            minY: region.minY,
+            maxX: region.maxX,
+            maxY: region.maxY,
+        });
+
+        const findings = [];
+        for (let band = 0; band < numBands; band++) {
+            const bottom = band > 0 ? bandHeights[band - 1] : 0;
+            const zRange = `${bottom.toFixed(2)}–${bandHeights[band].toFixed(2)} mm`;
+
+            // Cross-section of the layers of this band: every pixel that reaches at least this high
+            const inLayer = index => bandMap[index] !== EMPTY_BAND && bandMap[index] >= band;
+            const layer = findRegions(width, height, inLayer);
+            const dots = layer.filter(region => region.area * pixelArea < islandArea);
+            if (layer.length > 0 && dots.length === layer.length) {
+                findings.push({
+                    type: 'sparse',
+                    band,
+                    message: `Layers at ${zRange} only print ${dots.length} isolated ${dots.length === 1 ? 'dot' : 'dots'}`,
+                    ...dots.reduce(
+                        (box, region) => ({
+                            minX: Math.min(box.minX, region.minX),
+                            minY: Math.min(box.minY, region.minY),
+                            maxX: Math.max(box.maxX, region.maxX),
+                            maxY: Math.max(box.maxY, region.maxY),
+                        }),
+                        bounds(dots[0])
+                    ),
+                });
+            } else {
+                const thin = findUncoveredPixels(inLayer, width, height, squareSize);
+                findRegions(width, height, index => thin[index] === 1).forEach(region => {
+                    findings.push({
+                        type: 'thin',
+                        band,
+                        message: `Feature ${(region.largestSquare * pitch).toFixed(2)} mm wide at ${zRange}, thinner than the ${nozzleDiameter} mm nozzle`,
+                        ...bounds(region),
+                    });
+                });
+            }
+
+            // Regions of exactly this color
+            findRegions(width, height, index => bandMap[index] === band)
+                .filter(region => region.area * pixelArea < islandArea)
+                .forEach(region => {
+                    findings.push({
+                        type: 'island',
+                        band,
+                        message: `Island of color ${band + 1}, ${(region.area * pixelArea).toFixed(2)} mm²`,
+                        ...bounds(region),
+                    });
+                });
+        }
+        return findings;
+    }
+
+    /**
+     * Reads the model settings the printability report needs, computed the same way as in generateStl.
+     * @param {Object} appState - Application state containing bandMap and original canvas
+     * @param {Object} domElements - DOM elements containing user input parameters
+     * @returns {Object} { numBands, bandHeights, dx, dy, nozzleDiameter }
+     */
+    function getPrintabilityOptions(appState, domElements) {
+        const imageWidth = appState.origCanvas.width;
+        const imageHeight = appState.origCanvas.height;
+        const numBands = parseInt(domElements.numBandsInput.value, 10);
+        return {
+            numBands,
+            bandHeights: getBandHeights(
+                getBandLayers(domElements, appState.bandLayers, numBands),
+                parseFloat(domElements.layerHeightInput.value)
+            ),
+            dx: parseFloat(domElements.xSizeInput.value) / imageWidth,
+            dy: parseFloat(domElements.ySizeInput.value) / imageHeight,
+            nozzleDiameter: domElements.nozzleDiameterInput
+                ? parseFloat(domElements.nozzleDiameterInput.value) || 0
+                : 0,
+        };
+    }
+
+    // ============================================================================
+    // PALETTE ACCURACY FUNCTIONS
+    // ============================================================================
+
+    // ΔE drawn in the hottest heatmap color; larger errors are clipped to it
+    const HEATMAP_MAX_DELTA_E = 30;
+
+    // Cold to hot colors of the error heatmap as [position, [r, g, b]]
+    const HEATMAP_STOPS = [
+        [0, [49, 54, 149]],
+        [0.33, [116, 196, 118]],
+        [0.66, [254, 224, 76]],
+        [1, [215, 48, 39]],
+    ];
+
+    // PLA in g/cm³ and the common filament diameter in mm, for the filament estimate
+    const FILAMENT_DENSITY = 1.24;
+    const FILAMENT_DIAMETER = 1.75;
+
+    /**
+     * Compares the original image with the finished print pixel by pixel: every pixel shows the
+     * color its band has once all bands are stacked, whatever part of the preview is shown.
+     * @param {Uint8ClampedArray} imageData - RGBA pixels of the original image
+     * @param {Float32Array} bandMap - Band of every pixel, EMPTY_BAND for transparent ones
+     * @param {Array<Array<number>>} bandColors - RGB color every band shows when printed (see getBlendedPalette)
+     * @returns {Object} { errors, meanError, maxError, bands: [{ pixels, coverage, meanError }] }
+     *   with errors the CIE76 ΔE of every pixel (0 for transparent ones) and coverage in percent
+     */
+    function measurePaletteAccuracy(imageData, bandMap, bandColors) {
+        const errors = new Float32Array(bandMap.length);
+        const bands = bandColors.map(() => ({ pixels: 0, coverage: 0, meanError: 0 }));
+        const bandLabs = bandColors.map(color => getCachedLab(color));
+        let total = 0;
+        let maxError = 0;
+        let pixels = 0;
+
+        for (let i = 0; i < bandMap.length; i++) {
+            const band = bandMap[i];
+            if (band === EMPTY_BAND || !bands[band]) continue;
+            const p = i * 4;
+            const error = calculateDeltaE(
+                getCachedLab([imageData[p], imageData[p + 1], imageData[p + 2]]),
+                bandLabs[band]
+            );
+            errors[i] = error;
+            total += error;
+            if (error > maxError) maxError = error;
+            pixels++;
+            bands[band].pixels++;
+            bands[band].meanError += error;
+        }
+
+        bands.forEach(band => {
+            band.coverage = pixels > 0 ? (band.pixels / pixels) * 100 : 0;
+            band.meanError = band.pixels > 0 ? band.meanError / band.pixels : 0;
+        });
+        return { errors, meanError: pixels > 0 ? total / pixels : 0, maxError, bands };
+    }
+
+    /**
+     * Estimates the filament every band prints in the stacked model: a band's slab lies under
+     * every pixel of that band and of the bands above it.
+     * @param {Float32Array} bandMap - Band of every pixel, EMPTY_BAND for transparent ones
+     * @param {Array<number>} bandThickness - Thickness of every band in mm (see getBandThickness)
+     * @param {number} pixelArea - Area one pixel covers on the model in mm²
+     * @returns {Array<Object>} { volume, grams, meters } per band, volume in mm³
+     */
+    function estimateFilamentUse(bandMap, bandThickness, pixelArea) {
+        const counts = analyzeColorUsage(bandMap);
+
+        const filamentArea = Math.PI * (FILAMENT_DIAMETER / 2) ** 2;
+        let pixelsAtOrAbove = 0;
+        const use = new Array(bandThickness.length);
+        for (let band = bandThickness.length - 1; band >= 0; band--) {
+            pixelsAtOrAbove += counts[band] || 0;
+            const volume = pixelsAtOrAbove * pixelArea * bandThickness[band];
+            use[band] = {
+                volume,
+                grams: (volume / 1000) * FILAMENT_DENSITY,
+                meters: volume / filamentArea / 1000,
+            };
+        }
+        return use;
+    }
+
+    /**
+     * Maps an error to the heatmap ramp.
+     * @param {number} t - Error as a share of HEATMAP_MAX_DELTA_E, clipped to 0-1
+     * @returns {Array<number>} [r, g, b]
+     */
+    function getHeatmapColor(t) {
+        const value = Math.min(1, Math.max(0, t));
+        for (let i = 1; i < HEATMAP_STOPS.length; i++) {
+            const [end, endColor] = HEATMAP_STOPS[i];
+            if (value > end) continue;
+            const [start, startColor] = HEATMAP_STOPS[i - 1];
+            const f = (value - start) / (end - start);
+            return startColor.map((c, k) => Math.round(c + (endColor[k] - c) * f));
+        }
+        return HEATMAP_STOPS[HEATMAP_STOPS.length - 1][1].slice();
+    }
+
+    function drawErrorHeatmap(errors) {
+        const overlay = domElements.errorOverlay;
+        if (!overlay) return;
+        const { width, height } = domElements.procCanvas;
+        overlay.width = width;
+        overlay.height = height;
+        if (!errors) return;
+
+        const context = overlay.getContext('2d');
+        const heatmap = context.createImageData(width, height);
+        for (let i = 0; i < errors.length; i++) {
+            if (appState.bandMap[i] === EMPTY_BAND) continue;
+            const [r, g, b] = getHeatmapColor(errors[i] / HEATMAP_MAX_DELTA_E);
+            heatmap.data[i * 4] = r;
+            heatmap.data[i * 4 + 1] = g;
+            heatmap.data[i * 4 + 2] = b;
+            heatmap.data[i * 4 + 3] = 255;
+        }
+        context.putImageData(heatmap, 0, 0);
+    }
+
+    /**
+     * Lists the overall error and, per band, its coverage, error and filament estimate.
+     */
+    function renderAccuracyStats(accuracy, filament, palette) {
+        const container = domElements.accuracyStats;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'text-sm text-gray-300 mb-2';
+        summary.textContent = `Mean ΔE ${accuracy.meanError.toFixed(1)} · max ΔE ${accuracy.maxError.toFixed(1)}`;
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs text-gray-300';
+        const head = table.createTHead().insertRow();
+        ['Band', 'Coverage', 'Mean ΔE', 'Filament'].forEach((label, index) => {
+            const cell = document.createElement('th');
+            cell.className = 'font-medium text-gray-400 pb-1 ' + (index === 0 ? 'text-left' : 'text-right');
+            cell.textContent = label;
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        accuracy.bands.forEach((band, index) => {
+            const row = body.insertRow();
+            const nameCell = row.insertCell();
+            nameCell.className = 'py-0.5';
+            const swatch = document.createElement('span');
+            swatch.className = 'inline-block w-3 h-3 rounded-sm border border-gray-600 align-middle mr-2';
+            swatch.style.backgroundColor = palette[index];
+            nameCell.appendChild(swatch);
+            nameCell.appendChild(document.createTextNode(String(index + 1)));
+
+            const use = filament[index];
+            [
+                `${band.coverage.toFixed(1)}%`,
+                band.pixels > 0 ? band.meanError.toFixed(1) : '–',
+                use ? `${use.grams.toFixed(1)} g · ${use.meters.toFixed(2)} m` : '–',
+            ].forEach(text => {
+                const cell = row.insertCell();
+                cell.className = 'text-right';
+                cell.textContent = text;
+            });
+        });
+        container.appendChild(table);
+
+        if (filament.length > 0) {
+            const totalGrams = filament.reduce((sum, use) => sum + use.grams, 0);
+            const note = document.createElement('p');
+            note.className = 'text-xs text-gray-500 mt-2';
+            note.textContent = `About ${totalGrams.toFixed(1)} g of filament in total, estimated for PLA at ${FILAMENT_DIAMETER} mm.`;
+            container.appendChild(note);
+        }
+    }
+
+    /**
+     * Measures the current preview when the accuracy panel or the heatmap is switched on.
+     * Called whenever the bands are worked out again.
+     */
+    function refreshPaletteAccuracy() {
+        const measure = domElements.measureAccuracyCheckbox && domElements.measureAccuracyCheckbox.checked;
+        const heatmap = domElements.errorHeatmapCheckbox && domElements.errorHeatmapCheckbox.checked;
+        const lithophane = appState.lithophane && appState.lithophane.enabled;
+        const { width, height } = domElements.procCanvas;
+        if ((!measure && !heatmap) || lithophane || !appState.bandMap || !appState.imageData ||
+            appState.bandMap.length !== width * height) {
+            clearPaletteAccuracy();
+            return;
+        }
+
+        try {
+            const palette = appState.currentPalette || appState.suggestedPalette || [];
+            const bandThickness = getBandThickness(domElements, appState.bandLayers, palette.length);
+            // The preview canvas may only show the bands up to the layer slider, so the colors of the
+            // finished print come from the band map instead
+            const bandColors = getBlendedPalette(palette, appState.myFilaments, bandThickness).map(color => {
+                const { r, g, b } = hexToRgb(color);
+                return [r, g, b];
+            });
+            const accuracy = measurePaletteAccuracy(appState.imageData, appState.bandMap, bandColors);
+            drawErrorHeatmap(heatmap ? accuracy.errors : null);
+
+            if (measure) {
+                const pixelArea =
+                    (parseFloat(domElements.xSizeInput.value) * parseFloat(domElements.ySizeInput.value)) / (width * height);
+                renderAccuracyStats(accuracy, estimateFilamentUse(appState.bandMap, bandThickness, pixelArea), palette);
+            } else if (domElements.accuracyStats) {
+                domElements.accuracyStats.innerHTML = '';
+            }
+        } catch (error) {
+            console.error('Error measuring palette accuracy:', error);
+            clearPaletteAccuracy();
+        }
+    }
+
+    function clearPaletteAccuracy() {
+        drawErrorHeatmap(null);
+        if (domElements.accuracyStats) {
+            domElements.accuracyStats.innerHTML = '';
+        }
+    }
+
+    // ============================================================================
+    // BAND PAINTING FUNCTIONS
+    // ============================================================================
+
+    // Translucency of the stroke drawn over the preview while painting
+    const PAINT_STROKE_ALPHA = 0.5;
+
+    let paintStroke = null; // { tool, points, last } while the pointer is down
+
+    /**
+     * Sets every pixel within a radius of a point.
+     * @param {Uint8Array} mask - Band mask (see applyBandMask), changed in place
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} cx - Center X in pixels
+     * @param {number} cy - Center Y in pixels
+     * @param {number} radius - Radius in pixels
+     * @param {number} value - Mask value to write
+     */
+    function paintMaskCircle(mask, width, height, cx, cy, radius, value) {
+        const minY = Math.max(0, Math.floor(cy - radius));
+        const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+        for (let y = minY; y <= maxY; y++) {
+            const dy = y + 0.5 - cy;
+            const span = Math.sqrt(Math.max(0, radius * radius - dy * dy));
+            const minX = Math.max(0, Math.round(cx - span));
+            const maxX = Math.min(width - 1, Math.round(cx + span) - 1);
+            for (let x = minX; x <= maxX; x++) mask[y * width + x] = value;
+        }
+    }
+
+    /**
+     * Paints a brush stroke from one point to the next, stamping circles close enough to overlap.
+     */
+    function paintMaskLine(mask, width, height, x0, y0, x1, y1, radius, value) {
+        const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / Math.max(0.5, radius / 2)));
+        for (let k = 0; k <= steps; k++) {
+            const t = k / steps;
+            paintMaskCircle(mask, width, height, x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, radius, value);
+        }
+    }
+
+    /**
+     * Sets every pixel whose center lies inside a polygon (even-odd rule).
+     * @param {Uint8Array} mask - Band mask (see applyBandMask), changed in place
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Array<number>} points - Polygon as a flat [x, y, ...] array in pixels
+     * @param {number} value - Mask value to write
+     */
+    function paintMaskPolygon(mask, width, height, points, value) {
+        const count = points.length / 2;
+        if (count < 3) return;
+        for (let y = 0; y < height; y++) {
+            const scanY = y + 0.5;
+            const crossings = [];
+            for (let i = 0, j = count - 1; i < count; j = i++) {
+                const yi = points[i * 2 + 1];
+                const yj = points[j * 2 + 1];
+                if (yi > scanY === yj > scanY) continue;
+                const xi = points[i * 2];
+                const xj = points[j * 2];
+                crossings.push(xi + ((scanY - yi) / (yj - yi)) * (xj - xi));
+            }
+            crossings.sort((a, b) => a - b);
+            for (let c = 0; c + 1 < crossings.length; c += 2) {
+                const minX = Math.max(0, Math.ceil(crossings[c] - 0.5));
+                const maxX = Math.min(width - 1, Math.floor(crossings[c + 1] - 0.5));
+                for (let x = minX; x <= maxX; x++) mask[y * width + x] = value;
+            }
+        }
+    }
+
+    /**
+     * Sets the 4-connected region of pixels that share the band of the clicked pixel. Cut-out areas
+     * cannot be filled, so a click on the transparent background changes nothing.
+     * @param {Uint8Array} mask - Band mask (see applyBandMask), changed in place
+     * @param {Float32Array} bandMap - Band index per pixel, as currently shown
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} x - Clicked column
+     * @param {number} y - Clicked row
+     * @param {number} value - Mask value to write
+     * @returns {number} Number of pixels in the region, 0 for a cut-out pixel
+     */
+    function fillMaskRegion(mask, bandMap, width, height, x, y, value) {
+        const start = y * width + x;
+        const band = bandMap[start];
+        if (band === EMPTY_BAND) return 0;
+        const visited = new Uint8Array(width * height);
+        const stack = [start];
+        visited[start] = 1;
+        let count = 0;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            mask[index] = value;
+            count++;
+            const px = index % width;
+            const neighbours = [
+                px > 0 ? index - 1 : -1,
+                px < width - 1 ? index + 1 : -1,
+                index - width,
+                index + width,
+            ];
+            for (const n of neighbours) {
+                if (n < 0 || n >= bandMap.length || visited[n] || bandMap[n] !== band) continue;
+                visited[n] = 1;
+                stack.push(n);
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Moves painted pixels along when the bands are reordered, so they keep their color.
+     * @param {Uint8Array} mask - Band mask (see applyBandMask), changed in place
+     * @param {Array<number>} newIndices - New position of every band, by old position
+     */
+    function remapBandMask(mask, newIndices) {
+        for (let i = 0; i < mask.length; i++) {
+            const band = mask[i] - 1;
+            if (band >= 0 && band < newIndices.length) mask[i] = newIndices[band] + 1;
+        }
+    }
+
+    /**
+     * Moves painted pixels along with a band dragged to another place in the palette.
+     * @param {number} oldIndex - Position the band was dragged from
+     * @param {number} newIndex - Position it was dropped at
+     * @param {number} numBands - Number of bands
+     */
+    function moveBandInMask(oldIndex, newIndex, numBands) {
+        if (!appState.bandMask || oldIndex === newIndex) return;
+        remapBandMask(appState.bandMask, getMovedBandIndices(oldIndex, newIndex, numBands));
+    }
+
+    /**
+     * Keeps painted pixels on their color when the palette is generated again. The mask stores band
+     * indices, so every painted band moves to the band of the new palette closest to its old color;
+     * otherwise a new band count or algorithm would hand the paint to whatever color took its index.
+     * @param {Array<string>} oldPalette - Suggested palette the mask was painted against
+     * @param {Array<string>} newPalette - Generated palette that replaces it
+     */
+    function remapBandMaskToPalette(oldPalette, newPalette) {
+        if (!appState.bandMask || !oldPalette || !oldPalette.length || !newPalette.length) return;
+        const toRgb = color => {
+            const { r, g, b } = hexToRgb(color);
+            return [r, g, b];
+        };
+        const newColors = newPalette.map(toRgb);
+        remapBandMask(appState.bandMask, oldPalette.map(color => findClosestColorIndex(toRgb(color), newColors)));
+    }
+
+    /**
+     * Maps a pointer position to the image pixel under it, taking the object-fit of the canvas
+     * into account.
+     * @param {HTMLCanvasElement} canvas - Canvas drawn at the image size
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {Object} { x, y } in pixels, possibly outside the image
+     */
+    function getCanvasPixel(canvas, event) {
+        const rect = canvas.getBoundingClientRect();
+        const fit = getComputedStyle(canvas).objectFit;
+        let scaleX = rect.width / canvas.width;
+        let scaleY = rect.height / canvas.height;
+        if (fit === 'cover' || fit === 'contain') {
+            scaleX = scaleY = (fit === 'cover' ? Math.max : Math.min)(scaleX, scaleY);
+        }
+        return {
+            x: (event.clientX - rect.left - (rect.width - canvas.width * scaleX) / 2) / scaleX,
+            y: (event.clientY - rect.top - (rect.height - canvas.height * scaleY) / 2) / scaleY,
+        };
+    }
+
+    /**
+     * Returns the band mask of the current image, creating an empty one if needed.
+     * @returns {Uint8Array|null} The mask, or null before the image is processed
+     */
+    function getBandMask() {
+        const { width, height } = domElements.procCanvas;
+        if (!appState.bandMap || appState.bandMap.length !== width * height) return null;
+        if (!appState.bandMask || appState.bandMask.length !== width * height) {
+            appState.bandMask = new Uint8Array(width * height);
+        }
+        return appState.bandMask;
+    }
+
+    /**
+     * Removes all painted pixels and gives them back to the automatic band assignment.
+     */
+    function clearBandMask() {
+        const hadMask = !!appState.bandMask;
+        appState.bandMask = null;
+        updateBandMaskSummary();
+        if (hadMask) handleSettingsChange();
+    }
+
+    /**
+     * Tells the user how many pixels are painted by hand.
+     */
+    function updateBandMaskSummary() {
+        if (!domElements.bandMaskSummary) return;
+        let painted = 0;
+        if (appState.bandMask) {
+            for (let i = 0; i < appState.bandMask.length; i++) {
+                if (appState.bandMask[i]) painted++;
+            }
+        }
+        domElements.bandMaskSummary.textContent = painted
+            ? `${painted.toLocaleString()} ${painted === 1 ? 'pixel' : 'pixels'} painted by hand`
+            : '';
+        if (domElements.clearBandMaskBtn) {
+            domElements.clearBandMaskBtn.disabled = painted === 0;
+        }
+    }
+
+    /**
+     * Selects the painting tool. Choosing the active tool again turns painting off, so the
+     * preview can be used as usual.
+     * @param {string|null} tool - 'brush', 'lasso', 'fill' or null
+     */
+    function setPaintTool(tool) {
+        appState.paintTool = appState.paintTool === tool ? null : tool;
+        const buttons = {
+            brush: domElements.paintBrushBtn,
+            lasso: domElements.paintLassoBtn,
+            fill: domElements.paintFillBtn,
+        };
+        Object.entries(buttons).forEach(([name, button]) => {
+            if (!button) return;
+            const active = name === appState.paintTool;
+            button.setAttribute('aria-pressed', String(active));
+            button.className = active
+                ? 'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white'
+                : 'px-3 py-1 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600';
+        });
+        const overlay = domElements.paintOverlay;
+        if (overlay) {
+            overlay.classList.toggle('pointer-events-none', !appState.paintTool);
+            overlay.style.cursor = appState.paintTool ? 'crosshair' : '';
+        }
+        // Clicks are mapped through the overlay, so it takes the image size before the first stroke
+        drawPaintStroke();
+    }
+
+    /**
+     * Lists the bands to paint with, plus "Auto" to give pixels back to the automatic colors.
+     */
+    function renderPaintBands() {
+        const container = domElements.paintBandChoices;
+        if (!container) return;
+        const palette = appState.currentPalette || appState.suggestedPalette || [];
+        if (appState.paintBand >= palette.length) appState.paintBand = palette.length - 1;
+
+        container.innerHTML = '';
+        [null, ...palette.map((color, index) => index)].forEach(band => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            const selected = band === appState.paintBand;
+            button.setAttribute('aria-pressed', String(selected));
+            button.className =
+                'h-8 min-w-8 px-2 rounded-md border-2 text-xs font-medium ' +
+                (selected ? 'border-white' : 'border-gray-600 hover:border-gray-400');
+            if (band === null) {
+                button.textContent = 'Auto';
+                button.title = 'Give painted pixels back to the automatic colors';
+                button.classList.add('bg-gray-700', 'text-gray-300');
+            } else {
+                button.style.backgroundColor = palette[band];
+                button.title = `Band ${band + 1}`;
+                button.setAttribute('aria-label', `Paint band ${band + 1}`);
+            }
+            button.addEventListener('click', () => {
+                appState.paintBand = band;
+                renderPaintBands();
+            });
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Draws the stroke in progress over the preview, before the bands are worked out again.
+     */
+    function drawPaintStroke() {
+        const overlay = domElements.paintOverlay;
+        if (!overlay) return;
+        const { width, height } = domElements.procCanvas;
+        if (overlay.width !== width || overlay.height !== height) {
+            overlay.width = width;
+            overlay.height = height;
+        }
+        const context = overlay.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        if (!paintStroke) return;
+
+        const palette = appState.currentPalette || appState.suggestedPalette || [];
+        const color = appState.paintBand === null ? '#ffffff' : palette[appState.paintBand];
+        const points = paintStroke.points;
+        context.globalAlpha = PAINT_STROKE_ALPHA;
+        context.strokeStyle = context.fillStyle = color;
+        context.lineCap = context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) context.lineTo(points[i], points[i + 1]);
+        if (paintStroke.tool === 'lasso') {
+            context.closePath();
+            context.fill();
+            context.globalAlpha = 1;
+            context.lineWidth = Math.max(1, width / 300);
+        } else {
+            context.lineWidth = getBrushRadius() * 2;
+        }
+        context.stroke();
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Brush radius in image pixels from the brush size slider.
+     * @returns {number} Radius in pixels
+     */
+    function getBrushRadius() {
+        const size = domElements.paintBrushSize ? parseFloat(domElements.paintBrushSize.value) : 8;
+        return Math.max(0.5, (size || 8) / 2);
+    }
+
+    function handlePaintPointerDown(event) {
+        const tool = appState.paintTool;
+        const mask = tool ? getBandMask() : null;
+        if (!mask) return;
+        event.preventDefault();
+
+        const { width, height } = domElements.procCanvas;
+        const { x, y } = getCanvasPixel(domElements.paintOverlay, event);
+        const value = appState.paintBand === null ? 0 : appState.paintBand + 1;
+        if (tool === 'fill') {
+            const column = Math.floor(x);
+            const row = Math.floor(y);
+            if (column < 0 || row < 0 || column >= width || row >= height) return;
+            if (fillMaskRegion(mask, appState.bandMap, width, height, column, row, value) === 0) {
+                showError('Transparent areas stay cut out and cannot be filled.');
+                return;
+            }
+            finishPaintStroke();
+            return;
+        }
+
+        domElements.paintOverlay.setPointerCapture(event.pointerId);
+        paintStroke = { tool, points: [x, y] };
+        if (tool === 'brush') paintMaskCircle(mask, width, height, x, y, getBrushRadius(), value);
+        drawPaintStroke();
+    }
+
+    function handlePaintPointerMove(event) {
+        if (!paintStroke) return;
+        const { width, height } = domElements.procCanvas;
+        const { x, y } = getCanvasPixel(domElements.paintOverlay, event);
+        const points = paintStroke.points;
+        if (paintStroke.tool === 'brush') {
+            const value = appState.paintBand === null ? 0 : appState.paintBand + 1;
+            const lastX = points[points.length - 2];
+            const lastY = points[points.length - 1];
+            paintMaskLine(appState.bandMask, width, height, lastX, lastY, x, y, getBrushRadius(), value);
+        }
+        points.push(x, y);
+        drawPaintStroke();
+    }
+
+    function handlePaintPointerUp() {
+        if (!paintStroke) return;
+        if (paintStroke.tool === 'lasso') {
+            const { width, height } = domElements.procCanvas;
+            const value = appState.paintBand === null ? 0 : appState.paintBand + 1;
+            paintMaskPolygon(appState.bandMask, width, height, paintStroke.points, value);
+        }
+        finishPaintStroke();
+    }
+
+    /**
+     * Works out the bands again with the new paint and clears the stroke from the overlay.
+     */
+    function finishPaintStroke() {
+        paintStroke = null;
+        drawPaintStroke();
+        updateBandMaskSummary();
+        handleSettingsChange();
+    }
+
+    // ============================================================================
+    // IMPORTANCE MAP FUNCTIONS
+    // ============================================================================
+
+    // Tint of the painted areas over the original image; the overlay itself is translucent
+    const IMPORTANCE_TINT = '#6366f1';
 
-        // --- Create a Height Lookup Table ---
-        // Each band gets progressively higher, creating a stepped heightmap
-        const bandHeights = new Array(numBands);
-        bandHeights[0] = baseThicknessInLayers * singleLayerHeight; // Base layer height
-        for (let i = 1; i < numBands; i++) {
-            // Each subsequent band adds more layers on top
-            bandHeights[i] = bandHeights[i - 1] + additionalBandLayers * singleLayerHeight;
+    let importanceStroke = null; // { x, y } of the last brush position while the pointer is down
+
+    /**
+     * Returns the painted importance map in the form the palette generators take.
+     * @returns {Object|null} { mask, blend } (see getSaliencyWeight), or null if nothing is painted
+     */
+    function getImportance() {
+        const mask = appState.importanceMask;
+        const img = appState.img;
+        if (!mask || !img || mask.length !== img.width * img.height) return null;
+        return {
+            mask,
+            blend: domElements.importanceBlendCheckbox ? domElements.importanceBlendCheckbox.checked : false,
+        };
+    }
+
+    /**
+     * Selects the importance brush. Choosing the active tool again turns it off, so the original
+     * image takes clicks again (for the eyedropper).
+     * @param {string|null} tool - 'paint', 'erase' or null
+     */
+    function setImportanceTool(tool) {
+        appState.importanceTool = appState.importanceTool === tool ? null : tool;
+        if (appState.importanceTool) setEyedropper(false);
+        const buttons = {
+            paint: domElements.importancePaintBtn,
+            erase: domElements.importanceEraseBtn,
+        };
+        Object.entries(buttons).forEach(([name, button]) => {
+            if (!button) return;
+            const active = name === appState.importanceTool;
+            button.setAttribute('aria-pressed', String(active));
+            button.className = active
+                ? 'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white'
+                : 'px-3 py-1 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600';
+        });
+        const overlay = domElements.importanceOverlay;
+        if (overlay) {
+            overlay.classList.toggle('pointer-events-none', !appState.importanceTool);
+            overlay.style.cursor = appState.importanceTool ? 'crosshair' : '';
         }
+    }
 
-        // --- Vertex Generation ---
-        // Create arrays to store all vertices and faces of the 3D mesh
-        const vertices = [];
-        const faces = [];
+    /**
+     * Draws the whole importance map over the original image.
+     */
+    function drawImportanceOverlay() {
+        const overlay = domElements.importanceOverlay;
+        if (!overlay || !appState.img) return;
+        const { width, height } = appState.img;
+        overlay.width = width;
+        overlay.height = height;
+        const mask = appState.importanceMask;
+        if (!mask || mask.length !== width * height) return;
+
+        const context = overlay.getContext('2d');
+        const tint = hexToRgb(IMPORTANCE_TINT);
+        const imageData = context.createImageData(width, height);
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i]) continue;
+            imageData.data[i * 4] = tint.r;
+            imageData.data[i * 4 + 1] = tint.g;
+            imageData.data[i * 4 + 2] = tint.b;
+            imageData.data[i * 4 + 3] = 255;
+        }
+        context.putImageData(imageData, 0, 0);
+    }
 
-        // Arrays to track vertex indices for top and bottom surfaces
-        // Each pixel gets two vertices: one at the bottom (z=0) and one at the calculated height
-        const topVertices = new Array(imageWidth * imageHeight);
-        const bottomVertices = new Array(imageWidth * imageHeight);
+    /**
+     * Draws one brush segment on the overlay, so the stroke shows without redrawing the map.
+     */
+    function drawImportanceSegment(x0, y0, x1, y1, radius) {
+        const context = domElements.importanceOverlay.getContext('2d');
+        context.globalCompositeOperation = appState.importanceTool === 'erase' ? 'destination-out' : 'source-over';
+        context.strokeStyle = IMPORTANCE_TINT;
+        context.lineCap = 'round';
+        context.lineWidth = radius * 2;
+        context.beginPath();
+        context.moveTo(x0, y0);
+        context.lineTo(x1, y1);
+        context.stroke();
+        context.globalCompositeOperation = 'source-over';
+    }
 
-        // Generate vertices for each pixel in the image
-        for (let j = 0; j < imageHeight; j++) {
-            for (let i = 0; i < imageWidth; i++) {
-                const x = i * dx; // Physical X coordinate
-                const y = j * dy; // Physical Y coordinate
-                const pixelIndex = j * imageWidth + i;
+    /**
+     * Brush radius in image pixels from the importance brush size slider.
+     * @returns {number} Radius in pixels
+     */
+    function getImportanceBrushRadius() {
+        const size = domElements.importanceBrushSize ? parseFloat(domElements.importanceBrushSize.value) : 40;
+        return Math.max(0.5, (size || 40) / 2);
+    }
 
-                // Bottom vertex (always at z=0)
-                bottomVertices[pixelIndex] = vertices.length;
-                vertices.push([x, y, 0]);
+    function handleImportancePointerDown(event) {
+        const img = appState.img;
+        if (!appState.importanceTool || !img) return;
+        event.preventDefault();
 
-                // Top vertex (height based on color band)
-                // Note: Image Y is flipped (j -> imageHeight-1-j) to match 3D coordinate system
-                const bandMapIndex = (imageHeight - 1 - j) * imageWidth + i;
-                const band = bandMap[bandMapIndex];
-                const height = bandHeights[band] || 0;
-                topVertices[pixelIndex] = vertices.length;
-                vertices.push([x, y, height]);
-            }
+        if (!appState.importanceMask || appState.importanceMask.length !== img.width * img.height) {
+            appState.importanceMask = new Uint8Array(img.width * img.height);
+            drawImportanceOverlay();
         }
+        domElements.importanceOverlay.setPointerCapture(event.pointerId);
+        importanceStroke = getCanvasPixel(domElements.importanceOverlay, event);
+        handleImportancePointerMove(event);
+    }
 
-        // --- Face Generation ---
-        // Generate triangular faces to create a complete 3D mesh
+    function handleImportancePointerMove(event) {
+        if (!importanceStroke) return;
+        const { width, height } = appState.img;
+        const { x, y } = getCanvasPixel(domElements.importanceOverlay, event);
+        const radius = getImportanceBrushRadius();
+        const value = appState.importanceTool === 'erase' ? 0 : 1;
+        paintMaskLine(appState.importanceMask, width, height, importanceStroke.x, importanceStroke.y, x, y, radius, value);
+        drawImportanceSegment(importanceStroke.x, importanceStroke.y, x, y, radius);
+        importanceStroke = { x, y };
+    }
 
-        // 1. Top and Bottom Surface Faces (quads split into triangles)
-        // For each 2x2 pixel quad, create 4 triangles (2 for top, 2 for bottom)
-        for (let j = 0; j < imageHeight - 1; j++) {
-            for (let i = 0; i < imageWidth - 1; i++) {
-                // Get vertex indices for the 4 corners of the current quad
-                const v00_t = topVertices[j * imageWidth + i]; // Top-left top vertex
-                const v10_t = topVertices[j * imageWidth + i + 1]; // Top-right top vertex
-                const v01_t = topVertices[(j + 1) * imageWidth + i]; // Bottom-left top vertex
-                const v11_t = topVertices[(j + 1) * imageWidth + i + 1]; // Bottom-right top vertex
+    /**
+     * Picks the palette again with the new importance map.
+     */
+    function handleImportancePointerUp() {
+        if (!importanceStroke) return;
+        importanceStroke = null;
+        if (!updateImportanceSummary()) appState.importanceMask = null;
+        handleImportanceChange();
+    }
 
-                // Top surface: split quad into 2 triangles
-                faces.push([v00_t, v10_t, v11_t]); // First triangle
-                faces.push([v00_t, v11_t, v01_t]); // Second triangle
+    /**
+     * Best Fit keeps a weighted histogram of the image, and the suggested colors depend on the
+     * map, so both are worked out again.
+     */
+    function handleImportanceChange() {
+        appState.colorHistogram = null;
+        handleNumBandsChange();
+    }
 
-                // Bottom surface: split quad into 2 triangles (note: winding order is reversed)
-                const v00_b = bottomVertices[j * imageWidth + i];
-                const v10_b = bottomVertices[j * imageWidth + i + 1];
-                const v01_b = bottomVertices[(j + 1) * imageWidth + i];
-                const v11_b = bottomVertices[(j + 1) * imageWidth + i + 1];
-                faces.push([v00_b, v11_b, v10_b]); // First triangle (reversed winding)
-                faces.push([v00_b, v01_b, v11_b]); // Second triangle (reversed winding)
+    /**
+     * Forgets the importance map without picking the palette again, for a new or reshaped image.
+     */
+    function resetImportanceMap() {
+        appState.importanceMask = null;
+        importanceStroke = null;
+        drawImportanceOverlay();
+        updateImportanceSummary();
+    }
+
+    function clearImportanceMap() {
+        const hadMask = !!appState.importanceMask;
+        resetImportanceMap();
+        if (hadMask) handleImportanceChange();
+    }
+
+    /**
+     * Tells the user how much of the image is painted as important.
+     * @returns {number} Painted pixel count
+     */
+    function updateImportanceSummary() {
+        const mask = appState.importanceMask;
+        let painted = 0;
+        if (mask) {
+            for (let i = 0; i < mask.length; i++) {
+                if (mask[i]) painted++;
             }
         }
+        if (domElements.importanceSummary) {
+            domElements.importanceSummary.textContent = painted
+                ? `${Math.max(1, Math.round((painted / mask.length) * 100))}% of the image is marked as important`
+                : '';
+        }
+        if (domElements.importanceClearBtn) {
+            domElements.importanceClearBtn.disabled = painted === 0;
+        }
+        return painted;
+    }
 
-        // 2. Front and Back Edge Faces (connecting top to bottom)
-        // Create vertical faces along the front (j=0) and back (j=imageHeight-1) edges
-        for (let i = 0; i < imageWidth - 1; i++) {
-            const jf = 0; // Front edge (j=0)
-            const jb = imageHeight - 1; // Back edge (j=imageHeight-1)
+    // ============================================================================
+    // BAND EDITOR FUNCTIONS
+    // ============================================================================
 
-            // Front edge faces (connecting bottom to top)
-            faces.push([
-                bottomVertices[jf * imageWidth + i],
-                topVertices[jf * imageWidth + i],
-                topVertices[jf * imageWidth + i + 1],
-            ]);
-            faces.push([
-                bottomVertices[jf * imageWidth + i],
-                topVertices[jf * imageWidth + i + 1],
-                bottomVertices[jf * imageWidth + i + 1],
-            ]);
+    // Most pixels a split clusters; larger bands are sampled evenly
+    const SPLIT_SAMPLE_LIMIT = 50000;
+    const SPLIT_ITERATIONS = 10;
 
-            // Back edge faces (connecting bottom to top)
-            faces.push([
-                bottomVertices[jb * imageWidth + i],
-                topVertices[jb * imageWidth + i + 1],
-                topVertices[jb * imageWidth + i],
-            ]);
-            faces.push([
-                bottomVertices[jb * imageWidth + i],
-                bottomVertices[jb * imageWidth + i + 1],
-                topVertices[jb * imageWidth + i + 1],
-            ]);
+    /**
+     * Averages the original colors of every pixel in some bands.
+     * @param {Uint8ClampedArray} imageData - RGBA pixels of the original image
+     * @param {Float32Array} bandMap - Band of every pixel
+     * @param {Array<number>} bands - Bands to average
+     * @returns {string|null} Hex color, or null if the bands have no pixels
+     */
+    function getBandPixelMean(imageData, bandMap, bands) {
+        const sum = [0, 0, 0];
+        let count = 0;
+        for (let i = 0; i < bandMap.length; i++) {
+            if (!bands.includes(bandMap[i])) continue;
+            sum[0] += imageData[i * 4];
+            sum[1] += imageData[i * 4 + 1];
+            sum[2] += imageData[i * 4 + 2];
+            count++;
         }
+        return count > 0 ? rgbToHex(sum[0] / count, sum[1] / count, sum[2] / count) : null;
+    }
 
-        // 3. Left and Right Edge Faces (connecting top to bottom)
-        // Create vertical faces along the left (i=0) and right (i=imageWidth-1) edges
-        for (let j = 0; j < imageHeight - 1; j++) {
-            const il = 0; // Left edge (i=0)
-            const ir = imageWidth - 1; // Right edge (i=imageWidth-1)
+    /**
+     * Splits the original colors of a band's pixels into two clusters (2-means in CIELAB),
+     * starting from the two colors farthest apart.
+     * @param {Uint8ClampedArray} imageData - RGBA pixels of the original image
+     * @param {Float32Array} bandMap - Band of every pixel
+     * @param {number} band - Band to split
+     * @returns {Array<string>|null} The two cluster colors, or null if the band has a single color
+     */
+    function splitBandColors(imageData, bandMap, band) {
+        let total = 0;
+        for (let i = 0; i < bandMap.length; i++) {
+            if (bandMap[i] === band) total++;
+        }
+        const stride = Math.max(1, Math.ceil(total / SPLIT_SAMPLE_LIMIT));
+        const samples = [];
+        let seen = 0;
+        for (let i = 0; i < bandMap.length; i++) {
+            if (bandMap[i] !== band || seen++ % stride !== 0) continue;
+            samples.push([imageData[i * 4], imageData[i * 4 + 1], imageData[i * 4 + 2]]);
+        }
+        if (samples.length < 2) return null;
+
+        const labs = samples.map(getCachedLab);
+        const farthestFrom = lab => {
+            let best = 0;
+            let bestDistance = -1;
+            labs.forEach((other, index) => {
+                const distance = calculateDeltaE(lab, other);
+                if (distance > bestDistance) {
+                    bestDistance = distance;
+                    best = index;
+                }
+            });
+            return best;
+        };
+        const first = farthestFrom(labs[0]);
+        const second = farthestFrom(labs[first]);
+        if (calculateDeltaE(labs[first], labs[second]) === 0) return null;
+
+        let centers = [samples[first], samples[second]];
+        for (let iteration = 0; iteration < SPLIT_ITERATIONS; iteration++) {
+            const centerLabs = centers.map(getCachedLab);
+            const sums = [
+                [0, 0, 0, 0],
+                [0, 0, 0, 0],
+            ];
+            labs.forEach((lab, index) => {
+                const cluster =
+                    calculateDeltaE(lab, centerLabs[0]) <= calculateDeltaE(lab, centerLabs[1]) ? 0 : 1;
+                const [r, g, b] = samples[index];
+                sums[cluster][0] += r;
+                sums[cluster][1] += g;
+                sums[cluster][2] += b;
+                sums[cluster][3]++;
+            });
+            centers = sums.map((sum, cluster) =>
+                sum[3] > 0 ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : centers[cluster]
+            );
+        }
 
-            // Left edge faces (connecting bottom to top)
-            faces.push([
-                bottomVertices[j * imageWidth + il],
-                topVertices[j * imageWidth + il],
-                topVertices[(j + 1) * imageWidth + il],
-            ]);
-            faces.push([
-                bottomVertices[j * imageWidth + il],
-                topVertices[(j + 1) * imageWidth + il],
-                bottomVertices[(j + 1) * imageWidth + il],
-            ]);
+        const colors = centers.map(([r, g, b]) => rgbToHex(r, g, b));
+        return colors[0] === colors[1] ? null : colors;
+    }
 
-            // Right edge faces (connecting bottom to top)
-            faces.push([
-                bottomVertices[j * imageWidth + ir],
-                topVertices[(j + 1) * imageWidth + ir],
-                topVertices[j * imageWidth + ir],
-            ]);
-            faces.push([
-                bottomVertices[j * imageWidth + ir],
-                bottomVertices[(j + 1) * imageWidth + ir],
-                topVertices[(j + 1) * imageWidth + ir],
-            ]);
+    /**
+     * Moves every pixel to the new position of its band.
+     * @param {Float32Array} bandMap - Band of every pixel, changed in place
+     * @param {Array<number>} newIndices - New position of every band, by old position
+     */
+    function remapBandMap(bandMap, newIndices) {
+        for (let i = 0; i < bandMap.length; i++) {
+            const band = bandMap[i];
+            if (band >= 0 && band < newIndices.length) bandMap[i] = newIndices[band];
         }
+    }
 
-        // --- Binary STL File Generation ---
-        // STL binary format: 80-byte header + 4-byte triangle count + 50 bytes per triangle
+    /**
+     * Tells whether two palettes hold the same colors in the same order.
+     * @param {Array<string>} first - Hex colors
+     * @param {Array<string>} second - Hex colors
+     * @returns {boolean} True if they match, ignoring letter case
+     */
+    function isSamePalette(first, second) {
+        return (
+            first.length === second.length &&
+            first.every((color, index) => color.toLowerCase() === second[index].toLowerCase())
+        );
+    }
 
-        // Allocate buffer for the entire STL file
-        const buffer = new ArrayBuffer(84 + faces.length * 50);
-        const writer = new DataView(buffer);
+    /**
+     * Records a change made to the bands of the suggested palette, so processImage can repeat it
+     * on every pass (see applyBandEdits). Edits chain on as long as each starts from the palette
+     * the last one left behind; any other palette change makes the bands follow the colors again.
+     * @param {Array<string>} oldPalette - Suggested palette before the change
+     * @param {Array<string>} newPalette - Suggested palette after the change
+     * @param {Object} edit - { newIndices, split } (see applyBandEdits)
+     * @param {boolean} [startsChain=true] - False for moves, which only need recording after a
+     *   merge or split since the nearest colors stay the same
+     */
+    function recordBandEdit(oldPalette, newPalette, edit, startsChain = true) {
+        const previous =
+            appState.bandEdits && isSamePalette(appState.bandEdits.palette, oldPalette) ? appState.bandEdits : null;
+        if (!previous && !startsChain) {
+            appState.bandEdits = null;
+            return;
+        }
+        appState.bandEdits = {
+            basePalette: previous ? previous.basePalette : oldPalette.slice(),
+            palette: newPalette.slice(),
+            edits: previous ? [...previous.edits, edit] : [edit],
+        };
+    }
 
-        // Write triangle count (4 bytes at offset 80)
-        writer.setUint32(80, faces.length, true); // true = little-endian
+    /**
+     * The recorded band edits, if they still lead to the palette the band map is built from.
+     * @param {Array<string>} bandPalette - Colors the band map is built from (see getBandMapPalette)
+     * @returns {Object|null} { basePalette, palette, edits }, or null to assign the pixels directly
+     */
+    function getBandEdits(bandPalette) {
+        const { bandEdits } = appState;
+        return bandEdits && bandPalette && isSamePalette(bandEdits.palette, bandPalette) ? bandEdits : null;
+    }
 
-        let offset = 84; // Start after header and triangle count
+    /**
+     * New band positions after one band is dragged to another place.
+     * @param {number} oldIndex - Position the band was dragged from
+     * @param {number} newIndex - Position it was dropped at
+     * @param {number} numBands - Number of bands
+     * @returns {Array<number>} New position of every band, by old position
+     */
+    function getMovedBandIndices(oldIndex, newIndex, numBands) {
+        const order = Array.from({ length: numBands }, (_, index) => index);
+        const [moved] = order.splice(oldIndex, 1);
+        order.splice(newIndex, 0, moved);
+        const newIndices = new Array(numBands);
+        order.forEach((band, index) => {
+            newIndices[band] = index;
+        });
+        return newIndices;
+    }
 
-        // Write each triangle face
-        for (const face of faces) {
-            const [i1, i2, i3] = face; // Vertex indices for this triangle
-            const [v1, v2, v3] = [vertices[i1], vertices[i2], vertices[i3]]; // Actual vertex coordinates
+    /**
+     * Replaces the palette after a merge or split and carries everything that belongs to a band
+     * along: the band map, painted pixels and layer counts. The preview is then worked out again,
+     * repeating the edit on the pixels (see recordBandEdit).
+     * @param {Array<string>} palette - New suggested palette
+     * @param {Array<number>} newIndices - New position of every band, by old position
+     * @param {Object|null} [split=null] - { band, colors } for a split (see applyBandEdits)
+     */
+    function applyBandEdit(palette, newIndices, split = null) {
+        const oldCount = appState.suggestedPalette.length;
+        recordBandEdit(appState.suggestedPalette, palette, { newIndices, split });
+        const layers = new Array(palette.length).fill(null);
+        (appState.bandLayers || []).forEach((count, band) => {
+            const newBand = newIndices[band];
+            if (count > 0 && newBand !== undefined && layers[newBand] === null) layers[newBand] = count;
+        });
 
-            // Calculate face normal using cross product of two edge vectors
-            const ux = v2[0] - v1[0],
-                uy = v2[1] - v1[1],
-                uz = v2[2] - v1[2]; // Edge vector 1
-            const vx = v3[0] - v1[0],
-                vy = v3[1] - v1[1],
-                vz = v3[2] - v1[2]; // Edge vector 2
+        appState.suggestedPalette = palette;
+        appState.bandLayers = layers;
+        if (appState.bandMask) remapBandMask(appState.bandMask, newIndices);
+        if (appState.bandMap) remapBandMap(appState.bandMap, newIndices);
+        // Pins of colors that were merged or split away no longer mean anything
+        appState.pinnedColors = appState.pinnedColors.filter(pin => palette.some(color => color.toLowerCase() === pin));
+        appState.selectedBands = [];
+
+        if (palette.length !== oldCount) {
+            // React owns the band count; the palette for it is already built
+            appState.editedBandCount = palette.length;
+            window.dispatchEvent(new CustomEvent('colorstack:numbands', { detail: palette.length }));
+        }
+        updatePalette();
+    }
 
-            // Cross product: n = u × v
-            const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+    /**
+     * Merges two bands into one colored like the average of their pixels. The merged band
+     * takes the place of the lower one.
+     * @param {number} first - One band
+     * @param {number} second - The other band
+     */
+    function mergeBands(first, second) {
+        const palette = appState.suggestedPalette.slice();
+        if (palette.length <= 2 || first === second) return;
+        const lower = Math.min(first, second);
+        const upper = Math.max(first, second);
+        const color =
+            (appState.bandMap && appState.imageData && getBandPixelMean(appState.imageData, appState.bandMap, [lower, upper])) ||
+            palette[lower];
+
+        palette[lower] = color;
+        palette.splice(upper, 1);
+        const newIndices = appState.suggestedPalette.map((_, band) =>
+            band === upper ? lower : band > upper ? band - 1 : band
+        );
+        applyBandEdit(palette, newIndices);
+    }
 
-            // Normalize the normal vector
-            const len = Math.sqrt(n[0] ** 2 + n[1] ** 2 + n[2] ** 2) || 1;
-            const normalizedNormal = n.map(val => val / len);
+    /**
+     * Splits a band in two by clustering the original colors of its pixels. The cluster closer
+     * to the band's color keeps its place and the other goes right above it.
+     * @param {number} band - Band to split
+     */
+    function splitBand(band) {
+        const palette = appState.suggestedPalette.slice();
+        const maxBands = parseInt(domElements.numBandsInput.max, 10) || 8;
+        if (palette.length >= maxBands) {
+            showError(`The palette already has the most bands allowed (${maxBands}). Merge two bands first.`);
+            return;
+        }
+        const colors =
+            appState.bandMap && appState.imageData ? splitBandColors(appState.imageData, appState.bandMap, band) : null;
+        if (!colors) {
+            showError(`Band ${band + 1} has too few distinct colors to split.`);
+            return;
+        }
 
-            // Write face normal (12 bytes: 3 floats)
-            writer.setFloat32(offset, normalizedNormal[0], true);
-            offset += 4;
-            writer.setFloat32(offset, normalizedNormal[1], true);
-            offset += 4;
-            writer.setFloat32(offset, normalizedNormal[2], true);
-            offset += 4;
+        const { r, g, b } = hexToRgb(palette[band]);
+        const distanceTo = color => {
+            const rgb = hexToRgb(color);
+            return colorDistance([r, g, b], [rgb.r, rgb.g, rgb.b]);
+        };
+        if (distanceTo(colors[1]) < distanceTo(colors[0])) colors.reverse();
 
-            // Write the three vertices (36 bytes: 9 floats)
-            for (const v of [v1, v2, v3]) {
-                writer.setFloat32(offset, v[0], true);
-                offset += 4; // X
-                writer.setFloat32(offset, v[1], true);
-                offset += 4; // Y
-                writer.setFloat32(offset, v[2], true);
-                offset += 4; // Z
-            }
+        palette.splice(band, 1, colors[0], colors[1]);
+        const newIndices = appState.suggestedPalette.map((_, index) => (index > band ? index + 1 : index));
+        applyBandEdit(palette, newIndices, { band, colors });
+    }
 
-            // Write attribute byte count (2 bytes, usually 0)
-            offset += 2;
+    /**
+     * Lists the bands to pick for a merge or split and enables the buttons that fit the
+     * selection: one band can be split, two can be merged.
+     */
+    function renderBandEditor() {
+        const container = domElements.bandEditorChoices;
+        const palette = isGeneratedPalette() ? appState.currentPalette || [] : [];
+        appState.selectedBands = appState.selectedBands.filter(band => band < palette.length);
+        const selected = appState.selectedBands;
+
+        if (container) {
+            container.innerHTML = '';
+            palette.forEach((color, band) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                const isSelected = selected.includes(band);
+                button.setAttribute('aria-pressed', String(isSelected));
+                button.setAttribute('aria-label', `Select band ${band + 1}`);
+                button.className =
+                    'h-8 w-8 rounded-md border-2 text-xs font-medium text-white ' +
+                    (isSelected ? 'border-white' : 'border-gray-600 hover:border-gray-400');
+                button.style.backgroundColor = color;
+                button.textContent = String(band + 1);
+                button.addEventListener('click', () => {
+                    appState.selectedBands = isSelected
+                        ? selected.filter(other => other !== band)
+                        : selected.concat(band).slice(-2);
+                    renderBandEditor();
+                });
+                container.appendChild(button);
+            });
         }
 
-        // Return the STL file as a downloadable blob
-        return new Blob([buffer], { type: 'application/octet-stream' });
+        const maxBands = parseInt(domElements.numBandsInput.max, 10) || 8;
+        if (domElements.mergeBandsBtn) {
+            domElements.mergeBandsBtn.disabled = selected.length !== 2 || palette.length <= 2;
+        }
+        if (domElements.splitBandBtn) {
+            domElements.splitBandBtn.disabled = selected.length !== 1 || palette.length >= maxBands;
+        }
     }
 
     // ============================================================================
     // UI FUNCTIONS (from ui.js)
     // ============================================================================
 
+    // Enough room for a shared spool shelf; Best Fit picks the bands from all of them
+    const MAX_FILAMENTS = 64;
+
     // Helper function to convert RGB style to hex
     function rgbToHexFromStyle(rgbStyle) {
         if (rgbStyle.startsWith('rgb')) {
@@ -1227,6 +6906,24 @@
             dragHandle.textContent = 'drag_indicator';
             colorDiv.appendChild(dragHandle);
 
+            // Pinned colors survive regenerating the palette
+            let pinButton = null;
+            if (!readOnly && isGeneratedPalette()) {
+                pinButton = document.createElement('button');
+                pinButton.type = 'button';
+                pinButton.className =
+                    'band-pin material-icons absolute -top-2 -right-2 text-sm bg-gray-900 rounded-full group-hover:opacity-100 transition-opacity';
+                pinButton.textContent = 'push_pin';
+                pinButton.setAttribute('aria-label', 'Pin color');
+                updatePinButton(pinButton, isColorPinned(color));
+                pinButton.addEventListener('click', () => {
+                    // The swatch holds the current color, which may have been edited
+                    const pinnedColor = rgbToHexFromStyle(colorSwatch.style.backgroundColor);
+                    togglePinnedColor(pinnedColor);
+                    updatePinButton(pinButton, isColorPinned(pinnedColor));
+                });
+            }
+
             // Add click handler for color picker
             if (!readOnly) {
                 colorSwatch.addEventListener('click', () => {
@@ -1235,6 +6932,12 @@
                     const hexColor = rgbToHexFromStyle(currentColor);
 
                     openCustomColorPicker(hexColor, newColor => {
+                        // A pinned color stays pinned when it is edited
+                        if (pinButton && isColorPinned(hexColor)) {
+                            togglePinnedColor(hexColor);
+                            if (!isColorPinned(newColor)) togglePinnedColor(newColor);
+                        }
+
                         // Update the color in the palette
                         colorSwatch.style.backgroundColor = newColor;
                         colors[index] = newColor;
@@ -1259,10 +6962,205 @@
                 'tooltip -top-8 left-1/2 -translate-x-1/2 px-2 py-1 bg-gray-900 text-white text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity';
             tooltip.textContent = readOnly ? getColorName(color) : 'Click to change color';
 
-            colorDiv.appendChild(colorSwatch);
-            colorDiv.appendChild(tooltip);
-            paletteDiv.appendChild(colorDiv);
-        });
+            colorDiv.appendChild(colorSwatch);
+            colorDiv.appendChild(tooltip);
+            if (pinButton) colorDiv.appendChild(pinButton);
+
+            // Layer count of the band, kept in appState.bandLayers once the user edits it
+            if (!readOnly) {
+                const layersInput = document.createElement('input');
+                layersInput.type = 'number';
+                layersInput.min = 1;
+                layersInput.max = 50;
+                layersInput.step = 1;
+                layersInput.className =
+                    'band-layers mt-1 w-8 bg-gray-700 border border-gray-600 rounded text-xs text-center';
+                layersInput.addEventListener('change', () => {
+                    // Look the band up again, the swatch may have been dragged since
+                    const band = Array.from(paletteDiv.children).indexOf(colorDiv);
+                    setBandLayers(band, parseInt(layersInput.value, 10));
+                });
+                colorDiv.appendChild(layersInput);
+            }
+            paletteDiv.appendChild(colorDiv);
+        });
+        updateBandLayerDisplay();
+    }
+
+    /**
+     * Gives one band its own layer count. An empty or invalid value returns the band to the
+     * base or band thickness input.
+     * @param {number} index - Band index, base first
+     * @param {number} layers - Layer count of the band
+     */
+    function setBandLayers(index, layers) {
+        if (!appState.bandLayers) appState.bandLayers = [];
+        appState.bandLayers[index] = layers > 0 ? Math.min(layers, 50) : null;
+        // The blended colors depend on the thickness, so "My Palette" is matched again
+        handleBandThicknessChange();
+    }
+
+    /**
+     * Shows the layer count of every band next to its swatch and the print layers of the band
+     * selected in the layer preview.
+     */
+    function updateBandLayerDisplay() {
+        const palette = appState.currentPalette || appState.suggestedPalette || [];
+        const bandLayers = getBandLayers(domElements, appState.bandLayers, palette.length);
+
+        if (domElements.paletteDiv) {
+            domElements.paletteDiv.querySelectorAll('.band-layers').forEach((input, index) => {
+                input.title = index === 0 ? 'Base layers' : 'Layers';
+                input.setAttribute('aria-label', 'Layers of band ' + (index + 1));
+                if (document.activeElement === input) return;
+                const custom = appState.bandLayers && appState.bandLayers[index] > 0;
+                input.value = bandLayers[index];
+                input.classList.toggle('text-indigo-300', !!custom);
+                input.classList.toggle('text-gray-300', !custom);
+            });
+        }
+
+        if (domElements.layerPrintRange && domElements.layerSlider && bandLayers.length > 0) {
+            const band = Math.min(parseInt(domElements.layerSlider.value, 10) || 0, bandLayers.length - 1);
+            const endLayer = bandLayers.slice(0, band + 1).reduce((sum, layers) => sum + layers, 0);
+            const startLayer = endLayer - bandLayers[band] + 1;
+            const height = endLayer * parseFloat(domElements.layerHeightInput.value);
+            domElements.layerPrintRange.textContent =
+                '· print layers ' + startLayer + '–' + endLayer + ' (' + height.toFixed(2) + ' mm)';
+        }
+    }
+
+    /**
+     * Whether the palette comes from the generator, so its colors can be pinned and its bands
+     * merged or split. Best Fit picks its own filaments and an imported SVG brings its own colors.
+     * @returns {boolean} True for a generated palette
+     */
+    function isGeneratedPalette() {
+        if (appState.activePalette === 'best') return false;
+        return !(appState.vector && !hasImageAdjustments(appState.adjustments));
+    }
+
+    function isColorPinned(color) {
+        return appState.pinnedColors.includes(color.toLowerCase());
+    }
+
+    /**
+     * Shows whether a swatch's color is pinned; unpinned pins only show on hover.
+     * @param {HTMLElement} button - Pin button of the swatch
+     * @param {boolean} pinned - Whether the color is pinned
+     */
+    function updatePinButton(button, pinned) {
+        button.setAttribute('aria-pressed', String(pinned));
+        button.title = pinned ? 'Pinned: kept when the palette is regenerated' : 'Pin this color';
+        button.classList.toggle('opacity-0', !pinned);
+        button.classList.toggle('text-indigo-300', pinned);
+        button.classList.toggle('text-gray-300', !pinned);
+    }
+
+    /**
+     * Pins a color, or unpins it if it is already pinned. Takes effect the next time the
+     * palette is generated.
+     * @param {string} color - Hex color
+     */
+    function togglePinnedColor(color) {
+        const hex = color.toLowerCase();
+        if (isColorPinned(hex)) {
+            appState.pinnedColors = appState.pinnedColors.filter(pin => pin !== hex);
+        } else {
+            appState.pinnedColors.push(hex);
+        }
+    }
+
+    /**
+     * Averages the opaque pixels around a point, so a single noisy pixel doesn't decide the color.
+     * @param {Uint8ClampedArray} imageData - RGBA pixels
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} x - Column of the point
+     * @param {number} y - Row of the point
+     * @returns {string|null} Hex color, or null if the area is transparent
+     */
+    function sampleImageColor(imageData, width, height, x, y) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let count = 0;
+        for (let sy = Math.max(0, y - 1); sy <= Math.min(height - 1, y + 1); sy++) {
+            for (let sx = Math.max(0, x - 1); sx <= Math.min(width - 1, x + 1); sx++) {
+                const i = (sy * width + sx) * 4;
+                if (imageData[i + 3] < 128) continue;
+                r += imageData[i];
+                g += imageData[i + 1];
+                b += imageData[i + 2];
+                count++;
+            }
+        }
+        return count > 0 ? rgbToHex(r / count, g / count, b / count) : null;
+    }
+
+    function setEyedropper(active) {
+        appState.eyedropper = active;
+        const button = domElements.eyedropperBtn;
+        if (button) {
+            button.setAttribute('aria-pressed', String(active));
+            button.classList.toggle('bg-indigo-600', active);
+        }
+        if (domElements.origCanvas) {
+            domElements.origCanvas.style.cursor = active ? 'crosshair' : '';
+        }
+    }
+
+    function toggleEyedropper() {
+        if (!appState.eyedropper && !isGeneratedPalette()) {
+            showError(
+                appState.activePalette === 'best'
+                    ? 'Best Fit picks its colors from My Filaments. Switch to Suggested or My Palette to pick colors from the image.'
+                    : 'The colors of an imported SVG come from the file.'
+            );
+            return;
+        }
+        // The importance brush overlay would catch the click meant for the original image
+        if (appState.importanceTool) setImportanceTool(null);
+        setEyedropper(!appState.eyedropper);
+    }
+
+    /**
+     * Adds the color under the cursor on the original image to the palette as a pinned color.
+     * The palette grows by a band while the tier allows it; after that the pick replaces the
+     * closest color that isn't pinned.
+     * @param {MouseEvent} event - Click on origCanvas
+     */
+    function handleEyedropperClick(event) {
+        if (!appState.eyedropper || !appState.img || !appState.imageData) return;
+        const canvas = domElements.origCanvas;
+        const point = getCanvasPixel(canvas, event);
+        const x = Math.floor(point.x);
+        const y = Math.floor(point.y);
+        if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+        setEyedropper(false);
+
+        const color = sampleImageColor(appState.imageData, canvas.width, canvas.height, x, y);
+        if (!color) {
+            showError('That part of the image is transparent. Pick a visible color.');
+            return;
+        }
+        if (isColorPinned(color)) return;
+
+        const numBands = appState.suggestedPalette.length;
+        const maxBands = parseInt(domElements.numBandsInput.max, 10) || 8;
+        if (appState.pinnedColors.length >= Math.max(numBands, maxBands)) {
+            showError('Every band already has a pinned color. Unpin one to pick another.');
+            return;
+        }
+        appState.pinnedColors.push(color);
+
+        if (numBands < maxBands) {
+            // React owns the band count and regenerates the palette when it changes
+            const detail = Math.min(maxBands, Math.max(numBands + 1, appState.pinnedColors.length));
+            window.dispatchEvent(new CustomEvent('colorstack:numbands', { detail }));
+        } else {
+            handleNumBandsChange();
+        }
     }
 
     function openCustomColorPicker(currentColor, onColorChange, isFilamentPicker = false) {
@@ -1549,7 +7447,7 @@
             typeDiv.className = 'text-center mb-3';
             const typeSpan = document.createElement('span');
             typeSpan.className = 'text-xs text-gray-400';
-            typeSpan.textContent = filament.type;
+            typeSpan.textContent = `${filament.type} · TD ${filament.td}`;
             typeDiv.appendChild(typeSpan);
 
             // Assemble the filament card
@@ -1647,6 +7545,41 @@
         if (dimY) dimY.textContent = formattedY;
     }
 
+    // Longest side of the model in millimetres when an image is loaded
+    const MAX_MODEL_DIMENSION = 150;
+
+    /**
+     * Sizes the model to the proportions of the image.
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} maxDimension - Length of the longest side in millimetres
+     */
+    function fitModelToImage(width, height, maxDimension) {
+        const aspectRatio = width / height;
+
+        // Store the aspect ratio in appState for aspect ratio lock functionality
+        appState.aspectRatio = aspectRatio;
+
+        let newXSize, newYSize;
+
+        if (width > height) {
+            // Image is wider than it is tall
+            newXSize = maxDimension;
+            newYSize = Math.round((maxDimension / aspectRatio) * 10) / 10; // Round to 1 decimal place
+        } else {
+            // Image is taller than it is wide (or square)
+            newYSize = maxDimension;
+            newXSize = Math.round((maxDimension * aspectRatio) * 10) / 10; // Round to 1 decimal place
+        }
+
+        // Update the input field values
+        domElements.xSizeInput.value = newXSize;
+        domElements.ySizeInput.value = newYSize;
+
+        // Update the dimension display overlays
+        updateDimensionDisplay(newXSize, newYSize);
+    }
+
     function resetApp(domElements) {
         const { uploadArea, mainContent, origCanvas, procCanvas, paletteDiv, fileInput } =
             domElements;
@@ -1654,12 +7587,24 @@
         origCanvas.getContext('2d').clearRect(0, 0, origCanvas.width, origCanvas.height);
         procCanvas.getContext('2d').clearRect(0, 0, procCanvas.width, procCanvas.height);
         paletteDiv.innerHTML = '';
+        if (domElements.paletteComparisonDiv) {
+            domElements.paletteComparisonDiv.innerHTML = '';
+        }
+        clearPrintabilityReport();
+        clearPaletteAccuracy();
         fileInput.value = '';
 
         // Reset the initial load flag for the next image
         if (appState) {
             appState.isInitialLoad = true;
+            appState.vector = null;
+            appState.sourceImg = null;
+            appState.adjustments = null;
+            appState.bandMask = null;
+            appState.pinnedColors = [];
+            appState.importanceMask = null;
         }
+        setEyedropper(false);
     }
 
     function showApp(domElements) {
@@ -1712,9 +7657,9 @@
         }
 
         // Validate file type
-        const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/bmp'];
+        const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/bmp', 'image/svg+xml'];
         if (allowedTypes.indexOf(file.type) === -1) {
-            showError('Invalid file type. Please select a PNG, JPEG, or BMP file.');
+            showError('Invalid file type. Please select a PNG, JPEG, BMP, or SVG file.');
             return;
         }
 
@@ -1744,6 +7689,7 @@
         }
 
         const reader = new FileReader();
+        const isSvg = file.type === 'image/svg+xml';
 
         reader.onload = function (event) {
             console.log('FileReader onload triggered');
@@ -1754,10 +7700,36 @@
                 return;
             }
 
+            // An SVG keeps its shapes for the STL and shows a raster copy everywhere else
+            let source = event.target.result;
+            appState.vector = null;
+            if (isSvg) {
+                const svg = importSvg(source, parseInt(domElements.numBandsInput.max, 10) || 8);
+                if (!svg) {
+                    showError('Failed to read the SVG file. Please try a different file.');
+                    return;
+                }
+                source = svg.image;
+                appState.vector = svg.vector;
+                if (svg.reason) {
+                    showModal(
+                        domElements,
+                        'SVG Import',
+                        '<div class="text-gray-300">The colors of this SVG are detected like in a photo because ' +
+                            escapeXml(svg.reason) +
+                            '. Fill the shapes with flat colors to extrude them directly.</div>'
+                    );
+                }
+            }
+
             appState.img = new Image();
 
             appState.img.onload = function () {
                 console.log('Image loaded successfully');
+                // Thumbnails of the previous image no longer apply
+                if (domElements.paletteComparisonDiv) {
+                    domElements.paletteComparisonDiv.innerHTML = '';
+                }
 
                 // Synchronize with browser's paint cycle to ensure canvas is ready
                 requestAnimationFrame(function () {
@@ -1771,30 +7743,17 @@
                         context.drawImage(img, 0, 0, img.width, img.height);
 
                         // Implement automatic aspect ratio scaling for model dimensions
-                        const MAX_DIMENSION = 150;
-                        const aspectRatio = img.width / img.height;
-                        
-                        // Store the aspect ratio in appState for aspect ratio lock functionality
-                        appState.aspectRatio = aspectRatio;
-                        
-                        let newXSize, newYSize;
-                        
-                        if (img.width > img.height) {
-                            // Image is wider than it is tall
-                            newXSize = MAX_DIMENSION;
-                            newYSize = Math.round((MAX_DIMENSION / aspectRatio) * 10) / 10; // Round to 1 decimal place
-                        } else {
-                            // Image is taller than it is wide (or square)
-                            newYSize = MAX_DIMENSION;
-                            newXSize = Math.round((MAX_DIMENSION * aspectRatio) * 10) / 10; // Round to 1 decimal place
-                        }
-                        
-                        // Update the input field values
-                        domElements.xSizeInput.value = newXSize;
-                        domElements.ySizeInput.value = newYSize;
-
-                        // Update the dimension display overlays
-                        updateDimensionDisplay(newXSize, newYSize);
+                        fitModelToImage(img.width, img.height, MAX_MODEL_DIMENSION);
+
+                        // The pre-processing editor starts over from the new image
+                        appState.sourceImg = img;
+                        appState.adjustments = null;
+                        pendingAdjustment = null;
+                        appState.bandMask = null;
+                        updateBandMaskSummary();
+                        appState.pinnedColors = [];
+                        resetImportanceMap();
+                        window.dispatchEvent(new CustomEvent('colorstack:imageloaded'));
 
                         // Now, proceed with processing.
                         handleNumBandsChange();
@@ -1810,7 +7769,7 @@
                 showError('Failed to load image. Please try a different file.');
             };
 
-            appState.img.src = event.target.result;
+            appState.img.src = source;
         };
 
         reader.onerror = function () {
@@ -1819,7 +7778,11 @@
         };
 
         try {
-            reader.readAsDataURL(file);
+            if (isSvg) {
+                reader.readAsText(file);
+            } else {
+                reader.readAsDataURL(file);
+            }
         } catch (error) {
             console.error('Error reading file:', error);
             showError('Failed to read file. Please try again.');
@@ -1835,12 +7798,22 @@
             if (domElements.spinner) {
                 domElements.spinner.style.display = 'flex';
             }
+            updateBandLayerDisplay();
 
             // Prepare data for worker (serializable version)
+            const palette = appState.currentPalette || appState.suggestedPalette || [];
             const workerAppState = {
                 suggestedPalette: appState.suggestedPalette,
                 currentPalette: appState.currentPalette,
+                bandPalette: getBandMapPalette(),
+                bandEdits: getBandEdits(getBandMapPalette() || appState.suggestedPalette),
+                blendedPalette: getBlendedPalette(
+                    palette,
+                    appState.myFilaments,
+                    getBandThickness(domElements, appState.bandLayers, palette.length)
+                ),
                 imageData: appState.imageData,
+                bandMask: appState.bandMask,
                 width: appState.img.width,
                 height: appState.img.height,
             };
@@ -1852,20 +7825,36 @@
                         ? domElements.singleLayerToggle.checked
                         : false,
                 },
+                ditherMethodSelect: {
+                    value: domElements.ditherMethodSelect ? domElements.ditherMethodSelect.value : 'none',
+                },
+                nozzleDiameterInput: {
+                    value: domElements.nozzleDiameterInput ? domElements.nozzleDiameterInput.value : '0',
+                },
+                mergeSmallRegionsToggle: {
+                    checked: domElements.mergeSmallRegionsToggle ? domElements.mergeSmallRegionsToggle.checked : false,
+                },
+                xSizeInput: { value: domElements.xSizeInput.value },
             };
 
             // Send message to worker
             if (imageWorker) {
-                imageWorker.postMessage({
-                    type: 'process_image',
-                    data: {
-                        appState: workerAppState,
-                        domElements: workerDomElements,
+                postImageWorkerJob(
+                    {
+                        type: 'process_image',
+                        data: {
+                            appState: workerAppState,
+                            domElements: workerDomElements,
+                            colorMetric,
+                        },
                     },
-                });
+                    true
+                );
             } else {
                 // Fallback to synchronous processing
                 appState.bandMap = processImage(appState, domElements);
+                clearPrintabilityReport();
+                refreshPaletteAccuracy();
                 if (domElements.spinner) {
                     domElements.spinner.style.display = 'none';
                 }
@@ -1879,6 +7868,15 @@
         }
     }
 
+    // The band thickness changes how the filaments blend, so a filament palette is matched again
+    function handleBandThicknessChange() {
+        if (appState.activePalette === 'my') {
+            updatePalette();
+        } else {
+            handleSettingsChange();
+        }
+    }
+
     // Enhanced number of bands change handler
     function handleNumBandsChange() {
         if (!appState.img) return;
@@ -1912,7 +7910,10 @@
             let numBands = parseInt(numBandsInput.value, 10);
             // Get the max layers from the slider's max attribute (set by React tier limits)
             const maxLayers = parseInt(numBandsInput.max, 10) || 8;
-            if (isNaN(numBands) || numBands < 2 || numBands > maxLayers) {
+            if (appState.vector && !hasImageAdjustments(appState.adjustments)) {
+                // Every fill color of an imported SVG is a band
+                numBands = appState.vector.colors.length;
+            } else if (isNaN(numBands) || numBands < 2 || numBands > maxLayers) {
                 numBands = Math.min(4, maxLayers);
                 // Don't update the input value here - let React handle it
             }
@@ -1923,6 +7924,11 @@
             layerSlider.value = numBands - 1;
             layerValue.textContent = numBands;
 
+            // A merge or split already built the palette for this band count
+            const editedBandCount = appState.editedBandCount;
+            appState.editedBandCount = null;
+            if (editedBandCount === numBands && appState.suggestedPalette.length === numBands) return;
+
             const imageData = context.getImageData(0, 0, img.width, img.height);
             if (!imageData || !imageData.data) {
                 showError('Failed to get image data.');
@@ -1931,6 +7937,20 @@
 
             // Store image data for worker
             appState.imageData = imageData.data;
+            renderBacklitPreview(appState, domElements);
+
+            // The colors of an imported SVG are known, so nothing is quantized. Bands follow the
+            // paint order: shapes drawn later sit on top.
+            if (appState.vector && !hasImageAdjustments(appState.adjustments)) {
+                appState.vector.bandColors = appState.vector.colors.slice();
+                remapBandMaskToPalette(appState.suggestedPalette, appState.vector.colors);
+                appState.suggestedPalette = appState.vector.colors.slice();
+                appState.bandLayers = [];
+                window.dispatchEvent(new CustomEvent('colorstack:numbands', { detail: numBands }));
+                requestBandRecommendation();
+                updatePalette();
+                return;
+            }
 
             // Show spinner while processing
             if (domElements.spinner) {
@@ -1939,55 +7959,41 @@
 
             // Send message to worker for palette generation
             if (imageWorker) {
-                imageWorker.postMessage({
-                    type: 'generate_palette',
-                    data: {
-                        imageData: imageData.data,
-                        numBands: numBands,
-                        width: img.width,
-                        height: img.height,
+                postImageWorkerJob(
+                    {
+                        type: 'generate_palette',
+                        data: {
+                            imageData: imageData.data,
+                            numBands: numBands,
+                            width: img.width,
+                            height: img.height,
+                            colorMetric,
+                            algorithm: domElements.quantizationSelect
+                                ? domElements.quantizationSelect.value
+                                : 'impactful',
+                            pinnedColors: appState.pinnedColors,
+                            importance: getImportance(),
+                        },
                     },
-                });
+                    true
+                );
+                // Queued after the palette, which the preview waits for
+                requestBandRecommendation();
             } else {
-                // Fallback to synchronous processing
+                // Fallback to synchronous processing; only the worker offers the other quantization algorithms
                 const data = imageData.data;
-                appState.suggestedPalette = getSuggestedColors(data, numBands, img.width, img.height);
+                const previousPalette = appState.suggestedPalette;
+                appState.suggestedPalette = getSuggestedColors(data, numBands, img.width, img.height, getImportance());
 
                 // Intelligently set the base layer by detecting background color
                 const backgroundColor = detectBackgroundColor(data, img.width, img.height);
-
-                // Find the color in the suggested palette closest to the background color
-                let closestIndex = 0;
-                let minDistance = Infinity;
-
-                for (let i = 0; i < appState.suggestedPalette.length; i++) {
-                    const rgb = hexToRgb(appState.suggestedPalette[i]);
-                    const paletteColor = [rgb.r, rgb.g, rgb.b];
-                    const distance = colorDistance(backgroundColor, paletteColor);
-
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        closestIndex = i;
-                    }
-                }
-
-                // Move the closest color to the beginning of the palette (base layer)
-                if (closestIndex > 0) {
-                    const baseColor = appState.suggestedPalette[closestIndex];
-                    appState.suggestedPalette.splice(closestIndex, 1);
-                    appState.suggestedPalette.unshift(baseColor);
-                }
-
-                // Sort the remaining colors (from index 1 to end) by luminance, darkest to lightest
-                if (appState.suggestedPalette.length > 1) {
-                    const remainingColors = appState.suggestedPalette.slice(1);
-                    remainingColors.sort(function (a, b) {
-                        return getLuminance(a) - getLuminance(b);
-                    });
-                    appState.suggestedPalette = [appState.suggestedPalette[0]].concat(
-                        remainingColors
-                    );
-                }
+                appState.suggestedPalette = mergePinnedColors(
+                    orderPaletteForStacking(appState.suggestedPalette, backgroundColor),
+                    appState.pinnedColors,
+                    data
+                );
+                remapBandMaskToPalette(previousPalette, appState.suggestedPalette);
+                appState.bandLayers = [];
 
                 updatePalette();
                 if (domElements.spinner) {
@@ -2004,6 +8010,103 @@
     }
 
     // Enhanced palette update function
+    /**
+     * Publishes how well the current palette matches its target colors so the palette card can
+     * show per-band scores. "My Palette" is rated against the suggested colors and Best Fit against
+     * the mean color of the pixels each filament prints; the suggested colors match by definition.
+     */
+    function reportPaletteMatch() {
+        let quality = null;
+        if (appState.myFilaments.length > 0 && appState.currentPalette) {
+            const bandThickness = getBandThickness(domElements, appState.bandLayers, appState.currentPalette.length);
+            if (appState.activePalette === 'my') {
+                quality = getPaletteMatchQuality(
+                    appState.suggestedPalette,
+                    appState.currentPalette,
+                    appState.myFilaments,
+                    bandThickness
+                );
+            } else if (
+                appState.activePalette === 'best' &&
+                appState.colorHistogram &&
+                appState.colorHistogram.source === appState.img
+            ) {
+                quality = getPaletteMatchQuality(
+                    getBestFitTargets(appState.colorHistogram.buckets, appState.currentPalette),
+                    appState.currentPalette,
+                    appState.myFilaments,
+                    bandThickness
+                );
+            }
+        }
+        window.dispatchEvent(new CustomEvent('colorstack:palettematch', { detail: quality }));
+    }
+
+    /**
+     * Colors the band map is built from. Best Fit assigns every pixel straight to its nearest
+     * filament, since that is the error selectFilamentSubset minimizes; the other palettes keep the
+     * bands of the suggested colors and only print them in other filaments.
+     * @returns {Array<string>|null} Hex colors, one per band
+     */
+    function getBandMapPalette() {
+        return appState.activePalette === 'best' && appState.currentPalette
+            ? appState.currentPalette
+            : appState.suggestedPalette;
+    }
+
+    /**
+     * Picks the filaments for "Best Fit" from all of My Filaments by whole-image error and orders
+     * them for stacking. The color histogram only depends on the image, so it is kept until a new
+     * image is loaded.
+     * @returns {Array<string>} Hex colors, one per band
+     */
+    function getBestFitPalette() {
+        const { img, imageData } = appState;
+        if (!appState.colorHistogram || appState.colorHistogram.source !== img) {
+            appState.colorHistogram = {
+                source: img,
+                buckets: buildColorHistogram(imageData, img.width, img.height, getImportance()),
+                backgroundColor: detectBackgroundColor(imageData, img.width, img.height),
+            };
+        }
+
+        const weighted = domElements.bestFitWeightedCheckbox
+            ? domElements.bestFitWeightedCheckbox.checked
+            : true;
+        const palette = selectFilamentSubset(
+            appState.colorHistogram.buckets,
+            appState.myFilaments,
+            appState.suggestedPalette.length,
+            weighted
+        );
+        return orderPaletteForStacking(palette, appState.colorHistogram.backgroundColor);
+    }
+
+    /**
+     * Switches between the suggested colors, the suggestions matched to My Filaments and the
+     * Best Fit subset of My Filaments.
+     * @param {string} palette - 'suggested', 'my' or 'best'
+     */
+    function setActivePalette(palette) {
+        appState.activePalette = palette;
+        const buttons = {
+            suggested: domElements.suggestedPaletteBtn,
+            my: domElements.myPaletteBtn,
+            best: domElements.bestFitPaletteBtn,
+        };
+        Object.entries(buttons).forEach(([name, button]) => {
+            if (!button) return;
+            button.className =
+                name === palette
+                    ? 'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white'
+                    : 'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
+        });
+        if (domElements.bestFitOptions) {
+            domElements.bestFitOptions.classList.toggle('hidden', palette !== 'best');
+        }
+        updatePalette();
+    }
+
     function updatePalette() {
         console.log('updatePalette called, appState.img:', !!appState.img, 'activePalette:', appState.activePalette);
         if (!appState.img) return;
@@ -2015,15 +8118,38 @@
                 console.log('Switching to my palette');
                 const matchedPalette = matchToPalette(
                     appState.suggestedPalette,
-                    appState.myFilaments
+                    appState.myFilaments,
+                    getBandThickness(domElements, appState.bandLayers, appState.suggestedPalette.length)
                 );
                 appState.currentPalette = matchedPalette.slice(); // Create a copy
+                // Picking another color changes the match, so rate it again before re-rendering
+                renderPalette(appState.currentPalette, paletteDiv, () => {
+                    reportPaletteMatch();
+                    handleSettingsChange();
+                }, false);
+            } else if (appState.activePalette === 'best' && appState.myFilaments.length > 0 && appState.imageData) {
+                console.log('Switching to best fit palette');
+                const bandCount = appState.suggestedPalette.length;
+                const filamentCount = appState.myFilaments.length;
+                if (filamentCount < bandCount) {
+                    // Best Fit prints every band in a filament of its own, so the suggested colors stand in
+                    showError(
+                        `Best Fit needs a filament for each of the ${bandCount} bands, but My Filaments has ${filamentCount}. ` +
+                            `Add ${bandCount - filamentCount} more or lower the number of bands.`
+                    );
+                    appState.currentPalette = appState.suggestedPalette.slice();
+                } else {
+                    appState.currentPalette = getBestFitPalette();
+                }
                 renderPalette(appState.currentPalette, paletteDiv, handleSettingsChange, false);
             } else {
                 console.log('Switching to suggested palette');
                 appState.currentPalette = appState.suggestedPalette.slice(); // Create a copy
                 renderPalette(appState.currentPalette, paletteDiv, handleSettingsChange, false);
             }
+            reportPaletteMatch();
+            renderPaintBands();
+            renderBandEditor();
             
             // Initialize SortableJS for drag-and-drop reordering
             if (typeof Sortable !== 'undefined') {
@@ -2038,6 +8164,9 @@
                     ghostClass: 'sortable-ghost',
                     chosenClass: 'sortable-chosen',
                     dragClass: 'sortable-drag',
+                    // Typing a layer count must not start a drag
+                    filter: '.band-layers, .band-pin',
+                    preventOnFilter: false,
                     onEnd: function(evt) {
                         // Get the new order of color elements from the DOM
                         const colorElements = Array.from(paletteDiv.children);
@@ -2050,11 +8179,42 @@
                             return null;
                         }).filter(color => color !== null);
                         
+                        // Layer counts belong to the color, so they move along with it
+                        if (appState.bandLayers && evt.oldIndex !== evt.newIndex) {
+                            const [moved] = appState.bandLayers.splice(evt.oldIndex, 1);
+                            appState.bandLayers.splice(evt.newIndex, 0, moved);
+                        }
+                        // So do the pixels painted with it and the pixels of the band itself
+                        moveBandInMask(evt.oldIndex, evt.newIndex, colorElements.length);
+                        if (appState.bandMap && evt.oldIndex !== evt.newIndex) {
+                            remapBandMap(
+                                appState.bandMap,
+                                getMovedBandIndices(evt.oldIndex, evt.newIndex, colorElements.length)
+                            );
+                        }
+                        appState.selectedBands = [];
+                        // And the shapes of an imported SVG
+                        if (appState.vector && evt.oldIndex !== evt.newIndex) {
+                            const [moved] = appState.vector.bandColors.splice(evt.oldIndex, 1);
+                            appState.vector.bandColors.splice(evt.newIndex, 0, moved);
+                        }
+
                         // Update appState.currentPalette with the new order
                         if (newColorOrder.length > 0) {
+                            if (evt.oldIndex !== evt.newIndex) {
+                                recordBandEdit(
+                                    appState.suggestedPalette,
+                                    newColorOrder,
+                                    { newIndices: getMovedBandIndices(evt.oldIndex, evt.newIndex, colorElements.length) },
+                                    false
+                                );
+                            }
                             appState.currentPalette = newColorOrder;
                             // Update appState.suggestedPalette to keep structural data in sync
                             appState.suggestedPalette = newColorOrder;
+                            reportPaletteMatch();
+                            renderPaintBands();
+                            renderBandEditor();
                             // Re-render the "Processed Preview" with the new color order
                             handleSettingsChange();
                         }
@@ -2077,24 +8237,20 @@
             !!domElements
         );
         try {
-            const baseThicknessInput = domElements.baseThicknessInput;
-            const bandThicknessInput = domElements.bandThicknessInput;
-
-            const baseThickness = parseInt(baseThicknessInput.value, 10);
-            const bandThickness = parseInt(bandThicknessInput.value, 10);
-
             // Get colors from the current palette (which reflects user changes)
             const colors = appState.currentPalette || appState.suggestedPalette || [];
+            const bandLayers = getBandLayers(domElements, appState.bandLayers, colors.length);
 
             let instructionsHTML = '<ul class="space-y-2">';
+            let startLayer = 1;
             colors.forEach(function (color, index) {
                 let text;
                 if (index === 0) {
                     text = 'Start with this color (Base)';
                 } else {
-                    const startLayer = baseThickness + (index - 1) * bandThickness + 1;
                     text = 'Change to this color at Layer ' + startLayer;
                 }
+                startLayer += bandLayers[index];
                 instructionsHTML +=
                     '<li class="flex items-center gap-3"><div class="w-4 h-4 rounded border border-gray-600" style="background-color:' +
                     color +
@@ -2135,13 +8291,17 @@
                         id: Date.now().toString() + Math.random().toString(36).substr(2, 9), // Generate unique ID
                         name: 'New Filament',
                         type: 'PLA',
-                        color: color
+                        color: color,
+                        td: DEFAULT_TRANSMISSION_DISTANCE
                     }));
                     // Save the migrated data
                     saveMyFilaments();
                 } else {
-                    // New format already - use as is
-                    appState.myFilaments = parsedData;
+                    // New format already - fill in the TD for filaments saved before it existed
+                    appState.myFilaments = parsedData.map(filament => ({
+                        td: DEFAULT_TRANSMISSION_DISTANCE,
+                        ...filament
+                    }));
                 }
                 
                 renderMyFilaments(
@@ -2178,7 +8338,8 @@
                 id: Date.now().toString(), // Generate unique ID
                 name: 'New Filament', // Placeholder name
                 type: 'PLA', // Placeholder type
-                color: color
+                color: color,
+                td: DEFAULT_TRANSMISSION_DISTANCE
             };
 
             appState.myFilaments.push(newFilament);
@@ -2189,7 +8350,7 @@
                 removeFilament,
                 openFilamentModal
             );
-            if (appState.activePalette === 'my') updatePalette();
+            if (appState.activePalette !== 'suggested') updatePalette();
             hideModal(domElements);
         } catch (error) {
             console.error('Error adding filament:', error);
@@ -2210,7 +8371,7 @@
                 appState.myFilaments.splice(indexToRemove, 1);
                 saveMyFilaments();
                 renderMyFilaments(appState.myFilaments, domElements.myFilamentsList, removeFilament, openFilamentModal);
-                if (appState.activePalette === 'my') updatePalette();
+                if (appState.activePalette !== 'suggested') updatePalette();
             }
         } catch (error) {
             console.error('Error removing filament:', error);
@@ -2218,11 +8379,360 @@
         }
     }
 
+    /**
+     * Tells the user how many regions were too small for the nozzle and got merged.
+     * @param {number} cleanedRegions - Number of merged regions from removeSmallRegions
+     */
+    function showCleanupSummary(cleanedRegions) {
+        if (!domElements.cleanupSummary) return;
+        domElements.cleanupSummary.textContent = cleanedRegions
+            ? `Merged ${cleanedRegions} ${cleanedRegions === 1 ? 'region' : 'regions'} too small to print`
+            : '';
+    }
+
+    // Only the first findings are listed; the overlay still marks all of them
+    const MAX_LISTED_FINDINGS = 100;
+
+    // Overlay and list colors per finding type
+    const FINDING_STYLES = {
+        thin: { color: '#f59e0b', label: 'Thin feature' },
+        island: { color: '#ef4444', label: 'Island' },
+        sparse: { color: '#a855f7', label: 'Sparse layer' },
+    };
+
+    /**
+     * Outlines the printability findings on the overlay above the processed preview.
+     * @param {Array<Object>} findings - Findings from analyzePrintability
+     * @param {number} [selectedIndex=-1] - Finding to emphasize, -1 for none
+     */
+    function drawPrintabilityOverlay(findings, selectedIndex = -1) {
+        const overlay = domElements.printabilityOverlay;
+        if (!overlay) return;
+
+        overlay.width = domElements.procCanvas.width;
+        overlay.height = domElements.procCanvas.height;
+        const context = overlay.getContext('2d');
+        context.clearRect(0, 0, overlay.width, overlay.height);
+
+        // Lines and margins scale with the image so they stay visible once it is shrunk to fit
+        const lineWidth = Math.max(1, Math.round(Math.max(overlay.width, overlay.height) / 300));
+        findings.forEach((finding, index) => {
+            const selected = index === selectedIndex;
+            const margin = lineWidth * (selected ? 4 : 2);
+            const x = finding.minX - margin;
+            const y = finding.minY - margin;
+            const w = finding.maxX - finding.minX + 1 + margin * 2;
+            const h = finding.maxY - finding.minY + 1 + margin * 2;
+
+            context.globalAlpha = selectedIndex === -1 || selected ? 1 : 0.35;
+            context.strokeStyle = FINDING_STYLES[finding.type].color;
+            context.lineWidth = selected ? lineWidth * 2 : lineWidth;
+            context.strokeRect(x, y, w, h);
+            if (selected) {
+                context.fillStyle = FINDING_STYLES[finding.type].color;
+                context.globalAlpha = 0.25;
+                context.fillRect(x, y, w, h);
+            }
+        });
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Lists the printability findings. Clicking one highlights it on the preview.
+     * @param {Array<Object>} findings - Findings from analyzePrintability
+     */
+    function renderPrintabilityReport(findings) {
+        const container = domElements.printabilityReport;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'text-sm text-gray-300 mb-2';
+        if (findings.length === 0) {
+            summary.textContent = 'No printability problems found.';
+            container.appendChild(summary);
+            return;
+        }
+        summary.textContent = Object.entries(FINDING_STYLES)
+            .map(([type, style]) => {
+                const count = findings.filter(finding => finding.type === type).length;
+                return count > 0 ? `${count} × ${style.label.toLowerCase()}` : null;
+            })
+            .filter(Boolean)
+            .join(', ');
+        container.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'space-y-1 max-h-64 overflow-y-auto';
+        findings.slice(0, MAX_LISTED_FINDINGS).forEach((finding, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'w-full flex items-start gap-2 p-2 rounded-md text-left text-xs text-gray-300 hover:bg-gray-700';
+
+            const marker = document.createElement('span');
+            marker.className = 'mt-1 w-2 h-2 rounded-full flex-shrink-0';
+            marker.style.backgroundColor = FINDING_STYLES[finding.type].color;
+            button.appendChild(marker);
+
+            const text = document.createElement('span');
+            text.textContent = finding.message;
+            button.appendChild(text);
+
+            button.addEventListener('click', () => {
+                Array.from(list.querySelectorAll('button')).forEach(other => {
+                    other.classList.toggle('bg-gray-700', other === button);
+                });
+                drawPrintabilityOverlay(findings, index);
+                domElements.procCanvas.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        if (findings.length > MAX_LISTED_FINDINGS) {
+            const more = document.createElement('p');
+            more.className = 'text-xs text-gray-400 mt-2';
+            more.textContent = `${findings.length - MAX_LISTED_FINDINGS} more are marked on the preview.`;
+            container.appendChild(more);
+        }
+    }
+
+    // Checks the current band map and shows what will not print well
+    function runPrintabilityReport() {
+        if (!appState.bandMap || !appState.img) return;
+        try {
+            const { width, height } = domElements.origCanvas;
+            const findings = analyzePrintability(
+                appState.bandMap,
+                width,
+                height,
+                getPrintabilityOptions(appState, domElements)
+            );
+            renderPrintabilityReport(findings);
+            drawPrintabilityOverlay(findings);
+        } catch (error) {
+            console.error('Error analyzing printability:', error);
+            showError('Failed to analyze the model. Please try again.');
+        }
+    }
+
+    // The report describes one band map, so it is dropped whenever the bands change
+    function clearPrintabilityReport() {
+        if (domElements.printabilityReport) {
+            domElements.printabilityReport.innerHTML = '';
+        }
+        if (domElements.printabilityOverlay) {
+            domElements.printabilityOverlay
+                .getContext('2d')
+                .clearRect(0, 0, domElements.printabilityOverlay.width, domElements.printabilityOverlay.height);
+        }
+    }
+
+    // Longest side of the palette comparison thumbnails in pixels
+    const COMPARISON_THUMBNAIL_SIZE = 160;
+
+    /**
+     * Draws a downscaled copy of an image for the worker's whole-image comparisons.
+     * @param {HTMLImageElement|HTMLCanvasElement} img - Image to shrink
+     * @param {number} maxSize - Longest side in pixels; smaller images keep their size
+     * @returns {ImageData} Pixels of the copy
+     */
+    function getImageThumbnail(img, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+        const thumbnailCanvas = document.createElement('canvas');
+        thumbnailCanvas.width = Math.max(1, Math.round(img.width * scale));
+        thumbnailCanvas.height = Math.max(1, Math.round(img.height * scale));
+        const context = thumbnailCanvas.getContext('2d');
+        context.drawImage(img, 0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+        return context.getImageData(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+    }
+
+    /**
+     * Asks the worker to run every quantization algorithm on the image, so the results can be
+     * compared side by side (see renderPaletteComparison).
+     */
+    function comparePalettes() {
+        if (!appState.img || !appState.imageData) return;
+        if (!imageWorker) {
+            showError('Comparing algorithms needs a browser with Web Worker support.');
+            return;
+        }
+
+        const { img } = appState;
+        const thumbnail = getImageThumbnail(img, COMPARISON_THUMBNAIL_SIZE);
+
+        if (domElements.comparePalettesBtn) {
+            domElements.comparePalettesBtn.disabled = true;
+        }
+        postImageWorkerJob(
+            {
+                type: 'compare_palettes',
+                data: {
+                    imageData: appState.imageData,
+                    numBands: appState.suggestedPalette.length || parseInt(domElements.numBandsInput.value, 10),
+                    width: img.width,
+                    height: img.height,
+                    thumbnail: {
+                        data: thumbnail.data,
+                        width: thumbnail.width,
+                        height: thumbnail.height,
+                    },
+                    colorMetric,
+                    pinnedColors: appState.pinnedColors,
+                    importance: getImportance(),
+                },
+            },
+            false
+        );
+    }
+
+    /**
+     * Shows one thumbnail per quantization algorithm with its palette. Clicking a thumbnail selects
+     * that algorithm and regenerates the palette with it.
+     * @param {Object} result - { comparisons: [{ algorithm, palette, pixels }], width, height } from the worker
+     */
+    function renderPaletteComparison(result) {
+        const container = domElements.paletteComparisonDiv;
+        if (domElements.comparePalettesBtn) {
+            domElements.comparePalettesBtn.disabled = false;
+        }
+        if (!container) return;
+
+        const select = domElements.quantizationSelect;
+        container.innerHTML = '';
+        result.comparisons.forEach(({ algorithm, palette, pixels }) => {
+            const option = select ? Array.from(select.options).find(o => o.value === algorithm) : null;
+            const isSelected = select ? select.value === algorithm : algorithm === 'impactful';
+
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `flex flex-col gap-2 p-2 rounded-lg border-2 text-left transition-colors ${
+                isSelected ? 'border-indigo-500' : 'border-gray-700 hover:border-gray-500'
+            }`;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = result.width;
+            canvas.height = result.height;
+            canvas.className = 'w-full rounded';
+            canvas
+                .getContext('2d')
+                .putImageData(new ImageData(new Uint8ClampedArray(pixels), result.width, result.height), 0, 0);
+            item.appendChild(canvas);
+
+            const label = document.createElement('span');
+            label.className = 'text-xs font-medium text-gray-300';
+            label.textContent = option ? option.text : algorithm;
+            item.appendChild(label);
+
+            const swatches = document.createElement('div');
+            swatches.className = 'flex gap-1';
+            palette.forEach(color => {
+                const swatch = document.createElement('span');
+                swatch.className = 'w-3 h-3 rounded-sm border border-gray-600';
+                swatch.style.backgroundColor = color;
+                swatches.appendChild(swatch);
+            });
+            item.appendChild(swatches);
+
+            item.addEventListener('click', () => {
+                if (!select || select.value === algorithm) return;
+                select.value = algorithm;
+                handleNumBandsChange();
+                Array.from(container.children).forEach(child => {
+                    child.classList.toggle('border-indigo-500', child === item);
+                    child.classList.toggle('border-gray-700', child !== item);
+                });
+            });
+            container.appendChild(item);
+        });
+    }
+
+    // Longest side of the image the band count recommendation measures, kept small because
+    // the worker builds a palette for every band count
+    const RECOMMENDATION_THUMBNAIL_SIZE = 96;
+
+    let bandRecommendationJobId = 0;
+    let bandRecommendationKey = null; // What the last recommendation was asked for
+
+    /**
+     * Asks the worker which band count the image needs (see recommendBandCount). Runs once per
+     * image, quantization algorithm and tier limit; an imported SVG has no recommendation since
+     * its band count is fixed.
+     */
+    function requestBandRecommendation() {
+        const { img } = appState;
+        if (!imageWorker || !img) return;
+        if (appState.vector && !hasImageAdjustments(appState.adjustments)) {
+            bandRecommendationKey = null;
+            window.dispatchEvent(new CustomEvent('colorstack:bandrecommendation', { detail: null }));
+            return;
+        }
+
+        const algorithm = domElements.quantizationSelect ? domElements.quantizationSelect.value : 'impactful';
+        const maxBands = parseInt(domElements.numBandsInput.max, 10) || 8;
+        if (
+            bandRecommendationKey &&
+            bandRecommendationKey.img === img &&
+            bandRecommendationKey.algorithm === algorithm &&
+            bandRecommendationKey.maxBands === maxBands
+        ) {
+            return;
+        }
+        bandRecommendationKey = { img, algorithm, maxBands };
+
+        const thumbnail = getImageThumbnail(img, RECOMMENDATION_THUMBNAIL_SIZE);
+        postImageWorkerJob(
+            {
+                type: 'recommend_bands',
+                data: {
+                    jobId: ++bandRecommendationJobId,
+                    thumbnail: {
+                        data: thumbnail.data,
+                        width: thumbnail.width,
+                        height: thumbnail.height,
+                    },
+                    maxBands,
+                    algorithm,
+                },
+            },
+            false
+        );
+    }
+
+    /**
+     * Passes the worker's recommendation on to the band count slider, unless the image or
+     * settings changed while it was worked out.
+     * @param {Object} result - { jobId, bands, errors } from the worker
+     */
+    function handleBandRecommendation(result) {
+        if (result.jobId !== bandRecommendationJobId) return;
+        window.dispatchEvent(
+            new CustomEvent('colorstack:bandrecommendation', {
+                detail: { bands: result.bands, errors: result.errors },
+            })
+        );
+    }
+
     // Enhanced invert palette function
     function invertPalette() {
         try {
             if (appState.suggestedPalette.length > 0) {
+                const numBands = appState.suggestedPalette.length;
+                const reversed = Array.from({ length: numBands }, (_, band) => numBands - 1 - band);
+                recordBandEdit(appState.suggestedPalette, appState.suggestedPalette.slice().reverse(), { newIndices: reversed }, false);
                 appState.suggestedPalette.reverse();
+                if (appState.bandLayers) {
+                    appState.bandLayers.length = appState.suggestedPalette.length;
+                    appState.bandLayers = Array.from(appState.bandLayers).reverse();
+                }
+                if (appState.vector) {
+                    appState.vector.bandColors.reverse();
+                }
+                if (appState.bandMask) remapBandMask(appState.bandMask, reversed);
+                if (appState.bandMap) remapBandMap(appState.bandMap, reversed);
+                appState.selectedBands = [];
                 updatePalette();
             }
         } catch (error) {
@@ -2311,6 +8821,86 @@
             if (domElements.numBandsInput && !window.skipFileInputSetup) {
                 domElements.numBandsInput.addEventListener('input', debounce(handleNumBandsChange, 250));
             }
+            if (domElements.ditherMethodSelect) {
+                domElements.ditherMethodSelect.addEventListener('change', handleSettingsChange);
+            }
+            if (domElements.nozzleDiameterInput) {
+                domElements.nozzleDiameterInput.addEventListener('input', debounce(handleSettingsChange, 250));
+            }
+            if (domElements.mergeSmallRegionsToggle) {
+                domElements.mergeSmallRegionsToggle.addEventListener('change', handleSettingsChange);
+            }
+            if (domElements.quantizationSelect) {
+                domElements.quantizationSelect.addEventListener('change', handleNumBandsChange);
+            }
+            if (domElements.comparePalettesBtn) {
+                domElements.comparePalettesBtn.addEventListener('click', comparePalettes);
+            }
+            if (domElements.analyzePrintabilityBtn) {
+                domElements.analyzePrintabilityBtn.addEventListener('click', runPrintabilityReport);
+            }
+            if (domElements.paintBrushBtn) {
+                domElements.paintBrushBtn.addEventListener('click', () => setPaintTool('brush'));
+            }
+            if (domElements.paintLassoBtn) {
+                domElements.paintLassoBtn.addEventListener('click', () => setPaintTool('lasso'));
+            }
+            if (domElements.paintFillBtn) {
+                domElements.paintFillBtn.addEventListener('click', () => setPaintTool('fill'));
+            }
+            if (domElements.clearBandMaskBtn) {
+                domElements.clearBandMaskBtn.addEventListener('click', clearBandMask);
+            }
+            if (domElements.paintOverlay) {
+                domElements.paintOverlay.addEventListener('pointerdown', handlePaintPointerDown);
+                domElements.paintOverlay.addEventListener('pointermove', handlePaintPointerMove);
+                domElements.paintOverlay.addEventListener('pointerup', handlePaintPointerUp);
+                domElements.paintOverlay.addEventListener('pointercancel', handlePaintPointerUp);
+            }
+            if (domElements.mergeBandsBtn) {
+                domElements.mergeBandsBtn.addEventListener('click', () => {
+                    if (appState.selectedBands.length === 2) mergeBands(...appState.selectedBands);
+                });
+            }
+            if (domElements.splitBandBtn) {
+                domElements.splitBandBtn.addEventListener('click', () => {
+                    if (appState.selectedBands.length === 1) splitBand(appState.selectedBands[0]);
+                });
+            }
+            if (domElements.measureAccuracyCheckbox) {
+                domElements.measureAccuracyCheckbox.addEventListener('change', refreshPaletteAccuracy);
+            }
+            if (domElements.errorHeatmapCheckbox) {
+                domElements.errorHeatmapCheckbox.addEventListener('change', refreshPaletteAccuracy);
+            }
+            if (domElements.importancePaintBtn) {
+                domElements.importancePaintBtn.addEventListener('click', () => setImportanceTool('paint'));
+            }
+            if (domElements.importanceEraseBtn) {
+                domElements.importanceEraseBtn.addEventListener('click', () => setImportanceTool('erase'));
+            }
+            if (domElements.importanceClearBtn) {
+                domElements.importanceClearBtn.addEventListener('click', clearImportanceMap);
+            }
+            if (domElements.importanceBlendCheckbox) {
+                domElements.importanceBlendCheckbox.addEventListener('change', () => {
+                    if (appState.importanceMask) handleImportanceChange();
+                });
+            }
+            if (domElements.importanceOverlay) {
+                domElements.importanceOverlay.addEventListener('pointerdown', handleImportancePointerDown);
+                domElements.importanceOverlay.addEventListener('pointermove', handleImportancePointerMove);
+                domElements.importanceOverlay.addEventListener('pointerup', handleImportancePointerUp);
+                domElements.importanceOverlay.addEventListener('pointercancel', handleImportancePointerUp);
+            }
+            if (domElements.colorMetricSelect) {
+                setColorMetric(domElements.colorMetricSelect.value);
+                domElements.colorMetricSelect.addEventListener('change', () => {
+                    setColorMetric(domElements.colorMetricSelect.value);
+                    // Filament matching and band assignment both depend on the metric
+                    updatePalette();
+                });
+            }
             if (domElements.layerHeightInput) {
                 domElements.layerHeightInput.addEventListener('input', () => {
                     // --- START NEW LOGIC ---
@@ -2318,7 +8908,7 @@
                         domElements.layerHeightInput.value = 1;
                     }
                     // --- END NEW LOGIC ---
-                    handleSettingsChange();
+                    handleBandThicknessChange();
                 });
             }
             if (domElements.baseThicknessInput) {
@@ -2338,7 +8928,7 @@
                         domElements.bandThicknessInput.value = 20;
                     }
                     // --- END NEW LOGIC ---
-                    handleSettingsChange();
+                    handleBandThicknessChange();
                 });
             }
             if (domElements.xSizeInput) {
@@ -2437,24 +9027,22 @@
                 domElements.addFilamentBtn.onclick = addFilament;
             }
             if (domElements.suggestedPaletteBtn) {
-                domElements.suggestedPaletteBtn.onclick = function () {
-                    appState.activePalette = 'suggested';
-                    domElements.suggestedPaletteBtn.className =
-                        'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white';
-                    domElements.myPaletteBtn.className =
-                        'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
-                    updatePalette();
-                };
+                domElements.suggestedPaletteBtn.onclick = () => setActivePalette('suggested');
             }
             if (domElements.myPaletteBtn) {
-                domElements.myPaletteBtn.onclick = function () {
-                    appState.activePalette = 'my';
-                    domElements.myPaletteBtn.className =
-                        'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white';
-                    domElements.suggestedPaletteBtn.className =
-                        'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
-                    updatePalette();
-                };
+                domElements.myPaletteBtn.onclick = () => setActivePalette('my');
+            }
+            if (domElements.bestFitPaletteBtn) {
+                domElements.bestFitPaletteBtn.onclick = () => setActivePalette('best');
+            }
+            if (domElements.bestFitWeightedCheckbox) {
+                domElements.bestFitWeightedCheckbox.addEventListener('change', updatePalette);
+            }
+            if (domElements.eyedropperBtn) {
+                domElements.eyedropperBtn.addEventListener('click', toggleEyedropper);
+            }
+            if (domElements.origCanvas) {
+                domElements.origCanvas.addEventListener('click', handleEyedropperClick);
             }
             if (domElements.invertPaletteBtn) {
                 domElements.invertPaletteBtn.onclick = invertPalette;
@@ -2495,11 +9083,8 @@
                         appState.img = null;
                         appState.bandMap = null;
                         appState.suggestedPalette = [];
-                        appState.activePalette = 'suggested';
-                        domElements.suggestedPaletteBtn.className =
-                            'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white';
-                        domElements.myPaletteBtn.className =
-                            'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
+                        appState.bandLayers = [];
+                        setActivePalette('suggested');
                     } catch (error) {
                         console.error('Error resetting app:', error);
                         showError('Failed to reset application. Please refresh the page.');
@@ -2525,9 +9110,46 @@
                 fileInput: document.getElementById('fileInput'),
                 origCanvas: document.getElementById('origCanvas'),
                 procCanvas: document.getElementById('procCanvas'),
+                lithoCanvas: document.getElementById('lithoCanvas'),
                 paletteDiv: document.getElementById('palette'),
                 numBandsInput: document.getElementById('numBands'),
                 numBandsValue: document.getElementById('numBandsValue'),
+                ditherMethodSelect: document.getElementById('ditherMethod'),
+                colorMetricSelect: document.getElementById('colorMetric'),
+                quantizationSelect: document.getElementById('quantizationAlgorithm'),
+                nozzleDiameterInput: document.getElementById('nozzleDiameter'),
+                mergeSmallRegionsToggle: document.getElementById('mergeSmallRegions'),
+                cleanupSummary: document.getElementById('cleanupSummary'),
+                analyzePrintabilityBtn: document.getElementById('analyzePrintabilityBtn'),
+                printabilityReport: document.getElementById('printabilityReport'),
+                paintOverlay: document.getElementById('paintOverlay'),
+                paintBrushBtn: document.getElementById('paintBrushBtn'),
+                paintLassoBtn: document.getElementById('paintLassoBtn'),
+                paintFillBtn: document.getElementById('paintFillBtn'),
+                paintBrushSize: document.getElementById('paintBrushSize'),
+                paintBandChoices: document.getElementById('paintBandChoices'),
+                bandMaskSummary: document.getElementById('bandMaskSummary'),
+                clearBandMaskBtn: document.getElementById('clearBandMaskBtn'),
+                errorOverlay: document.getElementById('errorOverlay'),
+                bandEditorChoices: document.getElementById('bandEditorChoices'),
+                mergeBandsBtn: document.getElementById('mergeBandsBtn'),
+                splitBandBtn: document.getElementById('splitBandBtn'),
+                measureAccuracyCheckbox: document.getElementById('measureAccuracy'),
+                errorHeatmapCheckbox: document.getElementById('showErrorHeatmap'),
+                accuracyStats: document.getElementById('accuracyStats'),
+                importanceOverlay: document.getElementById('importanceOverlay'),
+                importancePaintBtn: document.getElementById('importancePaintBtn'),
+                importanceEraseBtn: document.getElementById('importanceEraseBtn'),
+                importanceBrushSize: document.getElementById('importanceBrushSize'),
+                importanceBlendCheckbox: document.getElementById('importanceBlend'),
+                importanceClearBtn: document.getElementById('importanceClearBtn'),
+                importanceSummary: document.getElementById('importanceSummary'),
+                printabilityOverlay: document.getElementById('printabilityOverlay'),
+                comparePalettesBtn: document.getElementById('comparePalettesBtn'),
+                paletteComparisonDiv: document.getElementById('paletteComparison'),
+                bestFitPaletteBtn: document.getElementById('bestFitPaletteBtn'),
+                bestFitOptions: document.getElementById('bestFitOptions'),
+                bestFitWeightedCheckbox: document.getElementById('bestFitWeighted'),
                 layerHeightInput: document.getElementById('layerHeight'),
                 bandThicknessInput: document.getElementById('bandThickness'),
                 baseThicknessInput: document.getElementById('baseThickness'),
@@ -2537,6 +9159,7 @@
                 layerSlider: document.getElementById('layerSlider'),
                 layerValue: document.getElementById('layerValue'),
                 maxLayers: document.getElementById('maxLayers'),
+                layerPrintRange: document.getElementById('layerPrintRange'),
                 singleLayerToggle: document.getElementById('singleLayerToggle'),
                 exportBtn: document.getElementById('exportBtn'),
                 newImageBtn: document.getElementById('newImageBtn'),
@@ -2544,6 +9167,7 @@
                 suggestedPaletteBtn: document.getElementById('suggestedPaletteBtn'),
                 myPaletteBtn: document.getElementById('myPaletteBtn'),
                 invertPaletteBtn: document.getElementById('invertPaletteBtn'),
+                eyedropperBtn: document.getElementById('eyedropperBtn'),
                 addFilamentBtn: document.getElementById('addFilamentBtn'),
                 myFilamentsList: document.getElementById('myFilamentsList'),
                 modal: document.getElementById('modal'),
@@ -2563,10 +9187,30 @@
                 myFilaments: [],
                 suggestedPalette: [],
                 currentPalette: [],
+                bandLayers: [], // Per band layer counts set next to the swatches, empty uses the inputs
+                vector: null, // Shapes of an imported SVG, extruded directly (see importSvg)
+                sourceImg: null, // The uploaded image; img is this image after pre-processing
+                adjustments: null, // Pre-processing settings from the React editor
+                bandMask: null, // Bands painted by hand, layered over bandMap (see applyBandMask)
+                paintTool: null, // 'brush', 'lasso' or 'fill' while painting on the preview
+                paintBand: 0, // Band to paint with, null to give pixels back to the automatic colors
+                pinnedColors: [], // Lowercase hex colors kept when the palette is regenerated
+                eyedropper: false, // Clicking origCanvas picks a color to pin
+                importanceMask: null, // 1 where the user painted the subject; replaces the center bias
+                selectedBands: [], // Bands picked in the band editor, at most two
+                editedBandCount: null, // Band count set by a merge or split, so it isn't regenerated
+                bandEdits: null, // Merges and splits repeated on every band map (see recordBandEdit)
+                importanceTool: null, // 'paint' or 'erase' while painting on the original image
                 activePalette: 'suggested',
                 isInitialLoad: true, // Flag for stabilizing refresh
                 isAspectRatioLocked: true, // Aspect ratio lock enabled by default
                 aspectRatio: 1, // Default aspect ratio (1:1)
+                lithophane: {
+                    enabled: false,
+                    minThickness: 0.8,
+                    maxThickness: 3.2,
+                    inverted: false,
+                },
             };
 
             // Make appState globally accessible for the color picker
@@ -2614,9 +9258,12 @@
                         imageWorker.onmessage = function (e) {
                             const { type, data } = e.data;
 
-                            // Show a spinner ONLY when starting a task, and hide it on any response.
+                            // Every reply but the handshake settles the oldest job (see postImageWorkerJob)
                             if (type !== 'worker_ready') {
-                                domElements.spinner.style.display = 'none';
+                                imageWorkerJobs.shift();
+                                if (!imageWorkerJobs.includes(true)) {
+                                    domElements.spinner.style.display = 'none';
+                                }
                             }
 
                             switch (type) {
@@ -2627,13 +9274,29 @@
                                     break;
 
                                 case 'palette_generated':
+                                    remapBandMaskToPalette(appState.suggestedPalette, data.suggestedPalette);
                                     appState.suggestedPalette = data.suggestedPalette;
+                                    appState.bandLayers = [];
                                     updatePalette(); // This will trigger the call to process the image
                                     break;
 
+                                case 'image_adjusted':
+                                    handleImageAdjusted(data);
+                                    break;
+
+                                case 'palettes_compared':
+                                    renderPaletteComparison(data);
+                                    break;
+
+                                case 'bands_recommended':
+                                    handleBandRecommendation(data);
+                                    break;
+
                                 case 'image_processed':
                                     if (data.bandMap && data.previewImageData) {
                                         appState.bandMap = new Float32Array(data.bandMap);
+                                        showCleanupSummary(data.cleanedRegions);
+                                        clearPrintabilityReport();
                                         const previewImage = new ImageData(
                                             new Uint8ClampedArray(data.previewImageData.data),
                                             data.previewImageData.width,
@@ -2642,6 +9305,7 @@
                                         domElements.procCanvas
                                             .getContext('2d')
                                             .putImageData(previewImage, 0, 0);
+                                        refreshPaletteAccuracy();
                                     } else {
                                         showError('Image processing failed to return valid data.');
                                     }
@@ -2700,6 +9364,9 @@
                                     showError(
                                         data.message || 'An unknown error occurred in the worker.'
                                     );
+                                    if (domElements.comparePalettesBtn) {
+                                        domElements.comparePalettesBtn.disabled = false;
+                                    }
                                     break;
 
                                 default:
@@ -2711,6 +9378,7 @@
                         // Set up worker error handler
                         imageWorker.onerror = function (error) {
                             console.error('Worker error:', error);
+                            imageWorkerJobs.length = 0;
                             showError('Image processing failed. Please try again.');
                             if (window.domElements && window.domElements.spinner) {
                                 window.domElements.spinner.style.display = 'none';
@@ -2773,6 +9441,13 @@
             window.hexToRgb = hexToRgb;
             window.getLuminance = getLuminance;
             window.generateStl = generateStl;
+            window.generate3mf = generate3mf;
+            window.generateStlBodies = generateStlBodies;
+            window.generateSmoothStl = generateSmoothStl;
+            window.generateSvg = generateSvg;
+            window.exportStl = exportStl;
+            window.export3mf = export3mf;
+            window.cancelStlExport = cancelStlExport;
             window.renderPalette = renderPalette;
             window.updatePalette = updatePalette;
             window.resetApp = resetApp;
@@ -2789,6 +9464,8 @@
                 window.handleFile = handleFile;
     window.handleSettingsChange = handleSettingsChange;
     window.handleNumBandsChange = handleNumBandsChange;
+    window.handleLithophaneChange = handleLithophaneChange;
+    window.handleImageAdjustmentsChange = handleImageAdjustmentsChange;
 
             // Debug DOM elements
             console.log('DOM Elements found:', {
@@ -2843,6 +9520,7 @@
         const name = isEditMode ? filament.name : '';
         const type = isEditMode ? filament.type : 'PLA';
         const color = isEditMode ? filament.color : '#ff0000';
+        const td = isEditMode ? filament.td : DEFAULT_TRANSMISSION_DISTANCE;
         
         // Create modal content
         const modalContent = `
@@ -2876,6 +9554,24 @@
                     </select>
                 </div>
                 
+                <div>
+                    <label for="filamentTd" class="block text-sm font-medium text-gray-300 mb-2">
+                        Transmission Distance (mm)
+                    </label>
+                    <input 
+                        type="number" 
+                        id="filamentTd" 
+                        value="${td}"
+                        min="0.1"
+                        max="50"
+                        step="0.1"
+                        class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                    <p class="text-xs text-gray-400 mt-1">
+                        Thickness at which no light passes through. Used to preview how stacked layers blend.
+                    </p>
+                </div>
+                
                 <div>
                     <label class="block text-sm font-medium text-gray-300 mb-2">
                         Filament Color
@@ -2920,6 +9616,7 @@
         function setupFilamentModalEventListeners() {
             const nameInput = document.getElementById('filamentName');
             const typeSelect = document.getElementById('filamentType');
+            const tdInput = document.getElementById('filamentTd');
             const colorInput = document.getElementById('colorInput');
             const colorPreview = document.getElementById('colorPreview');
             const saveBtn = document.getElementById('saveBtn');
@@ -2973,6 +9670,7 @@
                     let newName = nameInput.value.trim();
                     const newType = typeSelect.value;
                     const newColor = colorInput.value.trim();
+                    const newTd = parseFloat(tdInput.value);
                     
                     // Smart naming: If name is empty, generate one from the color
                     if (!newName && !isEditMode) {
@@ -3009,6 +9707,11 @@
                         return;
                     }
                     
+                    if (!(newTd > 0)) {
+                        showError('Please enter a transmission distance greater than 0.');
+                        return;
+                    }
+                    
                     // Check for duplicate colors (except in edit mode for the same filament)
                     const existingFilament = appState.myFilaments.find(f => 
                         f.color === newColor && (!isEditMode || f.id !== filamentId)
@@ -3026,11 +9729,12 @@
                                 filamentToUpdate.name = newName;
                                 filamentToUpdate.type = newType;
                                 filamentToUpdate.color = newColor;
+                                filamentToUpdate.td = newTd;
                             }
                         } else {
                             // Check filament limit
-                            if (appState.myFilaments.length >= 16) {
-                                showError('You can only have up to 16 filaments. Please remove some before adding new ones.');
+                            if (appState.myFilaments.length >= MAX_FILAMENTS) {
+                                showError(`You can only have up to ${MAX_FILAMENTS} filaments. Please remove some before adding new ones.`);
                                 return;
                             }
                             
@@ -3039,7 +9743,8 @@
                                 id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
                                 name: newName,
                                 type: newType,
-                                color: newColor
+                                color: newColor,
+                                td: newTd
                             };
                             appState.myFilaments.push(newFilament);
                         }
@@ -3047,7 +9752,7 @@
                         // Save and update UI
                         saveMyFilaments();
                         renderMyFilaments(appState.myFilaments, domElements.myFilamentsList, removeFilament, openFilamentModal);
-                        if (appState.activePalette === 'my') updatePalette();
+                        if (appState.activePalette !== 'suggested') updatePalette();
                         hideModal(domElements);
                         
                     } catch (error) {
@@ -0,0 +1,44 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import MainContent from './MainContent';
+import { flushLegacyScript, loadLegacyImage } from './legacyTestUtils';
+
+describe('BandPainter', () => {
+  // One pixel row in four bands: black, two dark grays, two light grays and white
+  const colors = ['#101010', '#303030', '#505050', '#b0b0b0', '#d0d0d0', '#f0f0f0'];
+  const palette = ['#000000', '#404040', '#c0c0c0', '#ffffff'];
+
+  const painter = () => within(screen.getByText('Fix Regions').closest('.card') as HTMLElement);
+
+  const clickPixel = (x: number) => {
+    const overlay = document.getElementById('paintOverlay') as HTMLCanvasElement;
+    jest.spyOn(overlay, 'getBoundingClientRect').mockReturnValue({
+      left: 0,
+      top: 0,
+      width: colors.length,
+      height: 1,
+    } as DOMRect);
+    // jsdom has no PointerEvent, so fireEvent.pointerDown would drop the coordinates
+    fireEvent(overlay, new MouseEvent('pointerdown', { bubbles: true, clientX: x + 0.5, clientY: 0.5 }));
+  };
+
+  it('fills a region with the chosen band and gives it back on Clear', async () => {
+    render(<MainContent />);
+    const appState = await loadLegacyImage(colors, palette);
+    expect(Array.from(appState.bandMap)).toEqual([0, 1, 1, 2, 2, 3]);
+    expect(painter().getByText('Clear')).toBeDisabled();
+
+    fireEvent.click(painter().getByText('Fill'));
+    fireEvent.click(screen.getByRole('button', { name: 'Paint band 4' }));
+    clickPixel(1);
+    await flushLegacyScript();
+
+    expect(Array.from(appState.bandMap)).toEqual([0, 3, 3, 2, 2, 3]);
+    expect(painter().getByText('Clear')).toBeEnabled();
+
+    fireEvent.click(painter().getByText('Clear'));
+    await flushLegacyScript();
+
+    expect(Array.from(appState.bandMap)).toEqual([0, 1, 1, 2, 2, 3]);
+    expect(painter().getByText('Clear')).toBeDisabled();
+  });
+});
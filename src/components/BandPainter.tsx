@@ -0,0 +1,59 @@
+'use client';
+
+import React from 'react';
+
+const TOOLS = [
+  { id: 'paintBrushBtn', icon: 'brush', label: 'Brush' },
+  { id: 'paintLassoBtn', icon: 'gesture', label: 'Lasso' },
+  { id: 'paintFillBtn', icon: 'format_color_fill', label: 'Fill' }
+];
+
+const BandPainter: React.FC = () => {
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Fix Regions</h2>
+        <button
+          id="clearBandMaskBtn"
+          className="px-3 py-2 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+          disabled
+        >
+          Clear
+        </button>
+      </div>
+      <p className="text-xs text-gray-400">
+        Force pixels into a band where the automatic colors get a region wrong. Pick a band, then paint, lasso or
+        fill on the processed preview. Painted pixels stay when the palette changes; Auto gives them back.
+      </p>
+      <div className="flex flex-wrap items-center gap-2 mt-4">
+        {TOOLS.map(tool => (
+          <button
+            key={tool.id}
+            id={tool.id}
+            type="button"
+            aria-pressed="false"
+            className="px-3 py-1 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600"
+          >
+            <span className="material-icons text-base align-middle mr-1">{tool.icon}</span>
+            {tool.label}
+          </button>
+        ))}
+        <label className="flex items-center gap-2 text-xs text-gray-400 ml-auto" htmlFor="paintBrushSize">
+          Size
+          <input
+            id="paintBrushSize"
+            className="w-24 h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer slider-track"
+            type="range"
+            min="1"
+            max="60"
+            defaultValue="8"
+          />
+        </label>
+      </div>
+      <div id="paintBandChoices" className="flex flex-wrap gap-2 mt-4 empty:hidden"></div>
+      <div id="bandMaskSummary" className="text-xs text-gray-500 mt-2 empty:hidden"></div>
+    </div>
+  );
+};
+
+export default BandPainter;
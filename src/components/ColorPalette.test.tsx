@@ -0,0 +1,180 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ColorPalette, { BandMatch } from './ColorPalette';
+import MainContent from './MainContent';
+import Modal from './Modal';
+import { flushLegacyScript, loadLegacyImage } from './legacyTestUtils';
+
+describe('ColorPalette', () => {
+  it('shows no match scores for the suggested palette', () => {
+    render(<ColorPalette />);
+
+    expect(screen.getByText('Color Palette')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Match quality')).not.toBeInTheDocument();
+  });
+
+  it('shows a score per band and warns about reused and poor matches', () => {
+    const bandMatches: BandMatch[] = [
+      { band: 0, score: 96, deltaE: 2, reused: true, poor: false },
+      { band: 1, score: 40, deltaE: 30, reused: false, poor: true },
+      { band: 2, score: 90, deltaE: 5, reused: true, poor: false }
+    ];
+    render(<ColorPalette activePalette="my" bandMatches={bandMatches} />);
+
+    expect(screen.getByText('96')).toHaveAttribute('title', 'Band 1: ΔE 2.0');
+    expect(screen.getByText('40')).toHaveClass('text-red-400');
+    expect(
+      screen.getByText('Bands 1, 3 share a filament. Add more filaments to tell them apart.')
+    ).toBeInTheDocument();
+    expect(screen.getByText('Band 2 has no close filament match.')).toBeInTheDocument();
+  });
+
+  it('offers Best Fit and shows its weighting option only while it is active', () => {
+    const onPaletteChange = jest.fn();
+    const { rerender } = render(<ColorPalette onPaletteChange={onPaletteChange} />);
+
+    expect(screen.getByLabelText('Favor edges and the image center').parentElement).toHaveClass('hidden');
+    fireEvent.click(screen.getByText('Best Fit'));
+    expect(onPaletteChange).toHaveBeenCalledWith('best');
+
+    rerender(<ColorPalette activePalette="best" />);
+    expect(screen.getByText('Best Fit')).toHaveClass('bg-indigo-600');
+    expect(screen.getByLabelText('Favor edges and the image center')).toBeChecked();
+    expect(screen.getByLabelText('Favor edges and the image center').parentElement).not.toHaveClass('hidden');
+  });
+
+});
+
+describe('ColorPalette Best Fit', () => {
+  const colors = ['#101010', '#303030', '#505050', '#b0b0b0', '#d0d0d0', '#f0f0f0'];
+  const palette = ['#000000', '#404040', '#c0c0c0', '#ffffff'];
+  const filaments = (hexes: string[]) =>
+    hexes.map((color, i) => ({ id: String(i), name: `Filament ${i + 1}`, type: 'PLA', color, td: 1 }));
+
+  const showBestFit = async (hexes: string[]) => {
+    render(
+      <>
+        <MainContent />
+        <Modal isOpen={false} title="" onClose={() => {}}>
+          {null}
+        </Modal>
+      </>
+    );
+    const appState = await loadLegacyImage(colors, palette);
+    Object.assign(appState, { myFilaments: filaments(hexes), activePalette: 'best' });
+    window.updatePalette!();
+    return appState;
+  };
+
+  it('picks a filament for every band', async () => {
+    const appState = await showBestFit(['#101010', '#303030', '#505050', '#b0b0b0', '#d0d0d0', '#f0f0f0']);
+
+    expect(appState.currentPalette).toHaveLength(palette.length);
+    expect(document.getElementById('modal')).toHaveStyle({ display: 'none' });
+  });
+
+  it('asks for more filaments instead of leaving bands without one', async () => {
+    const appState = await showBestFit(['#101010', '#f0f0f0']);
+
+    expect(screen.getByText(/^Best Fit needs a filament for each of the 4 bands, but My Filaments has 2\. Add 2 more/)).toBeInTheDocument();
+    expect(appState.currentPalette).toEqual(palette);
+  });
+});
+
+describe('ColorPalette pins', () => {
+  const colors = ['#101010', '#303030', '#505050', '#b0b0b0', '#d0d0d0', '#f0f0f0'];
+  const palette = ['#000000', '#404040', '#c0c0c0', '#ffffff'];
+
+  it('pins a color and unpins it on a second click', async () => {
+    render(<MainContent />);
+    const appState = await loadLegacyImage(colors, palette);
+    const pin = screen.getAllByRole('button', { name: 'Pin color' })[1];
+    expect(pin).toHaveAttribute('aria-pressed', 'false');
+
+    fireEvent.click(pin);
+
+    expect(pin).toHaveAttribute('aria-pressed', 'true');
+    expect(appState.pinnedColors).toEqual(['#404040']);
+
+    fireEvent.click(pin);
+
+    expect(pin).toHaveAttribute('aria-pressed', 'false');
+    expect(appState.pinnedColors).toEqual([]);
+  });
+
+  it('pins a color picked from the image and asks for a band more', async () => {
+    render(<MainContent />);
+    const appState = await loadLegacyImage(colors, palette);
+    const onNumBands = jest.fn();
+    window.addEventListener('colorstack:numbands', onNumBands);
+    const eyedropper = screen.getByRole('button', { name: 'Pick a color from the image' });
+
+    fireEvent.click(eyedropper);
+    expect(eyedropper).toHaveAttribute('aria-pressed', 'true');
+
+    // jsdom lays nothing out, so the original image is placed one screen pixel per image pixel
+    const canvas = document.getElementById('origCanvas') as HTMLCanvasElement;
+    jest.spyOn(canvas, 'getBoundingClientRect').mockReturnValue({
+      left: 0,
+      top: 0,
+      width: colors.length,
+      height: 1,
+    } as DOMRect);
+    fireEvent.click(canvas, { clientX: 3.5, clientY: 0.5 });
+    window.removeEventListener('colorstack:numbands', onNumBands);
+
+    expect(eyedropper).toHaveAttribute('aria-pressed', 'false');
+    // The pick averages the clicked pixel (#b0b0b0) with its neighbours
+    expect(appState.pinnedColors).toEqual(['#9b9b9b']);
+    expect(onNumBands).toHaveBeenCalledWith(expect.objectContaining({ detail: palette.length + 1 }));
+  });
+});
+
+describe('ColorPalette band editor', () => {
+  // One pixel row: a near-black, two dark grays, two light grays and a near-white pixel
+  const colors = ['#101010', '#303030', '#505050', '#b0b0b0', '#d0d0d0', '#f0f0f0'];
+  const palette = ['#000000', '#404040', '#c0c0c0', '#ffffff'];
+
+  let onNumBands: jest.Mock;
+  beforeEach(() => {
+    onNumBands = jest.fn();
+    window.addEventListener('colorstack:numbands', onNumBands);
+  });
+  afterEach(() => window.removeEventListener('colorstack:numbands', onNumBands));
+
+  const loadImage = async () => {
+    render(<MainContent />);
+    const appState = await loadLegacyImage(colors, palette);
+    expect(Array.from(appState.bandMap)).toEqual([0, 1, 1, 2, 2, 3]);
+    expect(screen.getByText('Merge')).toBeDisabled();
+    expect(screen.getByText('Split')).toBeDisabled();
+    return appState;
+  };
+
+  it('keeps the pixels of two merged bands together and leaves the other bands alone', async () => {
+    const appState = await loadImage();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Select band 2' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Select band 3' }));
+    fireEvent.click(screen.getByText('Merge'));
+    await flushLegacyScript();
+
+    // The merged gray is nearer to black and white than to some of its own pixels
+    expect(appState.suggestedPalette).toEqual(['#000000', '#808080', '#ffffff']);
+    expect(Array.from(appState.bandMap)).toEqual([0, 1, 1, 1, 1, 2]);
+    expect(onNumBands).toHaveBeenCalledWith(expect.objectContaining({ detail: 3 }));
+  });
+
+  it('splits a band by the colors of its pixels and asks for a band more', async () => {
+    const appState = await loadImage();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Select band 2' }));
+    expect(screen.getByText('Merge')).toBeDisabled();
+    fireEvent.click(screen.getByText('Split'));
+    await flushLegacyScript();
+
+    // Each pixel of the split band goes to the new color nearest to it
+    expect(appState.suggestedPalette).toEqual(['#000000', '#505050', '#303030', '#c0c0c0', '#ffffff']);
+    expect(Array.from(appState.bandMap)).toEqual([0, 2, 1, 3, 3, 4]);
+    expect(onNumBands).toHaveBeenCalledWith(expect.objectContaining({ detail: 5 }));
+  });
+});
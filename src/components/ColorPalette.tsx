@@ -2,10 +2,23 @@
 
 import React from 'react';
 
+// 'best' picks the bands from My Filaments by whole-image error instead of matching the suggestions
+export type PaletteMode = 'suggested' | 'my' | 'best';
+
+// How well one band of "My Palette" reproduces its suggested color, reported by the legacy script
+export interface BandMatch {
+  band: number;
+  score: number; // 0-100, 100 is a perfect match
+  deltaE: number;
+  reused: boolean; // The filament is also used by another band
+  poor: boolean;
+}
+
 interface ColorPaletteProps {
-  activePalette?: 'suggested' | 'my';
-  onPaletteChange?: (palette: 'suggested' | 'my') => void;
+  activePalette?: PaletteMode;
+  onPaletteChange?: (palette: PaletteMode) => void;
   onInvertPalette?: () => void;
+  bandMatches?: BandMatch[] | null;
   children?: React.ReactNode; // For the palette colors that will be dynamically generated
 }
 
@@ -13,8 +26,12 @@ const ColorPalette: React.FC<ColorPaletteProps> = ({
   activePalette = 'suggested',
   onPaletteChange,
   onInvertPalette,
+  bandMatches = null,
   children
 }) => {
+  const reusedBands = bandMatches?.filter(match => match.reused).map(match => match.band + 1) ?? [];
+  const poorBands = bandMatches?.filter(match => match.poor).map(match => match.band + 1) ?? [];
+
   return (
     <div className="card p-6">
       <h2 className="text-lg font-semibold mb-4">Color Palette</h2>
@@ -42,24 +59,123 @@ const ColorPalette: React.FC<ColorPaletteProps> = ({
           >
             My Palette
           </button>
-        </div>
-        <div className="relative has-tooltip">
           <button 
-            id="invertPaletteBtn" 
-            className="p-2 rounded-full hover:bg-gray-700"
-            onClick={onInvertPalette}
+            id="bestFitPaletteBtn" 
+            className={`px-3 py-1 text-sm font-medium rounded-md ${
+              activePalette === 'best' 
+                ? 'bg-indigo-600 text-white' 
+                : 'text-gray-300 hover:bg-gray-700'
+            }`}
+            onClick={() => onPaletteChange?.('best')}
           >
-            <span className="material-icons text-gray-400">swap_vert</span>
+            Best Fit
           </button>
-          <div className="tooltip -top-8 right-0 px-2 py-1 bg-gray-900 text-white text-xs rounded">
-            Reverse color order
+        </div>
+        <div className="flex items-center">
+          <div className="relative has-tooltip">
+            {/* Toggled by the legacy script, which samples the clicked pixel of the original image */}
+            <button
+              id="eyedropperBtn"
+              type="button"
+              aria-pressed="false"
+              aria-label="Pick a color from the image"
+              className="p-2 rounded-full hover:bg-gray-700"
+            >
+              <span className="material-icons text-gray-400">colorize</span>
+            </button>
+            <div className="tooltip -top-8 right-0 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
+              Pick a color from the image
+            </div>
+          </div>
+          <div className="relative has-tooltip">
+            <button 
+              id="invertPaletteBtn" 
+              className="p-2 rounded-full hover:bg-gray-700"
+              onClick={onInvertPalette}
+            >
+              <span className="material-icons text-gray-400">swap_vert</span>
+            </button>
+            <div className="tooltip -top-8 right-0 px-2 py-1 bg-gray-900 text-white text-xs rounded">
+              Reverse color order
+            </div>
           </div>
         </div>
       </div>
+      {/* Read by the legacy script, which picks the Best Fit filaments */}
+      <div id="bestFitOptions" className={`flex items-center gap-2 mb-4 ${activePalette === 'best' ? '' : 'hidden'}`}>
+        <input
+          id="bestFitWeighted"
+          type="checkbox"
+          defaultChecked
+          className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+        />
+        <label htmlFor="bestFitWeighted" className="text-sm text-gray-300 cursor-pointer">
+          Favor edges and the image center
+        </label>
+      </div>
       <div id="palette" className="grid grid-cols-8 gap-2">
         {children}
       </div>
-      <p className="text-xs text-gray-400 mt-2">Drag to reorder layers (Z-Bands).</p>
+      {bandMatches && bandMatches.length > 0 && (
+        <div className="mt-2">
+          {/* Scores line up with the swatches above, one per band */}
+          <div className="grid grid-cols-8 gap-2" aria-label="Match quality">
+            {bandMatches.map(match => (
+              <span
+                key={match.band}
+                title={`Band ${match.band + 1}: ΔE ${match.deltaE.toFixed(1)}`}
+                className={`w-8 text-center text-xs font-medium ${
+                  match.poor ? 'text-red-400' : match.reused ? 'text-yellow-400' : 'text-green-400'
+                }`}
+              >
+                {match.score}
+              </span>
+            ))}
+          </div>
+          {reusedBands.length > 0 && (
+            <p className="text-xs text-yellow-400 mt-2">
+              Bands {reusedBands.join(', ')} share a filament. Add more filaments to tell them apart.
+            </p>
+          )}
+          {poorBands.length > 0 && (
+            <p className="text-xs text-red-400 mt-1">
+              {poorBands.length === 1 ? `Band ${poorBands[0]} has` : `Bands ${poorBands.join(', ')} have`} no close
+              filament match.
+            </p>
+          )}
+        </div>
+      )}
+      <p className="text-xs text-gray-400 mt-2">
+        Drag to reorder layers (Z-Bands). The number under a color is how many layers it prints; clear it to use
+        the default. Pinned colors stay when the palette is regenerated.
+      </p>
+      <div className="mt-4">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm text-gray-300">Edit Bands</span>
+          <div className="flex gap-2">
+            <button
+              id="mergeBandsBtn"
+              type="button"
+              className="px-3 py-1 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+              disabled
+            >
+              Merge
+            </button>
+            <button
+              id="splitBandBtn"
+              type="button"
+              className="px-3 py-1 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+              disabled
+            >
+              Split
+            </button>
+          </div>
+        </div>
+        <div id="bandEditorChoices" className="flex flex-wrap gap-2 empty:hidden"></div>
+        <p className="text-xs text-gray-400 mt-2">
+          Select two bands to merge them into one, or one band to split it in two by the colors of its pixels.
+        </p>
+      </div>
     </div>
   );
 };
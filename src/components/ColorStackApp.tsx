@@ -8,6 +8,11 @@ import Modal from './Modal';
 import Footer from './Footer';
 import UpgradeModal from './UpgradeModal';
 import AccountModal from './AccountModal';
+import { ExportFormat, ModelLayout, SvgLayout } from './ExportOptions';
+import { BandMatch, PaletteMode } from './ColorPalette';
+import { BandRecommendation } from './PrimaryControls';
+import { DEFAULT_LITHOPHANE_SETTINGS, LithophaneSettings } from './LithophaneOptions';
+import { DEFAULT_IMAGE_ADJUSTMENTS, ImageAdjustmentSettings } from './ImageAdjustments';
 import { useTierLimits } from '../hooks/useTierLimits';
 import { UsageTracker } from '../lib/usageTracker';
 
@@ -20,8 +25,18 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [currentLayerCount, setCurrentLayerCount] = useState(4); // Default to 4 bands
   const [currentLayer, setCurrentLayer] = useState(1); // Track current layer value
-  const [activePalette, setActivePalette] = useState<'suggested' | 'my'>('suggested'); // Add state for active palette
+  const [activePalette, setActivePalette] = useState<PaletteMode>('suggested'); // Add state for active palette
   const [numBands, setNumBands] = useState(4); // State for number of bands
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('stl'); // File format for the Export button
+  const [modelLayout, setModelLayout] = useState<ModelLayout>('stacked'); // Stacked slabs or separate MMU bodies
+  const [simplifyMesh, setSimplifyMesh] = useState(true); // Merge flat regions in the STL mesh
+  const [smoothEdges, setSmoothEdges] = useState(false); // Trace smooth band outlines instead of pixel edges
+  const [svgLayout, setSvgLayout] = useState<SvgLayout>('layers'); // One layered SVG or one SVG per band
+  const [exportProgress, setExportProgress] = useState<number | null>(null); // Progress of a running export
+  const [lithophaneSettings, setLithophaneSettings] = useState<LithophaneSettings>(DEFAULT_LITHOPHANE_SETTINGS);
+  const [imageAdjustments, setImageAdjustments] = useState<ImageAdjustmentSettings>(DEFAULT_IMAGE_ADJUSTMENTS);
+  const [bandMatches, setBandMatches] = useState<BandMatch[] | null>(null); // Match quality of "My Palette" or Best Fit per band
+  const [bandRecommendation, setBandRecommendation] = useState<BandRecommendation | null>(null); // Measured by the worker
   const [upgradeModalState, setUpgradeModalState] = useState<{
     isOpen: boolean;
     reason: 'layers' | 'exports';
@@ -43,6 +58,72 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
   // Get tier limits
   const tierLimits = useTierLimits(numBands);
 
+  // Pass lithophane settings on to the legacy script, which redraws the backlit preview
+  useEffect(() => {
+    window.handleLithophaneChange?.(lithophaneSettings);
+  }, [lithophaneSettings]);
+
+  // The legacy script reports how well the filaments match whenever the palette changes
+  useEffect(() => {
+    const handlePaletteMatch = (event: Event) => {
+      setBandMatches((event as CustomEvent<BandMatch[] | null>).detail);
+    };
+
+    window.addEventListener('colorstack:palettematch', handlePaletteMatch);
+    return () => {
+      window.removeEventListener('colorstack:palettematch', handlePaletteMatch);
+    };
+  }, []);
+
+  // The worker measures which band count the image needs once it is loaded
+  useEffect(() => {
+    const handleBandRecommendation = (event: Event) => {
+      setBandRecommendation((event as CustomEvent<BandRecommendation | null>).detail);
+    };
+
+    window.addEventListener('colorstack:bandrecommendation', handleBandRecommendation);
+    return () => {
+      window.removeEventListener('colorstack:bandrecommendation', handleBandRecommendation);
+    };
+  }, []);
+
+  // Debounced like numBands: the legacy script redraws the image from the original on every change
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      window.handleImageAdjustmentsChange?.(imageAdjustments);
+    }, 250);
+
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [imageAdjustments]);
+
+  // A new image starts without adjustments or a recommendation for the old one
+  useEffect(() => {
+    const handleImageLoaded = () => {
+      setImageAdjustments(DEFAULT_IMAGE_ADJUSTMENTS);
+      setBandRecommendation(null);
+    };
+
+    window.addEventListener('colorstack:imageloaded', handleImageLoaded);
+    return () => {
+      window.removeEventListener('colorstack:imageloaded', handleImageLoaded);
+    };
+  }, []);
+
+  // The legacy script sets the band count when an imported SVG brings its own colors or a
+  // picked color needs a band of its own
+  useEffect(() => {
+    const handleLegacyNumBands = (event: Event) => {
+      setNumBands(Math.max(2, (event as CustomEvent<number>).detail));
+    };
+
+    window.addEventListener('colorstack:numbands', handleLegacyNumBands);
+    return () => {
+      window.removeEventListener('colorstack:numbands', handleLegacyNumBands);
+    };
+  }, []);
+
   // Debounced effect for numBands changes to reduce spammy image processing
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -326,6 +407,10 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
           window.domElements.myPaletteBtn.className =
             'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
         }
+        if (window.domElements.bestFitPaletteBtn) {
+          window.domElements.bestFitPaletteBtn.className =
+            'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
+        }
       } catch (error) {
         console.error('Error resetting app:', error);
       }
@@ -342,7 +427,7 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
     });
   };
 
-  const handleExportClick = () => {
+  const handleExportClick = async () => {
     // Check tier limits before exporting
     if (!tierLimits.canExport) {
       // Track the blocked export
@@ -372,13 +457,62 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
     // Directly call the legacy export function instead of triggering a click event
     if (window.appState && window.domElements) {
       try {
-        // Check if the generateStl function is available
-        if (typeof window.generateStl === 'function') {
-          const blob = window.generateStl(window.appState, window.domElements);
-          if (blob && typeof URL !== 'undefined' && URL.createObjectURL) {
+        // Pick the legacy generator for the selected file format and layout.
+        // Separate STL bodies don't fit in one file, so they are downloaded as a ZIP.
+        // Lithophanes are a single continuous surface, so they always export as one STL.
+        const format = lithophaneSettings.enabled ? 'stl' : exportFormat;
+        const layout = lithophaneSettings.enabled ? 'stacked' : modelLayout;
+        const smooth = !lithophaneSettings.enabled && layout === 'stacked' && smoothEdges;
+        let generator: ((appState: unknown, domElements: unknown) => Blob | null | Promise<Blob | null>) | undefined;
+        let fileName = `colorstack.${format}`;
+        if (format === 'svg') {
+          generator = window.generateSvg &&
+            ((appState, domElements) => window.generateSvg!(appState, domElements, svgLayout));
+          if (svgLayout === 'files') {
+            fileName = 'colorstack-svg.zip';
+          }
+        } else if (format === '3mf' && window.export3mf) {
+          // The 3MF XML is written in the export worker, with progress shown on the Export button
+          generator = (appState, domElements) => {
+            setExportProgress(0);
+            return window.export3mf!(appState, domElements, {
+              layout,
+              smooth,
+              onProgress: setExportProgress
+            });
+          };
+        } else if (format === '3mf') {
+          generator = window.generate3mf &&
+            ((appState, domElements) => window.generate3mf!(appState, domElements, layout, smooth));
+        } else if (layout === 'bodies') {
+          generator = window.generateStlBodies;
+          fileName = 'colorstack-bodies.zip';
+        } else if (smooth) {
+          // Traced outlines are built on the main thread, like the 3MF bands
+          generator = window.generateSmoothStl;
+        } else if (window.exportStl) {
+          // Stacked STL is built in the export worker, with progress shown on the Export button
+          generator = (appState, domElements) => {
+            setExportProgress(0);
+            return window.exportStl!(appState, domElements, {
+              simplify: simplifyMesh,
+              onProgress: setExportProgress
+            });
+          };
+        } else {
+          generator = window.generateStl &&
+            ((appState, domElements) => window.generateStl!(appState, domElements, simplifyMesh));
+        }
+        if (typeof generator === 'function') {
+          const blob = await generator(window.appState, window.domElements);
+          if (!blob) {
+            // Export was cancelled
+            return;
+          }
+          if (typeof URL !== 'undefined' && URL.createObjectURL) {
             const downloadLink = document.createElement('a');
             downloadLink.href = URL.createObjectURL(blob);
-            downloadLink.download = 'colorstack.stl';
+            downloadLink.download = fileName;
             downloadLink.click();
             URL.revokeObjectURL(downloadLink.href);
             
@@ -387,21 +521,30 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
               window.gtag('event', 'export_successful', {
                 event_category: 'tier_gating',
                 event_label: 'export_success',
-                value: tierLimits.exportCount + 1
+                value: tierLimits.exportCount + 1,
+                export_format: format,
+                model_layout: layout,
+                lithophane: lithophaneSettings.enabled
               });
             }
           } else {
             console.error('Download not supported in this browser.');
           }
         } else {
-          console.error('generateStl function not available');
+          console.error(`Export function for ${exportFormat} not available`);
         }
       } catch (error) {
-        console.error('Error exporting STL:', error);
+        console.error(`Error exporting ${exportFormat.toUpperCase()}:`, error);
+      } finally {
+        setExportProgress(null);
       }
     }
   };
 
+  const handleCancelExport = () => {
+    window.cancelStlExport?.();
+  };
+
   const handleDragOver = (e: React.DragEvent) => {
     e.preventDefault();
     e.currentTarget.classList.add('dragover');
@@ -456,24 +599,26 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
     }
   };
 
-  const handlePaletteChange = (palette: 'suggested' | 'my') => {
+  const handlePaletteChange = (palette: PaletteMode) => {
     // Update React state
     setActivePalette(palette);
     
     if (window.appState) {
       window.appState.activePalette = palette;
       // Update button appearances
-      const suggestedBtn = document.getElementById('suggestedPaletteBtn');
-      const myBtn = document.getElementById('myPaletteBtn');
-      if (suggestedBtn && myBtn) {
-        if (palette === 'suggested') {
-          suggestedBtn.className = 'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white';
-          myBtn.className = 'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
-        } else {
-          suggestedBtn.className = 'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
-          myBtn.className = 'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white';
+      const buttonIds: Record<PaletteMode, string> = {
+        suggested: 'suggestedPaletteBtn',
+        my: 'myPaletteBtn',
+        best: 'bestFitPaletteBtn'
+      };
+      (Object.keys(buttonIds) as PaletteMode[]).forEach(mode => {
+        const button = document.getElementById(buttonIds[mode]);
+        if (button) {
+          button.className = mode === palette
+            ? 'px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white'
+            : 'px-3 py-1 text-sm font-medium rounded-md text-gray-300 hover:bg-gray-700';
         }
-      }
+      });
       
       // Call the legacy updatePalette function to refresh the canvas and color swatches
       if (typeof window.updatePalette === 'function') {
@@ -507,7 +652,7 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
         ref={fileInputRef}
         type="file" 
         id="fileInput" 
-        accept="image/png,image/jpeg,image/bmp" 
+        accept="image/png,image/jpeg,image/bmp,image/svg+xml" 
         className="file-input" 
         max="10485760"
         onChange={(e) => {
@@ -528,7 +673,10 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
             onInstructionsClick={handleInstructionsClick}
             onNewImageClick={handleNewImageClick}
             onExportClick={handleExportClick}
+            onCancelExport={handleCancelExport}
+            exportProgress={exportProgress}
             onAccountClick={() => setIsAccountModalOpen(true)}
+            exportLabel={lithophaneSettings.enabled ? 'STL' : exportFormat.toUpperCase()}
           />
 
           <h1 className="sr-only">ColorStack: The Free, Browser-Based HueForge Alternative for Color 3D Printing</h1>
@@ -559,9 +707,25 @@ const ColorStackApp: React.FC<ColorStackAppProps> = ({ onLegacyScriptLoad }) =>
               ySize={120}
               isAspectRatioLocked={false}
               onAspectRatioLockToggle={handleAspectRatioLockToggle}
+              bandRecommendation={bandRecommendation}
               activePalette={activePalette}
               onPaletteChange={handlePaletteChange}
               onInvertPalette={handleInvertPalette}
+              bandMatches={bandMatches}
+              exportFormat={exportFormat}
+              onExportFormatChange={setExportFormat}
+              modelLayout={modelLayout}
+              onModelLayoutChange={setModelLayout}
+              simplifyMesh={simplifyMesh}
+              onSimplifyMeshChange={setSimplifyMesh}
+              smoothEdges={smoothEdges}
+              onSmoothEdgesChange={setSmoothEdges}
+              svgLayout={svgLayout}
+              onSvgLayoutChange={setSvgLayout}
+              lithophaneSettings={lithophaneSettings}
+              onLithophaneSettingsChange={setLithophaneSettings}
+              imageAdjustments={imageAdjustments}
+              onImageAdjustmentsChange={setImageAdjustments}
 
               canAddLayer={tierLimits.canAddLayer}
               layerCount={tierLimits.layerCount}
@@ -0,0 +1,80 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ExportOptions from './ExportOptions';
+
+describe('ExportOptions', () => {
+  it('renders the STL format by default', () => {
+    render(<ExportOptions />);
+
+    expect(screen.getByText('Export Options')).toBeInTheDocument();
+    expect(screen.getByText('STL')).toHaveClass('bg-indigo-600');
+    expect(screen.getByText('3MF')).not.toHaveClass('bg-indigo-600');
+  });
+
+  it('describes the selected format', () => {
+    render(<ExportOptions exportFormat="3mf" />);
+
+    expect(screen.getByText('3MF')).toHaveClass('bg-indigo-600');
+    expect(
+      screen.getByText('One part per color band with the palette colors and model size already assigned.')
+    ).toBeInTheDocument();
+  });
+
+  it('reports format changes', () => {
+    const onExportFormatChange = jest.fn();
+    render(<ExportOptions onExportFormatChange={onExportFormatChange} />);
+
+    fireEvent.click(screen.getByText('3MF'));
+
+    expect(onExportFormatChange).toHaveBeenCalledWith('3mf');
+  });
+
+  it('reports model layout changes', () => {
+    const onModelLayoutChange = jest.fn();
+    render(<ExportOptions onModelLayoutChange={onModelLayoutChange} />);
+
+    expect(screen.getByText('Stacked')).toHaveClass('bg-indigo-600');
+    fireEvent.click(screen.getByText('Bodies'));
+
+    expect(onModelLayoutChange).toHaveBeenCalledWith('bodies');
+  });
+
+  it('offers mesh simplification for stacked STL exports only', () => {
+    const onSimplifyMeshChange = jest.fn();
+    const { rerender } = render(<ExportOptions onSimplifyMeshChange={onSimplifyMeshChange} />);
+
+    const checkbox = screen.getByLabelText('Simplify Mesh');
+    expect(checkbox).toBeChecked();
+    fireEvent.click(checkbox);
+    expect(onSimplifyMeshChange).toHaveBeenCalledWith(false);
+
+    rerender(<ExportOptions exportFormat="3mf" />);
+    expect(screen.queryByLabelText('Simplify Mesh')).not.toBeInTheDocument();
+  });
+
+  it('offers smooth edges for the stacked layout in place of mesh simplification', () => {
+    const onSmoothEdgesChange = jest.fn();
+    const { rerender } = render(<ExportOptions onSmoothEdgesChange={onSmoothEdgesChange} />);
+
+    fireEvent.click(screen.getByLabelText('Smooth Edges'));
+    expect(onSmoothEdgesChange).toHaveBeenCalledWith(true);
+
+    rerender(<ExportOptions smoothEdges />);
+    expect(screen.getByLabelText('Smooth Edges')).toBeChecked();
+    expect(screen.queryByLabelText('Simplify Mesh')).not.toBeInTheDocument();
+
+    rerender(<ExportOptions modelLayout="bodies" />);
+    expect(screen.queryByLabelText('Smooth Edges')).not.toBeInTheDocument();
+  });
+
+  it('offers one layered SVG or one SVG per band instead of the model layout', () => {
+    const onSvgLayoutChange = jest.fn();
+    render(<ExportOptions exportFormat="svg" onSvgLayoutChange={onSvgLayoutChange} />);
+
+    expect(screen.queryByText('Model Layout')).not.toBeInTheDocument();
+    expect(screen.getByText('Layers')).toHaveClass('bg-indigo-600');
+    expect(screen.getByText('One SVG with a layer per color band.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Files'));
+    expect(onSvgLayoutChange).toHaveBeenCalledWith('files');
+  });
+});
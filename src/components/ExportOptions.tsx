@@ -0,0 +1,192 @@
+'use client';
+
+import React from 'react';
+
+export type ExportFormat = 'stl' | '3mf' | 'svg';
+export type ModelLayout = 'stacked' | 'bodies';
+export type SvgLayout = 'layers' | 'files';
+
+interface ExportOptionsProps {
+  exportFormat?: ExportFormat;
+  onExportFormatChange?: (format: ExportFormat) => void;
+  modelLayout?: ModelLayout;
+  onModelLayoutChange?: (layout: ModelLayout) => void;
+  simplifyMesh?: boolean;
+  onSimplifyMeshChange?: (simplify: boolean) => void;
+  smoothEdges?: boolean;
+  onSmoothEdgesChange?: (smooth: boolean) => void;
+  svgLayout?: SvgLayout;
+  onSvgLayoutChange?: (layout: SvgLayout) => void;
+}
+
+const EXPORT_FORMATS: { value: ExportFormat; label: string; description: string }[] = [
+  {
+    value: 'stl',
+    label: 'STL',
+    description: 'Single mesh. Swap filament at the layers listed in the Slicer Instructions.'
+  },
+  {
+    value: '3mf',
+    label: '3MF',
+    description: 'One part per color band with the palette colors and model size already assigned.'
+  },
+  {
+    value: 'svg',
+    label: 'SVG',
+    description: 'Flat vector shapes of every color band at the model size, for vinyl cutters, lasers and CNC.'
+  }
+];
+
+const MODEL_LAYOUTS: { value: ModelLayout; label: string; description: string }[] = [
+  {
+    value: 'stacked',
+    label: 'Stacked',
+    description: 'Colors change by height. Print with one extruder and filament swaps.'
+  },
+  {
+    value: 'bodies',
+    label: 'Bodies',
+    description: 'A base plate plus one body per color for MMU/AMS printers. STL exports a ZIP with one file per body.'
+  }
+];
+
+const SVG_LAYOUTS: { value: SvgLayout; label: string; description: string }[] = [
+  {
+    value: 'layers',
+    label: 'Layers',
+    description: 'One SVG with a layer per color band.'
+  },
+  {
+    value: 'files',
+    label: 'Files',
+    description: 'A ZIP with one SVG per color band, all at the same size so they line up.'
+  }
+];
+
+const ExportOptions: React.FC<ExportOptionsProps> = ({
+  exportFormat = 'stl',
+  onExportFormatChange,
+  modelLayout = 'stacked',
+  onModelLayoutChange,
+  simplifyMesh = true,
+  onSimplifyMeshChange,
+  smoothEdges = false,
+  onSmoothEdgesChange,
+  svgLayout = 'layers',
+  onSvgLayoutChange
+}) => {
+  const selectedFormat = EXPORT_FORMATS.find(format => format.value === exportFormat) || EXPORT_FORMATS[0];
+  const selectedLayout = MODEL_LAYOUTS.find(layout => layout.value === modelLayout) || MODEL_LAYOUTS[0];
+  const selectedSvgLayout = SVG_LAYOUTS.find(layout => layout.value === svgLayout) || SVG_LAYOUTS[0];
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-lg font-semibold mb-4">Export Options</h2>
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-300">File Format</span>
+        <div id="exportFormat" className="flex items-center bg-gray-800 p-1 rounded-lg">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.value}
+              className={`px-3 py-1 text-sm font-medium rounded-md ${
+                exportFormat === format.value
+                  ? 'bg-indigo-600 text-white'
+                  : 'text-gray-300 hover:bg-gray-700'
+              }`}
+              onClick={() => onExportFormatChange?.(format.value)}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">{selectedFormat.description}</p>
+      {exportFormat === 'svg' && (
+        <>
+          <div className="flex items-center justify-between mt-4">
+            <span className="text-sm text-gray-300">SVG Output</span>
+            <div id="svgLayout" className="flex items-center bg-gray-800 p-1 rounded-lg">
+              {SVG_LAYOUTS.map(layout => (
+                <button
+                  key={layout.value}
+                  className={`px-3 py-1 text-sm font-medium rounded-md ${
+                    svgLayout === layout.value
+                      ? 'bg-indigo-600 text-white'
+                      : 'text-gray-300 hover:bg-gray-700'
+                  }`}
+                  onClick={() => onSvgLayoutChange?.(layout.value)}
+                >
+                  {layout.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">{selectedSvgLayout.description}</p>
+        </>
+      )}
+      {exportFormat !== 'svg' && (
+        <>
+          <div className="flex items-center justify-between mt-4">
+            <span className="text-sm text-gray-300">Model Layout</span>
+            <div id="modelLayout" className="flex items-center bg-gray-800 p-1 rounded-lg">
+              {MODEL_LAYOUTS.map(layout => (
+                <button
+                  key={layout.value}
+                  className={`px-3 py-1 text-sm font-medium rounded-md ${
+                    modelLayout === layout.value
+                      ? 'bg-indigo-600 text-white'
+                      : 'text-gray-300 hover:bg-gray-700'
+                  }`}
+                  onClick={() => onModelLayoutChange?.(layout.value)}
+                >
+                  {layout.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">{selectedLayout.description}</p>
+          {modelLayout === 'stacked' && (
+            <div className="mt-4">
+              <div className="flex items-center gap-2">
+                <input
+                  id="smoothEdges"
+                  type="checkbox"
+                  checked={smoothEdges}
+                  onChange={e => onSmoothEdgesChange?.(e.target.checked)}
+                  className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+                />
+                <label htmlFor="smoothEdges" className="text-sm text-gray-300 cursor-pointer">
+                  Smooth Edges
+                </label>
+              </div>
+              <p className="text-xs text-gray-400 mt-2">
+                Traces smooth outlines around each band instead of following the pixels. Best for small images printed large.
+              </p>
+            </div>
+          )}
+          {exportFormat === 'stl' && modelLayout === 'stacked' && !smoothEdges && (
+            <div className="mt-4">
+              <div className="flex items-center gap-2">
+                <input
+                  id="simplifyMesh"
+                  type="checkbox"
+                  checked={simplifyMesh}
+                  onChange={e => onSimplifyMeshChange?.(e.target.checked)}
+                  className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+                />
+                <label htmlFor="simplifyMesh" className="text-sm text-gray-300 cursor-pointer">
+                  Simplify Mesh
+                </label>
+              </div>
+              <p className="text-xs text-gray-400 mt-2">
+                Merges flat areas into large faces. Same shape, much smaller file for large images.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExportOptions;
@@ -10,13 +10,19 @@ interface HeaderProps {
   onNewImageClick?: () => void;
   onExportClick?: () => void;
   onAccountClick?: () => void;
+  exportLabel?: string;
+  exportProgress?: number | null;
+  onCancelExport?: () => void;
 }
 
 const Header: React.FC<HeaderProps> = ({
   onInstructionsClick,
   onNewImageClick,
   onExportClick,
-  onAccountClick
+  onAccountClick,
+  exportLabel = 'STL',
+  exportProgress = null,
+  onCancelExport
 }) => {
   const pathname = usePathname();
   const router = useRouter();
@@ -179,16 +185,39 @@ const Header: React.FC<HeaderProps> = ({
           </div>
         </div>
         <div className="relative has-tooltip">
-          <button 
-            id="exportBtn" 
-            className="btn-primary flex items-center gap-2 p-2 md:px-4 md:py-2"
-            onClick={onExportClick}
-          >
-            <span className="material-icons">file_download</span>
-            <span className="hidden md:inline">Export STL</span>
-          </button>
+          {exportProgress === null ? (
+            <button 
+              id="exportBtn" 
+              className="btn-primary flex items-center gap-2 p-2 md:px-4 md:py-2"
+              onClick={onExportClick}
+            >
+              <span className="material-icons">file_download</span>
+              <span className="hidden md:inline">Export {exportLabel}</span>
+            </button>
+          ) : (
+            <button 
+              id="exportBtn" 
+              className="btn-primary relative overflow-hidden flex items-center gap-2 p-2 md:px-4 md:py-2"
+              onClick={onCancelExport}
+            >
+              <span className="material-icons">close</span>
+              <span className="hidden md:inline">Cancel {Math.round(exportProgress * 100)}%</span>
+              <span
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(exportProgress * 100)}
+                className="absolute left-0 bottom-0 h-1 bg-white/70 transition-all"
+                style={{ width: `${exportProgress * 100}%` }}
+              />
+            </button>
+          )}
           <div className="tooltip -top-10 left-1/2 -translate-x-1/2 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
-            Download the 3D model file
+            {exportProgress !== null
+              ? 'Cancel the export'
+              : exportLabel === 'SVG'
+                ? 'Download the SVG vector file'
+                : `Download the ${exportLabel} 3D model file`}
           </div>
         </div>
         
@@ -0,0 +1,33 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImageAdjustments, { DEFAULT_IMAGE_ADJUSTMENTS } from './ImageAdjustments';
+
+describe('ImageAdjustments', () => {
+  it('reports changes with the full settings', () => {
+    const onSettingsChange = jest.fn();
+    render(<ImageAdjustments onSettingsChange={onSettingsChange} />);
+
+    fireEvent.change(screen.getByLabelText('Left'), { target: { value: '10' } });
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...DEFAULT_IMAGE_ADJUSTMENTS, cropLeft: 10 });
+
+    fireEvent.change(screen.getByLabelText('Gamma'), { target: { value: '1.5' } });
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...DEFAULT_IMAGE_ADJUSTMENTS, gamma: 1.5 });
+
+    fireEvent.click(screen.getByText('Mirror ↔'));
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...DEFAULT_IMAGE_ADJUSTMENTS, flipHorizontal: true });
+  });
+
+  it('turns in quarter steps and resets to the defaults', () => {
+    const onSettingsChange = jest.fn();
+    const settings = { ...DEFAULT_IMAGE_ADJUSTMENTS, rotation: 90, brightness: 20 };
+    render(<ImageAdjustments settings={settings} onSettingsChange={onSettingsChange} />);
+
+    fireEvent.click(screen.getByLabelText('Rotate left'));
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...settings, rotation: 0 });
+
+    fireEvent.click(screen.getByLabelText('Rotate right'));
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...settings, rotation: 180 });
+
+    fireEvent.click(screen.getByText('Reset'));
+    expect(onSettingsChange).toHaveBeenCalledWith(DEFAULT_IMAGE_ADJUSTMENTS);
+  });
+});
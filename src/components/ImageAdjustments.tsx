@@ -0,0 +1,183 @@
+'use client';
+
+import React from 'react';
+
+export interface ImageAdjustmentSettings {
+  cropLeft: number;
+  cropTop: number;
+  cropRight: number;
+  cropBottom: number;
+  lockCropToModel: boolean;
+  rotation: number;
+  flipHorizontal: boolean;
+  flipVertical: boolean;
+  brightness: number;
+  contrast: number;
+  gamma: number;
+  saturation: number;
+  smoothing: number;
+}
+
+export const DEFAULT_IMAGE_ADJUSTMENTS: ImageAdjustmentSettings = {
+  cropLeft: 0,
+  cropTop: 0,
+  cropRight: 0,
+  cropBottom: 0,
+  lockCropToModel: false,
+  rotation: 0,
+  flipHorizontal: false,
+  flipVertical: false,
+  brightness: 0,
+  contrast: 0,
+  gamma: 1,
+  saturation: 0,
+  smoothing: 0
+};
+
+// Crop margins in percent of the (turned) image, per side
+const CROP_SIDES: { key: 'cropLeft' | 'cropRight' | 'cropTop' | 'cropBottom'; label: string }[] = [
+  { key: 'cropLeft', label: 'Left' },
+  { key: 'cropRight', label: 'Right' },
+  { key: 'cropTop', label: 'Top' },
+  { key: 'cropBottom', label: 'Bottom' }
+];
+
+const TONE_SLIDERS: {
+  key: 'brightness' | 'contrast' | 'gamma' | 'saturation' | 'smoothing';
+  id: string;
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+}[] = [
+  { key: 'brightness', id: 'adjustBrightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+  { key: 'contrast', id: 'adjustContrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+  { key: 'gamma', id: 'adjustGamma', label: 'Gamma', min: 0.2, max: 3, step: 0.05 },
+  { key: 'saturation', id: 'adjustSaturation', label: 'Saturation', min: -100, max: 100, step: 1 },
+  { key: 'smoothing', id: 'adjustSmoothing', label: 'Smoothing', min: 0, max: 5, step: 1 }
+];
+
+interface ImageAdjustmentsProps {
+  settings?: ImageAdjustmentSettings;
+  onSettingsChange?: (settings: ImageAdjustmentSettings) => void;
+}
+
+const ImageAdjustments: React.FC<ImageAdjustmentsProps> = ({
+  settings = DEFAULT_IMAGE_ADJUSTMENTS,
+  onSettingsChange
+}) => {
+  const update = (changes: Partial<ImageAdjustmentSettings>) => {
+    onSettingsChange?.({ ...settings, ...changes });
+  };
+
+  const buttonClass = (active: boolean) =>
+    `px-3 py-1 text-sm font-medium rounded-md ${
+      active ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+    }`;
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Adjust Image</h2>
+        <button
+          type="button"
+          onClick={() => onSettingsChange?.(DEFAULT_IMAGE_ADJUSTMENTS)}
+          className="text-xs text-gray-400 hover:text-white"
+        >
+          Reset
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mb-4">
+        Applied to the uploaded image before the colors are picked. The original is kept, so these can be changed any time.
+      </p>
+      <div className="space-y-4">
+        <div>
+          <div className="text-sm text-gray-300 mb-2">Crop (%)</div>
+          <div className="grid grid-cols-4 gap-2">
+            {CROP_SIDES.map(({ key, label }) => (
+              <div key={key}>
+                <label className="text-xs text-gray-400 block mb-1" htmlFor={key}>{label}</label>
+                <input
+                  id={key}
+                  className="input-field text-sm p-2 text-center"
+                  type="number"
+                  min="0"
+                  max="45"
+                  step="1"
+                  value={settings[key]}
+                  onChange={e => update({ [key]: Math.min(45, Math.max(0, parseFloat(e.target.value) || 0)) })}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 mt-2">
+            <input
+              id="lockCropToModel"
+              type="checkbox"
+              checked={settings.lockCropToModel}
+              onChange={e => update({ lockCropToModel: e.target.checked })}
+              className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+            />
+            <label htmlFor="lockCropToModel" className="text-sm text-gray-300 cursor-pointer">
+              Lock crop to model proportions
+            </label>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => update({ rotation: (settings.rotation + 270) % 360 })}
+            className={buttonClass(false)}
+            aria-label="Rotate left"
+          >
+            ⟲ 90°
+          </button>
+          <button
+            type="button"
+            onClick={() => update({ rotation: (settings.rotation + 90) % 360 })}
+            className={buttonClass(false)}
+            aria-label="Rotate right"
+          >
+            ⟳ 90°
+          </button>
+          <button
+            type="button"
+            onClick={() => update({ flipHorizontal: !settings.flipHorizontal })}
+            className={buttonClass(settings.flipHorizontal)}
+            aria-pressed={settings.flipHorizontal}
+          >
+            Mirror ↔
+          </button>
+          <button
+            type="button"
+            onClick={() => update({ flipVertical: !settings.flipVertical })}
+            className={buttonClass(settings.flipVertical)}
+            aria-pressed={settings.flipVertical}
+          >
+            Mirror ↕
+          </button>
+        </div>
+        {TONE_SLIDERS.map(({ key, id, label, min, max, step }) => (
+          <div key={key}>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-sm text-gray-300" htmlFor={id}>{label}</label>
+              <span className="text-xs text-gray-400">{settings[key]}</span>
+            </div>
+            <input
+              id={id}
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[key]}
+              onChange={e => update({ [key]: parseFloat(e.target.value) })}
+              className="w-full h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer slider-track"
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ImageAdjustments;
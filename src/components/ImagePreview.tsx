@@ -5,24 +5,36 @@ import React from 'react';
 interface ImagePreviewProps {
   xDimension?: string;
   yDimension?: string;
+  lithophaneMode?: boolean;
 }
 
 const ImagePreview: React.FC<ImagePreviewProps> = ({
   xDimension = "150.0",
-  yDimension = "120.0"
+  yDimension = "120.0",
+  lithophaneMode = false
 }) => {
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
       <div className="card p-6">
         <h2 className="text-lg font-semibold mb-4">Original Image</h2>
-        <div className="canvas-container">
+        <div className="canvas-container relative">
           <canvas id="origCanvas" className="rounded-lg object-cover w-full h-full"></canvas>
+          {/* Importance map painted by the user; takes pointer input only while its brush is selected */}
+          <canvas id="importanceOverlay" className="absolute inset-0 rounded-lg object-cover w-full h-full opacity-40 pointer-events-none touch-none"></canvas>
         </div>
       </div>
       <div className="card p-6 relative">
-        <h2 className="text-lg font-semibold mb-4">Processed Preview</h2>
+        <h2 className="text-lg font-semibold mb-4">{lithophaneMode ? 'Backlit Preview' : 'Processed Preview'}</h2>
         <div className="canvas-container relative">
-          <canvas id="procCanvas" className="rounded-lg object-cover w-full h-full"></canvas>
+          <canvas id="procCanvas" className={`rounded-lg object-cover w-full h-full ${lithophaneMode ? 'hidden' : ''}`}></canvas>
+          {/* Printability findings outlined by the legacy script, sized like procCanvas */}
+          <canvas id="printabilityOverlay" className={`absolute inset-0 rounded-lg object-cover w-full h-full pointer-events-none ${lithophaneMode ? 'hidden' : ''}`}></canvas>
+          {/* Error heatmap of the palette accuracy panel, drawn by the legacy script while switched on */}
+          <canvas id="errorOverlay" className={`absolute inset-0 rounded-lg object-cover w-full h-full pointer-events-none ${lithophaneMode ? 'hidden' : ''}`}></canvas>
+          {/* Band painting strokes; takes pointer input only while a painting tool is selected */}
+          <canvas id="paintOverlay" className={`absolute inset-0 rounded-lg object-cover w-full h-full pointer-events-none touch-none ${lithophaneMode ? 'hidden' : ''}`}></canvas>
+          {/* Simulated lithophane lit from behind, drawn by the legacy script */}
+          <canvas id="lithoCanvas" className={`rounded-lg object-cover w-full h-full ${lithophaneMode ? '' : 'hidden'}`}></canvas>
           <div className="absolute top-2 right-2 px-3 py-1.5 bg-indigo-600 bg-opacity-90 border border-indigo-500 rounded-lg text-xs text-white font-medium shadow-lg">
             <span id="dimension-display-x">{xDimension}</span> mm × <span id="dimension-display-y">{yDimension}</span> mm
           </div>
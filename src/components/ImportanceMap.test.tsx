@@ -0,0 +1,44 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import MainContent from './MainContent';
+import { flushLegacyScript, loadLegacyImage } from './legacyTestUtils';
+
+describe('ImportanceMap', () => {
+  const colors = ['#101010', '#303030', '#505050', '#b0b0b0', '#d0d0d0', '#f0f0f0', '#f0f0f0', '#f0f0f0'];
+  const palette = ['#000000', '#404040', '#c0c0c0', '#ffffff'];
+
+  const focus = () => within(screen.getByText('Subject Focus').closest('.card') as HTMLElement);
+
+  // jsdom has no PointerEvent and lays nothing out, so the overlay is placed one screen pixel per image pixel
+  const stroke = (x: number) => {
+    const overlay = document.getElementById('importanceOverlay') as HTMLCanvasElement;
+    jest.spyOn(overlay, 'getBoundingClientRect').mockReturnValue({
+      left: 0,
+      top: 0,
+      width: colors.length,
+      height: 1,
+    } as DOMRect);
+    ['pointerdown', 'pointerup'].forEach(type => {
+      fireEvent(overlay, new MouseEvent(type, { bubbles: true, clientX: x + 0.5, clientY: 0.5 }));
+    });
+  };
+
+  it('marks the painted pixels as important until the map is cleared', async () => {
+    render(<MainContent />);
+    const appState = await loadLegacyImage(colors, palette);
+
+    fireEvent.click(focus().getByText('Paint'));
+    expect(focus().getByText('Paint').closest('button')).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.change(focus().getByLabelText('Size'), { target: { value: '4' } });
+    stroke(1);
+    await flushLegacyScript();
+
+    expect(Array.from(appState.importanceMask)).toEqual([1, 1, 1, 1, 0, 0, 0, 0]);
+    expect(screen.getByText('50% of the image is marked as important')).toBeInTheDocument();
+
+    fireEvent.click(focus().getByText('Clear'));
+    await flushLegacyScript();
+
+    expect(appState.importanceMask).toBeNull();
+    expect(focus().getByText('Clear')).toBeDisabled();
+  });
+});
@@ -0,0 +1,67 @@
+'use client';
+
+import React from 'react';
+
+const TOOLS = [
+  { id: 'importancePaintBtn', icon: 'brush', label: 'Paint' },
+  { id: 'importanceEraseBtn', icon: 'layers_clear', label: 'Erase' }
+];
+
+const ImportanceMap: React.FC = () => {
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Subject Focus</h2>
+        <button
+          id="importanceClearBtn"
+          className="px-3 py-2 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+          disabled
+        >
+          Clear
+        </button>
+      </div>
+      <p className="text-xs text-gray-400">
+        The Impactful colors and the Best Fit weighting favor the center of the image. Paint over the parts that
+        matter on the original image to favor them instead, wherever they are.
+      </p>
+      <div className="flex flex-wrap items-center gap-2 mt-4">
+        {TOOLS.map(tool => (
+          <button
+            key={tool.id}
+            id={tool.id}
+            type="button"
+            aria-pressed="false"
+            className="px-3 py-1 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600"
+          >
+            <span className="material-icons text-base align-middle mr-1">{tool.icon}</span>
+            {tool.label}
+          </button>
+        ))}
+        <label className="flex items-center gap-2 text-xs text-gray-400 ml-auto" htmlFor="importanceBrushSize">
+          Size
+          <input
+            id="importanceBrushSize"
+            className="w-24 h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer slider-track"
+            type="range"
+            min="4"
+            max="200"
+            defaultValue="40"
+          />
+        </label>
+      </div>
+      <div className="flex items-center gap-2 mt-4">
+        <input
+          id="importanceBlend"
+          type="checkbox"
+          className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+        />
+        <label htmlFor="importanceBlend" className="text-sm text-gray-300 cursor-pointer">
+          Keep some focus on the center
+        </label>
+      </div>
+      <div id="importanceSummary" className="text-xs text-gray-500 mt-2 empty:hidden"></div>
+    </div>
+  );
+};
+
+export default ImportanceMap;
@@ -84,7 +84,9 @@ const LayerPreview: React.FC<LayerPreviewProps> = ({
         <h2 className="text-lg font-semibold">Layer Preview</h2>
         <div className="flex items-center gap-4">
           <span className="text-sm text-gray-400">
-            Layer <span id="layerValue">{currentLayer}</span> / <span id="maxLayers">{maxLayers}</span>
+            Layer <span id="layerValue">{currentLayer}</span> / <span id="maxLayers">{maxLayers}</span>{' '}
+            {/* Print layers of the selected band, filled in by the legacy script */}
+            <span id="layerPrintRange" className="text-gray-500"></span>
           </span>
           <div className="relative has-tooltip flex items-center gap-2">
             <input 
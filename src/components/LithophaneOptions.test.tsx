@@ -0,0 +1,24 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import LithophaneOptions, { DEFAULT_LITHOPHANE_SETTINGS } from './LithophaneOptions';
+
+describe('LithophaneOptions', () => {
+  it('hides the thickness controls while disabled', () => {
+    render(<LithophaneOptions />);
+
+    expect(screen.getByText('Lithophane')).toBeInTheDocument();
+    expect(screen.getByLabelText('Enabled')).not.toBeChecked();
+    expect(screen.queryByLabelText('Min Thick.')).not.toBeInTheDocument();
+  });
+
+  it('reports changes with the full settings', () => {
+    const onSettingsChange = jest.fn();
+    const settings = { ...DEFAULT_LITHOPHANE_SETTINGS, enabled: true };
+    render(<LithophaneOptions settings={settings} onSettingsChange={onSettingsChange} />);
+
+    fireEvent.change(screen.getByLabelText('Max Thick.'), { target: { value: '4' } });
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...settings, maxThickness: 4 });
+
+    fireEvent.click(screen.getByLabelText('Invert for backlight (dark areas thicker)'));
+    expect(onSettingsChange).toHaveBeenCalledWith({ ...settings, inverted: true });
+  });
+});
@@ -0,0 +1,100 @@
+'use client';
+
+import React from 'react';
+
+export interface LithophaneSettings {
+  enabled: boolean;
+  minThickness: number;
+  maxThickness: number;
+  inverted: boolean;
+}
+
+export const DEFAULT_LITHOPHANE_SETTINGS: LithophaneSettings = {
+  enabled: false,
+  minThickness: 0.8,
+  maxThickness: 3.2,
+  inverted: false
+};
+
+interface LithophaneOptionsProps {
+  settings?: LithophaneSettings;
+  onSettingsChange?: (settings: LithophaneSettings) => void;
+}
+
+const LithophaneOptions: React.FC<LithophaneOptionsProps> = ({
+  settings = DEFAULT_LITHOPHANE_SETTINGS,
+  onSettingsChange
+}) => {
+  const update = (changes: Partial<LithophaneSettings>) => {
+    onSettingsChange?.({ ...settings, ...changes });
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Lithophane</h2>
+        <div className="flex items-center gap-2">
+          <input
+            id="lithophaneToggle"
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={e => update({ enabled: e.target.checked })}
+            className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+          />
+          <label htmlFor="lithophaneToggle" className="text-sm text-gray-300 cursor-pointer">
+            Enabled
+          </label>
+        </div>
+      </div>
+      <p className="text-xs text-gray-400">
+        Thickness follows the brightness of each pixel instead of stepped color bands. Exports a single STL.
+      </p>
+      {settings.enabled && (
+        <div className="space-y-4 mt-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-gray-400 block mb-1" htmlFor="lithoMinThickness">Min Thick.</label>
+              <input
+                id="lithoMinThickness"
+                className="input-field text-sm p-2 text-center"
+                type="number"
+                min="0.2"
+                max="10"
+                step="0.1"
+                value={settings.minThickness}
+                onChange={e => update({ minThickness: parseFloat(e.target.value) })}
+              />
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 block mb-1" htmlFor="lithoMaxThickness">Max Thick.</label>
+              <input
+                id="lithoMaxThickness"
+                className="input-field text-sm p-2 text-center"
+                type="number"
+                min="0.2"
+                max="20"
+                step="0.1"
+                value={settings.maxThickness}
+                onChange={e => update({ maxThickness: parseFloat(e.target.value) })}
+              />
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              id="lithoInvert"
+              type="checkbox"
+              checked={settings.inverted}
+              onChange={e => update({ inverted: e.target.checked })}
+              className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+            />
+            <label htmlFor="lithoInvert" className="text-sm text-gray-300 cursor-pointer">
+              Invert for backlight (dark areas thicker)
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LithophaneOptions;
@@ -3,9 +3,17 @@
 import React from 'react';
 import ImagePreview from './ImagePreview';
 import LayerPreview from './LayerPreview';
-import PrimaryControls from './PrimaryControls';
-import ColorPalette from './ColorPalette';
+import PaletteComparison from './PaletteComparison';
+import PrimaryControls, { BandRecommendation } from './PrimaryControls';
+import ColorPalette, { BandMatch, PaletteMode } from './ColorPalette';
 import MyFilaments from './MyFilaments';
+import ExportOptions, { ExportFormat, ModelLayout, SvgLayout } from './ExportOptions';
+import LithophaneOptions, { LithophaneSettings } from './LithophaneOptions';
+import ImageAdjustments, { ImageAdjustmentSettings } from './ImageAdjustments';
+import PrintabilityReport from './PrintabilityReport';
+import PaletteAccuracy from './PaletteAccuracy';
+import BandPainter from './BandPainter';
+import ImportanceMap from './ImportanceMap';
 
 interface MainContentProps {
   // Image preview props
@@ -27,11 +35,33 @@ interface MainContentProps {
   ySize?: number;
   isAspectRatioLocked?: boolean;
   onAspectRatioLockToggle?: () => void;
+  bandRecommendation?: BandRecommendation | null;
   
   // Color palette props
-  activePalette?: 'suggested' | 'my';
-  onPaletteChange?: (palette: 'suggested' | 'my') => void;
+  activePalette?: PaletteMode;
+  onPaletteChange?: (palette: PaletteMode) => void;
   onInvertPalette?: () => void;
+  bandMatches?: BandMatch[] | null;
+  
+  // Export options props
+  exportFormat?: ExportFormat;
+  onExportFormatChange?: (format: ExportFormat) => void;
+  modelLayout?: ModelLayout;
+  onModelLayoutChange?: (layout: ModelLayout) => void;
+  simplifyMesh?: boolean;
+  onSimplifyMeshChange?: (simplify: boolean) => void;
+  smoothEdges?: boolean;
+  onSmoothEdgesChange?: (smooth: boolean) => void;
+  svgLayout?: SvgLayout;
+  onSvgLayoutChange?: (layout: SvgLayout) => void;
+  
+  // Lithophane props
+  lithophaneSettings?: LithophaneSettings;
+  onLithophaneSettingsChange?: (settings: LithophaneSettings) => void;
+
+  // Pre-processing props
+  imageAdjustments?: ImageAdjustmentSettings;
+  onImageAdjustmentsChange?: (settings: ImageAdjustmentSettings) => void;
   
   // Tier limits props
   canAddLayer?: boolean;
@@ -61,9 +91,25 @@ const MainContent: React.FC<MainContentProps> = ({
   ySize = 120,
   isAspectRatioLocked = false,
   onAspectRatioLockToggle,
+  bandRecommendation = null,
   activePalette = 'suggested',
   onPaletteChange,
   onInvertPalette,
+  bandMatches = null,
+  exportFormat = 'stl',
+  onExportFormatChange,
+  modelLayout = 'stacked',
+  onModelLayoutChange,
+  simplifyMesh = true,
+  onSimplifyMeshChange,
+  smoothEdges = false,
+  onSmoothEdgesChange,
+  svgLayout = 'layers',
+  onSvgLayoutChange,
+  lithophaneSettings,
+  onLithophaneSettingsChange,
+  imageAdjustments,
+  onImageAdjustmentsChange,
   canAddLayer = true,
   layerCount = 4,
   maxLayers: tierMaxLayers = 8,
@@ -78,14 +124,22 @@ const MainContent: React.FC<MainContentProps> = ({
           <ImagePreview 
             xDimension={xDimension}
             yDimension={yDimension}
+            lithophaneMode={lithophaneSettings?.enabled}
           />
+          <ImportanceMap />
+          <BandPainter />
           <LayerPreview 
             currentLayer={currentLayer}
             maxLayers={layerPreviewMaxLayers}
             onLayerChange={onLayerChange}
           />
+          <PaletteComparison />
         </div>
         <aside className="flex flex-col gap-6">
+          <ImageAdjustments
+            settings={imageAdjustments}
+            onSettingsChange={onImageAdjustmentsChange}
+          />
           <PrimaryControls 
             numBands={numBands}
             onNumBandsChange={onNumBandsChange}
@@ -100,17 +154,37 @@ const MainContent: React.FC<MainContentProps> = ({
             layerCount={layerCount}
             maxLayers={tierMaxLayers}
             onUpgradeClick={onUpgradeClick}
+            bandRecommendation={bandRecommendation}
+          />
+          <LithophaneOptions
+            settings={lithophaneSettings}
+            onSettingsChange={onLithophaneSettingsChange}
           />
           <ColorPalette 
             activePalette={activePalette}
             onPaletteChange={onPaletteChange}
             onInvertPalette={onInvertPalette}
+            bandMatches={bandMatches}
           >
             {paletteChildren}
           </ColorPalette>
           <MyFilaments>
             {filamentsChildren}
           </MyFilaments>
+          <PrintabilityReport />
+          <PaletteAccuracy />
+          <ExportOptions
+            exportFormat={exportFormat}
+            onExportFormatChange={onExportFormatChange}
+            modelLayout={modelLayout}
+            onModelLayoutChange={onModelLayoutChange}
+            simplifyMesh={simplifyMesh}
+            onSimplifyMeshChange={onSimplifyMeshChange}
+            smoothEdges={smoothEdges}
+            onSmoothEdgesChange={onSmoothEdgesChange}
+            svgLayout={svgLayout}
+            onSvgLayoutChange={onSvgLayoutChange}
+          />
         </aside>
       </main>
     </div>
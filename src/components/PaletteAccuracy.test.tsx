@@ -0,0 +1,31 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import MainContent from './MainContent';
+import { loadLegacyImage } from './legacyTestUtils';
+
+describe('PaletteAccuracy', () => {
+  const palette = ['#000000', '#404040', '#c0c0c0', '#ffffff'];
+
+  it('measures the preview while the switch is on', async () => {
+    render(<MainContent />);
+    // Half the pixels match their band exactly; the others are a little off
+    await loadLegacyImage(['#000000', '#404040', '#c0c0c0', '#ffffff', '#000000', '#484848', '#c0c0c0', '#ffffff'], palette);
+    const stats = document.getElementById('accuracyStats') as HTMLElement;
+    expect(stats).toBeEmptyDOMElement();
+
+    fireEvent.click(screen.getByLabelText('Measure after every change'));
+
+    expect(stats).toHaveTextContent(/^Mean ΔE \d+\.\d · max ΔE [1-9]\d*\.\d/);
+    // Band, coverage and mean ΔE of each band
+    const rows = Array.from(stats.querySelectorAll('tbody tr'), row =>
+      Array.from((row as HTMLTableRowElement).cells, cell => cell.textContent).slice(0, 3)
+    );
+    expect(rows).toHaveLength(palette.length);
+    expect(rows[0]).toEqual(['1', '25.0%', '0.0']);
+    expect(rows[1][1]).toBe('25.0%');
+    expect(parseFloat(rows[1][2]!)).toBeGreaterThan(0);
+
+    fireEvent.click(screen.getByLabelText('Measure after every change'));
+
+    expect(stats).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,49 @@
+'use client';
+
+import React from 'react';
+
+const PaletteAccuracy: React.FC = () => {
+  return (
+    <div className="card p-6">
+      <h2 className="text-lg font-semibold mb-4">Palette Accuracy</h2>
+      <p className="text-xs text-gray-400">
+        Measures how far the preview is from the original image (ΔE, lower is closer) and how much of each color
+        the model uses.
+      </p>
+      <div className="space-y-2 mt-4">
+        <div className="flex items-center gap-2">
+          <input
+            id="measureAccuracy"
+            type="checkbox"
+            className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+          />
+          <label htmlFor="measureAccuracy" className="text-sm text-gray-300 cursor-pointer">
+            Measure after every change
+          </label>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            id="showErrorHeatmap"
+            type="checkbox"
+            className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+          />
+          <label htmlFor="showErrorHeatmap" className="text-sm text-gray-300 cursor-pointer">
+            Show error heatmap on the preview
+          </label>
+        </div>
+        {/* Same ramp as HEATMAP_STOPS in the legacy script */}
+        <div className="flex items-center gap-2 text-xs text-gray-400" aria-label="Heatmap scale">
+          <span>ΔE 0</span>
+          <span
+            className="h-2 flex-1 rounded"
+            style={{ background: 'linear-gradient(to right, rgb(49, 54, 149), rgb(116, 196, 118), rgb(254, 224, 76), rgb(215, 48, 39))' }}
+          ></span>
+          <span>30+</span>
+        </div>
+      </div>
+      <div id="accuracyStats" className="mt-4 empty:hidden"></div>
+    </div>
+  );
+};
+
+export default PaletteAccuracy;
@@ -0,0 +1,46 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import MainContent from './MainContent';
+import PaletteComparison, { QUANTIZATION_ALGORITHMS } from './PaletteComparison';
+import { loadLegacyImage, flushLegacyScript } from './legacyTestUtils';
+
+describe('PaletteComparison', () => {
+  it('offers every algorithm with Impactful selected by default', () => {
+    render(<PaletteComparison />);
+
+    const select = screen.getByLabelText('Algorithm');
+    expect(select).toHaveValue('impactful');
+    expect(screen.getAllByRole('option')).toHaveLength(QUANTIZATION_ALGORITHMS.length);
+    expect(screen.getByText('Compare')).toHaveAttribute('id', 'comparePalettesBtn');
+  });
+
+  it('starts with the given algorithm', () => {
+    render(<PaletteComparison algorithm="octree" />);
+
+    expect(screen.getByLabelText('Algorithm')).toHaveValue('octree');
+  });
+});
+
+describe('PaletteComparison with the legacy script', () => {
+  it('keeps the spinner up while the preview is still being processed', async () => {
+    render(<MainContent />);
+    const appState = await loadLegacyImage(['#000000', '#ffffff', '#000000', '#ffffff'], ['#000000', '#ffffff']);
+    const spinner = document.getElementById('spinner') as HTMLElement;
+    // Whether the preview was processed each time the spinner was hidden
+    const processedWhenHidden: boolean[] = [];
+    const observer = new MutationObserver(() => {
+      if (spinner.style.display === 'none') processedWhenHidden.push(appState.bandMap !== null);
+    });
+    observer.observe(spinner, { attributes: true });
+    appState.bandMap = null;
+
+    // The comparison is answered first and shows no spinner of its own
+    fireEvent.click(screen.getByText('Compare'));
+    window.updatePalette?.();
+    expect(spinner).toHaveStyle({ display: 'flex' });
+    await flushLegacyScript();
+    observer.disconnect();
+
+    expect(processedWhenHidden).not.toContain(false);
+    expect(spinner).toHaveStyle({ display: 'none' });
+  });
+});
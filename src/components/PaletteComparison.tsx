@@ -0,0 +1,54 @@
+'use client';
+
+import React from 'react';
+
+export type QuantizationAlgorithm = 'impactful' | 'kmeans' | 'median-cut' | 'octree';
+
+export const QUANTIZATION_ALGORITHMS: { value: QuantizationAlgorithm; label: string }[] = [
+  { value: 'impactful', label: 'Impactful' },
+  { value: 'kmeans', label: 'k-means (Lab)' },
+  { value: 'median-cut', label: 'Median Cut' },
+  { value: 'octree', label: 'Octree' }
+];
+
+interface PaletteComparisonProps {
+  algorithm?: QuantizationAlgorithm;
+}
+
+const PaletteComparison: React.FC<PaletteComparisonProps> = ({
+  algorithm = 'impactful'
+}) => {
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Color Extraction</h2>
+        <div className="flex items-center gap-2">
+          {/* Read by the legacy script when it generates the suggested palette */}
+          <select
+            id="quantizationAlgorithm"
+            aria-label="Algorithm"
+            className="input-field text-sm p-2"
+            defaultValue={algorithm}
+          >
+            {QUANTIZATION_ALGORITHMS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            id="comparePalettesBtn"
+            className="px-3 py-2 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50 whitespace-nowrap"
+          >
+            Compare
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-gray-400">
+        Impactful favors striking subject colors, k-means and median cut suit photos, octree keeps small accents in logos.
+      </p>
+      {/* Thumbnails drawn by the legacy script; click one to use its algorithm */}
+      <div id="paletteComparison" className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 empty:hidden"></div>
+    </div>
+  );
+};
+
+export default PaletteComparison;
@@ -139,4 +139,50 @@ describe('PrimaryControls', () => {
     const inputsWithValue1 = screen.getAllByDisplayValue('1');
     expect(inputsWithValue1).toHaveLength(2);
   });
+
+  it('renders the dithering selector for the legacy script', () => {
+    render(<PrimaryControls ditherMethod="atkinson" />);
+
+    const select = screen.getByLabelText('Dithering') as HTMLSelectElement;
+    expect(select.id).toBe('ditherMethod');
+    expect(select.value).toBe('atkinson');
+    expect(Array.from(select.options).map(option => option.value)).toEqual([
+      'none', 'floyd-steinberg', 'atkinson', 'bayer'
+    ]);
+  });
+
+  it('renders the color metric selector with RGB as the default', () => {
+    render(<PrimaryControls />);
+
+    const select = screen.getByLabelText('Color Matching') as HTMLSelectElement;
+    expect(select.id).toBe('colorMetric');
+    expect(select.value).toBe('rgb');
+    expect(Array.from(select.options).map(option => option.value)).toEqual(['rgb', 'cie76', 'ciede2000']);
+  });
+
+  it('renders the nozzle diameter with 0.4 mm as the default and leaves the region cleanup off', () => {
+    render(<PrimaryControls />);
+
+    const input = screen.getByLabelText('Nozzle') as HTMLInputElement;
+    expect(input.id).toBe('nozzleDiameter');
+    expect(input.value).toBe('0.4');
+    expect(screen.getByLabelText('Merge regions too small for the nozzle')).not.toBeChecked();
+  });
+
+  it('marks the recommended band count and offers to use it', () => {
+    const onNumBandsChange = jest.fn();
+    render(
+      <PrimaryControls
+        numBands={6}
+        maxLayers={8}
+        onNumBandsChange={onNumBandsChange}
+        bandRecommendation={{ bands: 3, errors: [30, 4.2, 3.9, 3.7, 3.6, 3.5, 3.4] }}
+      />
+    );
+
+    expect(screen.getByTestId('bandRecommendationMarker')).toHaveStyle({ left: '16.666666666666664%' });
+    expect(screen.getByText('Recommended: 3 bands (mean ΔE 4.2). 8 bands would only reach 3.4.')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Use 3'));
+    expect(onNumBandsChange).toHaveBeenCalledWith(3);
+  });
 });
@@ -2,36 +2,70 @@
 
 import React, { useRef } from 'react';
 
+export type DitherMethod = 'none' | 'floyd-steinberg' | 'atkinson' | 'bayer';
+
+const DITHER_METHODS: { value: DitherMethod; label: string }[] = [
+  { value: 'none', label: 'None' },
+  { value: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+  { value: 'atkinson', label: 'Atkinson' },
+  { value: 'bayer', label: 'Bayer (ordered)' }
+];
+
+export type ColorMetric = 'rgb' | 'cie76' | 'ciede2000';
+
+const COLOR_METRICS: { value: ColorMetric; label: string }[] = [
+  { value: 'rgb', label: 'RGB' },
+  { value: 'cie76', label: 'CIE76' },
+  { value: 'ciede2000', label: 'CIEDE2000' }
+];
+
+// The band count the legacy script recommends after measuring the image, errors[i] being
+// the mean ΔE of the palette with i + 2 bands
+export interface BandRecommendation {
+  bands: number;
+  errors: number[];
+}
+
 interface PrimaryControlsProps {
   numBands?: number;
   onNumBandsChange?: (value: number) => void;
+  ditherMethod?: DitherMethod;
+  colorMetric?: ColorMetric;
   layerHeight?: number;
   baseThickness?: number;
   bandThickness?: number;
   xSize?: number;
   ySize?: number;
+  nozzleDiameter?: number;
+  mergeSmallRegions?: boolean;
   isAspectRatioLocked?: boolean;
   onAspectRatioLockToggle?: () => void;
   canAddLayer?: boolean;
   layerCount?: number;
   maxLayers?: number;
   onUpgradeClick?: () => void;
+  bandRecommendation?: BandRecommendation | null;
 }
 
 const PrimaryControls: React.FC<PrimaryControlsProps> = ({
   numBands = 4,
   onNumBandsChange,
+  ditherMethod = 'none',
+  colorMetric = 'rgb',
   layerHeight = 0.2,
   baseThickness = 3,
   bandThickness = 2,
   xSize = 150,
   ySize = 120,
+  nozzleDiameter = 0.4,
+  mergeSmallRegions = false,
   isAspectRatioLocked = false,
   onAspectRatioLockToggle,
   canAddLayer = true,
   layerCount = 4,
   maxLayers = 8,
-  onUpgradeClick
+  onUpgradeClick,
+  bandRecommendation = null
 }) => {
   // Refs for other input elements (still needed for legacy compatibility)
   const layerHeightRef = useRef<HTMLInputElement>(null);
@@ -46,6 +80,10 @@ const PrimaryControls: React.FC<PrimaryControlsProps> = ({
     onNumBandsChange?.(newValue);
   };
 
+  const recommended = bandRecommendation && bandRecommendation.bands <= maxLayers ? bandRecommendation : null;
+  const recommendedError = recommended?.errors[recommended.bands - 2];
+  const lowestError = recommended?.errors[recommended.errors.length - 1];
+
   return (
     <div className="card p-6">
       <h2 className="text-lg font-semibold mb-4">Primary Controls</h2>
@@ -68,17 +106,48 @@ const PrimaryControls: React.FC<PrimaryControlsProps> = ({
             </div>
           </div>
           <div className="flex items-center gap-4">
-            <input 
-              id="numBands" 
-              className="w-full h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer slider-track"
-              max={maxLayers}
-              min="2" 
-              type="range" 
-              value={numBands}
-              onInput={handleNumBandsInput}
-            />
+            <div className="relative w-full">
+              <input 
+                id="numBands" 
+                className="w-full h-1 bg-gray-700 rounded-lg appearance-none cursor-pointer slider-track"
+                max={maxLayers}
+                min="2" 
+                type="range" 
+                value={numBands}
+                onInput={handleNumBandsInput}
+              />
+              {recommended && maxLayers > 2 && (
+                <span
+                  data-testid="bandRecommendationMarker"
+                  title={`Recommended: ${recommended.bands} bands`}
+                  className="absolute top-3 -translate-x-1/2 text-indigo-400 text-xs leading-none pointer-events-none"
+                  style={{ left: `${((recommended.bands - 2) / (maxLayers - 2)) * 100}%` }}
+                >
+                  ▲
+                </span>
+              )}
+            </div>
             <span id="numBandsValue" className="font-semibold text-white">{numBands}</span>
           </div>
+          {recommended && recommendedError !== undefined && lowestError !== undefined && (
+            <div className="flex items-center justify-between gap-2 mt-3">
+              <p className="text-xs text-gray-400">
+                {recommended.bands === maxLayers
+                  ? `Recommended: ${recommended.bands} bands. Every band still makes this image noticeably closer.`
+                  : `Recommended: ${recommended.bands} bands (mean ΔE ${recommendedError.toFixed(1)}). ` +
+                    `${maxLayers} bands would only reach ${lowestError.toFixed(1)}.`}
+              </p>
+              {recommended.bands !== numBands && (
+                <button
+                  type="button"
+                  onClick={() => onNumBandsChange?.(recommended.bands)}
+                  className="px-2 py-1 text-xs font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600 shrink-0"
+                >
+                  Use {recommended.bands}
+                </button>
+              )}
+            </div>
+          )}
           {!canAddLayer && (
             <div className="flex items-center justify-between mt-1">
               <p className="text-xs text-orange-400">
@@ -96,6 +165,40 @@ const PrimaryControls: React.FC<PrimaryControlsProps> = ({
           )}
         </div>
         
+        <div className="grid grid-cols-2 gap-3">
+          <div className="relative has-tooltip">
+            <label className="text-xs text-gray-400 block mb-1" htmlFor="ditherMethod">Dithering</label>
+            {/* Read by the legacy script when it assigns pixels to bands */}
+            <select
+              id="ditherMethod"
+              className="input-field text-sm p-2"
+              defaultValue={ditherMethod}
+            >
+              {DITHER_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+            <div className="tooltip -top-8 left-0 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
+              Mix neighbouring bands to fake in-between colors
+            </div>
+          </div>
+          <div className="relative has-tooltip">
+            <label className="text-xs text-gray-400 block mb-1" htmlFor="colorMetric">Color Matching</label>
+            <select
+              id="colorMetric"
+              className="input-field text-sm p-2"
+              defaultValue={colorMetric}
+            >
+              {COLOR_METRICS.map(metric => (
+                <option key={metric.value} value={metric.value}>{metric.label}</option>
+              ))}
+            </select>
+            <div className="tooltip -top-8 right-0 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
+              CIEDE2000 matches colors the way the eye sees them
+            </div>
+          </div>
+        </div>
+
         <div>
           <h3 className="text-base font-medium text-gray-300 mb-3">Layer Parameters</h3>
           <div className="grid grid-cols-3 gap-3">
@@ -201,6 +304,40 @@ const PrimaryControls: React.FC<PrimaryControlsProps> = ({
             </div>
           </div>
         </div>
+
+        <div>
+          <h3 className="text-base font-medium text-gray-300 mb-3">Printer</h3>
+          <div className="flex items-end gap-3">
+            <div className="w-1/3 relative has-tooltip">
+              <label className="text-xs text-gray-400 block mb-1" htmlFor="nozzleDiameter">Nozzle</label>
+              {/* Read by the legacy script for the region cleanup and the printability report */}
+              <input 
+                id="nozzleDiameter" 
+                className="input-field text-sm p-2 text-center" 
+                type="number" 
+                min="0" 
+                max="2" 
+                step="0.1" 
+                defaultValue={nozzleDiameter}
+              />
+              <div className="tooltip -top-8 left-0 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
+                Nozzle diameter in mm
+              </div>
+            </div>
+            <p id="cleanupSummary" className="flex-1 text-xs text-gray-400 pb-2" aria-live="polite"></p>
+          </div>
+          <div className="flex items-center gap-2 mt-3">
+            <input
+              id="mergeSmallRegions"
+              type="checkbox"
+              defaultChecked={mergeSmallRegions}
+              className="w-4 h-4 text-indigo-600 bg-gray-700 border-gray-600 rounded focus:ring-indigo-500 focus:ring-2"
+            />
+            <label htmlFor="mergeSmallRegions" className="text-sm text-gray-300 cursor-pointer">
+              Merge regions too small for the nozzle
+            </label>
+          </div>
+        </div>
       </div>
     </div>
   );
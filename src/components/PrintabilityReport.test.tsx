@@ -0,0 +1,54 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import MainContent from './MainContent';
+import { flushLegacyScript, loadLegacyScript } from './legacyTestUtils';
+
+describe('PrintabilityReport', () => {
+  // Two 20 px squares joined by a 2 px neck, and a single dot, at 0.1 mm per pixel
+  const width = 50;
+  const height = 22;
+  const bandMap = new Float32Array(width * height);
+  for (let y = 1; y < 21; y++) {
+    for (let x = 1; x < 21; x++) {
+      bandMap[y * width + x] = 1;
+      bandMap[y * width + x + 28] = 1;
+    }
+  }
+  for (let x = 21; x < 29; x++) {
+    bandMap[10 * width + x] = 1;
+    bandMap[11 * width + x] = 1;
+  }
+  bandMap[20 * width + 24] = 1;
+
+  const analyze = async () => {
+    render(<MainContent numBands={2} xSize={width * 0.1} ySize={height * 0.1} />);
+    const appState = await loadLegacyScript();
+    ['origCanvas', 'procCanvas'].forEach(id => {
+      const canvas = document.getElementById(id) as HTMLCanvasElement;
+      canvas.width = width;
+      canvas.height = height;
+    });
+    Object.assign(appState, { img: { width, height }, bandMap });
+    fireEvent.click(screen.getByText('Analyze'));
+    await flushLegacyScript();
+  };
+
+  it('reports a neck narrower than the nozzle between two large areas', async () => {
+    await analyze();
+
+    expect(screen.getByText(/^Feature 0\.2\d mm wide at .*, thinner than the 0\.4 mm nozzle$/)).toBeInTheDocument();
+    expect(screen.getByText(/^Feature 0\.1\d mm wide/)).toBeInTheDocument();
+    expect(screen.getByText(/^Island of color 2/)).toBeInTheDocument();
+  });
+
+  it('highlights the finding that is clicked on the preview', async () => {
+    await analyze();
+    const overlay = (document.getElementById('printabilityOverlay') as HTMLCanvasElement).getContext('2d')!;
+    (overlay.fillRect as jest.Mock).mockClear();
+
+    fireEvent.click(screen.getByText(/^Feature 0\.2\d mm wide/));
+
+    // The neck spans x 21-28 and y 10-11; the selected outline keeps a 4 px margin
+    expect(overlay.fillRect).toHaveBeenCalledTimes(1);
+    expect(overlay.fillRect).toHaveBeenCalledWith(17, 6, 16, 10);
+  });
+});
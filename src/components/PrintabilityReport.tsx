@@ -0,0 +1,26 @@
+'use client';
+
+import React from 'react';
+
+const PrintabilityReport: React.FC = () => {
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Printability</h2>
+        <button
+          id="analyzePrintabilityBtn"
+          className="px-3 py-2 text-sm font-medium rounded-md bg-gray-700 text-gray-300 hover:bg-gray-600"
+        >
+          Analyze
+        </button>
+      </div>
+      <p className="text-xs text-gray-400">
+        Finds features thinner than the nozzle, tiny color islands and layers that only print a few dots.
+        Click a finding to see it on the preview.
+      </p>
+      <div id="printabilityReport" className="mt-4 empty:hidden"></div>
+    </div>
+  );
+};
+
+export default PrintabilityReport;
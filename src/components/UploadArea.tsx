@@ -38,7 +38,7 @@ const UploadArea: React.FC<UploadAreaProps> = ({
               >
                 <div className="text-6xl text-gray-400 mb-4">↑</div>
                 <div className="text-xl font-medium text-gray-300 mb-2">Upload Image</div>
-                <div className="text-sm text-gray-500 mb-4">PNG, JPEG, or BMP files</div>
+                <div className="text-sm text-gray-500 mb-4">PNG, JPEG, BMP, or SVG files</div>
                 <div className="text-xs text-gray-600">Drag and drop or click to browse</div>
               </div>
             </div>
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+
+// Helpers for tests that drive the legacy script (public/js/main.js) against the rendered components.
+// jsdom has no canvas and no workers, so the canvas draws nothing and the image worker runs in-process.
+
+/* eslint-disable @typescript-eslint/no-explicit-any */
+
+type WorkerMessage = { data: any };
+
+const readScript = (name: string) => fs.readFileSync(path.join(process.cwd(), 'public/js', name), 'utf8');
+
+/**
+ * Runs public/js/image_worker.js in the test, answering messages on the next tick like a worker.
+ */
+class InProcessWorker {
+  onmessage: ((event: WorkerMessage) => void) | null = null;
+  private scope: { postMessage: (message: any) => void; onmessage?: (event: WorkerMessage) => void };
+
+  constructor() {
+    this.scope = { postMessage: message => setTimeout(() => this.onmessage?.({ data: message })) };
+    new Function('self', readScript('image_worker.js'))(this.scope);
+  }
+
+  postMessage(message: any) {
+    setTimeout(() => this.scope.onmessage?.({ data: message }));
+  }
+
+  terminate() {}
+}
+
+/**
+ * Loads the legacy script into the rendered page and initializes it, as the legacy wrapper does.
+ * Render the components it should find first.
+ * @returns The legacy appState, shared with the script
+ */
+export async function loadLegacyScript(): Promise<any> {
+  const win = window as any;
+  win.Worker = InProcessWorker;
+  win.ImageData = class {
+    constructor(public data: Uint8ClampedArray, public width: number, public height: number) {}
+  };
+  // Every canvas keeps one context whose drawing calls are recorded as mock functions
+  const contexts = new WeakMap<HTMLCanvasElement, any>();
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function (this: HTMLCanvasElement) {
+    if (!contexts.has(this)) {
+      const context: any = {
+        canvas: this,
+        createImageData: (width: number, height: number) =>
+          new win.ImageData(new Uint8ClampedArray(width * height * 4), width, height),
+        getImageData: (x: number, y: number, width: number, height: number) =>
+          new win.ImageData(new Uint8ClampedArray(width * height * 4), width, height),
+      };
+      contexts.set(this, new Proxy(context, { get: (target, key) => (key in target ? target[key] : (target[key] = jest.fn())) }));
+    }
+    return contexts.get(this);
+  });
+  Element.prototype.scrollIntoView = jest.fn();
+  Element.prototype.setPointerCapture = jest.fn();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  (0, eval)(readScript('main.js'));
+  // Initialize once, whether or not jsdom still fires its own load event
+  const initialize = win.onload;
+  win.onload = null;
+  initialize();
+  await flushLegacyScript();
+  return win.appState;
+}
+
+/**
+ * Loads the legacy script with an image one pixel high and works out its bands.
+ * @param colors - Hex color of each pixel, left to right
+ * @param palette - Suggested palette to process the image with
+ * @returns The legacy appState, shared with the script
+ */
+export async function loadLegacyImage(colors: string[], palette: string[]): Promise<any> {
+  const appState = await loadLegacyScript();
+  const imageData = new Uint8ClampedArray(colors.length * 4);
+  colors.forEach((color, i) => {
+    imageData.set([1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16)), i * 4);
+    imageData[i * 4 + 3] = 255;
+  });
+  Object.assign(appState, { img: { width: colors.length, height: 1 }, imageData, suggestedPalette: palette.slice() });
+  ['origCanvas', 'procCanvas'].forEach(id => {
+    const canvas = document.getElementById(id) as HTMLCanvasElement;
+    canvas.width = colors.length;
+    canvas.height = 1;
+  });
+  (window as any).updatePalette();
+  await flushLegacyScript();
+  return appState;
+}
+
+/**
+ * Lets pending worker replies and timers of the legacy script run.
+ */
+export async function flushLegacyScript() {
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -31,7 +31,7 @@ declare global {
   interface Window {
     // Legacy app state
     appState?: {
-      img: HTMLImageElement | null;
+      img: HTMLImageElement | HTMLCanvasElement | null;
       bandMap: unknown | null;
       suggestedPalette: unknown[];
       activePalette: string;
@@ -54,6 +54,7 @@ declare global {
     domElements?: {
       suggestedPaletteBtn?: HTMLElement;
       myPaletteBtn?: HTMLElement;
+      bestFitPaletteBtn?: HTMLElement;
       numBandsInput?: HTMLInputElement;
       layerHeightInput?: HTMLInputElement;
       baseThicknessInput?: HTMLInputElement;
@@ -66,11 +67,56 @@ declare global {
     // Legacy functions
     showSlicerInstructions?: (appState: unknown, domElements: unknown) => void;
     resetApp?: (domElements: unknown) => void;
-    generateStl?: (appState: unknown, domElements: unknown) => Blob;
+    generateStl?: (appState: unknown, domElements: unknown, simplify?: boolean) => Blob;
+    generate3mf?: (
+      appState: unknown,
+      domElements: unknown,
+      layout?: 'stacked' | 'bodies',
+      smooth?: boolean
+    ) => Blob | null;
+    generateStlBodies?: (appState: unknown, domElements: unknown) => Blob | null;
+    generateSmoothStl?: (appState: unknown, domElements: unknown) => Blob | null;
+    generateSvg?: (appState: unknown, domElements: unknown, layout?: 'layers' | 'files') => Blob | null;
+    exportStl?: (
+      appState: unknown,
+      domElements: unknown,
+      options?: { simplify?: boolean; onProgress?: (progress: number) => void }
+    ) => Promise<Blob | null>;
+    export3mf?: (
+      appState: unknown,
+      domElements: unknown,
+      options?: {
+        layout?: 'stacked' | 'bodies';
+        smooth?: boolean;
+        onProgress?: (progress: number) => void;
+      }
+    ) => Promise<Blob | null>;
+    cancelStlExport?: () => void;
     handleFile?: (file: File) => void;
     updatePalette?: () => void;
     handleSettingsChange?: () => void;
     handleNumBandsChange?: (numBands: number) => void;
+    handleLithophaneChange?: (settings: {
+      enabled: boolean;
+      minThickness: number;
+      maxThickness: number;
+      inverted: boolean;
+    }) => void;
+    handleImageAdjustmentsChange?: (settings: {
+      cropLeft: number;
+      cropTop: number;
+      cropRight: number;
+      cropBottom: number;
+      lockCropToModel: boolean;
+      rotation: number;
+      flipHorizontal: boolean;
+      flipVertical: boolean;
+      brightness: number;
+      contrast: number;
+      gamma: number;
+      saturation: number;
+      smoothing: number;
+    }) => void;
     
     // Legacy event handlers
     onload?: (event: Event) => void;